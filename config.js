@@ -4,6 +4,8 @@
 // NOTE: This file is intentionally minimal – all other scripts should
 // import from here instead of hardcoding these values.
 
+import { fileURLToPath } from "node:url";
+
 //
 // Network config
 //  - "chipnet" for BCH chipnet (test network for CHIPs/loops)
@@ -62,6 +64,8 @@ export const SPEND_SPLIT_OUTPUTS = 4;
 //
 // - FT_CATEGORY_HEX comes from the FT genesis UTXO (vout=0) you chose
 // - NFT_CATEGORY_HEX comes from the NFT genesis UTXO (vout=0)
+//   (both big-endian, as explorers show them; meanRevertContract.js
+//   reverses them into VM order for the constructor)
 // - REBALANCER_NFT_COMMITMENT_HEX is the NFT commitment used in the covenant
 // - TARGET_TOKENS is the contract's targetTokenAmount
 // - INITIAL_TOKENS_ON_CONTRACT is how many FT you want to park on contract
@@ -78,3 +82,371 @@ export const REBALANCER_NFT_COMMITMENT_HEX = "6e667430"; // "nft0"
 export const TARGET_TOKENS = 1000n;
 
 export const INITIAL_TOKENS_ON_CONTRACT = 800n;
+
+// ---------------------------------------------------------------------------
+// Mean Revert V4 – configurable target allocation
+// ---------------------------------------------------------------------------
+//
+// - MEAN_REVERT_VERSION selects which contract the generic mean-revert
+//   scripts (deploy/fund/rebalance/inspect/reset) talk to: "v3" to
+//   "v10" (V10 is rebalanced by scripts/keeperRebalance.js). The
+//   versioned wrapper scripts (…V3… to …V10…) pin it explicitly.
+// - TARGET_BCH_WEIGHT_BPS is the V4 constructor's target BCH share of
+//   portfolio value in basis points (6000 = 60% BCH / 40% FT).
+//   Changing it changes the V4 contract address.
+
+export const MEAN_REVERT_VERSION = process.env.MEAN_REVERT_VERSION || "v3";
+
+export const TARGET_BCH_WEIGHT_BPS = 6000n;
+
+// ---------------------------------------------------------------------------
+// Mean Revert V5 – on-chain cooldown
+// ---------------------------------------------------------------------------
+//
+// - COOLDOWN_MIN_AGE_BLOCKS is the V5 constructor's minimum age (in blocks)
+//   of a contract UTXO before rebalance() may spend it (this.age / BIP68
+//   sequence lock). V5 otherwise behaves like V4 with TARGET_BCH_WEIGHT_BPS.
+//   Changing it changes the V5 contract address.
+
+export const COOLDOWN_MIN_AGE_BLOCKS = 6n; // ~1 hour on mainnet
+
+// ---------------------------------------------------------------------------
+// Mean Revert V6 – oracle message verified on-chain
+// ---------------------------------------------------------------------------
+//
+// - ONCHAIN_ORACLE_PUBLIC_KEY_HEX is the V6 constructor's oracle key:
+//   rebalance() only accepts price messages signed by it. It is
+//   ORACLE_PUBLIC_KEY_HEX, which must be set for V6 (other keys in
+//   ORACLE_PUBLIC_KEYS still count towards the median).
+// - ONCHAIN_ORACLE_MAX_LOCKTIME_GAP_SECONDS is the V6 constructor's largest gap
+//   between the message timestamp and the transaction's locktime. The
+//   builder picks the locktime (any time below the median time past), so
+//   this bounds a message against the time its builder claims, not its
+//   age.
+// - ORACLE_STATE_CATEGORY_HEX is the category (big-endian) of the oracle
+//   state NFT (oracleState.js), which records the last oracle message a
+//   rebalance used; each rebalance needs a strictly newer one. That is
+//   what stops a back-dated locktime from replaying an old price. It must
+//   be the txid of a BCH-only vout=0 UTXO at aliceAddress
+//   (seedVoutZeroUtxos.js): the fund script spends it to create the NFT
+//   on the contract.
+// V6 otherwise behaves like V5. Changing any of them changes the V6
+// contract address. V7 (V6 with the stablecoin category enforced), V8 (V7 with the
+// rebalancer NFT's category checked) and V9 (V8 with the stablecoin summed
+// over all contract UTXOs) take the same settings.
+
+export const ONCHAIN_ORACLE_PUBLIC_KEY_HEX =
+  process.env.ORACLE_PUBLIC_KEY_HEX || "";
+
+export const ONCHAIN_ORACLE_MAX_LOCKTIME_GAP_SECONDS = 600n;
+
+export const ORACLE_STATE_CATEGORY_HEX =
+  process.env.ORACLE_STATE_CATEGORY_HEX || "";
+
+// ---------------------------------------------------------------------------
+// Mean Revert V10 – permissionless keeper with a bounty
+// ---------------------------------------------------------------------------
+//
+// - KEEPER_BOUNTY_BPS is the keeper's share of the USD a rebalance moves
+//   towards the target (1000 = 10%).
+// - KEEPER_MAX_BOUNTY_SATS caps the bounty per rebalance, valued at the
+//   oracle price.
+// V10 otherwise takes the V6 oracle and state settings, TARGET_BCH_WEIGHT_BPS and
+// COOLDOWN_MIN_AGE_BLOCKS. Changing any of them changes its address.
+
+export const KEEPER_BOUNTY_BPS = 1000n;
+
+export const KEEPER_MAX_BOUNTY_SATS = 100_000n; // 0.001 BCH
+
+// ---------------------------------------------------------------------------
+// Rebalancer tolerance band (deadband) – see rebalanceBand.js
+// ---------------------------------------------------------------------------
+//
+// - REBALANCE_BAND_MODE:
+//     "pct" – edges in basis points of total portfolio value (USD-ish)
+//     "usd" – edges in whole USD
+//     "off" – rebalance on any imbalance (pre-band behaviour)
+// - REBALANCE_BAND_OUTER: skip while the BCH leg is at most this far from
+//   its target share.
+// - REBALANCE_BAND_INNER: once outside, rebalance back to at most this far.
+//
+// Env vars of the same name override these (e.g. for one-off runs).
+
+export const REBALANCE_BAND_MODE = process.env.REBALANCE_BAND_MODE || "pct";
+
+export const REBALANCE_BAND_OUTER = BigInt(
+  process.env.REBALANCE_BAND_OUTER || 200
+); // 2% of portfolio value
+
+export const REBALANCE_BAND_INNER = BigInt(
+  process.env.REBALANCE_BAND_INNER || 50
+); // 0.5% of portfolio value
+
+// ---------------------------------------------------------------------------
+// Rebalancer fee check – see rebalanceCost.js
+// ---------------------------------------------------------------------------
+//
+// - REBALANCE_FEE_MULTIPLE: skip a rebalance unless its imbalance reduction
+//   (in USD) is worth at least this many times its cost – the pass-1 fee
+//   plus the dust locked in the new FT / NFT outputs, valued at the oracle
+//   price. 0 disables the check.
+//
+// The env var of the same name overrides it.
+
+export const REBALANCE_FEE_MULTIPLE = Number(
+  process.env.REBALANCE_FEE_MULTIPLE ?? 1
+);
+
+// ---------------------------------------------------------------------------
+// Rebalancer strategy – see strategies/index.js
+// ---------------------------------------------------------------------------
+//
+// - REBALANCE_STRATEGY: which off-chain policy proposes the move
+//     "mean-revert"         – step towards target (band-aware)
+//     "constant-proportion" – close STRATEGY_PROPORTION_BPS of the gap
+//     "full-to-target"      – close the whole gap in one transaction
+//     "price-zscore"        – size the move by the price's z-score against
+//                             its moving average (STRATEGY_ZSCORE_*)
+//   `--strategy <name>` on the command line overrides it.
+// - STRATEGY_PROPORTION_BPS: share of the gap closed per run by
+//   "constant-proportion" (2500 = 25%).
+// - REBALANCE_STEP_SIZING: how "mean-revert" sizes a move with the band off
+//     "optimal" – the amount that minimises D_after (stepSolver.js)
+//     "halving" – half the gap, halved until D improves (pre-solver)
+// - REBALANCE_MAX_STEP: largest "optimal" move per rebalance – FT in
+//   tokens mode, whole USD in swap mode. Unset = no cap.
+//
+// Env vars of the same name override these.
+
+export const REBALANCE_STRATEGY =
+  process.env.REBALANCE_STRATEGY || "mean-revert";
+
+export const STRATEGY_PROPORTION_BPS = BigInt(
+  process.env.STRATEGY_PROPORTION_BPS || 2500
+);
+
+export const REBALANCE_STEP_SIZING =
+  process.env.REBALANCE_STEP_SIZING || "optimal";
+
+export const REBALANCE_MAX_STEP = process.env.REBALANCE_MAX_STEP
+  ? BigInt(process.env.REBALANCE_MAX_STEP)
+  : null;
+
+// "price-zscore" settings:
+// - LOOKBACK: oracle messages in the window (fetched via fetchOracleMessages)
+// - AVERAGE : "sma" or "ema" as the mean the z-score is measured against
+// - ENTRY / FULL: |z| where sizing starts to grow / reaches the maximum
+// - MIN_BPS / MAX_BPS: share of the gap closed at or below ENTRY / at FULL
+//   (MIN_BPS also applies to moves that would chase the price)
+// - CURVE: "linear", "quadratic" or "step" between ENTRY and FULL
+export const STRATEGY_ZSCORE = {
+  lookback: Number(process.env.STRATEGY_ZSCORE_LOOKBACK || 48),
+  average: process.env.STRATEGY_ZSCORE_AVERAGE || "ema",
+  entryZ: Number(process.env.STRATEGY_ZSCORE_ENTRY || 1),
+  fullZ: Number(process.env.STRATEGY_ZSCORE_FULL || 2.5),
+  minBps: BigInt(process.env.STRATEGY_ZSCORE_MIN_BPS || 2500),
+  maxBps: BigInt(process.env.STRATEGY_ZSCORE_MAX_BPS || 10000),
+  curve: process.env.STRATEGY_ZSCORE_CURVE || "linear",
+};
+
+// ---------------------------------------------------------------------------
+// Rebalancer daemon – see scripts/rebalanceDaemon.js
+// ---------------------------------------------------------------------------
+//
+// - DAEMON_INTERVAL_MS: pause between rebalance attempts.
+// - DAEMON_BACKOFF_BASE_MS / DAEMON_BACKOFF_MAX_MS: after consecutive
+//   Electrum/oracle errors the pause is base * 2^(failures - 1), capped at
+//   max, instead of the normal interval.
+//
+// Env vars of the same name override these.
+
+export const DAEMON_INTERVAL_MS = Number(
+  process.env.DAEMON_INTERVAL_MS || 60_000
+);
+
+export const DAEMON_BACKOFF_BASE_MS = Number(
+  process.env.DAEMON_BACKOFF_BASE_MS || 5_000
+);
+
+export const DAEMON_BACKOFF_MAX_MS = Number(
+  process.env.DAEMON_BACKOFF_MAX_MS || 300_000
+);
+
+// ---------------------------------------------------------------------------
+// Coin selection for Alice's BCH funding inputs – see utxos.js
+// ---------------------------------------------------------------------------
+//
+// - COIN_SELECTION: how scripts pick BCH-only UTXOs to cover outputs + fee
+//     "largest-first"       – biggest UTXOs first, fewest inputs
+//     "smallest-sufficient" – the smallest single UTXO that covers it,
+//                             else largest-first
+//     "branch-and-bound"    – the subset that overshoots the least (least
+//                             change), fewest inputs on ties
+//
+// The env var of the same name overrides it.
+
+export const COIN_SELECTION = process.env.COIN_SELECTION || "largest-first";
+
+// ---------------------------------------------------------------------------
+// Rebalancer risk limits – see riskLimits.js / tradeJournal.js
+// ---------------------------------------------------------------------------
+//
+// Caps on how much one rebalance (and all of them together) may move, in
+// FT / whole USD (a swap moves the same USD on both legs). Unset = no limit.
+//
+// - RISK_MAX_TOKENS_PER_TRADE: largest move per rebalance.
+// - RISK_MAX_TRADE_BPS: largest move per rebalance as a share of portfolio
+//   value (BCH at the oracle price + FT), in bps (1000 = 10%).
+// - RISK_MAX_USD_PER_WINDOW / RISK_WINDOW_HOURS: USD moved by all broadcast
+//   rebalances of the contract over the rolling window (default 24 h),
+//   summed from the trade journal.
+// - RISK_LIMIT_ACTION: "clip" shrinks an oversized move to the largest
+//   allowed one, "abort" skips the run instead.
+// - RISK_JOURNAL_PATH: JSON Lines trade journal the rebalancer appends to
+//   after every broadcast (default: trade-journal.jsonl next to this file).
+//
+// Env vars of the same name override these.
+
+export const RISK_LIMITS = {
+  maxTokensPerTrade: process.env.RISK_MAX_TOKENS_PER_TRADE
+    ? BigInt(process.env.RISK_MAX_TOKENS_PER_TRADE)
+    : null,
+  maxTradeBps: process.env.RISK_MAX_TRADE_BPS
+    ? BigInt(process.env.RISK_MAX_TRADE_BPS)
+    : null,
+  maxUsdPerWindow: process.env.RISK_MAX_USD_PER_WINDOW
+    ? BigInt(process.env.RISK_MAX_USD_PER_WINDOW)
+    : null,
+  windowHours: Number(process.env.RISK_WINDOW_HOURS || 24),
+  action: process.env.RISK_LIMIT_ACTION || "clip",
+};
+
+export const RISK_JOURNAL_PATH =
+  process.env.RISK_JOURNAL_PATH ||
+  fileURLToPath(new URL("./trade-journal.jsonl", import.meta.url));
+
+// ---------------------------------------------------------------------------
+// Rebalancer cooldown – see rebalanceCooldown.js
+// ---------------------------------------------------------------------------
+//
+// - REBALANCE_COOLDOWN_SECONDS: refuse to rebalance within this many
+//   seconds of the last rebalance. 0 disables the check.
+// - REBALANCE_COOLDOWN_SOURCE: where the last rebalance is looked up
+//     "journal" – the local trade journal (RISK_JOURNAL_PATH)
+//     "chain"   – the contract's transaction history (Electrum), which also
+//                 sees rebalances sent from other machines
+//     "both"    – whichever is more recent (default)
+//
+// Env vars of the same name override these.
+
+export const REBALANCE_COOLDOWN_SECONDS = Number(
+  process.env.REBALANCE_COOLDOWN_SECONDS || 0
+);
+
+export const REBALANCE_COOLDOWN_SOURCE =
+  process.env.REBALANCE_COOLDOWN_SOURCE || "both";
+
+// ---------------------------------------------------------------------------
+// Oracles – see oracles/oracleAggregator.js
+// ---------------------------------------------------------------------------
+//
+// Every key in ORACLE_PUBLIC_KEYS (comma-separated) plus
+// ORACLE_PUBLIC_KEY_HEX is fetched; the rebalancer, the inspector and the
+// dashboard proxy use the median of the sources that pass:
+//
+// - ORACLE_MAX_LAG_SECONDS: drop a source whose latest message is this
+//   much older than the freshest source's (default 300).
+// - ORACLE_MAX_DEVIATION_BPS: drop a source this far from the median, in
+//   bps (default 200 = 2%).
+// - ORACLE_MIN_QUORUM: sources that must pass for the price to be used
+//   (default 1, so a single key works as before).
+// - ORACLE_MAX_AGE_SECONDS: drop a message older than this by the local
+//   clock (default 600; 0 disables). See oracles/oracleGuards.js.
+// - ORACLE_SEQUENCE_PATH: JSON file with the last-seen message / data
+//   sequence per oracle key; a message whose sequence goes backwards is
+//   dropped (default: oracle-sequences.json next to this file).
+// - ORACLE_EXPECTED_ASSET: the asset the covenant prices, checked against
+//   each oracle's metadata (default "BCH/USD"). Prices are rescaled from
+//   the oracle's own scale to the covenant's. See oracles/oracleMetadata.js.
+// - ORACLE_API_BASE_URL: the oracle API to query (default
+//   https://oracles.generalprotocols.com). Point it at the local mock
+//   oracle server for offline runs (see below).
+// - ORACLE_HTTP_*: every oracle API call goes through oracles/oracleHttp.js:
+//   ORACLE_HTTP_TIMEOUT_MS per attempt (default 10000), ORACLE_HTTP_RETRIES
+//   for timeouts / network errors / 5xx (default 2) with jittered backoff
+//   from ORACLE_HTTP_BACKOFF_BASE_MS (500) up to ORACLE_HTTP_BACKOFF_MAX_MS
+//   (5000). After ORACLE_HTTP_BREAKER_THRESHOLD failed requests in a row
+//   (default 5) calls to that API fail at once for
+//   ORACLE_HTTP_BREAKER_COOLDOWN_MS (default 30000).
+
+export const ORACLE_PUBLIC_KEYS = [
+  ...new Set(
+    [
+      ...(process.env.ORACLE_PUBLIC_KEYS || "").split(","),
+      process.env.ORACLE_PUBLIC_KEY_HEX || "",
+    ]
+      .map((s) => s.trim())
+      .filter(Boolean)
+  ),
+];
+
+export const ORACLE_AGGREGATION = {
+  maxAgeSeconds: Number(process.env.ORACLE_MAX_AGE_SECONDS ?? 600),
+  maxLagSeconds: Number(process.env.ORACLE_MAX_LAG_SECONDS || 300),
+  maxDeviationBps: Number(process.env.ORACLE_MAX_DEVIATION_BPS || 200),
+  minQuorum: Number(process.env.ORACLE_MIN_QUORUM || 1),
+};
+
+export const ORACLE_EXPECTED_ASSET =
+  process.env.ORACLE_EXPECTED_ASSET || "BCH/USD";
+
+export const ORACLE_SEQUENCE_PATH =
+  process.env.ORACLE_SEQUENCE_PATH ||
+  fileURLToPath(new URL("./oracle-sequences.json", import.meta.url));
+
+export const ORACLE_API_BASE_URL =
+  process.env.ORACLE_API_BASE_URL || "https://oracles.generalprotocols.com";
+
+export const ORACLE_HTTP = {
+  timeoutMs: Number(process.env.ORACLE_HTTP_TIMEOUT_MS || 10_000),
+  retries: Number(process.env.ORACLE_HTTP_RETRIES ?? 2),
+  backoffBaseMs: Number(process.env.ORACLE_HTTP_BACKOFF_BASE_MS || 500),
+  backoffMaxMs: Number(process.env.ORACLE_HTTP_BACKOFF_MAX_MS || 5_000),
+  breakerThreshold: Number(process.env.ORACLE_HTTP_BREAKER_THRESHOLD || 5),
+  breakerCooldownMs: Number(process.env.ORACLE_HTTP_BREAKER_COOLDOWN_MS || 30_000),
+};
+
+// ---------------------------------------------------------------------------
+// Mock oracle server – see oracles/mockOracle.js, scripts/mockOracleServer.js
+// ---------------------------------------------------------------------------
+//
+// A local oracle API for offline development. Start it, then run the
+// rebalancer / proxy with ORACLE_API_BASE_URL=http://127.0.0.1:<port> and
+// ORACLE_PUBLIC_KEYS set to the keys it prints.
+//
+// - MOCK_ORACLE_PORT: port to listen on (default 4100).
+// - MOCK_ORACLE_PATH: "constant", "random-walk" or "replay".
+// - MOCK_ORACLE_PRICE_RAW: constant price / random-walk start (default
+//   40000 = 400.00 at scale 100).
+// - MOCK_ORACLE_STEP_BPS / MOCK_ORACLE_SEED: random-walk move per message
+//   (default 50 bps) and seed (default 1).
+// - MOCK_ORACLE_REPLAY_FILE: prices for "replay" (JSON array or one per line).
+// - MOCK_ORACLE_INTERVAL_SECONDS: seconds between messages (default 60).
+// - MOCK_ORACLE_COUNT: how many oracle keys to serve, all on the same path
+//   (default 1). Keys are derived from MOCK_ORACLE_SEED, so they stay the
+//   same across restarts.
+// - MOCK_ORACLE_PRICE_SCALE / MOCK_ORACLE_ASSET: the published metadata
+//   (default 100, "BCH/USD").
+
+export const MOCK_ORACLE = {
+  port: Number(process.env.MOCK_ORACLE_PORT || 4100),
+  path: process.env.MOCK_ORACLE_PATH || "constant",
+  priceRaw: Number(process.env.MOCK_ORACLE_PRICE_RAW || 40_000),
+  stepBps: Number(process.env.MOCK_ORACLE_STEP_BPS || 50),
+  seed: Number(process.env.MOCK_ORACLE_SEED || 1),
+  replayFile: process.env.MOCK_ORACLE_REPLAY_FILE || "",
+  intervalSeconds: Number(process.env.MOCK_ORACLE_INTERVAL_SECONDS || 60),
+  count: Number(process.env.MOCK_ORACLE_COUNT || 1),
+  priceScale: Number(process.env.MOCK_ORACLE_PRICE_SCALE || 100),
+  assetPair: process.env.MOCK_ORACLE_ASSET || "BCH/USD",
+};
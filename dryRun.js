@@ -0,0 +1,135 @@
+// dryRun.js
+// Plan mode for the state-changing scripts.
+//
+// With `--dry-run` on the command line (or DRY_RUN=1) a script builds its
+// final transaction exactly as it would for broadcast, then prints a JSON
+// plan instead of calling send():
+//
+//   {
+//     dryRun: true,
+//     action,        // "rebalance" | "fund" | "reset" | "consolidate" | ...
+//     inputs,        // [{ txid, vout, satoshis, token }]
+//     outputs,       // [{ to, amount, token }]
+//     fee,           // { estimate, actual, sizeBytes, satsPerByte }
+//     ...details,    // script-specific (D_before/D_after, oracle message, ...)
+//     txHex          // the built (signed) transaction – NOT broadcast
+//   }
+//
+// DRY_RUN_OUT=<file> additionally writes the plan JSON to that file.
+
+import { writeFileSync } from "node:fs";
+
+import { SATS_PER_BYTE } from "./config.js";
+import { safeJson } from "./bigint.js";
+
+export const DRY_RUN_FLAG = "--dry-run";
+
+/**
+ * True when the current process was asked for a plan instead of a broadcast.
+ */
+export function isDryRun(argv = process.argv, env = process.env) {
+  return (
+    argv.includes(DRY_RUN_FLAG) ||
+    env.DRY_RUN === "1" ||
+    env.DRY_RUN === "true"
+  );
+}
+
+function describeToken(token) {
+  if (!token) return null;
+  return {
+    category: token.category,
+    amount: BigInt(token.amount ?? 0n),
+    ...(token.nft && {
+      nft: {
+        capability: token.nft.capability,
+        commitment: token.nft.commitment,
+      },
+    }),
+  };
+}
+
+export function describeInput(utxo) {
+  return {
+    txid: utxo.txid,
+    vout: utxo.vout,
+    satoshis: BigInt(utxo.satoshis ?? utxo.value),
+    token: describeToken(utxo.token),
+  };
+}
+
+export function describeOutput(output) {
+  return {
+    to:
+      typeof output.to === "string"
+        ? output.to
+        : Buffer.from(output.to).toString("hex"),
+    amount: BigInt(output.amount),
+    token: describeToken(output.token),
+  };
+}
+
+/**
+ * The fee `builder`'s transaction pays: its inputs' satoshis less its
+ * outputs'.
+ */
+export function transactionFee(builder) {
+  const totalIn = builder.inputs.reduce(
+    (s, u) => s + BigInt(u.satoshis ?? u.value),
+    0n
+  );
+  const totalOut = builder.outputs.reduce((s, o) => s + BigInt(o.amount), 0n);
+  return totalIn - totalOut;
+}
+
+/**
+ * Build `builder` (without sending) and describe it as a plan.
+ *
+ * @param {object} opts
+ * @param {string} opts.action - short name of the operation
+ * @param {TransactionBuilder} opts.builder - the final (pass 2) builder
+ * @param {bigint} [opts.feeEstimate] - fee the script budgeted for
+ * @param {object} [opts.details] - extra fields merged into the plan
+ */
+export async function buildDryRunPlan({
+  action,
+  builder,
+  feeEstimate,
+  details = {},
+}) {
+  const txHex = await builder.build();
+  const inputs = builder.inputs.map(describeInput);
+  const outputs = builder.outputs.map(describeOutput);
+
+  return {
+    dryRun: true,
+    action,
+    inputs,
+    outputs,
+    fee: {
+      estimate: feeEstimate ?? null,
+      actual: transactionFee(builder),
+      sizeBytes: txHex.length / 2,
+      satsPerByte: SATS_PER_BYTE,
+    },
+    ...details,
+    txHex,
+  };
+}
+
+/**
+ * Print a plan (and write it to DRY_RUN_OUT if set). Returns the plan.
+ */
+export function emitDryRunPlan(plan, env = process.env) {
+  const json = safeJson(plan);
+
+  console.log(`\n[dry-run] ${plan.action}: NOT broadcasting. Plan:`);
+  console.log(json);
+
+  if (env.DRY_RUN_OUT) {
+    writeFileSync(env.DRY_RUN_OUT, json + "\n");
+    console.log(`[dry-run] Plan written to ${env.DRY_RUN_OUT}`);
+  }
+
+  return plan;
+}
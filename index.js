@@ -9,22 +9,21 @@
 //   mean-rebalance → NFT-authorised rebalance()
 //   mean-roundtrip → fund + rebalance in one go
 //   mean-drain     → Drain ALL contract funds back to Alice
+//   rebalance-daemon → Oracle rebalancer on an interval until SIGINT/SIGTERM
+//   mock-oracle    → Local signed oracle API for offline runs (until Ctrl+C)
 //   status         → Print UTXO summaries for Alice P2PKH + token address
 //
+// Append --dry-run to any state-changing command to print the planned
+// transaction as JSON instead of broadcasting it (see dryRun.js).
+//
 // Live scripts use ElectrumNetworkProvider on NETWORK (see config.js).
 // Tests (under ./tests) use MockNetworkProvider (local mocknet).
+//
+// Each command imports its script when it runs, so one command's missing
+// or broken module does not stop the others from starting.
 
 import { ElectrumNetworkProvider } from "cashscript";
 
-import { runMintAllForAlice } from "./scripts/mintAllForAlice.js";
-import { runBurnAllTokensFromAlice } from "./scripts/burnAllTokensFromAlice.js";
-import {
-  runMeanRevertFund,
-  runMeanRevertRebalance,
-  runMeanRevertRoundtrip,
-  runMeanRevertDrainAll,
-} from "./scripts/meanRevert.js";
-
 import { aliceAddress, aliceTokenAddress } from "./common.js";
 import { NETWORK } from "./config.js";
 import { logAddressState } from "./utxos.js";
@@ -45,31 +44,51 @@ async function showStatus() {
   );
 }
 
-async function main() {
-  const cmd = process.argv[2] ?? "help";
-
+/**
+ * Run the index command `cmd`. `options` go to the long-running commands
+ * (rebalance-daemon, mock-oracle), e.g. { signal } to stop them.
+ */
+export async function runCommand(cmd = "help", options = {}) {
   if (cmd === "mint-all") {
+    const { runMintAllForAlice } = await import("./scripts/mintAllForAlice.js");
     console.log("[index] Running: runMintAllForAlice");
     await runMintAllForAlice();
   } else if (cmd === "burn-tokens") {
+    const { runBurnAllTokensFromAlice } = await import(
+      "./scripts/burnAllTokensFromAlice.js"
+    );
     console.log("[index] Running: runBurnAllTokensFromAlice");
     await runBurnAllTokensFromAlice();
   } else if (cmd === "mean-fund") {
+    const { runMeanRevertFund } = await import("./scripts/meanRevert.js");
     console.log("[index] Running: runMeanRevertFund (FT Alice → contract)");
     await runMeanRevertFund();
   } else if (cmd === "mean-rebalance") {
+    const { runMeanRevertRebalance } = await import("./scripts/meanRevert.js");
     console.log("[index] Running: runMeanRevertRebalance (NFT-authorised)");
     await runMeanRevertRebalance();
   } else if (cmd === "mean-roundtrip") {
+    const { runMeanRevertRoundtrip } = await import("./scripts/meanRevert.js");
     console.log(
       "[index] Running: runMeanRevertRoundtrip (fund + NFT-authorised rebalance)"
     );
     await runMeanRevertRoundtrip();
   } else if (cmd === "mean-drain") {
+    const { runMeanRevertDrainAll } = await import("./scripts/meanRevert.js");
     console.log(
       "[index] Running: runMeanRevertDrainAll (drain contract → Alice)"
     );
     await runMeanRevertDrainAll();
+  } else if (cmd === "rebalance-daemon") {
+    const { runRebalanceDaemon } = await import("./scripts/rebalanceDaemon.js");
+    console.log(
+      "[index] Running: runRebalanceDaemon (oracle rebalancer on an interval)"
+    );
+    await runRebalanceDaemon(options);
+  } else if (cmd === "mock-oracle") {
+    const { serveMockOracle } = await import("./scripts/mockOracleServer.js");
+    console.log("[index] Running: serveMockOracle (local oracle API)");
+    await serveMockOracle(options);
   } else if (cmd === "status") {
     console.log("[index] Running: status");
     await showStatus();
@@ -82,11 +101,23 @@ async function main() {
     console.log("  mean-rebalance → NFT-authorised rebalance()");
     console.log("  mean-roundtrip → fund + rebalance in one go");
     console.log("  mean-drain     → drain ALL contract funds back to Alice");
+    console.log(
+      "  rebalance-daemon → oracle rebalancer on an interval (Ctrl+C to stop)"
+    );
+    console.log(
+      "  mock-oracle    → local signed oracle API for offline runs (Ctrl+C to stop)"
+    );
     console.log("  status         → show Alice UTXO summaries\n");
+    console.log(
+      "Add --dry-run to preview a state-changing command without broadcasting.\n"
+    );
   }
 }
 
-main().catch((err) => {
-  console.error("Error in index.js:", err);
-  process.exit(1);
-});
+// --- CLI runner ---
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runCommand(process.argv[2]).catch((err) => {
+    console.error("Error in index.js:", err);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,230 @@
+// keeperBounty.js
+// Off-chain mirror of V10's keeper bounty, and the keeper's move.
+//
+// V10 lets anyone rebalance and pays them from the portfolio. It values
+// the portfolio at the oracle price in micro-USD, with the invariant's
+// truncation (10^4-sat steps of BCH):
+//
+//   value  = (bch / 10^4) * oraclePriceRaw + tokens * 10^6
+//   paid   = oldValue - newValue
+//   earned = (D_before - D_after) * bountyBps / 100
+//   cap    = (maxBountySats / 10^4) * oraclePriceRaw
+//
+// and accepts a move when D_after < D_before, paid <= earned and
+// paid <= cap. The keeper's move is a swap at the oracle price
+// (chooseOptimalSwap) plus the largest BCH bounty the contract accepts
+// on top of it.
+
+import {
+  BCH_SCALE_DOWN,
+  bchValueUsd,
+  imbalance,
+} from "./meanRevertMath.js";
+import { chooseOptimalSwap } from "./stepSolver.js";
+
+export const MICRO_USD_PER_TOKEN = 1_000_000n;
+
+/**
+ * Portfolio value in micro-USD, truncating the BCH leg like V10.
+ */
+export function portfolioValueMicroUsd(bchSats, tokens, oraclePriceRaw) {
+  return (
+    (bchSats / BCH_SCALE_DOWN) * oraclePriceRaw + tokens * MICRO_USD_PER_TOKEN
+  );
+}
+
+/**
+ * Largest bounty V10 pays for a rebalance, in micro-USD:
+ * { earned, cap, allowed = min(earned, cap) }.
+ */
+export function bountyAllowance({
+  D_before,
+  D_after,
+  oraclePriceRaw,
+  bountyBps,
+  maxBountySats,
+}) {
+  const earned = ((D_before - D_after) * bountyBps) / 100n;
+  const cap = (maxBountySats / BCH_SCALE_DOWN) * oraclePriceRaw;
+  return { earned, cap, allowed: earned < cap ? earned : cap };
+}
+
+/**
+ * V10's checks on a move from (oldBch, oldTokens) to (newBch, newTokens).
+ *
+ * Returns:
+ *   {
+ *     ok,             // true when rebalance() would accept the move
+ *     reason,         // human-readable explanation for logs
+ *     D_before,       // BigInt
+ *     D_after,        // BigInt
+ *     paid,           // BigInt – value the portfolio loses (micro-USD)
+ *     earned,         // BigInt – bounty earned by the D reduction
+ *     cap             // BigInt – maxBountySats at the oracle price
+ *   }
+ */
+export function checkKeeperBounty({
+  oldBch,
+  oldTokens,
+  newBch,
+  newTokens,
+  oraclePriceRaw,
+  targetBchWeightBps,
+  bountyBps,
+  maxBountySats,
+}) {
+  const D_before = imbalance(
+    oldBch,
+    oldTokens,
+    oraclePriceRaw,
+    targetBchWeightBps
+  );
+  const D_after = imbalance(
+    newBch,
+    newTokens,
+    oraclePriceRaw,
+    targetBchWeightBps
+  );
+  const paid =
+    portfolioValueMicroUsd(oldBch, oldTokens, oraclePriceRaw) -
+    portfolioValueMicroUsd(newBch, newTokens, oraclePriceRaw);
+  const { earned, cap } = bountyAllowance({
+    D_before,
+    D_after,
+    oraclePriceRaw,
+    bountyBps,
+    maxBountySats,
+  });
+
+  const result = { D_before, D_after, paid, earned, cap };
+  if (newBch < 0n || newTokens < 0n) {
+    return {
+      ...result,
+      ok: false,
+      reason: "the move spends more than the portfolio holds",
+    };
+  }
+  if (!(D_after < D_before)) {
+    return {
+      ...result,
+      ok: false,
+      reason: `D_after ${D_after} does not improve on D_before ${D_before}`,
+    };
+  }
+  if (paid > earned) {
+    return {
+      ...result,
+      ok: false,
+      reason: `the portfolio pays ${paid} micro-USD, more than the ${earned} earned`,
+    };
+  }
+  if (paid > cap) {
+    return {
+      ...result,
+      ok: false,
+      reason: `the portfolio pays ${paid} micro-USD, more than the cap of ${cap}`,
+    };
+  }
+  return {
+    ...result,
+    ok: true,
+    reason: `pays ${paid} of ${earned} micro-USD earned (cap ${cap})`,
+  };
+}
+
+/**
+ * The keeper's move: a swap at the oracle price that minimises D_after
+ * (at most `maxStepUsd` whole USD, null for no cap), then the largest BCH
+ * bounty V10 accepts on top of it.
+ *
+ * Taking more BCH raises `paid` one-for-one but changes `earned` by at
+ * most bountyBps of it, so the accepted bounties form a range starting at
+ * 0 and the largest one is found by bisection. Only accepted bounties
+ * are kept, so truncation's flat spots cannot make it overshoot.
+ *
+ * Returns the swap (chooseOptimalSwap's shape) with newBch net of the
+ * bounty, plus:
+ *   {
+ *     bountySats,     // BigInt – BCH paid to the keeper besides the swap
+ *     check,          // checkKeeperBounty() of the final move
+ *     reason          // why the move is a no-op, when direction is "none"
+ *   }
+ */
+export function planKeeperRebalance({
+  oldBch,
+  oldTokens,
+  oraclePriceRaw,
+  targetBchWeightBps,
+  bountyBps,
+  maxBountySats,
+  maxStepUsd = null,
+}) {
+  const swap = chooseOptimalSwap(
+    oldBch,
+    oldTokens,
+    oraclePriceRaw,
+    targetBchWeightBps,
+    maxStepUsd
+  );
+
+  const checkWith = (bountySats) =>
+    checkKeeperBounty({
+      oldBch,
+      oldTokens,
+      newBch: swap.newBch - bountySats,
+      newTokens: swap.newTokens,
+      oraclePriceRaw,
+      targetBchWeightBps,
+      bountyBps,
+      maxBountySats,
+    });
+
+  if (swap.direction === "none") {
+    return {
+      ...swap,
+      bountySats: 0n,
+      check: checkWith(0n),
+      reason: "no swap improves D at this precision",
+    };
+  }
+
+  const first = checkWith(0n);
+  if (!first.ok) {
+    // The swap's rounding alone costs more than it earns.
+    return {
+      ...swap,
+      direction: "none",
+      newBch: oldBch,
+      newTokens: oldTokens,
+      stepSats: 0n,
+      stepTokens: 0n,
+      D_after: swap.D_before,
+      bountySats: 0n,
+      check: first,
+      reason: `the swap alone would be rejected: ${first.reason}`,
+    };
+  }
+
+  let lo = 0n;
+  let hi = maxBountySats < swap.newBch ? maxBountySats : swap.newBch;
+  if (checkWith(hi).ok) {
+    lo = hi;
+  } else {
+    while (hi - lo > 1n) {
+      const mid = (lo + hi) / 2n;
+      if (checkWith(mid).ok) lo = mid;
+      else hi = mid;
+    }
+  }
+
+  const check = checkWith(lo);
+  return {
+    ...swap,
+    newBch: swap.newBch - lo,
+    newBchUsd: bchValueUsd(swap.newBch - lo, oraclePriceRaw),
+    D_after: check.D_after,
+    bountySats: lo,
+    check,
+    reason: null,
+  };
+}
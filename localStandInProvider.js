@@ -0,0 +1,67 @@
+// localStandInProvider.js
+//
+// Local stand-in for ElectrumNetworkProvider, for exercising the live
+// scripts (rebalancer daemon, ...) without chipnet.
+//
+// It is a MockNetworkProvider that keeps its UTXO set up to date when
+// transactions are sent, plus:
+//  - failNext(method, error, count): make the next `count` calls to
+//    getUtxos / sendRawTransaction / getBlockHeight throw, to simulate an
+//    unreachable Electrum server;
+//  - broadcasts: raw hex of every transaction accepted so far;
+//  - disconnect(): no-op, so callers can treat it like Electrum.
+
+import { MockNetworkProvider } from "cashscript";
+
+const FAILABLE_METHODS = ["getUtxos", "sendRawTransaction", "getBlockHeight"];
+
+export class LocalStandInProvider extends MockNetworkProvider {
+  constructor() {
+    super({ updateUtxoSet: true });
+    this.broadcasts = [];
+    this.pendingFailures = new Map();
+  }
+
+  failNext(
+    method,
+    error = new Error(`stand-in ${method} failure`),
+    count = 1
+  ) {
+    if (!FAILABLE_METHODS.includes(method)) {
+      throw new Error(
+        `Cannot inject failures into "${method}". Expected one of: ${FAILABLE_METHODS.join(
+          ", "
+        )}`
+      );
+    }
+    this.pendingFailures.set(method, { error, count });
+  }
+
+  maybeFail(method) {
+    const pending = this.pendingFailures.get(method);
+    if (!pending) return;
+    if (--pending.count <= 0) this.pendingFailures.delete(method);
+    throw pending.error;
+  }
+
+  async getUtxos(address) {
+    this.maybeFail("getUtxos");
+    return super.getUtxos(address);
+  }
+
+  async getBlockHeight() {
+    this.maybeFail("getBlockHeight");
+    return super.getBlockHeight();
+  }
+
+  async sendRawTransaction(txHex) {
+    this.maybeFail("sendRawTransaction");
+    const txid = await super.sendRawTransaction(txHex);
+    this.broadcasts.push(txHex);
+    return txid;
+  }
+
+  async disconnect() {
+    return true;
+  }
+}
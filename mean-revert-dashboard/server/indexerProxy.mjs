@@ -2,14 +2,26 @@
 //
 // Lightweight API for the MRX dashboard:
 //  - /api/utxos/:address  -> BCH + CashTokens UTXOs (via ElectrumNetworkProvider)
-//  - /api/oracle/latest   -> latest BCH/USD oracle price (via GP oracle)
+//  - /api/oracle/latest   -> median BCH/USD price of the configured GP oracles
+//  - /api/risk            -> rebalancer risk limits + trade journal usage
 //
 // This reuses the same provider + oracle helper code as your Node scripts.
 
 import express from "express";
 import cors from "cors";
 import { ElectrumNetworkProvider } from "cashscript";
-import { fetchLatestOraclePrice } from "../../oracles/fetchOraclePrice.js";
+import { fetchAggregatedOraclePrice } from "../../oracles/oracleAggregator.js";
+import {
+  RISK_LIMITS,
+  RISK_JOURNAL_PATH,
+  ORACLE_PUBLIC_KEYS,
+  ORACLE_AGGREGATION,
+  ORACLE_SEQUENCE_PATH,
+  ORACLE_API_BASE_URL,
+  ORACLE_HTTP,
+} from "../../config.js";
+import { riskWindowUsage } from "../../riskLimits.js";
+import { readTradeJournal } from "../../tradeJournal.js";
 
 const app = express();
 const PORT = process.env.PORT || 4000;
@@ -19,15 +31,9 @@ const NETWORK = process.env.NETWORK || "chipnet";
 //   ORACLE_PUBLIC_KEY_HEX="03abc..."
 // or a comma-separated list:
 //   ORACLE_PUBLIC_KEYS="03abc...,02def...,03xyz..."
-const SINGLE_KEY = process.env.ORACLE_PUBLIC_KEY_HEX || "";
-const MULTI_KEYS = process.env.ORACLE_PUBLIC_KEYS || "";
-
-const ORACLE_KEYS = [
-  ...MULTI_KEYS.split(",")
-    .map((s) => s.trim())
-    .filter(Boolean),
-  ...(SINGLE_KEY ? [SINGLE_KEY] : []),
-];
+// (parsed in config.js, together with the ORACLE_* aggregation settings,
+// so the dashboard shows the same median the rebalancer trades at).
+const ORACLE_KEYS = ORACLE_PUBLIC_KEYS;
 
 // --- Electrum provider -----------------------------------------------------
 
@@ -108,10 +114,14 @@ app.get("/api/utxos/:address", async (req, res) => {
 //   priceRaw: number,
 //   priceScale: number,
 //   priceValue: number,
+//   assetPair: string | null, // from the oracle's metadata, e.g. "BCH/USD"
 //   timestamp: number,
-//   oraclePubKey: string,
+//   oraclePubKey: string,   // the oracle whose message is the median
 //   source: string,
-//   network: string
+//   network: string,
+//   sources: [{ publicKey, status, reason, priceRaw, ... }],
+//   accepted: number,
+//   minQuorum: number
 // }
 
 app.get("/api/oracle/latest", async (_req, res) => {
@@ -128,38 +138,97 @@ app.get("/api/oracle/latest", async (_req, res) => {
     });
   }
 
-  let lastError = null;
-
-  for (const key of ORACLE_KEYS) {
-    try {
-      const snap = await fetchLatestOraclePrice({ publicKey: key });
-
-      // Flatten the fields to match src/api/demo.ts expectations.
-      return res.json({
-        ok: true,
-        network: NETWORK,
-        source: "general-protocols-oracle",
-        oraclePubKey: snap.oraclePubKey,
-        priceRaw: snap.priceRaw,
-        priceScale: snap.priceScale,
-        priceValue: snap.priceValue,
-        timestamp: snap.timestamp,
-        snapshot: snap, // keep the full thing for debugging
-      });
-    } catch (err) {
-      console.error("[indexerProxy] oracle error for key", key, err);
-      lastError = err;
-      // try next key (if any)
-    }
+  try {
+    const snap = await fetchAggregatedOraclePrice({
+      publicKeys: ORACLE_KEYS,
+      ...ORACLE_AGGREGATION,
+      sequencePath: ORACLE_SEQUENCE_PATH,
+      apiBaseUrl: ORACLE_API_BASE_URL,
+      http: ORACLE_HTTP,
+    });
+    const { aggregation, ...median } = snap;
+
+    // Flatten the fields to match src/api/demo.ts expectations.
+    res.json({
+      ok: true,
+      network: NETWORK,
+      source: "general-protocols-oracle",
+      oraclePubKey: snap.oraclePubKey,
+      priceRaw: snap.priceRaw,
+      priceScale: snap.priceScale,
+      priceValue: snap.priceValue,
+      assetPair: snap.assetPair ?? null,
+      timestamp: snap.timestamp,
+      sources: aggregation.sources,
+      accepted: aggregation.accepted,
+      minQuorum: aggregation.minQuorum,
+      snapshot: median, // keep the full thing for debugging
+    });
+  } catch (err) {
+    console.error("[indexerProxy] oracle error", err);
+    res.status(500).json({
+      ok: false,
+      error:
+        err && err.message
+          ? err.message
+          : "Failed to fetch price from any configured oracle key",
+      // Below quorum: why each source was rejected (expired, regressed, ...).
+      sources: err?.aggregation?.sources ?? [],
+    });
   }
+});
+
+// --- Risk limits endpoint --------------------------------------------------
+//
+// Frontend calls: GET /api/risk?contract=<contract token address>
+// Same RISK_* environment as the rebalancer, so it shows the limits it
+// enforces and how much of the rolling window its journal has used.
+// BigInts are sent as strings; null means "no limit".
+
+const RECENT_TRADES = 10;
 
-  res.status(500).json({
-    ok: false,
-    error:
-      lastError && lastError.message
-        ? lastError.message
-        : "Failed to fetch price from any configured oracle key",
-  });
+app.get("/api/risk", async (req, res) => {
+  const contractAddress = req.query.contract || undefined;
+  console.log("[indexerProxy] /api/risk");
+
+  try {
+    const journal = await readTradeJournal(RISK_JOURNAL_PATH);
+    const window = riskWindowUsage(journal, RISK_LIMITS, { contractAddress });
+    const recent = journal
+      .filter((e) => !contractAddress || e.contractAddress === contractAddress)
+      .slice(-RECENT_TRADES)
+      .reverse();
+
+    const str = (v) => (v == null ? null : v.toString());
+    res.json({
+      ok: true,
+      limits: {
+        maxTokensPerTrade: str(RISK_LIMITS.maxTokensPerTrade),
+        maxTradeBps: str(RISK_LIMITS.maxTradeBps),
+        maxUsdPerWindow: str(RISK_LIMITS.maxUsdPerWindow),
+        windowHours: RISK_LIMITS.windowHours,
+        action: RISK_LIMITS.action,
+      },
+      window: {
+        trades: window.trades,
+        usedUsd: str(window.usedUsd),
+        remainingUsd: str(window.remainingUsd),
+        windowHours: window.windowHours,
+      },
+      recent: recent.map((e) => ({
+        time: e.time,
+        txid: e.txid,
+        direction: e.direction,
+        usd: str(e.usd),
+      })),
+    });
+  } catch (err) {
+    console.error("[indexerProxy] risk error", err);
+    res.status(500).json({
+      ok: false,
+      error: err && err.message ? err.message : "Failed to read trade journal",
+    });
+  }
 });
 
 // --------------------------------------------------------------------------
@@ -174,4 +243,5 @@ app.listen(PORT, () => {
   } else {
     console.log("Oracle keys configured:", ORACLE_KEYS.length);
   }
+  console.log(`Oracle API: ${ORACLE_API_BASE_URL}`);
 });
@@ -14,9 +14,14 @@ import {
   PRICE_RAW,
   TARGET_TOKENS,
   INITIAL_TOKENS_ON_CONTRACT,
+  TARGET_BCH_WEIGHT_BPS,
+  REBALANCE_BAND_MODE,
+  REBALANCE_BAND_OUTER,
+  REBALANCE_BAND_INNER,
 } from "./meanRevertConfig";
 import { useMeanRevertState } from "./hooks/useMeanRevertState";
 import { fetchDemoSummary, type DemoSummary } from "./api/demo";
+import { fetchRiskStatus, type RiskStatus } from "./api/risk";
 
 function formatBigInt(v: bigint | null | undefined): string {
   if (v == null) return "Error";
@@ -28,6 +33,37 @@ function formatUsd(x: number | null | undefined): string {
   return `$${x.toFixed(2)}`;
 }
 
+// V3 (null) targets a 1:1 value split, i.e. 50% BCH.
+const TARGET_BCH_PCT =
+  TARGET_BCH_WEIGHT_BPS == null ? 50 : TARGET_BCH_WEIGHT_BPS / 100;
+const TARGET_FT_PCT = 100 - TARGET_BCH_PCT;
+
+// D / (bchWeight + ftWeight) is the BCH leg's USD distance from its target
+// share – the unit the rebalancer's tolerance band is measured in.
+const IMBALANCE_WEIGHT_SUM = TARGET_BCH_WEIGHT_BPS == null ? 2 : 10000;
+
+function bandEdgeUsd(edge: number, totalUsd: number): number {
+  return REBALANCE_BAND_MODE === "usd" ? edge : (edge / 10000) * totalUsd;
+}
+
+function formatBandEdge(edge: number): string {
+  return REBALANCE_BAND_MODE === "usd"
+    ? `$${edge}`
+    : `${(edge / 100).toFixed(2)}%`;
+}
+
+// "25" → "$25" / "25 FT", null → "no limit"
+function formatLimit(v: string | null, unit: "usd" | "ft"): string {
+  if (v == null) return "no limit";
+  return unit === "usd" ? `$${v}` : `${v} FT`;
+}
+
+// Imbalance formula shown next to D, matching the covenant version.
+const IMBALANCE_FORMULA =
+  TARGET_BCH_WEIGHT_BPS == null
+    ? "|BCH(USD-ish) − tokens|"
+    : `|BCH(USD-ish) × ${10000 - TARGET_BCH_WEIGHT_BPS} − tokens × ${TARGET_BCH_WEIGHT_BPS}|`;
+
 export function MeanRevertDashboard() {
   const {
     loading,
@@ -93,8 +129,28 @@ export function MeanRevertDashboard() {
     };
   }, [sliderInitialised]);
 
+  // --- risk limits (reloaded with the chain data) --------------------------
+
+  const [risk, setRisk] = useState<RiskStatus | null>(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    fetchRiskStatus(CONTRACT_TOKEN_ADDRESS).then((status) => {
+      if (!cancelled) setRisk(status);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [contract]);
+
   const visualPriceUsd = sliderUsd;
   const livePriceUsd = demo?.priceUsd ?? null;
+  const acceptedOracles = (demo?.sources ?? []).filter(
+    (s) => s.status === "accepted"
+  );
+  const rejectedOracles = (demo?.sources ?? []).filter(
+    (s) => s.status !== "accepted"
+  );
   const priceRawForMath = demo?.priceRaw ?? PRICE_RAW;
   const priceScaleForMath = demo?.priceScale ?? 100;
 
@@ -181,9 +237,48 @@ export function MeanRevertDashboard() {
     const bchUsdish =
       (Number(contract?.bchLocked ?? 0n) * priceRawForMath) / 1e10; // satoshis * priceRaw / 10^10
     const tokens = Number(contractTokens); // assume 1 token ≈ 1 USD
-    return Math.abs(bchUsdish - tokens);
+    if (TARGET_BCH_WEIGHT_BPS == null) return Math.abs(bchUsdish - tokens);
+    return Math.abs(
+      bchUsdish * (10000 - TARGET_BCH_WEIGHT_BPS) -
+        tokens * TARGET_BCH_WEIGHT_BPS
+    );
   }, [contract, contractTokens, priceRawForMath]);
 
+  // Same band decision as scripts/rebalanceWithOracle.js (rebalanceBand.js).
+  const band = useMemo(() => {
+    const bchUsdish =
+      (Number(contract?.bchLocked ?? 0n) * priceRawForMath) / 1e10;
+    const totalUsd = bchUsdish + Number(contractTokens);
+    const deviationUsd = D_before / IMBALANCE_WEIGHT_SUM;
+
+    if (REBALANCE_BAND_MODE === "off") {
+      return {
+        deviationUsd,
+        outerUsd: null,
+        innerUsd: null,
+        decision: deviationUsd > 0 ? "rebalance" : "skip",
+      };
+    }
+
+    const outerUsd = bandEdgeUsd(REBALANCE_BAND_OUTER, totalUsd);
+    const innerUsd = bandEdgeUsd(REBALANCE_BAND_INNER, totalUsd);
+    return {
+      deviationUsd,
+      outerUsd,
+      innerUsd,
+      decision: deviationUsd > outerUsd ? "rebalance" : "skip",
+    };
+  }, [contract, contractTokens, priceRawForMath, D_before]);
+
+  // Per-trade share cap in USD at the oracle price (riskLimits.js).
+  const riskTradeCapUsd = useMemo(() => {
+    const bps = risk?.limits?.maxTradeBps;
+    if (bps == null) return null;
+    const bchUsdish =
+      (Number(contract?.bchLocked ?? 0n) * priceRawForMath) / 1e10;
+    return ((bchUsdish + Number(contractTokens)) * Number(bps)) / 10000;
+  }, [risk, contract, contractTokens, priceRawForMath]);
+
   // --- error merge ---------------------------------------------------------
 
   const combinedError = oracleError || utxoError;
@@ -220,9 +315,17 @@ export function MeanRevertDashboard() {
             <div className="mrx-stat-caption">
               Source:{" "}
               {demo?.source === "oracle"
-                ? "General Protocols oracle"
+                ? `General Protocols oracle (median of ${acceptedOracles.length}/${
+                    demo.sources.length || 1
+                  })`
                 : "config fallback"}
             </div>
+            {rejectedOracles.map((s) => (
+              <div className="mrx-stat-caption mrx-error" key={s.publicKey}>
+                Rejected {s.publicKey.slice(0, 8)}…: {s.status}
+                {s.reason ? ` – ${s.reason}` : ""}
+              </div>
+            ))}
           </div>
 
           <div className="mrx-stat-card">
@@ -292,8 +395,28 @@ export function MeanRevertDashboard() {
               <li>
                 <strong>Stablecoin FT on contract:</strong> {contractFtText}
               </li>
+              <li>
+                <strong>Contract UTXOs:</strong>{" "}
+                {contract ? contract.utxos.length : "–"}
+              </li>
             </ul>
 
+            {contract && contract.utxos.length > 1 && (
+              <ul className="mrx-mono">
+                {contract.utxos.map((u) => (
+                  <li key={u.outpoint}>
+                    {u.outpoint.slice(0, 8)}…:{u.outpoint.split(":")[1]} –{" "}
+                    {u.sats.toString()} sats
+                    {u.oracleState
+                      ? " · oracle state NFT"
+                      : u.foreignToken
+                        ? ` · foreign token ${u.foreignToken.slice(0, 8)}… (not counted)`
+                        : ` · ${u.ft.toString()} FT`}
+                  </li>
+                ))}
+              </ul>
+            )}
+
             <p className="mrx-note">To see the same state from the CLI, run:</p>
             <pre className="mrx-code">
               node scripts/inspectMeanRevertV3State.js
@@ -358,8 +481,9 @@ export function MeanRevertDashboard() {
               </li>
               <li>
                 <code>node scripts/rebalanceWithOracleV3.js</code> – perform a{" "}
-                “good” rebalance that reduces imbalance and withdraws tokens to
-                Alice.
+                “good” rebalance that reduces imbalance by withdrawing FT to
+                Alice (tokens overweight) or depositing FT from Alice (BCH
+                overweight).
               </li>
               <li>
                 <code>node scripts/inspectMeanRevertV3State.js</code> – show the
@@ -391,9 +515,16 @@ export function MeanRevertDashboard() {
                 Target: {TARGET_TOKENS.toString()} stablecoin tokens against
                 1,000,000 sats (~0.01 BCH).
               </li>
+              <li>
+                Target value split: {TARGET_BCH_PCT.toFixed(0)}% BCH /{" "}
+                {TARGET_FT_PCT.toFixed(0)}% FT
+                {TARGET_BCH_WEIGHT_BPS == null
+                  ? " (V3, 1:1)."
+                  : ` (V4, targetBchWeightBps = ${TARGET_BCH_WEIGHT_BPS}).`}
+              </li>
               <li>
                 A rebalance is only allowed if the absolute imbalance{" "}
-                <code>|BCH(USD-ish) − tokens|</code>{" "}
+                <code>{IMBALANCE_FORMULA}</code>{" "}
                 <strong>strictly decreases</strong>.
               </li>
               <li>
@@ -409,6 +540,74 @@ export function MeanRevertDashboard() {
             </p>
           </section>
 
+          {/* Rebalancer Risk Limits */}
+          <section className="mrx-card">
+            <h2>Rebalancer Risk Limits</h2>
+            <p className="mrx-muted">
+              Off-chain caps the rebalancer applies before building a
+              transaction (<code>RISK_*</code> in <code>config.js</code>). A
+              move over a limit is{" "}
+              {risk?.limits?.action === "abort"
+                ? "refused for that run"
+                : "clipped to the largest allowed amount"}
+              ; the rolling window is summed from the trade journal.
+            </p>
+
+            {risk?.limits ? (
+              <ul>
+                <li>
+                  <strong>Max per trade:</strong>{" "}
+                  {formatLimit(risk.limits.maxTokensPerTrade, "ft")}
+                </li>
+                <li>
+                  <strong>Max share of portfolio per trade:</strong>{" "}
+                  {risk.limits.maxTradeBps == null
+                    ? "no limit"
+                    : `${(Number(risk.limits.maxTradeBps) / 100).toFixed(
+                        2
+                      )}% (≈ ${formatUsd(riskTradeCapUsd)} now)`}
+                </li>
+                <li>
+                  <strong>
+                    Max per {risk.limits.windowHours}h (rolling):
+                  </strong>{" "}
+                  {formatLimit(risk.limits.maxUsdPerWindow, "usd")}
+                </li>
+                {risk.window && (
+                  <li>
+                    <strong>Last {risk.window.windowHours}h:</strong> $
+                    {risk.window.usedUsd} moved in {risk.window.trades}{" "}
+                    trade(s)
+                    {risk.window.remainingUsd != null &&
+                      ` · $${risk.window.remainingUsd} left`}
+                  </li>
+                )}
+                <li>
+                  <strong>On breach:</strong> {risk.limits.action}
+                </li>
+              </ul>
+            ) : (
+              <p className="mrx-muted">
+                Risk limits unavailable
+                {risk?.error ? `: ${risk.error}` : "…"}
+              </p>
+            )}
+
+            {risk && risk.recent.length > 0 && (
+              <>
+                <h3>Recent journalled trades</h3>
+                <ul className="mrx-mono">
+                  {risk.recent.map((t) => (
+                    <li key={t.txid}>
+                      {t.time.replace("T", " ").slice(0, 16)} – {t.direction}{" "}
+                      ${t.usd} · {t.txid.slice(0, 8)}…
+                    </li>
+                  ))}
+                </ul>
+              </>
+            )}
+          </section>
+
           {/* Price & Balance Visualizer */}
           <section className="mrx-card">
             <h2>Price &amp; Balance Visualizer</h2>
@@ -517,12 +716,38 @@ export function MeanRevertDashboard() {
             </div>
           </div>
 
+          {/* Target value mix bar – what the covenant reverts towards */}
+          <div className="mrx-bar-group">
+            <div className="mrx-bar-label-row">
+              <span>Target value mix (BCH vs FT)</span>
+              <span className="mrx-bar-caption">
+                {TARGET_BCH_WEIGHT_BPS == null
+                  ? "1:1 (V3)"
+                  : `targetBchWeightBps = ${TARGET_BCH_WEIGHT_BPS}`}
+              </span>
+            </div>
+            <div className="mrx-bar">
+              <div
+                className="mrx-bar-contract"
+                style={{ width: `${TARGET_BCH_PCT}%` }}
+              >
+                BCH ({TARGET_BCH_PCT.toFixed(1)}%)
+              </div>
+              <div
+                className="mrx-bar-alice"
+                style={{ width: `${TARGET_FT_PCT}%` }}
+              >
+                FT ({TARGET_FT_PCT.toFixed(1)}%)
+              </div>
+            </div>
+          </div>
+
           {/* Math Preview --------------------------------------------------- */}
           <section className="mrx-card">
             <h2>Math Preview (Off-chain)</h2>
             <p className="mrx-muted">
               Uses the same imbalance metric as the covenant:{" "}
-              <code>D ≈ |BCH(USD-ish) − tokens|</code>. BCH(USD-ish) is
+              <code>D ≈ {IMBALANCE_FORMULA}</code>. BCH(USD-ish) is
               approximated as <code>(satoshis × priceRaw) / 10¹⁰</code>. This
               never broadcasts a transaction; it&apos;s just a visual guide.
             </p>
@@ -553,10 +778,45 @@ export function MeanRevertDashboard() {
               </div>
             </div>
 
+            <div className="mrx-math-row">
+              <div>
+                <div className="mrx-label">
+                  Tolerance band{" "}
+                  {REBALANCE_BAND_MODE === "off"
+                    ? "(off)"
+                    : `(outer ${formatBandEdge(
+                        REBALANCE_BAND_OUTER
+                      )} / inner ${formatBandEdge(REBALANCE_BAND_INNER)})`}
+                </div>
+                <div className="mrx-mono">
+                  deviation {formatUsd(band.deviationUsd)}
+                  {band.outerUsd != null && band.innerUsd != null && (
+                    <>
+                      {" "}
+                      · outer {formatUsd(band.outerUsd)} · inner{" "}
+                      {formatUsd(band.innerUsd)}
+                    </>
+                  )}
+                </div>
+              </div>
+              <div>
+                <div className="mrx-label">Rebalancer decision</div>
+                <div className="mrx-mono">
+                  {band.decision === "skip"
+                    ? "skip (inside band)"
+                    : band.innerUsd != null
+                    ? "rebalance → back into inner band"
+                    : "rebalance"}
+                </div>
+              </div>
+            </div>
+
             <p className="mrx-muted">
               After each successful rebalance on chipnet you should see{" "}
               <code>D_after &lt; D_before</code>, while BCH on contract remains
-              fixed at 1,000,000 sats.
+              fixed at 1,000,000 sats. Deviation is the BCH leg&apos;s USD
+              distance from its target share (<code>D / {IMBALANCE_WEIGHT_SUM}</code>);
+              the rebalancer skips while it is within the outer band.
             </p>
           </section>
 
@@ -1,17 +1,38 @@
 // src/api/demo.ts
 //
 // Fetch a small "demo summary" of the BCH/USD price for the MRX dashboard.
-// - Tries the local backend at /api/oracle/latest (General Protocols oracle).
+// - Tries the local backend at /api/oracle/latest (median of the configured
+//   General Protocols oracles).
 // - On error, falls back to the static config PRICE_RAW.
+// - Either way `sources` says what each oracle returned and why any was
+//   rejected (expired, regressed sequence, outlier, ...).
 
 import { PRICE_RAW } from "../meanRevertConfig";
 
+export type OracleSourceStatus = {
+  publicKey: string;
+  status:
+    | "accepted"
+    | "error"
+    | "expired"
+    | "regressed"
+    | "stale"
+    | "asset"
+    | "scale"
+    | "outlier";
+  reason: string;
+  priceRaw: number | null;
+  timestamp: number | null; // unix seconds
+  ageSeconds: number | null;
+};
+
 export type DemoSummary = {
   source: "oracle" | "fallback";
   priceRaw: number;
   priceScale: number;
   priceUsd: number; // decoded price (BCH in USD)
   timestamp: number | null; // unix seconds
+  sources: OracleSourceStatus[];
   error?: string | null;
 };
 
@@ -21,6 +42,7 @@ const API_BASE =
 
 export async function fetchDemoSummary(): Promise<DemoSummary> {
   const url = `${API_BASE}/api/oracle/latest`;
+  let sources: OracleSourceStatus[] = [];
 
   try {
     const res = await fetch(url, {
@@ -36,6 +58,7 @@ export async function fetchDemoSummary(): Promise<DemoSummary> {
       console.error("Failed to parse oracle JSON", { url, text });
       throw new Error((parseErr as Error).message);
     }
+    sources = Array.isArray(json?.sources) ? json.sources : [];
 
     if (!res.ok || !json?.ok) {
       const message =
@@ -57,6 +80,7 @@ export async function fetchDemoSummary(): Promise<DemoSummary> {
       priceScale,
       priceUsd,
       timestamp: typeof json.timestamp === "number" ? json.timestamp : null,
+      sources,
       error: null,
     };
   } catch (err) {
@@ -75,6 +99,7 @@ export async function fetchDemoSummary(): Promise<DemoSummary> {
       priceScale: fallbackScale,
       priceUsd: raw / fallbackScale,
       timestamp: null,
+      sources,
       error: (err as Error).message,
     };
   }
@@ -0,0 +1,76 @@
+// src/api/risk.ts
+//
+// Rebalancer risk limits and trade-journal usage from the local backend
+// (/api/risk, see server/indexerProxy.mjs). Never throws: errors come
+// back in `error` so the card can say why it is empty.
+
+const API_BASE =
+  (import.meta.env.VITE_INDEXER_BASE_URL as string | undefined) ??
+  "http://localhost:4000";
+
+// BigInt amounts arrive as decimal strings; null means "no limit".
+export interface RiskLimits {
+  maxTokensPerTrade: string | null;
+  maxTradeBps: string | null;
+  maxUsdPerWindow: string | null;
+  windowHours: number;
+  action: "clip" | "abort";
+}
+
+export interface RiskWindow {
+  trades: number;
+  usedUsd: string;
+  remainingUsd: string | null;
+  windowHours: number;
+}
+
+export interface JournalTrade {
+  time: string; // ISO timestamp
+  txid: string;
+  direction: string;
+  usd: string;
+}
+
+export interface RiskStatus {
+  limits: RiskLimits | null;
+  window: RiskWindow | null;
+  recent: JournalTrade[];
+  error: string | null;
+}
+
+export async function fetchRiskStatus(
+  contractAddress: string
+): Promise<RiskStatus> {
+  const url = `${API_BASE}/api/risk?contract=${encodeURIComponent(
+    contractAddress
+  )}`;
+
+  try {
+    const res = await fetch(url, {
+      method: "GET",
+      headers: { Accept: "application/json" },
+    });
+    const json = await res.json();
+
+    if (!res.ok || !json?.ok) {
+      throw new Error(
+        json?.error || `HTTP ${res.status} ${res.statusText || "from /api/risk"}`
+      );
+    }
+
+    return {
+      limits: json.limits,
+      window: json.window,
+      recent: json.recent ?? [],
+      error: null,
+    };
+  } catch (err) {
+    console.error("fetchRiskStatus() failed", err);
+    return {
+      limits: null,
+      window: null,
+      recent: [],
+      error: (err as Error).message,
+    };
+  }
+}
@@ -8,12 +8,27 @@ import {
   CONTRACT_TOKEN_ADDRESS,
   FT_CATEGORY_HEX,
   NFT_CATEGORY_HEX,
+  ORACLE_STATE_CATEGORY_HEX,
   REBALANCER_NFT_COMMITMENT_HEX,
 } from "../meanRevertConfig";
 
+export interface ContractUtxoView {
+  outpoint: string; // "txid:vout"
+  sats: bigint;
+  ft: bigint;
+  // V6+: carries the oracle state NFT. Its BCH counts, it holds no FT.
+  oracleState: boolean;
+  // Category of any token other than the stablecoin FT and the oracle
+  // state NFT; such UTXOs are not part of the portfolio the rebalancer
+  // spends.
+  foreignToken: string | null;
+}
+
 export interface ContractOnChainState {
+  // Totals over all portfolio UTXOs (the rebalancer spends them together).
   bchLocked: bigint;
   ftOnContract: bigint;
+  utxos: ContractUtxoView[];
 }
 
 export interface AliceOnChainState {
@@ -40,24 +55,41 @@ function toBigIntSats(utxo: RawUtxo): bigint {
   return 0n;
 }
 
+// Same portfolio rules as portfolioUtxos.js: stablecoin FT and BCH-only
+// UTXOs count, and so does the V6+ oracle state UTXO's BCH (the covenant
+// sums it into oldBch / newBch, like stateSats there). Anything carrying
+// another token is listed but not summed.
 function summarizeContract(utxos: RawUtxo[]): ContractOnChainState {
   let bchLocked = 0n;
   let ftOnContract = 0n;
+  const views: ContractUtxoView[] = [];
 
   for (const u of utxos) {
     const sats = toBigIntSats(u);
-
-    if (u.token && u.token.category === FT_CATEGORY_HEX) {
-      // This UTXO is the main stablecoin FT we’re tracking.
-      bchLocked += sats;
-      ftOnContract += BigInt(u.token.amount);
-    } else {
-      // Contract might also hold BCH-only UTXOs.
-      bchLocked += sats;
-    }
+    const isStableFt =
+      !!u.token && u.token.category === FT_CATEGORY_HEX && !u.token.nft;
+    const oracleState =
+      ORACLE_STATE_CATEGORY_HEX != null &&
+      u.token?.category === ORACLE_STATE_CATEGORY_HEX &&
+      u.token.nft?.capability === "mutable";
+    const foreignToken =
+      u.token && !isStableFt && !oracleState ? u.token.category : null;
+    const ft = isStableFt ? BigInt(u.token!.amount) : 0n;
+
+    views.push({
+      outpoint: `${u.txid}:${u.vout}`,
+      sats,
+      ft,
+      oracleState,
+      foreignToken,
+    });
+    if (foreignToken) continue;
+
+    bchLocked += sats;
+    ftOnContract += ft;
   }
 
-  return { bchLocked, ftOnContract };
+  return { bchLocked, ftOnContract, utxos: views };
 }
 
 function summarizeAlice(
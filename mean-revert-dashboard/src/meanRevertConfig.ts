@@ -34,3 +34,22 @@ export const ALICE_TOKEN_ADDRESS =
 export const PRICE_RAW = 10000; // 100.00 USD/BCH (scaled x100)
 export const TARGET_TOKENS = 1000n;
 export const INITIAL_TOKENS_ON_CONTRACT = 800n;
+
+// Target BCH share of contract value in basis points.
+//   null → V3 contract (hard-coded 1:1 value split)
+//   6000 → V4 contract deployed with config.TARGET_BCH_WEIGHT_BPS = 6000n
+// Must match the contract CONTRACT_ADDRESS points at.
+export const TARGET_BCH_WEIGHT_BPS: number | null = null;
+
+// Category of the oracle state NFT – keep in sync with config.js
+// ORACLE_STATE_CATEGORY_HEX (big-endian).
+//   null → V3–V5 contract (no state NFT)
+//   hex  → V6+ contract: the covenant counts the state UTXO's BCH
+// Must match the contract CONTRACT_ADDRESS points at.
+export const ORACLE_STATE_CATEGORY_HEX: string | null = null;
+
+// Rebalancer tolerance band – keep in sync with config.js REBALANCE_BAND_*
+//   "pct": edges in bps of portfolio value, "usd": whole USD, "off": none
+export const REBALANCE_BAND_MODE: "pct" | "usd" | "off" = "pct";
+export const REBALANCE_BAND_OUTER = 200; // 2% of portfolio value
+export const REBALANCE_BAND_INNER = 50; // 0.5% of portfolio value
@@ -0,0 +1,279 @@
+// meanRevertContract.js
+//
+// One place that knows how to instantiate each MeanRevert contract version.
+//
+// Deploy / fund / rebalance / inspect / reset scripts all call
+// getMeanRevertContract() so they are guaranteed to derive the same address
+// from the same constructor args. Adding a contract version means adding an
+// entry to MEAN_REVERT_VERSIONS – the scripts pick it up by name.
+
+import { Contract } from "cashscript";
+import { compileFile } from "cashc";
+
+import {
+  FT_CATEGORY_HEX,
+  NFT_CATEGORY_HEX,
+  REBALANCER_NFT_COMMITMENT_HEX,
+  TARGET_TOKENS,
+  TARGET_BCH_WEIGHT_BPS,
+  COOLDOWN_MIN_AGE_BLOCKS,
+  ONCHAIN_ORACLE_PUBLIC_KEY_HEX,
+  ONCHAIN_ORACLE_MAX_LOCKTIME_GAP_SECONDS,
+  ORACLE_STATE_CATEGORY_HEX,
+  KEEPER_BOUNTY_BPS,
+  KEEPER_MAX_BOUNTY_SATS,
+  MEAN_REVERT_VERSION,
+} from "./config.js";
+import { alicePkh } from "./common.js";
+
+// Helper: big-endian txid hex -> VM-order (little endian) bytes literal.
+export function beHexToVmBytes(beHex) {
+  const clean = beHex.startsWith("0x") ? beHex.slice(2) : beHex;
+  const vmHex = clean.match(/../g).reverse().join("");
+  return `0x${vmHex}`;
+}
+
+// Categories are big-endian (explorer order) everywhere in JS – UTXOs,
+// outputs, config. Only the constructor args take VM order, which is what
+// tx.inputs[i].tokenCategory returns on-chain.
+const FT_CATEGORY_VM = beHexToVmBytes(FT_CATEGORY_HEX);
+const NFT_CATEGORY_VM = beHexToVmBytes(NFT_CATEGORY_HEX);
+
+// The V6+ oracle key, or a pointer at the setting when it is missing.
+function onchainOraclePublicKey() {
+  if (!ONCHAIN_ORACLE_PUBLIC_KEY_HEX) {
+    throw new Error(
+      [
+        "MeanRevert V6 and later verify the oracle message on-chain and need its key.",
+        '  Set ORACLE_PUBLIC_KEY_HEX="<oracle_pubkey_hex>".',
+      ].join("\n")
+    );
+  }
+  return ONCHAIN_ORACLE_PUBLIC_KEY_HEX;
+}
+
+// The V6+ oracle state NFT category (big-endian), or a pointer at the
+// setting.
+function oracleStateCategory() {
+  if (!ORACLE_STATE_CATEGORY_HEX) {
+    throw new Error(
+      [
+        "MeanRevert V6 and later record the last oracle message in a state NFT and need its category.",
+        '  Set ORACLE_STATE_CATEGORY_HEX="<txid of a vout=0 UTXO at aliceAddress>".',
+      ].join("\n")
+    );
+  }
+  return ORACLE_STATE_CATEGORY_HEX;
+}
+
+// The rebalancer NFT args of V6–V9, between the oracle args and ownerPkh.
+const rebalancerNftArgs = () => [
+  ["rebalancerNftCat (NFT, VM-order)", NFT_CATEGORY_VM],
+  ["rebalancerNftCommit", `0x${REBALANCER_NFT_COMMITMENT_HEX}`],
+];
+
+// A constructor arg as deploy logs it.
+function describeArg(value) {
+  if (value instanceof Uint8Array) return Buffer.from(value).toString("hex");
+  return typeof value === "bigint" ? value.toString() : value;
+}
+
+/**
+ * Registry entry for an oracle-verifying version (V6+). Their constructors
+ * all start with the stablecoin, weight, cooldown, oracle and oracle state
+ * args and end with ownerPkh; `extraArgs()` returns the [label, value]
+ * pairs in between.
+ */
+function oracleVersion({ contractName, aggregateTokens, keeper = null, extraArgs }) {
+  const args = () => [
+    ["tokenCategory (FT, VM-order)", FT_CATEGORY_VM],
+    ["targetBchWeightBps", TARGET_BCH_WEIGHT_BPS],
+    ["minAgeBlocks", COOLDOWN_MIN_AGE_BLOCKS],
+    ["oraclePublicKey", `0x${onchainOraclePublicKey()}`],
+    ["maxLocktimeGapSeconds", ONCHAIN_ORACLE_MAX_LOCKTIME_GAP_SECONDS],
+    ["oracleStateCat (VM-order)", beHexToVmBytes(oracleStateCategory())],
+    ...extraArgs(),
+    ["ownerPkh (Alice)", alicePkh],
+  ];
+  return {
+    contractName,
+    targetBchWeightBps: TARGET_BCH_WEIGHT_BPS,
+    minAgeBlocks: COOLDOWN_MIN_AGE_BLOCKS,
+    onchainOracle: true,
+    oraclePublicKey: onchainOraclePublicKey,
+    maxLocktimeGapSeconds: ONCHAIN_ORACLE_MAX_LOCKTIME_GAP_SECONDS,
+    oracleState: { stateCategory: oracleStateCategory },
+    aggregateTokens,
+    keeper,
+    constructorArgs: () => args().map(([, value]) => value),
+    describeArgs: () =>
+      args().map(([label, value]) => [label, describeArg(value)]),
+  };
+}
+
+/**
+ * Contract versions by name.
+ *
+ *   contractName       – CashScript contract name (also the .cash file name)
+ *   targetBchWeightBps – weight the invariant uses, or null for 1:1 (V3)
+ *   minAgeBlocks       – blocks a contract UTXO must age before
+ *                        rebalance() may spend it (sequence lock), or null
+ *   onchainOracle      – true when rebalance() takes the signed oracle
+ *                        message (V6+) instead of a bare price
+ *   oraclePublicKey()  – the key that message must be signed by (V6+)
+ *   maxLocktimeGapSeconds – largest gap from the message timestamp to
+ *                        tx.locktime (V6+), or null
+ *   oracleState        – { stateCategory() } of the state NFT that records
+ *                        the last oracle message used (V6+), or null
+ *   aggregateTokens    – true when rebalance() sums the stablecoin over every
+ *                        contract input and output (V9+), false when it
+ *                        reads its own input and the first token output
+ *   keeper             – null when rebalance() needs the rebalancer NFT;
+ *                        for the permissionless V10,
+ *                        { bountyBps, maxBountySats }
+ *   constructorArgs()  – args in the contract's constructor order
+ *   describeArgs()     – [label, value] pairs for logging
+ */
+export const MEAN_REVERT_VERSIONS = {
+  v3: {
+    contractName: "MeanRevertSingleTokenNFTAuthV3",
+    targetBchWeightBps: null,
+    minAgeBlocks: null,
+    onchainOracle: false,
+    maxLocktimeGapSeconds: null,
+    oracleState: null,
+    aggregateTokens: false,
+    keeper: null,
+    constructorArgs: () => [
+      FT_CATEGORY_VM,
+      TARGET_TOKENS,
+      NFT_CATEGORY_VM,
+      `0x${REBALANCER_NFT_COMMITMENT_HEX}`,
+      alicePkh,
+    ],
+    describeArgs: () => [
+      ["tokenCategory (FT, VM-order)", FT_CATEGORY_VM],
+      ["targetTokenAmount", TARGET_TOKENS.toString()],
+      ["rebalancerNftCat (NFT, VM-order)", NFT_CATEGORY_VM],
+      ["rebalancerNftCommit", `0x${REBALANCER_NFT_COMMITMENT_HEX}`],
+      ["ownerPkh (Alice)", Buffer.from(alicePkh).toString("hex")],
+    ],
+  },
+  v4: {
+    contractName: "MeanRevertSingleTokenNFTAuthV4",
+    targetBchWeightBps: TARGET_BCH_WEIGHT_BPS,
+    minAgeBlocks: null,
+    onchainOracle: false,
+    maxLocktimeGapSeconds: null,
+    oracleState: null,
+    aggregateTokens: false,
+    keeper: null,
+    constructorArgs: () => [
+      FT_CATEGORY_VM,
+      TARGET_BCH_WEIGHT_BPS,
+      NFT_CATEGORY_VM,
+      `0x${REBALANCER_NFT_COMMITMENT_HEX}`,
+      alicePkh,
+    ],
+    describeArgs: () => [
+      ["tokenCategory (FT, VM-order)", FT_CATEGORY_VM],
+      ["targetBchWeightBps", TARGET_BCH_WEIGHT_BPS.toString()],
+      ["rebalancerNftCat (NFT, VM-order)", NFT_CATEGORY_VM],
+      ["rebalancerNftCommit", `0x${REBALANCER_NFT_COMMITMENT_HEX}`],
+      ["ownerPkh (Alice)", Buffer.from(alicePkh).toString("hex")],
+    ],
+  },
+  v5: {
+    contractName: "MeanRevertSingleTokenNFTAuthV5",
+    targetBchWeightBps: TARGET_BCH_WEIGHT_BPS,
+    minAgeBlocks: COOLDOWN_MIN_AGE_BLOCKS,
+    onchainOracle: false,
+    maxLocktimeGapSeconds: null,
+    oracleState: null,
+    aggregateTokens: false,
+    keeper: null,
+    constructorArgs: () => [
+      FT_CATEGORY_VM,
+      TARGET_BCH_WEIGHT_BPS,
+      COOLDOWN_MIN_AGE_BLOCKS,
+      NFT_CATEGORY_VM,
+      `0x${REBALANCER_NFT_COMMITMENT_HEX}`,
+      alicePkh,
+    ],
+    describeArgs: () => [
+      ["tokenCategory (FT, VM-order)", FT_CATEGORY_VM],
+      ["targetBchWeightBps", TARGET_BCH_WEIGHT_BPS.toString()],
+      ["minAgeBlocks", COOLDOWN_MIN_AGE_BLOCKS.toString()],
+      ["rebalancerNftCat (NFT, VM-order)", NFT_CATEGORY_VM],
+      ["rebalancerNftCommit", `0x${REBALANCER_NFT_COMMITMENT_HEX}`],
+      ["ownerPkh (Alice)", Buffer.from(alicePkh).toString("hex")],
+    ],
+  },
+  v6: oracleVersion({
+    contractName: "MeanRevertSingleTokenNFTAuthV6",
+    aggregateTokens: false,
+    extraArgs: rebalancerNftArgs,
+  }),
+  v7: oracleVersion({
+    contractName: "MeanRevertSingleTokenNFTAuthV7",
+    aggregateTokens: false,
+    extraArgs: rebalancerNftArgs,
+  }),
+  v8: oracleVersion({
+    contractName: "MeanRevertSingleTokenNFTAuthV8",
+    aggregateTokens: false,
+    extraArgs: rebalancerNftArgs,
+  }),
+  v9: oracleVersion({
+    contractName: "MeanRevertSingleTokenNFTAuthV9",
+    aggregateTokens: true,
+    extraArgs: rebalancerNftArgs,
+  }),
+  v10: oracleVersion({
+    contractName: "MeanRevertSingleTokenKeeperV10",
+    aggregateTokens: true,
+    keeper: {
+      bountyBps: KEEPER_BOUNTY_BPS,
+      maxBountySats: KEEPER_MAX_BOUNTY_SATS,
+    },
+    extraArgs: () => [
+      ["keeperBountyBps", KEEPER_BOUNTY_BPS],
+      ["maxBountySats", KEEPER_MAX_BOUNTY_SATS],
+    ],
+  }),
+};
+
+/**
+ * Look up a version spec, throwing a helpful error for unknown names.
+ */
+export function getMeanRevertVersion(version = MEAN_REVERT_VERSION) {
+  const spec = MEAN_REVERT_VERSIONS[version];
+  if (!spec) {
+    throw new Error(
+      `Unknown MeanRevert contract version "${version}". Expected one of: ${Object.keys(
+        MEAN_REVERT_VERSIONS
+      ).join(", ")}`
+    );
+  }
+  return { version, ...spec };
+}
+
+/**
+ * Compile + instantiate the MeanRevert contract for `version`.
+ *
+ * Returns { contract, spec } where spec is the registry entry (plus
+ * `version`), so callers can read e.g. spec.targetBchWeightBps.
+ */
+export function getMeanRevertContract(provider, version = MEAN_REVERT_VERSION) {
+  const spec = getMeanRevertVersion(version);
+
+  const artifact = compileFile(
+    new URL(`./contracts/${spec.contractName}.cash`, import.meta.url)
+  );
+
+  const contract = new Contract(artifact, spec.constructorArgs(), {
+    provider,
+  });
+
+  return { contract, spec };
+}
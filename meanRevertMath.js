@@ -0,0 +1,282 @@
+// meanRevertMath.js
+// Off-chain mirror of the MeanRevertSingleTokenNFTAuthV3 / V4 integer math.
+//
+// Everything here is pure BigInt arithmetic so scripts and tests can
+// predict exactly what the covenant will compute:
+//
+//   bchScaled   = bchSats / 10_000
+//   bchValueUsd = (bchScaled * oraclePriceRaw) / 10_000 / 100
+//
+//   V3 (1:1):            D = | bchValueUsd - tokens |
+//   V4 (target weight):  D = | bchValueUsd * W_ft - tokens * W_bch |
+//                        W_bch = targetBchWeightBps, W_ft = 10_000 - W_bch
+//
+// Helpers take an optional `targetBchWeightBps`. When it is omitted
+// (undefined/null) they use the V3 1:1 formula; when it is given they use
+// the V4 weighted formula, so D values match whichever covenant is in use.
+//
+// If you change the contract math, change it here too.
+
+export const BCH_SCALE_DOWN = 10_000n;
+export const PRICE_SCALE = 100n;
+export const WEIGHT_SCALE = 10_000n;
+
+/**
+ * BCH value in "USD-ish" units, truncating exactly like the covenant.
+ */
+export function bchValueUsd(bchSats, oraclePriceRaw) {
+  const bchScaled = bchSats / BCH_SCALE_DOWN;
+  return (bchScaled * oraclePriceRaw) / BCH_SCALE_DOWN / PRICE_SCALE;
+}
+
+/**
+ * Weights used in D = |bchUsd * ftWeight - tokens * bchWeight|.
+ *
+ * V3 (no weight) is the special case bchWeight = ftWeight = 1. In both cases
+ * D / (bchWeight + ftWeight) is the BCH leg's USD distance from its target
+ * share of the portfolio value.
+ */
+export function imbalanceWeights(targetBchWeightBps) {
+  if (targetBchWeightBps == null) return { bchWeight: 1n, ftWeight: 1n };
+  return {
+    bchWeight: targetBchWeightBps,
+    ftWeight: WEIGHT_SCALE - targetBchWeightBps,
+  };
+}
+
+/**
+ * Signed imbalance: > 0 when BCH is overweight, < 0 when FT is overweight.
+ */
+export function signedImbalance(
+  bchSats,
+  tokens,
+  oraclePriceRaw,
+  targetBchWeightBps
+) {
+  const bchUsd = bchValueUsd(bchSats, oraclePriceRaw);
+  const { bchWeight, ftWeight } = imbalanceWeights(targetBchWeightBps);
+  return bchUsd * ftWeight - tokens * bchWeight;
+}
+
+/**
+ * Value imbalance D, exactly as the covenant computes it.
+ *
+ *   - no weight: D = |BCH(USD-ish) - tokens|   (V3, tokens are whole USD)
+ *   - weight   : D = |BCH(USD-ish) * W_ft - tokens * W_bch|   (V4)
+ */
+export function imbalance(bchSats, tokens, oraclePriceRaw, targetBchWeightBps) {
+  const d = signedImbalance(bchSats, tokens, oraclePriceRaw, targetBchWeightBps);
+  return d < 0n ? -d : d;
+}
+
+/**
+ * Token amount at which the FT leg hits its target share for a fixed BCH
+ * value (truncated). Returns null when no token amount can help, i.e. a
+ * 100% FT target (W_bch = 0) where D does not depend on tokens at all.
+ */
+export function targetTokensFor(bchUsd, targetBchWeightBps) {
+  if (targetBchWeightBps == null) return bchUsd;
+  if (targetBchWeightBps === 0n) return null;
+  return (bchUsd * (WEIGHT_SCALE - targetBchWeightBps)) / targetBchWeightBps;
+}
+
+/**
+ * Choose a new token amount for the contract that moves towards the target
+ * allocation (1:1 by default) using the same integer math as the covenant.
+ * BCH on the contract is held fixed; only the FT leg moves.
+ *
+ * Both directions are supported:
+ *   - "withdraw": tokens are overweight  → newTokens = oldTokens - step
+ *   - "deposit" : BCH is overweight      → newTokens = oldTokens + step
+ *
+ * The step starts at half the gap to target and is halved until it strictly
+ * improves the imbalance. If nothing improves, a no-op is returned
+ * (direction "none", stepTokens 0n).
+ *
+ * Returns:
+ *   {
+ *     direction,      // "withdraw" | "deposit" | "none"
+ *     newTokens,      // BigInt – token amount to leave on contract
+ *     stepTokens,     // BigInt – tokens moved (always >= 0)
+ *     bchUsd,         // BigInt – BCH value in USD-ish units
+ *     D_before,       // BigInt – imbalance with oldTokens
+ *     D_after         // BigInt – imbalance with newTokens
+ *   }
+ */
+export function chooseNewTokenAmountMeanRevert(
+  oldBch,
+  oldTokens,
+  oraclePriceRaw,
+  targetBchWeightBps
+) {
+  const D = (tokens) =>
+    imbalance(oldBch, tokens, oraclePriceRaw, targetBchWeightBps);
+
+  const bchUsd = bchValueUsd(oldBch, oraclePriceRaw);
+  const D_before = D(oldTokens);
+
+  const noop = {
+    direction: "none",
+    newTokens: oldTokens,
+    stepTokens: 0n,
+    bchUsd,
+    D_before,
+    D_after: D_before,
+  };
+
+  // Already balanced at this integer precision.
+  if (D_before === 0n) return noop;
+
+  const targetTokens = targetTokensFor(bchUsd, targetBchWeightBps);
+  if (targetTokens === null || targetTokens === oldTokens) return noop;
+
+  const direction = targetTokens > oldTokens ? "deposit" : "withdraw";
+  const sign = direction === "deposit" ? 1n : -1n;
+
+  const gap =
+    direction === "deposit" ? targetTokens - oldTokens : oldTokens - targetTokens;
+  let step = gap / 2n;
+  if (step < 1n) step = 1n;
+
+  let newTokens = oldTokens + sign * step;
+  let D_after = D(newTokens);
+
+  // Shrink the step until we find an improving move or give up.
+  while (step > 1n && D_after >= D_before) {
+    step = step / 2n;
+    if (step < 1n) step = 1n;
+    newTokens = oldTokens + sign * step;
+    D_after = D(newTokens);
+  }
+
+  // Let the caller decide to skip the rebalance.
+  if (D_after >= D_before) return noop;
+
+  return {
+    direction,
+    newTokens,
+    stepTokens: step,
+    bchUsd,
+    D_before,
+    D_after,
+  };
+}
+
+/**
+ * Convert a whole-USD amount into BCH satoshis at the oracle price.
+ *
+ *   1 USD = 10^10 / oraclePriceRaw sats   (oraclePriceRaw = USD/BCH * 100)
+ *
+ * `rounding` is "down" or "up". Callers round in the contract's favour:
+ * up when the contract receives BCH, down when it pays BCH out.
+ */
+export function usdToBchSats(usd, oraclePriceRaw, rounding = "down") {
+  const num = usd * BCH_SCALE_DOWN * BCH_SCALE_DOWN * PRICE_SCALE;
+  const sats = num / oraclePriceRaw;
+  if (rounding === "up" && sats * oraclePriceRaw < num) return sats + 1n;
+  return sats;
+}
+
+/**
+ * Choose a BCH <-> FT swap at the oracle price that moves the contract
+ * towards the target allocation (1:1 by default). Unlike
+ * chooseNewTokenAmountMeanRevert, both legs move: the FT side changes by
+ * `stepTokens` and the BCH side by the matching USD amount in sats
+ * (`stepSats`).
+ *
+ *   - "sellBch": BCH overweight → contract pays stepSats BCH to Alice and
+ *                receives stepTokens FT from Alice.
+ *   - "buyBch" : FT overweight  → contract receives stepSats BCH from Alice
+ *                and pays stepTokens FT to Alice.
+ *
+ * A swap keeps total value fixed, so the first attempt is the BCH leg's
+ * USD distance from its target share (gap / 2 for 1:1); it is halved until
+ * D_after < D_before. D_after is computed from the resulting newBch with
+ * the covenant's truncating math, so it is exactly what the contract sees.
+ *
+ * Returns:
+ *   {
+ *     direction,      // "sellBch" | "buyBch" | "none"
+ *     newBch,         // BigInt – BCH sats on contract after the swap
+ *     newTokens,      // BigInt – token amount on contract after the swap
+ *     stepSats,       // BigInt – BCH moved (always >= 0)
+ *     stepTokens,     // BigInt – tokens moved (always >= 0)
+ *     bchUsd,         // BigInt – BCH value in USD-ish units before
+ *     newBchUsd,      // BigInt – BCH value in USD-ish units after
+ *     D_before,       // BigInt
+ *     D_after         // BigInt
+ *   }
+ */
+export function chooseSwapMeanRevert(
+  oldBch,
+  oldTokens,
+  oraclePriceRaw,
+  targetBchWeightBps
+) {
+  const D = (bch, tokens) =>
+    imbalance(bch, tokens, oraclePriceRaw, targetBchWeightBps);
+
+  const bchUsd = bchValueUsd(oldBch, oraclePriceRaw);
+  const D_before = D(oldBch, oldTokens);
+
+  const noop = {
+    direction: "none",
+    newBch: oldBch,
+    newTokens: oldTokens,
+    stepSats: 0n,
+    stepTokens: 0n,
+    bchUsd,
+    newBchUsd: bchUsd,
+    D_before,
+    D_after: D_before,
+  };
+
+  if (D_before === 0n) return noop;
+
+  const direction =
+    signedImbalance(oldBch, oldTokens, oraclePriceRaw, targetBchWeightBps) > 0n
+      ? "sellBch"
+      : "buyBch";
+
+  const legsFor = (usd) => {
+    if (direction === "sellBch") {
+      const sats = usdToBchSats(usd, oraclePriceRaw, "down");
+      return { sats, newBch: oldBch - sats, newTokens: oldTokens + usd };
+    }
+    const sats = usdToBchSats(usd, oraclePriceRaw, "up");
+    return { sats, newBch: oldBch + sats, newTokens: oldTokens - usd };
+  };
+
+  let step =
+    targetBchWeightBps == null ? D_before / 2n : D_before / WEIGHT_SCALE;
+  if (step < 1n) step = 1n;
+
+  let legs = legsFor(step);
+  let D_after = D(legs.newBch, legs.newTokens);
+
+  while (
+    step > 1n &&
+    (D_after >= D_before || legs.newBch <= 0n || legs.newTokens < 0n)
+  ) {
+    step = step / 2n;
+    if (step < 1n) step = 1n;
+    legs = legsFor(step);
+    D_after = D(legs.newBch, legs.newTokens);
+  }
+
+  if (D_after >= D_before || legs.newBch <= 0n || legs.newTokens < 0n) {
+    return noop;
+  }
+
+  return {
+    direction,
+    newBch: legs.newBch,
+    newTokens: legs.newTokens,
+    stepSats: legs.sats,
+    stepTokens: step,
+    bchUsd,
+    newBchUsd: bchValueUsd(legs.newBch, oraclePriceRaw),
+    D_before,
+    D_after,
+  };
+}
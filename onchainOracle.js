@@ -0,0 +1,208 @@
+// onchainOracle.js
+// Rebalances for the oracle-verifying contract versions (V6+).
+//
+// Their rebalance(oracleMessage, oracleSig) checks the oracle's signature
+// with OP_CHECKDATASIG, reads the price out of the message and requires
+// tx.locktime to be at most maxLocktimeGapSeconds after the message's
+// timestamp. The rebalancer runs the same checks here first, so a message
+// the contract would refuse is reported with a reason instead of a failed
+// broadcast.
+//
+// Locktime: contract inputs carry a non-final sequence number (this.age),
+// so the network only accepts the transaction once the median time past
+// (MTP) of the last 11 blocks has passed its locktime. MTP runs about an
+// hour behind the clock, so with Electrum the locktime is MTP - 1: the
+// transaction fits the next block, and this rebalancer refuses a message
+// more than maxLocktimeGapSeconds older than the chain's MTP. Without
+// chain access (mocknet) the locktime is the message's own timestamp.
+//
+// That is this rebalancer's choice, not the contract's: nothing stops a
+// builder from picking an earlier locktime, so on-chain the gap bounds a
+// message only against the time its builder claims, not its age. The
+// oracle state NFT (oracleState.js) is what keeps them from going back to
+// a price older than the last one used.
+
+import { hexToBin } from "@bitauth/libauth";
+
+import { verifyOracleSignature } from "./oracles/oracleSignature.js";
+import { COVENANT_PRICE_SCALE } from "./oracles/oracleMetadata.js";
+import { blockHeaderTime } from "./rebalanceCooldown.js";
+
+export const ONCHAIN_ORACLE_MESSAGE_BYTES = 16;
+
+// Below this a locktime is a block height, not a unix time.
+export const LOCKTIME_THRESHOLD = 500_000_000;
+
+// Blocks in the median time past (BIP113).
+const MTP_BLOCKS = 11;
+const HEADER_BYTES = 80;
+
+// int(bytes) in CashScript (OP_BIN2NUM): little-endian, the top bit of the
+// last byte is the sign.
+export function scriptNumber(bytes) {
+  let value = 0;
+  for (let i = bytes.length - 1; i >= 0; i--) {
+    value = value * 256 + (i === bytes.length - 1 ? bytes[i] & 0x7f : bytes[i]);
+  }
+  return bytes.length && bytes[bytes.length - 1] & 0x80 ? -value : value;
+}
+
+/**
+ * The fields the contract reads from a 16-byte price message, read the way
+ * it reads them:
+ * { timestamp, dataSequence, priceRaw } (numbers).
+ */
+export function readOnchainOracleMessage(messageHex) {
+  const bytes = hexToBin(messageHex ?? "");
+  if (bytes.length !== ONCHAIN_ORACLE_MESSAGE_BYTES) {
+    throw new Error(
+      `Oracle message must be ${ONCHAIN_ORACLE_MESSAGE_BYTES} bytes, got ${bytes.length}`
+    );
+  }
+  return {
+    timestamp: scriptNumber(bytes.slice(0, 4)),
+    dataSequence: scriptNumber(bytes.slice(8, 12)),
+    priceRaw: scriptNumber(bytes.slice(12, 16)),
+  };
+}
+
+/**
+ * Check an oracle snapshot against what rebalance() requires, for a
+ * transaction with `locktime`.
+ *
+ * Returns { oraclePriceRaw (BigInt), locktimeGap } (locktime less message
+ * time, seconds) or throws with the reason the contract would fail.
+ *
+ * @param {object} opts
+ * @param {object} opts.snapshot - oraclePubKey, rawMessage, signature, priceScale
+ * @param {string} opts.oraclePublicKey - The contract's oracle key (hex)
+ * @param {number} opts.locktime - The transaction's locktime
+ * @param {bigint | number} opts.maxLocktimeGapSeconds
+ */
+export function checkOnchainOracleMessage({
+  snapshot,
+  oraclePublicKey,
+  locktime,
+  maxLocktimeGapSeconds,
+}) {
+  const fail = (reason, hint) => {
+    throw new Error(
+      [`rebalance() would reject the oracle message: ${reason}.`, hint]
+        .filter(Boolean)
+        .join("\n")
+    );
+  };
+
+  if (snapshot.oraclePubKey !== oraclePublicKey) {
+    fail(
+      `it is signed by ${snapshot.oraclePubKey}, not the contract's oracle ${oraclePublicKey}`
+    );
+  }
+  if (
+    !verifyOracleSignature({
+      messageHex: snapshot.rawMessage,
+      signatureHex: snapshot.signature,
+      publicKeyHex: oraclePublicKey,
+    })
+  ) {
+    fail("the signature does not verify");
+  }
+  if (snapshot.priceScale !== COVENANT_PRICE_SCALE) {
+    fail(
+      `the oracle prices at scale ${snapshot.priceScale}`,
+      `  The contract reads the signed price as-is, at scale ${COVENANT_PRICE_SCALE}.`
+    );
+  }
+
+  const message = readOnchainOracleMessage(snapshot.rawMessage);
+  if (message.dataSequence <= 0) {
+    fail(`data sequence ${message.dataSequence} is not a price message`);
+  }
+  if (message.priceRaw <= 0) {
+    fail(`price ${message.priceRaw} is not positive`);
+  }
+
+  if (!(locktime >= LOCKTIME_THRESHOLD)) {
+    fail(`locktime ${locktime} is a block height, not a time`);
+  }
+  const locktimeGap = locktime - message.timestamp;
+  if (locktimeGap > Number(maxLocktimeGapSeconds)) {
+    fail(
+      `the locktime is ${locktimeGap} s after it, the limit is ${maxLocktimeGapSeconds} s`,
+      `  Message time ${message.timestamp}, locktime ${locktime}.`
+    );
+  }
+
+  return { oraclePriceRaw: BigInt(message.priceRaw), locktimeGap };
+}
+
+/**
+ * The snapshot whose message a rebalance() spends: the contract's own
+ * oracle key. Other keys still vote in the median, and the contract key's
+ * message is only used when the aggregation accepted it (fresh, not an
+ * outlier, ...).
+ *
+ * @param {object} opts
+ * @param {object} opts.median - The aggregated price (median snapshot + `aggregation`)
+ * @param {Map<string, object>} opts.snapshots - Every fetched snapshot by key
+ * @param {string} opts.oraclePublicKey - The contract's oracle key (hex)
+ */
+export function pickContractOracleSnapshot({ median, snapshots, oraclePublicKey }) {
+  if (median.oraclePubKey === oraclePublicKey) return median;
+
+  const source = median.aggregation?.sources.find(
+    (s) => s.publicKey === oraclePublicKey
+  );
+  const snapshot = snapshots.get(oraclePublicKey);
+  if (source?.status !== "accepted" || !snapshot) {
+    throw new Error(
+      [
+        `The contract needs a price signed by its oracle ${oraclePublicKey},`,
+        source
+          ? `  but that source was not accepted (${source.status}: ${source.reason}).`
+          : "  but that key is not among the oracles fetched (ORACLE_PUBLIC_KEYS).",
+      ].join("\n")
+    );
+  }
+  return { ...snapshot, oraclePubKey: oraclePublicKey, aggregation: median.aggregation };
+}
+
+/**
+ * Median time past of the chain tip, from Electrum block headers, or null
+ * when `provider` cannot answer raw requests (see supportsChainHistory).
+ */
+export async function medianTimePast(provider) {
+  if (typeof provider?.performRequest !== "function") return null;
+
+  const tip = await provider.getBlockHeight();
+  const count = Math.min(MTP_BLOCKS, tip + 1);
+  const { hex } = await provider.performRequest(
+    "blockchain.block.headers",
+    tip - count + 1,
+    count
+  );
+
+  const times = [];
+  for (let i = 0; i < count; i++) {
+    times.push(
+      blockHeaderTime(hex.slice(i * HEADER_BYTES * 2, (i + 1) * HEADER_BYTES * 2))
+    );
+  }
+  times.sort((a, b) => a - b);
+  return times[Math.floor(count / 2)];
+}
+
+/**
+ * The locktime for a rebalance (see header): MTP - 1, or the message
+ * timestamp when the MTP is unknown.
+ */
+export function chooseOracleLocktime({ messageTimestamp, medianTimePast: mtp }) {
+  return mtp == null ? messageTimestamp : mtp - 1;
+}
+
+/**
+ * rebalance() arguments: [oracleMessage, oracleSig] as bytes.
+ */
+export function onchainOracleUnlockArgs(snapshot) {
+  return [hexToBin(snapshot.rawMessage), hexToBin(snapshot.signature)];
+}
@@ -0,0 +1,105 @@
+// oracleState.js
+// The oracle state NFT of the V6+ contracts: the timestamp of the last
+// oracle message a rebalance used.
+//
+// V6+ keep one mutable NFT of the oracle state category on a contract
+// UTXO. Its commitment is the 4 timestamp bytes of the last accepted
+// message, as they appear in the message (little-endian). Every rebalance
+// spends it, must use a strictly newer message, and sends it back to the
+// contract with that message's timestamp bytes. So no rebalance can trade
+// at a price older than the last one used, or use a message twice, however
+// its builder sets tx.locktime.
+//
+// The fund script creates the NFT (a genesis output, or Alice's NFT back
+// after a reset) with ORACLE_STATE_INITIAL_COMMITMENT.
+
+import { hexToBin } from "@bitauth/libauth";
+
+import { scriptNumber, readOnchainOracleMessage } from "./onchainOracle.js";
+
+// Timestamp 0: any signed message is newer.
+export const ORACLE_STATE_INITIAL_COMMITMENT = "00000000";
+
+/**
+ * The state NFT as a CashScript token: a mutable NFT of `category`
+ * (big-endian hex) with `commitment` (hex).
+ */
+export function oracleStateToken(
+  category,
+  commitment = ORACLE_STATE_INITIAL_COMMITMENT
+) {
+  return {
+    category,
+    amount: 0n,
+    nft: { capability: "mutable", commitment },
+  };
+}
+
+/**
+ * True when `utxo` carries the state NFT of `category`.
+ */
+export function isOracleStateUtxo(utxo, category) {
+  return (
+    utxo.token?.category === category &&
+    utxo.token.nft?.capability === "mutable"
+  );
+}
+
+/**
+ * The UTXO carrying the state NFT among `utxos`, or null. Throws when there
+ * are several, which only a minting NFT of the category could produce.
+ */
+export function findOracleState(utxos, category) {
+  const found = utxos.filter((u) => isOracleStateUtxo(u, category));
+  if (found.length > 1) {
+    throw new Error(
+      [
+        `Found ${found.length} oracle state NFTs of category ${category}.`,
+        "  V6+ need exactly one; a minting NFT of the category must not exist.",
+      ].join("\n")
+    );
+  }
+  return found[0] ?? null;
+}
+
+/**
+ * The timestamp stored in a state UTXO's commitment, read like the
+ * contract's int() (number).
+ */
+export function oracleStateTimestamp(utxo) {
+  return scriptNumber(hexToBin(utxo.token.nft.commitment ?? ""));
+}
+
+/**
+ * The commitment a rebalance using `rawMessage` must write: the message's
+ * first 4 bytes (its timestamp).
+ */
+export function oracleStateCommitment(rawMessage) {
+  return rawMessage.slice(0, 8);
+}
+
+/**
+ * Whether `snapshot`'s message is newer than the one `state` last
+ * recorded, as V6+ require. The timestamp is read from the raw message,
+ * like the contract does.
+ *
+ * Returns { fresh, timestamp, lastTimestamp, reason }.
+ */
+export function checkOracleStateMessage({ state, snapshot }) {
+  const { timestamp } = readOnchainOracleMessage(snapshot.rawMessage);
+  const lastTimestamp = oracleStateTimestamp(state);
+  if (timestamp > lastTimestamp) {
+    return {
+      fresh: true,
+      timestamp,
+      lastTimestamp,
+      reason: `message ${timestamp} is newer than the last one used (${lastTimestamp})`,
+    };
+  }
+  return {
+    fresh: false,
+    timestamp,
+    lastTimestamp,
+    reason: `no oracle message since the last rebalance (message ${timestamp}, last used ${lastTimestamp})`,
+  };
+}
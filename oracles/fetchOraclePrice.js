@@ -4,7 +4,8 @@
 // from General Protocols' price oracle.
 //
 // Uses:
-//   - REST API: /api/v1/oracleMessages
+//   - REST API: /api/v1/oracleMessages, through oraclesClient.js and so
+//     oracleHttp.js (timeouts, retries, circuit breaker; `http` settings)
 //   - priceCodec.decodePriceMessageHex for decoding the payload
 //
 // Returns a rich "snapshot" object:
@@ -18,16 +19,36 @@
 //   timestamp: number,     // unix seconds
 //   priceRaw: number,
 //   priceScale: number,    // e.g. 100
-//   priceValue: number     // priceRaw / priceScale
+//   priceValue: number,    // priceRaw / priceScale
+//   scaleSource: "metadata" | "default",
+//   assetPair: string | null   // e.g. "BCH/USD"
 // }
 //
+// priceScale and assetPair come from the oracle's metadata messages
+// (oraclesClient.resolveOracleMetadata, cached per key); an oracle that
+// publishes none is read at scale 100 with an unknown asset.
+//
 // This is designed to be reused by both:
 //   - scripts/fetchOraclePrice.js (CLI)
 //   - scripts/meanRevert.oracleRebalancer.js (strategy daemon)
+//
+// fetchOraclePriceHistory() returns the last N snapshots (oldest first)
+// for strategies that look at price history.
+//
+// Every price message is checked against `publicKey` with
+// oracleSignature.js before it is used; a bad signature is an error, not
+// a skipped message.
 
 import { decodePriceMessageHex } from "./priceCodec.js";
+import {
+  DEFAULT_ORACLES_BASE_URL,
+  fetchOracleMessages,
+  resolveOracleMetadata,
+} from "./oraclesClient.js";
+import { assertOracleSignature } from "./oracleSignature.js";
+import { OracleHttpError } from "./oracleHttp.js";
 
-const DEFAULT_API_BASE = "https://oracles.generalprotocols.com";
+const DEFAULT_API_BASE = DEFAULT_ORACLES_BASE_URL;
 
 /**
  * Fetch the latest oracle price for a given oracle public key.
@@ -35,41 +56,34 @@ const DEFAULT_API_BASE = "https://oracles.generalprotocols.com";
  * @param {object} opts
  * @param {string} opts.publicKey - Oracle compressed pubkey (hex)
  * @param {string} [opts.apiBaseUrl] - Override API base (for testing/self-host)
+ * @param {object} [opts.http] - Timeout / retry / breaker settings (oracleHttp.js)
  */
 export async function fetchLatestOraclePrice({
   publicKey,
   apiBaseUrl = DEFAULT_API_BASE,
+  http: httpSettings = {},
 } = {}) {
   if (!publicKey) {
     throw new Error("fetchLatestOraclePrice: 'publicKey' is required");
   }
 
-  const url = `${apiBaseUrl}/api/v1/oracleMessages?publicKey=${publicKey}&count=1`;
-
-  const res = await fetch(url);
-  if (!res.ok) {
-    const text = await res.text().catch(() => "");
-    throw new Error(
-      `Oracle API error (${res.status}): ${res.statusText} ${text}`
+  const http = { ...httpSettings, baseUrl: apiBaseUrl };
+  const [latest] = await fetchOracleMessages({ publicKey, count: 1, http });
+  if (!latest) {
+    throw new OracleHttpError(
+      "empty",
+      `Oracle API returned no messages for ${publicKey}`
     );
   }
-
-  const json = await res.json();
-
-  if (
-    !json ||
-    !Array.isArray(json.oracleMessages) ||
-    json.oracleMessages.length === 0
-  ) {
-    throw new Error("Oracle API returned no messages for this public key");
-  }
-
-  const latest = json.oracleMessages[0];
+  assertOracleSignature(latest, publicKey);
 
   const messageHex = latest.message;
   const signatureHex = latest.signature;
 
-  const decoded = decodePriceMessageHex(messageHex);
+  const metadata = await resolveOracleMetadata({ publicKey, http });
+  const decoded = decodePriceMessageHex(messageHex, {
+    priceScale: metadata.priceScale,
+  });
 
   const priceValue = decoded.priceRaw / decoded.priceScale;
 
@@ -83,5 +97,72 @@ export async function fetchLatestOraclePrice({
     priceRaw: decoded.priceRaw,
     priceScale: decoded.priceScale,
     priceValue,
+    scaleSource: metadata.scaleSource,
+    assetPair: metadata.assetPair,
+  };
+}
+
+/**
+ * Fetch the last `count` price messages as snapshots (same shape as
+ * fetchLatestOraclePrice), oldest first.
+ *
+ * Messages that do not decode as 16-byte price messages (metadata
+ * included) are skipped, so
+ * fewer than `count` snapshots may come back. A price message with a bad
+ * signature rejects the whole history.
+ *
+ * @param {object} opts
+ * @param {string} opts.publicKey - Oracle compressed pubkey (hex)
+ * @param {number} opts.count - How many recent messages to request
+ * @param {string} [opts.apiBaseUrl] - Override API base (for testing/self-host)
+ * @param {typeof fetch} [opts.fetchImpl] - Custom fetch (tests)
+ * @param {object} [opts.http] - Timeout / retry / breaker settings (oracleHttp.js)
+ */
+export async function fetchOraclePriceHistory({
+  publicKey,
+  count,
+  apiBaseUrl = DEFAULT_API_BASE,
+  fetchImpl,
+  http: httpSettings = {},
+} = {}) {
+  if (!publicKey) {
+    throw new Error("fetchOraclePriceHistory: 'publicKey' is required");
+  }
+
+  const http = {
+    ...httpSettings,
+    baseUrl: apiBaseUrl,
+    fetchImpl: fetchImpl ?? httpSettings.fetchImpl,
   };
+  const messages = await fetchOracleMessages({ publicKey, count, http });
+  const metadata = await resolveOracleMetadata({ publicKey, http });
+
+  const snapshots = [];
+  for (const m of messages) {
+    let decoded;
+    try {
+      decoded = decodePriceMessageHex(m.message, {
+        priceScale: metadata.priceScale,
+      });
+    } catch {
+      continue;
+    }
+    assertOracleSignature(m, publicKey);
+
+    snapshots.push({
+      oraclePubKey: publicKey,
+      rawMessage: m.message,
+      signature: m.signature,
+      messageSequence: decoded.messageSequence,
+      dataSequence: decoded.dataSequence,
+      timestamp: decoded.timestamp,
+      priceRaw: decoded.priceRaw,
+      priceScale: decoded.priceScale,
+      priceValue: decoded.priceRaw / decoded.priceScale,
+      scaleSource: metadata.scaleSource,
+      assetPair: metadata.assetPair,
+    });
+  }
+
+  return snapshots.sort((a, b) => a.messageSequence - b.messageSequence);
 }
@@ -0,0 +1,355 @@
+// oracles/mockOracle.js
+//
+// A local stand-in for the General Protocols oracle API, for offline
+// development and tests.
+//
+// createMockOracle() is one oracle key: it publishes signed metadata
+// (scale, asset) once, then a signed price message every
+// `intervalSeconds`, with prices from a price path:
+//
+//   constant     – the same priceRaw every time
+//   random-walk  – each price moves up to ±stepBps from the last one
+//                  (seeded, so a given seed always walks the same way)
+//   replay       – priceRaw values from a file, holding the last one
+//                  once the file runs out
+//
+// Messages are generated on demand up to the current time, so a client
+// polling the server sees a new message per interval, and `backfill`
+// past intervals exist from the start (history for strategies).
+//
+// createMockOracleHandler() serves one or more of them as
+//
+//   GET /api/v1/oracles
+//   GET /api/v1/oracleMessages?publicKey=...&count=...
+//       [&min|maxMessageTimestamp][&min|maxMessageSequence]
+//       [&min|maxDataSequence]
+//
+// with the same query parameters and response shape oraclesClient.js
+// uses, and startMockOracleServer() puts that on a local port. Point
+// ORACLE_API_BASE_URL at it (see scripts/mockOracleServer.js).
+
+import { createServer } from "node:http";
+import { readFile } from "node:fs/promises";
+import { secp256k1, binToHex } from "@bitauth/libauth";
+
+import {
+  METADATA_TYPES,
+  encodePriceMessageHex,
+  encodeMetadataMessageHex,
+} from "./priceCodec.js";
+import { signOracleMessage } from "./oracleSignature.js";
+
+export const PRICE_PATHS = ["constant", "random-walk", "replay"];
+
+const BPS_SCALE = 10_000;
+
+const METADATA_TYPE = Object.fromEntries(
+  Object.entries(METADATA_TYPES).map(([type, name]) => [name, Number(type)])
+);
+
+// Small seeded PRNG (mulberry32): uniform in [0, 1).
+function seededRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4_294_967_296;
+  };
+}
+
+/**
+ * A price path: tick index (0, 1, 2, ...) → priceRaw.
+ *
+ * @param {{
+ *   kind: "constant" | "random-walk" | "replay",
+ *   priceRaw?: number,   // constant value / random-walk start
+ *   stepBps?: number,    // random-walk: max move per tick (default 50)
+ *   seed?: number,       // random-walk (default 1)
+ *   prices?: number[]    // replay
+ * }} spec
+ * @returns {(tick: number) => number}
+ */
+export function createPricePath(spec) {
+  const { kind, priceRaw, stepBps = 50, seed = 1, prices } = spec ?? {};
+
+  if (kind === "replay") {
+    if (!prices?.length) {
+      throw new Error("Mock oracle replay path needs at least one price");
+    }
+    return (tick) => prices[Math.min(tick, prices.length - 1)];
+  }
+
+  if (!Number.isSafeInteger(priceRaw) || priceRaw <= 0) {
+    throw new Error(
+      `Mock oracle ${kind} path needs a positive integer priceRaw, got ${priceRaw}`
+    );
+  }
+
+  if (kind === "constant") return () => priceRaw;
+
+  if (kind === "random-walk") {
+    if (!(stepBps >= 0)) {
+      throw new Error(`Mock oracle stepBps must be non-negative, got ${stepBps}`);
+    }
+    const random = seededRandom(seed);
+    const walk = [priceRaw];
+    return (tick) => {
+      while (walk.length <= tick) {
+        const moveBps = (random() * 2 - 1) * stepBps;
+        const last = walk[walk.length - 1];
+        walk.push(Math.max(1, Math.round(last * (1 + moveBps / BPS_SCALE))));
+      }
+      return walk[tick];
+    };
+  }
+
+  throw new Error(
+    `Unknown mock oracle price path "${kind}" (expected ${PRICE_PATHS.join(", ")})`
+  );
+}
+
+/**
+ * Prices for a replay path from `path`: a JSON array of priceRaw values,
+ * or one value per line (blank lines and `#` comments skipped; only the
+ * last comma-separated column is read, so "timestamp,price" CSV works).
+ */
+export async function readReplayPrices(path) {
+  const text = await readFile(path, "utf8");
+  const values = text.trimStart().startsWith("[")
+    ? JSON.parse(text)
+    : text
+        .split(/\r?\n/)
+        .map((line) => line.replace(/#.*/, "").trim())
+        .filter(Boolean)
+        .map((line) => line.split(",").pop().trim());
+
+  const prices = values.map(Number);
+  const bad = prices.findIndex((p) => !Number.isSafeInteger(p) || p <= 0);
+  if (bad !== -1) {
+    throw new Error(
+      [
+        `Replay file ${path}: entry ${bad + 1} ("${values[bad]}") is not a positive integer priceRaw.`,
+        "  Prices are raw integers at the oracle's scale, e.g. 40000 for 400.00.",
+      ].join("\n")
+    );
+  }
+  return prices;
+}
+
+/**
+ * One mock oracle key (see header).
+ *
+ * @param {object} opts
+ * @param {Uint8Array} opts.privateKey - 32-byte signing key
+ * @param {(tick: number) => number} opts.pricePath - See createPricePath
+ * @param {number} [opts.intervalSeconds] - Seconds between price messages (default 60)
+ * @param {number} [opts.backfill] - Past intervals available at start (default 100)
+ * @param {number} [opts.priceScale] - Published ATTESTATION_SCALING (default 100)
+ * @param {string} [opts.assetPair] - Published unit codes, "<priced>/<unit>" (default "BCH/USD")
+ * @param {string} [opts.name] - Published OPERATOR_NAME / SOURCE_NAME
+ * @param {() => number} [opts.now] - Clock in ms (tests)
+ */
+export function createMockOracle({
+  privateKey,
+  pricePath,
+  intervalSeconds = 60,
+  backfill = 100,
+  priceScale = 100,
+  assetPair = "BCH/USD",
+  name = "Mock oracle",
+  now = Date.now,
+}) {
+  if (!(intervalSeconds > 0)) {
+    throw new Error(
+      `Mock oracle intervalSeconds must be positive, got ${intervalSeconds}`
+    );
+  }
+  const [denominator, numerator] = assetPair.split("/");
+  if (!denominator || !numerator) {
+    throw new Error(`Mock oracle assetPair must look like "BCH/USD", got ${assetPair}`);
+  }
+
+  const publicKey = binToHex(secp256k1.derivePublicKeyCompressed(privateKey));
+  const startTimestamp =
+    Math.floor(now() / 1000) - Math.floor(backfill * intervalSeconds);
+
+  const sign = (message) => ({
+    message,
+    publicKey,
+    signature: signOracleMessage(message, privateKey),
+  });
+
+  // Signed records, and the fields each is filtered on.
+  const messages = [];
+  const fields = [];
+  const publish = (f, message) => {
+    messages.push(sign(message));
+    fields.push(f);
+  };
+
+  const metadata = {
+    OPERATOR_NAME: name,
+    SOURCE_NAME: name,
+    ATTESTATION_SCALING: priceScale,
+    SOURCE_NUMERATOR_UNIT_CODE: numerator,
+    SOURCE_DENOMINATOR_UNIT_CODE: denominator,
+  };
+  for (const [type, value] of Object.entries(metadata)) {
+    const f = {
+      timestamp: startTimestamp,
+      messageSequence: messages.length + 1,
+      dataSequence: METADATA_TYPE[type],
+    };
+    publish(f, encodeMetadataMessageHex({ ...f, metadataType: f.dataSequence, value }));
+  }
+  const metadataCount = messages.length;
+
+  // Bring the price messages up to the current time.
+  function catchUp() {
+    const ticks =
+      Math.floor((Math.floor(now() / 1000) - startTimestamp) / intervalSeconds) + 1;
+    while (messages.length - metadataCount < ticks) {
+      const tick = messages.length - metadataCount;
+      const f = {
+        timestamp: startTimestamp + tick * intervalSeconds,
+        messageSequence: messages.length + 1,
+        dataSequence: tick + 1,
+      };
+      publish(f, encodePriceMessageHex({ ...f, priceRaw: pricePath(tick) }));
+    }
+  }
+
+  /**
+   * Messages matching the oracleMessages query parameters, newest first.
+   *
+   * @param {{ count?: number, minMessageTimestamp?: number, maxMessageTimestamp?: number,
+   *   minMessageSequence?: number, maxMessageSequence?: number,
+   *   minDataSequence?: number, maxDataSequence?: number }} [query]
+   */
+  function queryMessages(query = {}) {
+    catchUp();
+    const inRange = (value, min, max) =>
+      (min === undefined || value >= min) && (max === undefined || value <= max);
+    const count = query.count ?? 1;
+    const out = [];
+    for (let i = messages.length - 1; i >= 0 && out.length < count; i--) {
+      const f = fields[i];
+      if (
+        inRange(f.timestamp, query.minMessageTimestamp, query.maxMessageTimestamp) &&
+        inRange(f.messageSequence, query.minMessageSequence, query.maxMessageSequence) &&
+        inRange(f.dataSequence, query.minDataSequence, query.maxDataSequence)
+      ) {
+        out.push(messages[i]);
+      }
+    }
+    return out;
+  }
+
+  return {
+    publicKey,
+    priceScale,
+    assetPair,
+    name,
+    intervalSeconds,
+    queryMessages,
+  };
+}
+
+const QUERY_NUMBERS = [
+  "count",
+  "minMessageTimestamp",
+  "maxMessageTimestamp",
+  "minMessageSequence",
+  "maxMessageSequence",
+  "minDataSequence",
+  "maxDataSequence",
+];
+
+/**
+ * A node:http request handler serving `oracles` (see header).
+ *
+ * @param {ReturnType<typeof createMockOracle>[]} oracles
+ */
+export function createMockOracleHandler(oracles) {
+  const byKey = new Map(oracles.map((o) => [o.publicKey, o]));
+
+  const send = (res, status, body) => {
+    res.writeHead(status, {
+      "content-type": "application/json",
+      "access-control-allow-origin": "*",
+    });
+    res.end(JSON.stringify(body));
+  };
+
+  return (req, res) => {
+    const url = new URL(req.url, "http://mock-oracle");
+
+    if (req.method !== "GET") {
+      return send(res, 405, { error: `${req.method} not supported` });
+    }
+
+    if (url.pathname === "/api/v1/oracles") {
+      return send(res, 200, {
+        oracles: oracles.map((o) => ({
+          publicKey: o.publicKey,
+          name: o.name,
+          assetPair: o.assetPair,
+          priceScale: o.priceScale,
+          intervalSeconds: o.intervalSeconds,
+        })),
+      });
+    }
+
+    if (url.pathname === "/api/v1/oracleMessages") {
+      const oracle = byKey.get(url.searchParams.get("publicKey"));
+      if (!oracle) {
+        return send(res, 404, {
+          error: `Unknown oracle publicKey ${url.searchParams.get("publicKey")}`,
+        });
+      }
+      const query = {};
+      for (const name of QUERY_NUMBERS) {
+        const raw = url.searchParams.get(name);
+        if (raw === null) continue;
+        const value = Number(raw);
+        if (!Number.isInteger(value)) {
+          return send(res, 400, { error: `${name} must be an integer, got ${raw}` });
+        }
+        query[name] = value;
+      }
+      return send(res, 200, { oracleMessages: oracle.queryMessages(query) });
+    }
+
+    return send(res, 404, { error: `No route for ${url.pathname}` });
+  };
+}
+
+/**
+ * Serve `oracles` on host:port (port 0 picks a free one).
+ *
+ * @returns {Promise<{ url: string, server: import("node:http").Server, close: () => Promise<void> }>}
+ */
+export async function startMockOracleServer({
+  oracles,
+  port = 0,
+  host = "127.0.0.1",
+}) {
+  const server = createServer(createMockOracleHandler(oracles));
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, resolve);
+  });
+  const { port: boundPort } = server.address();
+  return {
+    url: `http://${host}:${boundPort}`,
+    server,
+    close: () =>
+      new Promise((resolve, reject) => {
+        server.close((err) => (err ? reject(err) : resolve()));
+        // Idle keep-alive clients would otherwise hold close() open.
+        server.closeAllConnections?.();
+      }),
+  };
+}
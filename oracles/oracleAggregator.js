@@ -0,0 +1,296 @@
+// oracles/oracleAggregator.js
+//
+// One price from several oracles.
+//
+// fetchAggregatedOraclePrice() fetches the latest (signature-checked)
+// message from every configured oracle key and decides per source:
+//
+//   error     – the fetch, decode or signature check failed
+//   expired   – older than maxAgeSeconds by the local clock
+//   regressed – its sequence went backwards (oracleGuards.js)
+//   stale     – more than maxLagSeconds older than the freshest source
+//   asset     – its metadata names another asset than most sources
+//               (oracleMetadata.js; sources without metadata pass)
+//   scale     – a priceScale other than the one most sources use
+//   outlier   – more than maxDeviationBps away from the median of the
+//               fresh sources
+//   accepted  – everything else
+//
+// The result is the median of the accepted prices. With an even number of
+// sources the lower middle one is used, so the price is always a message
+// some oracle actually signed (and could be checked on-chain). Fewer than
+// minQuorum accepted sources is an error: the price is not usable.
+//
+// The result has the same shape as fetchLatestOraclePrice() (the median
+// source's snapshot) plus `aggregation` with the per-source details.
+// With a sequencePath, the sequences of every source that passed the
+// replay guards are persisted there for the next run.
+
+import { fetchLatestOraclePrice } from "./fetchOraclePrice.js";
+import {
+  checkOracleSnapshot,
+  readOracleSequences,
+  recordOracleSequences,
+  writeOracleSequences,
+} from "./oracleGuards.js";
+
+const BPS_SCALE = 10_000;
+
+/**
+ * Throw if the aggregation settings are not usable.
+ */
+export function validateAggregation({
+  maxAgeSeconds = 0,
+  maxLagSeconds,
+  maxDeviationBps,
+  minQuorum,
+}) {
+  if (!(maxAgeSeconds >= 0)) {
+    throw new Error(
+      `Oracle maxAgeSeconds must be a non-negative number, got ${maxAgeSeconds}`
+    );
+  }
+  if (!(maxLagSeconds >= 0)) {
+    throw new Error(
+      `Oracle maxLagSeconds must be a non-negative number, got ${maxLagSeconds}`
+    );
+  }
+  if (!(maxDeviationBps >= 0)) {
+    throw new Error(
+      `Oracle maxDeviationBps must be a non-negative number, got ${maxDeviationBps}`
+    );
+  }
+  if (!Number.isInteger(minQuorum) || minQuorum < 1) {
+    throw new Error(`Oracle minQuorum must be a positive integer, got ${minQuorum}`);
+  }
+}
+
+// Lower median of snapshots sorted by priceRaw.
+function medianSnapshot(snapshots) {
+  const sorted = [...snapshots].sort((a, b) => a.priceRaw - b.priceRaw);
+  return sorted[Math.floor((sorted.length - 1) / 2)];
+}
+
+function mostCommon(values) {
+  const counts = new Map();
+  for (const v of values) counts.set(v, (counts.get(v) ?? 0) + 1);
+  let best = null;
+  for (const [v, n] of counts) if (best === null || n > counts.get(best)) best = v;
+  return best;
+}
+
+/**
+ * Aggregate already fetched results.
+ *
+ * `lastSeen` maps oracle keys to their last-seen sequences (see
+ * oracleGuards.js); `now` is the local clock for maxAgeSeconds.
+ *
+ * @param {{ publicKey: string, snapshot?: object, error?: Error }[]} results
+ * @param {{ maxAgeSeconds?: number, maxLagSeconds: number, maxDeviationBps: number, minQuorum: number }} settings
+ * @param {{ lastSeen?: object, now?: number }} [guard]
+ * @returns {{
+ *   ok: boolean,
+ *   reason: string,
+ *   median: object | null,   // the median source's snapshot
+ *   sources: {
+ *     publicKey, status, reason, priceRaw, priceScale, assetPair,
+ *     timestamp, messageSequence, ageSeconds, lagSeconds, deviationBps
+ *   }[],
+ *   accepted: number,
+ *   minQuorum: number
+ * }}
+ */
+export function aggregateOraclePrices(
+  results,
+  settings,
+  { lastSeen = {}, now = Date.now() } = {}
+) {
+  validateAggregation(settings);
+  const { maxAgeSeconds = 0, maxLagSeconds, maxDeviationBps, minQuorum } = settings;
+
+  const sources = results.map(({ publicKey, snapshot, error }) => ({
+    publicKey,
+    snapshot: snapshot ?? null,
+    status: snapshot ? "accepted" : "error",
+    reason: snapshot ? "" : error?.message ?? "no snapshot",
+    priceRaw: snapshot?.priceRaw ?? null,
+    priceScale: snapshot?.priceScale ?? null,
+    assetPair: snapshot?.assetPair ?? null,
+    timestamp: snapshot?.timestamp ?? null,
+    messageSequence: snapshot?.messageSequence ?? null,
+    ageSeconds: null,
+    lagSeconds: null,
+    deviationBps: null,
+  }));
+  const live = () => sources.filter((s) => s.status === "accepted");
+
+  // Replayed or cached messages, by the local clock and last-seen sequences.
+  for (const s of live()) {
+    const check = checkOracleSnapshot(s.snapshot, {
+      maxAgeSeconds,
+      lastSeen: lastSeen[s.publicKey],
+      now,
+    });
+    s.ageSeconds = check.ageSeconds;
+    if (!check.ok) {
+      s.status = check.status;
+      s.reason = check.reason;
+    }
+  }
+
+  // Lagging sources, measured against the freshest one.
+  const newest = Math.max(...live().map((s) => s.timestamp));
+  for (const s of live()) {
+    s.lagSeconds = newest - s.timestamp;
+    if (s.lagSeconds > maxLagSeconds) {
+      s.status = "stale";
+      s.reason = `${s.lagSeconds} s behind the freshest oracle (max ${maxLagSeconds} s)`;
+    }
+  }
+
+  // Prices of different assets are not comparable at all.
+  const asset = mostCommon(live().map((s) => s.assetPair).filter(Boolean));
+  for (const s of live()) {
+    if (s.assetPair && s.assetPair !== asset) {
+      s.status = "asset";
+      s.reason = `prices ${s.assetPair}, most oracles price ${asset}`;
+    }
+  }
+
+  // Prices are only comparable at one scale.
+  const scale = mostCommon(live().map((s) => s.priceScale));
+  for (const s of live()) {
+    if (s.priceScale !== scale) {
+      s.status = "scale";
+      s.reason = `priceScale ${s.priceScale}, most oracles use ${scale}`;
+    }
+  }
+
+  // Outliers against the median of the fresh sources.
+  if (live().length) {
+    const mid = medianSnapshot(live().map((s) => s.snapshot)).priceRaw;
+    for (const s of live()) {
+      s.deviationBps =
+        mid > 0 ? Math.round((Math.abs(s.priceRaw - mid) * BPS_SCALE) / mid) : 0;
+      if (s.deviationBps > maxDeviationBps) {
+        s.status = "outlier";
+        s.reason = `${s.deviationBps} bps from the median ${mid} (max ${maxDeviationBps} bps)`;
+      }
+    }
+  }
+
+  const accepted = live();
+  const median = accepted.length
+    ? medianSnapshot(accepted.map((s) => s.snapshot))
+    : null;
+  const ok = accepted.length >= minQuorum;
+  const reason = ok
+    ? `median ${median.priceRaw} from ${accepted.length} of ${sources.length} oracle(s)`
+    : `${accepted.length} of ${sources.length} oracle(s) usable, quorum is ${minQuorum}`;
+
+  return {
+    ok,
+    reason,
+    median: ok ? median : null,
+    sources: sources.map(({ snapshot, ...rest }) => rest),
+    accepted: accepted.length,
+    minQuorum,
+  };
+}
+
+/**
+ * One line per source, for logs and error messages.
+ */
+export function describeOracleSources(sources) {
+  return sources.map((s) => {
+    const price = s.priceRaw == null ? "" : ` priceRaw=${s.priceRaw}`;
+    return `  ${s.publicKey}: ${s.status}${price}${s.reason ? ` – ${s.reason}` : ""}`;
+  });
+}
+
+/**
+ * Fetch every oracle in `publicKeys` and aggregate (see header).
+ *
+ * @param {object} opts
+ * @param {string[]} opts.publicKeys - Oracle compressed pubkeys (hex)
+ * @param {number} [opts.maxAgeSeconds] - 0 disables the age check
+ * @param {number} opts.maxLagSeconds
+ * @param {number} opts.maxDeviationBps
+ * @param {number} opts.minQuorum
+ * @param {string | null} [opts.sequencePath] - Last-seen sequences file (null: no sequence guard)
+ * @param {string} [opts.apiBaseUrl] - Passed to fetchLatestOraclePrice
+ * @param {object} [opts.http] - Timeout / retry / breaker settings, passed on too
+ * @param {(publicKey: string) => Promise<object>} [opts.fetchSnapshot] - Custom fetch (tests)
+ * @param {number} [opts.now] - Local clock in ms (tests)
+ * @returns {Promise<object>} the median snapshot + `aggregation`
+ *
+ * Below quorum it throws; the error's `aggregation` still carries the
+ * per-source details so callers can show why.
+ */
+export async function fetchAggregatedOraclePrice({
+  publicKeys,
+  maxAgeSeconds = 0,
+  maxLagSeconds,
+  maxDeviationBps,
+  minQuorum,
+  sequencePath = null,
+  apiBaseUrl,
+  http,
+  fetchSnapshot = (publicKey) =>
+    fetchLatestOraclePrice({ publicKey, apiBaseUrl, http }),
+  now = Date.now(),
+} = {}) {
+  if (!publicKeys?.length) {
+    throw new Error(
+      "fetchAggregatedOraclePrice: at least one oracle public key is required"
+    );
+  }
+
+  const results = await Promise.all(
+    publicKeys.map(async (publicKey) => {
+      try {
+        return { publicKey, snapshot: await fetchSnapshot(publicKey) };
+      } catch (error) {
+        return { publicKey, error };
+      }
+    })
+  );
+
+  const lastSeen = sequencePath ? await readOracleSequences(sequencePath) : {};
+  const aggregation = aggregateOraclePrices(
+    results,
+    { maxAgeSeconds, maxLagSeconds, maxDeviationBps, minQuorum },
+    { lastSeen, now }
+  );
+  const { median, ...details } = aggregation;
+
+  if (sequencePath) {
+    const guarded = new Set(
+      details.sources
+        .filter((s) => !["error", "expired", "regressed"].includes(s.status))
+        .map((s) => s.publicKey)
+    );
+    const seen = results
+      .filter((r) => guarded.has(r.publicKey))
+      .map((r) => ({ ...r.snapshot, oraclePubKey: r.publicKey }));
+    if (seen.length) {
+      await writeOracleSequences(
+        sequencePath,
+        recordOracleSequences(lastSeen, seen, now)
+      );
+    }
+  }
+
+  if (!aggregation.ok) {
+    const err = new Error(
+      [
+        `No usable oracle price: ${aggregation.reason}.`,
+        ...describeOracleSources(aggregation.sources),
+      ].join("\n")
+    );
+    err.aggregation = details;
+    throw err;
+  }
+
+  return { ...median, aggregation: details };
+}
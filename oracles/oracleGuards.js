@@ -0,0 +1,128 @@
+// oracles/oracleGuards.js
+//
+// Replay guards for oracle messages.
+//
+// A signed message stays valid forever, so a cached or replayed response
+// passes the signature check. Before a snapshot is used:
+//
+//   expired   – its timestamp is more than maxAgeSeconds behind the local
+//               clock (0 disables the check)
+//   regressed – its messageSequence or dataSequence is lower than the
+//               last one seen from the same oracle key
+//
+// The last-seen sequences are kept per key in a small JSON file, so the
+// guard holds across runs (and is shared by every process pointed at the
+// same file):
+//
+//   {
+//     "<oracle pubkey>": {
+//       messageSequence, dataSequence, timestamp,
+//       seenAt            // ISO time it was recorded
+//     }
+//   }
+
+import { readFile, writeFile, rename, mkdir } from "node:fs/promises";
+import { dirname } from "node:path";
+
+/**
+ * Check one snapshot against the local clock and the last message seen
+ * from its key.
+ *
+ * @param {{ messageSequence: number, dataSequence: number, timestamp: number }} snapshot
+ * @param {{ maxAgeSeconds: number, lastSeen?: object, now?: number }} opts
+ * @returns {{ ok: boolean, status: "ok" | "expired" | "regressed", reason: string, ageSeconds: number }}
+ */
+export function checkOracleSnapshot(
+  snapshot,
+  { maxAgeSeconds, lastSeen = null, now = Date.now() }
+) {
+  const ageSeconds = Math.floor(now / 1000) - snapshot.timestamp;
+  const result = (status, reason) => ({
+    ok: status === "ok",
+    status,
+    reason,
+    ageSeconds,
+  });
+
+  if (maxAgeSeconds > 0 && ageSeconds > maxAgeSeconds) {
+    return result(
+      "expired",
+      `message is ${ageSeconds} s old (max ${maxAgeSeconds} s), timestamp ${new Date(
+        snapshot.timestamp * 1000
+      ).toISOString()}`
+    );
+  }
+
+  if (lastSeen) {
+    for (const field of ["messageSequence", "dataSequence"]) {
+      if (snapshot[field] < lastSeen[field]) {
+        return result(
+          "regressed",
+          `${field} ${snapshot[field]} is behind the last seen` +
+            ` ${lastSeen[field]} (${lastSeen.seenAt})`
+        );
+      }
+    }
+  }
+
+  return result("ok", "");
+}
+
+/**
+ * The last-seen sequences at `path`. A missing file means nothing seen yet.
+ */
+export async function readOracleSequences(path) {
+  let text;
+  try {
+    text = await readFile(path, "utf8");
+  } catch (err) {
+    if (err.code === "ENOENT") return {};
+    throw err;
+  }
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    throw new Error(
+      [
+        `Oracle sequence file ${path} is corrupt: ${err.message}`,
+        "  Fix or remove it; removing it forgets the last-seen sequences.",
+      ].join("\n")
+    );
+  }
+}
+
+/**
+ * `sequences` with the given snapshots recorded, never moving a key's
+ * sequences backwards.
+ */
+export function recordOracleSequences(sequences, snapshots, now = Date.now()) {
+  const next = { ...sequences };
+  for (const s of snapshots) {
+    const last = next[s.oraclePubKey];
+    if (
+      last &&
+      s.messageSequence <= last.messageSequence &&
+      s.dataSequence <= last.dataSequence
+    ) {
+      continue;
+    }
+    next[s.oraclePubKey] = {
+      messageSequence: Math.max(s.messageSequence, last?.messageSequence ?? 0),
+      dataSequence: Math.max(s.dataSequence, last?.dataSequence ?? 0),
+      timestamp: s.timestamp,
+      seenAt: new Date(now).toISOString(),
+    };
+  }
+  return next;
+}
+
+/**
+ * Write the last-seen sequences to `path` (via a temp file, so a reader
+ * never sees half a file).
+ */
+export async function writeOracleSequences(path, sequences) {
+  await mkdir(dirname(path), { recursive: true });
+  const tmp = `${path}.${process.pid}.tmp`;
+  await writeFile(tmp, `${JSON.stringify(sequences, null, 2)}\n`, "utf8");
+  await rename(tmp, path);
+}
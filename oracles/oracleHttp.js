@@ -0,0 +1,265 @@
+// oracles/oracleHttp.js
+//
+// The one HTTP layer every oracle API call goes through
+// (oraclesClient.js, and through it fetchOraclePrice.js).
+//
+//  - Each attempt has a timeout (timeoutMs) covering the response and
+//    its body, so a hung API call cannot stall a caller.
+//  - Timeouts, network errors and 5xx responses are retried up to
+//    `retries` times. The pause doubles from backoffBaseMs up to
+//    backoffMaxMs and is scaled by a random 50–100% (jitter), so several
+//    clients do not retry in lockstep.
+//  - A circuit breaker per base URL: after breakerThreshold requests in a
+//    row failed that way (retries included), calls fail at once for
+//    breakerCooldownMs. After that one trial request is let through. If it
+//    succeeds the breaker closes again, and if it fails it opens again.
+//
+// Failures are OracleHttpError with a `kind` callers can tell apart:
+//
+//   timeout  – no response within timeoutMs
+//   network  – fetch itself failed (DNS, connection refused, ...)
+//   http     – a non-2xx response (`status` says which)
+//   decode   – the body is not the JSON expected
+//   empty    – the API answered, but with no messages
+//   circuit  – not attempted: the base URL's breaker is open
+//
+// `attempts` says how many requests were made (0 for circuit).
+
+/**
+ * Defaults for every setting; config.js ORACLE_HTTP overrides them from
+ * the environment.
+ */
+export const ORACLE_HTTP_DEFAULTS = {
+  timeoutMs: 10_000,
+  retries: 2,
+  backoffBaseMs: 500,
+  backoffMaxMs: 5_000,
+  breakerThreshold: 5,
+  breakerCooldownMs: 30_000,
+};
+
+export class OracleHttpError extends Error {
+  /**
+   * @param {"timeout" | "network" | "http" | "decode" | "empty" | "circuit"} kind
+   * @param {string} message
+   * @param {{ url?: string, status?: number, attempts?: number, cause?: unknown }} [details]
+   */
+  constructor(
+    kind,
+    message,
+    { url = null, status = null, attempts = 0, cause } = {}
+  ) {
+    super(message, cause === undefined ? undefined : { cause });
+    this.name = "OracleHttpError";
+    this.kind = kind;
+    this.url = url;
+    this.status = status;
+    this.attempts = attempts;
+  }
+
+  /** Whether another attempt could succeed (timeout, network, 5xx). */
+  get retryable() {
+    return (
+      this.kind === "timeout" ||
+      this.kind === "network" ||
+      (this.kind === "http" && this.status >= 500)
+    );
+  }
+}
+
+/**
+ * The pause before retry number `retry` (0-based), in ms.
+ */
+export function oracleBackoffDelay(
+  retry,
+  { backoffBaseMs, backoffMaxMs } = ORACLE_HTTP_DEFAULTS,
+  random = Math.random
+) {
+  const ceiling = Math.min(backoffMaxMs, backoffBaseMs * 2 ** retry);
+  return Math.round(ceiling * (0.5 + random() / 2));
+}
+
+// --- Circuit breakers, one per base URL ------------------------------------
+
+const breakers = new Map();
+
+function breakerFor(baseUrl) {
+  let b = breakers.get(baseUrl);
+  if (!b) {
+    b = { failures: 0, openedAt: null, trialInFlight: false };
+    breakers.set(baseUrl, b);
+  }
+  return b;
+}
+
+/**
+ * The breaker state for `baseUrl`: "closed", "open" or "half-open" (the
+ * cooldown is over and the next request is the trial).
+ */
+export function oracleCircuitState(
+  baseUrl,
+  { breakerCooldownMs = ORACLE_HTTP_DEFAULTS.breakerCooldownMs, now = Date.now() } = {}
+) {
+  const b = breakers.get(baseUrl);
+  if (!b || b.openedAt === null) return "closed";
+  return now - b.openedAt >= breakerCooldownMs ? "half-open" : "open";
+}
+
+/**
+ * Close every breaker (tests, or after fixing the network).
+ */
+export function resetOracleCircuitBreakers() {
+  breakers.clear();
+}
+
+// --- Requests ---------------------------------------------------------------
+
+const sleepMs = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// One request, bounded by timeoutMs.
+async function attempt(f, url, timeoutMs) {
+  const controller = new AbortController();
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      controller.abort();
+      reject(
+        new OracleHttpError(
+          "timeout",
+          `Oracle API timed out after ${timeoutMs} ms: GET ${url}`,
+          { url }
+        )
+      );
+    }, timeoutMs);
+  });
+
+  const request = (async () => {
+    let res;
+    try {
+      res = await f(url, { signal: controller.signal });
+    } catch (err) {
+      throw new OracleHttpError(
+        "network",
+        `Oracle API request failed: GET ${url}: ${err?.message ?? err}`,
+        { url, cause: err }
+      );
+    }
+
+    if (!res.ok) {
+      const text =
+        typeof res.text === "function" ? await res.text().catch(() => "") : "";
+      throw new OracleHttpError(
+        "http",
+        `Oracle HTTP error ${res.status} ${res.statusText ?? ""}: ${text}`.trim(),
+        { url, status: res.status }
+      );
+    }
+
+    try {
+      return await res.json();
+    } catch (err) {
+      throw new OracleHttpError(
+        "decode",
+        `Oracle API returned invalid JSON: GET ${url}: ${err?.message ?? err}`,
+        { url, cause: err }
+      );
+    }
+  })();
+  // Once the timeout has won, the abandoned request may still reject.
+  request.catch(() => {});
+
+  try {
+    return await Promise.race([request, timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * GET `${baseUrl}${pathWithQuery}` as JSON, with the timeout, retries and
+ * circuit breaker described in the header.
+ *
+ * @param {string} pathWithQuery e.g. `/api/v1/oracles`
+ * @param {object} opts
+ * @param {string} opts.baseUrl
+ * @param {typeof fetch} [opts.fetchImpl] - Default: the global fetch
+ * @param {number} [opts.timeoutMs]
+ * @param {number} [opts.retries]
+ * @param {number} [opts.backoffBaseMs]
+ * @param {number} [opts.backoffMaxMs]
+ * @param {number} [opts.breakerThreshold]
+ * @param {number} [opts.breakerCooldownMs]
+ * @param {(ms: number) => Promise<void>} [opts.sleep] - Backoff pause (tests)
+ * @param {() => number} [opts.random] - Jitter source (tests)
+ * @param {() => number} [opts.now] - Clock in ms (tests)
+ * @returns {Promise<any>}
+ */
+export async function oracleGetJson(pathWithQuery, opts = {}) {
+  const {
+    baseUrl,
+    fetchImpl,
+    sleep = sleepMs,
+    random = Math.random,
+    now = Date.now,
+  } = opts;
+  const settings = { ...ORACLE_HTTP_DEFAULTS };
+  for (const key of Object.keys(settings)) {
+    if (opts[key] !== undefined) settings[key] = opts[key];
+  }
+
+  const f = fetchImpl ?? globalThis.fetch;
+  if (typeof f !== "function") {
+    throw new Error(
+      "No global fetch available. Use Node 18+ or pass fetchImpl explicitly."
+    );
+  }
+
+  const url = `${baseUrl}${pathWithQuery}`;
+  const breaker = breakerFor(baseUrl);
+
+  const state = oracleCircuitState(baseUrl, { ...settings, now: now() });
+  if (state === "open" || (state === "half-open" && breaker.trialInFlight)) {
+    throw new OracleHttpError(
+      "circuit",
+      [
+        `Oracle API circuit open for ${baseUrl}:` +
+          ` ${breaker.failures} request(s) in a row failed.`,
+        `  Not retrying until ${new Date(
+          breaker.openedAt + settings.breakerCooldownMs
+        ).toISOString()}.`,
+      ].join("\n"),
+      { url }
+    );
+  }
+  const trial = state === "half-open";
+  if (trial) breaker.trialInFlight = true;
+
+  try {
+    for (let retry = 0; ; retry++) {
+      try {
+        const json = await attempt(f, url, settings.timeoutMs);
+        breaker.failures = 0;
+        breaker.openedAt = null;
+        return json;
+      } catch (err) {
+        err.attempts = retry + 1;
+        if (!err.retryable) {
+          // The API answered; it is up, even if this answer was wrong.
+          breaker.failures = 0;
+          breaker.openedAt = null;
+          throw err;
+        }
+        if (retry >= settings.retries || trial) {
+          breaker.failures += 1;
+          if (trial || breaker.failures >= settings.breakerThreshold) {
+            breaker.openedAt = now();
+          }
+          throw err;
+        }
+        await sleep(oracleBackoffDelay(retry, settings, random));
+      }
+    }
+  } finally {
+    if (trial) breaker.trialInFlight = false;
+  }
+}
@@ -0,0 +1,112 @@
+// oracles/oracleMetadata.js
+//
+// What an oracle's prices mean, from its metadata messages.
+//
+// Next to its prices every oracle publishes signed metadata messages
+// (negative dataSequence, see priceCodec.js). The ones that matter for
+// reading a price:
+//
+//   ATTESTATION_SCALING           – price = priceRaw / scaling
+//   SOURCE_NUMERATOR_UNIT_CODE    – what the price is in, e.g. "USD"
+//   SOURCE_DENOMINATOR_UNIT_CODE  – what is priced, e.g. "BCH"
+//
+// so priceRaw 40000 with scaling 100, USD per BCH, is 400.00 "BCH/USD"
+// (priced asset / unit). summarizeOracleMetadata() reduces one key's
+// metadata to that; covenantPriceRaw() checks a snapshot against the
+// asset the covenant prices and rescales it to the covenant's scale.
+//
+// An oracle without metadata is read the way it always was: scale 100
+// and an unknown asset (scaleSource "default").
+
+import { DEFAULT_PRICE_SCALE } from "./priceCodec.js";
+
+/**
+ * Scale of the covenant's `oraclePriceRaw` (meanRevert*.cash: BCH/USD * 100).
+ */
+export const COVENANT_PRICE_SCALE = 100;
+
+/**
+ * Summarize decoded metadata messages (decodeMetadataMessage results) from
+ * one oracle key. The newest message (by messageSequence) of each type wins.
+ *
+ * @param {{ name: string, value: string | number, messageSequence: number }[]} entries
+ * @returns {{
+ *   priceScale: number,
+ *   scaleSource: "metadata" | "default",
+ *   assetPair: string | null,     // "<denominator>/<numerator>", e.g. "BCH/USD"
+ *   numeratorUnit: string | null, // unit name, e.g. "US Dollar"
+ *   denominatorUnit: string | null,
+ *   sourceName: string | null,
+ *   operatorName: string | null,
+ *   fields: Record<string, string | number>
+ * }}
+ */
+export function summarizeOracleMetadata(entries = []) {
+  const newest = new Map();
+  for (const e of entries) {
+    const seen = newest.get(e.name);
+    if (!seen || e.messageSequence > seen.messageSequence) newest.set(e.name, e);
+  }
+  const fields = Object.fromEntries(
+    [...newest].map(([name, e]) => [name, e.value])
+  );
+
+  const scaling = fields.ATTESTATION_SCALING;
+  if (scaling !== undefined && !(Number.isSafeInteger(scaling) && scaling > 0)) {
+    throw new Error(
+      `Oracle metadata ATTESTATION_SCALING must be a positive integer, got ${scaling}`
+    );
+  }
+
+  const numerator = fields.SOURCE_NUMERATOR_UNIT_CODE;
+  const denominator = fields.SOURCE_DENOMINATOR_UNIT_CODE;
+
+  return {
+    priceScale: scaling ?? DEFAULT_PRICE_SCALE,
+    scaleSource: scaling === undefined ? "default" : "metadata",
+    assetPair: numerator && denominator ? `${denominator}/${numerator}` : null,
+    numeratorUnit: fields.SOURCE_NUMERATOR_UNIT_NAME ?? null,
+    denominatorUnit: fields.SOURCE_DENOMINATOR_UNIT_NAME ?? null,
+    sourceName: fields.SOURCE_NAME ?? null,
+    operatorName: fields.OPERATOR_NAME ?? null,
+    fields,
+  };
+}
+
+/**
+ * The snapshot's price as the covenant's `oraclePriceRaw`: checked against
+ * `expectedAsset` and rescaled from the oracle's priceScale to
+ * COVENANT_PRICE_SCALE (rounding down).
+ *
+ * A snapshot without an assetPair (no metadata) is taken to be
+ * `expectedAsset`; one that names a different asset is an error.
+ *
+ * @param {{ priceRaw: number, priceScale?: number, assetPair?: string | null, oraclePubKey?: string }} snapshot
+ * @param {{ expectedAsset?: string, priceScale?: number }} [opts]
+ * @returns {bigint}
+ */
+export function covenantPriceRaw(
+  snapshot,
+  { expectedAsset = "BCH/USD", priceScale = COVENANT_PRICE_SCALE } = {}
+) {
+  const { priceRaw, assetPair = null, oraclePubKey = "oracle" } = snapshot;
+  const fromScale = snapshot.priceScale ?? DEFAULT_PRICE_SCALE;
+
+  if (assetPair && assetPair !== expectedAsset) {
+    throw new Error(
+      [
+        `Oracle ${oraclePubKey} prices ${assetPair}, but the covenant expects ${expectedAsset}.`,
+        "  Point ORACLE_PUBLIC_KEYS at an oracle for that asset, or set",
+        "  ORACLE_EXPECTED_ASSET if the contract really prices this one.",
+      ].join("\n")
+    );
+  }
+
+  const raw = (BigInt(priceRaw) * BigInt(priceScale)) / BigInt(fromScale);
+  if (raw <= 0n) {
+    throw new Error(
+      `Oracle price ${priceRaw} / ${fromScale} is 0 at the covenant scale ${priceScale}`
+    );
+  }
+  return raw;
+}
@@ -0,0 +1,120 @@
+// oracles/oracleSignature.js
+//
+// Signature checks for General Protocols oracle messages.
+//
+// An oracle signs every message with its secp256k1 key:
+//
+//   signature = Schnorr( sha256(messageBytes) )     // 64 bytes
+//
+// which is also what OP_CHECKDATASIG verifies on-chain. The REST API only
+// relays messages, so a compromised or spoofed response can carry any
+// price; callers verify each message against the oracle public key they
+// were configured with before using it.
+
+import {
+  secp256k1,
+  sha256,
+  hexToBin,
+  binToHex,
+  isHex,
+} from "@bitauth/libauth";
+
+const SCHNORR_SIGNATURE_BYTES = 64;
+const COMPRESSED_PUBKEY_BYTES = 33;
+
+function hexBytes(name, hex) {
+  const cleaned = typeof hex === "string" && hex.startsWith("0x") ? hex.slice(2) : hex;
+  if (typeof cleaned !== "string" || !isHex(cleaned)) {
+    throw new Error(`${name} must be a hex string`);
+  }
+  return hexToBin(cleaned);
+}
+
+/**
+ * sha256 of the message bytes – the hash the oracle signs.
+ *
+ * @param {string} messageHex
+ * @returns {Uint8Array}
+ */
+export function oracleMessageHash(messageHex) {
+  return sha256.hash(hexBytes("messageHex", messageHex));
+}
+
+/**
+ * Whether `signatureHex` is a valid oracle signature of `messageHex` by
+ * `publicKeyHex`. Malformed input (wrong lengths, not hex) is simply
+ * invalid.
+ *
+ * @param {{ messageHex: string, signatureHex: string, publicKeyHex: string }} params
+ * @returns {boolean}
+ */
+export function verifyOracleSignature({ messageHex, signatureHex, publicKeyHex }) {
+  let message, signature, publicKey;
+  try {
+    message = oracleMessageHash(messageHex);
+    signature = hexBytes("signatureHex", signatureHex);
+    publicKey = hexBytes("publicKeyHex", publicKeyHex);
+  } catch {
+    return false;
+  }
+  if (
+    signature.length !== SCHNORR_SIGNATURE_BYTES ||
+    publicKey.length !== COMPRESSED_PUBKEY_BYTES
+  ) {
+    return false;
+  }
+  return secp256k1.verifySignatureSchnorr(signature, publicKey, message);
+}
+
+/**
+ * Throw unless `record` (an OracleMessageRecord from the API) is signed by
+ * `publicKeyHex`. A record naming a different public key is rejected too.
+ *
+ * @param {{ message: string, signature: string, publicKey?: string }} record
+ * @param {string} publicKeyHex - the configured oracle key
+ */
+export function assertOracleSignature(record, publicKeyHex) {
+  if (
+    record.publicKey != null &&
+    record.publicKey.toLowerCase() !== publicKeyHex.toLowerCase()
+  ) {
+    throw new Error(
+      [
+        `Oracle message ${record.message} is from ${record.publicKey},`,
+        `  but oracle ${publicKeyHex} was requested. Refusing to use it.`,
+      ].join("\n")
+    );
+  }
+  if (
+    !verifyOracleSignature({
+      messageHex: record.message,
+      signatureHex: record.signature,
+      publicKeyHex,
+    })
+  ) {
+    throw new Error(
+      [
+        `Oracle message ${record.message} has an invalid signature for ${publicKeyHex}.`,
+        "  The oracle API response may be spoofed or corrupted; refusing to use it.",
+      ].join("\n")
+    );
+  }
+}
+
+/**
+ * Sign `messageHex` the way an oracle does (tests, local mock oracles).
+ *
+ * @param {string} messageHex
+ * @param {Uint8Array} privateKey - 32-byte secp256k1 private key
+ * @returns {string} 64-byte Schnorr signature, hex
+ */
+export function signOracleMessage(messageHex, privateKey) {
+  const signature = secp256k1.signMessageHashSchnorr(
+    privateKey,
+    oracleMessageHash(messageHex)
+  );
+  if (typeof signature === "string") {
+    throw new Error(`signOracleMessage: ${signature}`);
+  }
+  return binToHex(signature);
+}
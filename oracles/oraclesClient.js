@@ -6,15 +6,21 @@
 
 import {
   decodePriceMessageHex,
+  decodeOracleMessageHex,
   oracleTimestampToDate,
   scalePrice,
 } from "./priceCodec.js";
+import { assertOracleSignature } from "./oracleSignature.js";
+import { summarizeOracleMetadata } from "./oracleMetadata.js";
+import { oracleGetJson, OracleHttpError } from "./oracleHttp.js";
 
 /**
  * Default oracle base URL.
- * You can point this at a local mirror or staging instance if needed.
+ * You can point this at a local mirror or staging instance if needed,
+ * e.g. the mock oracle server, via ORACLE_API_BASE_URL.
  */
-export const DEFAULT_ORACLES_BASE_URL = "https://oracles.generalprotocols.com";
+export const DEFAULT_ORACLES_BASE_URL =
+  process.env.ORACLE_API_BASE_URL || "https://oracles.generalprotocols.com";
 
 /**
  * Default oracle public key.
@@ -29,35 +35,26 @@ export const GP_BCH_USD_ORACLE_PUBKEY =
  * @typedef {Object} OracleHttpClientOptions
  * @property {string} [baseUrl]   Base URL (default: DEFAULT_ORACLES_BASE_URL)
  * @property {typeof fetch} [fetchImpl] Custom fetch implementation (optional)
+ * @property {number} [timeoutMs]  Per-attempt timeout (see oracleHttp.js)
+ * @property {number} [retries]    Retries for timeouts / network errors / 5xx
+ * @property {number} [backoffBaseMs]
+ * @property {number} [backoffMaxMs]
+ * @property {number} [breakerThreshold]
+ * @property {number} [breakerCooldownMs]
  */
 
 /**
- * Internal helper: GET JSON from the oracle service.
+ * Internal helper: GET JSON from the oracle service, through the shared
+ * timeout / retry / circuit-breaker layer (oracleHttp.js).
  *
  * @param {string} pathWithQuery e.g. `/api/v1/oracles`
  * @param {OracleHttpClientOptions} opts
  */
 async function httpGetJson(pathWithQuery, opts = {}) {
-  const { baseUrl = DEFAULT_ORACLES_BASE_URL, fetchImpl } = opts;
-  const f = fetchImpl ?? globalThis.fetch;
-
-  if (typeof f !== "function") {
-    throw new Error(
-      "No global fetch available. Use Node 18+ or pass fetchImpl explicitly."
-    );
-  }
-
-  const url = `${baseUrl}${pathWithQuery}`;
-  const res = await f(url);
-
-  if (!res.ok) {
-    const text = await res.text().catch(() => "");
-    throw new Error(
-      `Oracle HTTP error ${res.status} ${res.statusText}: ${text}`.trim()
-    );
-  }
-
-  return res.json();
+  return oracleGetJson(pathWithQuery, {
+    ...opts,
+    baseUrl: opts.baseUrl ?? DEFAULT_ORACLES_BASE_URL,
+  });
 }
 
 /**
@@ -91,6 +88,8 @@ export async function listOracles(opts = {}) {
  * @param {number} [params.maxMessageTimestamp]
  * @param {number} [params.minMessageSequence]
  * @param {number} [params.maxMessageSequence]
+ * @param {number} [params.minDataSequence]
+ * @param {number} [params.maxDataSequence]  e.g. -1 for metadata messages only
  * @param {OracleHttpClientOptions} [params.http]
  * @returns {Promise<OracleMessageRecord[]>}
  */
@@ -102,6 +101,8 @@ export async function fetchOracleMessages(params) {
     maxMessageTimestamp,
     minMessageSequence,
     maxMessageSequence,
+    minDataSequence,
+    maxDataSequence,
     http = {},
   } = params;
 
@@ -120,6 +121,10 @@ export async function fetchOracleMessages(params) {
     qs.set("minMessageSequence", String(minMessageSequence));
   if (maxMessageSequence !== undefined)
     qs.set("maxMessageSequence", String(maxMessageSequence));
+  if (minDataSequence !== undefined)
+    qs.set("minDataSequence", String(minDataSequence));
+  if (maxDataSequence !== undefined)
+    qs.set("maxDataSequence", String(maxDataSequence));
 
   const data = await httpGetJson(
     `/api/v1/oracleMessages?${qs.toString()}`,
@@ -128,14 +133,18 @@ export async function fetchOracleMessages(params) {
 
   const messages = data.oracleMessages ?? data;
   if (!Array.isArray(messages)) {
-    throw new Error("Unexpected oracleMessages response shape");
+    throw new OracleHttpError(
+      "decode",
+      "Unexpected oracleMessages response shape"
+    );
   }
 
   return /** @type {OracleMessageRecord[]} */ (messages);
 }
 
 /**
- * Fetch the latest raw oracle message for a given oracle.
+ * Fetch the latest raw oracle message for a given oracle, after checking
+ * its signature against `publicKey` (throws if it does not verify).
  *
  * @param {Object} params
  * @param {string} [params.publicKey] Oracle public key (default: GP_BCH_USD_ORACLE_PUBKEY)
@@ -152,12 +161,100 @@ export async function fetchLatestRawPriceMessage(params = {}) {
   });
 
   if (!messages.length) {
-    throw new Error("No oracle messages returned");
+    throw new OracleHttpError(
+      "empty",
+      `No oracle messages returned for ${publicKey}`
+    );
   }
 
+  assertOracleSignature(messages[0], publicKey);
   return messages[0];
 }
 
+/**
+ * How many metadata messages to request per oracle; enough for every type
+ * to have been republished a few times.
+ */
+const METADATA_COUNT = 100;
+
+/**
+ * How long resolveOracleMetadata() reuses a key's metadata.
+ */
+export const METADATA_CACHE_TTL_MS = 60 * 60 * 1000;
+
+const metadataCache = new Map();
+
+/**
+ * Fetch and summarize an oracle's metadata messages (see oracleMetadata.js).
+ *
+ * Wraps: GET /api/v1/oracleMessages?publicKey=...&maxDataSequence=-1
+ *
+ * Every metadata message is signature-checked; a bad one is an error.
+ * Non-metadata messages in the response are ignored, and an oracle with no
+ * metadata at all summarizes to the default scale.
+ *
+ * @param {Object} params
+ * @param {string} params.publicKey Oracle public key (hex, compressed)
+ * @param {OracleHttpClientOptions} [params.http]
+ * @returns {Promise<ReturnType<typeof summarizeOracleMetadata>>}
+ */
+export async function fetchOracleMetadata(params) {
+  const { publicKey, http = {} } = params ?? {};
+
+  const messages = await fetchOracleMessages({
+    publicKey,
+    count: METADATA_COUNT,
+    maxDataSequence: -1,
+    http,
+  });
+
+  const entries = [];
+  for (const m of messages) {
+    let decoded;
+    try {
+      decoded = decodeOracleMessageHex(m.message);
+    } catch {
+      continue;
+    }
+    if (decoded.kind !== "metadata") continue;
+    assertOracleSignature(m, publicKey);
+    entries.push(decoded);
+  }
+
+  return summarizeOracleMetadata(entries);
+}
+
+/**
+ * fetchOracleMetadata(), cached per base URL and key for
+ * METADATA_CACHE_TTL_MS. Failed fetches are not cached.
+ *
+ * @param {Object} params
+ * @param {string} params.publicKey
+ * @param {OracleHttpClientOptions} [params.http]
+ * @param {number} [params.now] Local clock in ms (tests)
+ */
+export async function resolveOracleMetadata(params) {
+  const { publicKey, http = {}, now = Date.now() } = params ?? {};
+  const key = `${http.baseUrl ?? DEFAULT_ORACLES_BASE_URL} ${publicKey}`;
+
+  const cached = metadataCache.get(key);
+  if (cached && now - cached.at < METADATA_CACHE_TTL_MS) return cached.metadata;
+
+  const metadata = fetchOracleMetadata({ publicKey, http });
+  metadataCache.set(key, { at: now, metadata });
+  metadata.catch(() => {
+    if (metadataCache.get(key)?.metadata === metadata) metadataCache.delete(key);
+  });
+  return metadata;
+}
+
+/**
+ * Forget every cached resolveOracleMetadata() result.
+ */
+export function clearOracleMetadataCache() {
+  metadataCache.clear();
+}
+
 /**
  * @typedef {Object} DecodedOraclePrice
  * @property {string} oraclePublicKey
@@ -169,6 +266,8 @@ export async function fetchLatestRawPriceMessage(params = {}) {
  * @property {number} dataSequence
  * @property {number} priceValue     Raw integer price (e.g. 47622 ≈ 476.22 USD/BCH with scaling=100)
  * @property {number} scaling        Scaling factor
+ * @property {"argument" | "metadata" | "default"} scaleSource Where `scaling` came from
+ * @property {string | null} assetPair e.g. "BCH/USD", from the oracle's metadata
  * @property {number} price          Scaled price (e.g. USD per BCH)
  */
 
@@ -177,28 +276,24 @@ export async function fetchLatestRawPriceMessage(params = {}) {
  *
  * This:
  *   1. Calls GET /api/v1/oracleMessages?publicKey=...&count=1
- *   2. Decodes the binary `message` using priceCodec
- *   3. Applies a simple scaling factor (default 100)
- *
- * Later we can:
- *   - Parse metadata messages to derive scaling automatically.
- *   - Verify signatures using @bitauth/libauth and the oracle public key.
+ *   2. Verifies the signature against the oracle public key
+ *   3. Decodes the binary `message` using priceCodec
+ *   4. Applies the oracle's scaling, from its metadata messages
+ *      (resolveOracleMetadata; 100 if it publishes none)
  *
  * @param {Object} params
  * @param {string} [params.publicKey] Oracle public key (default: GP_BCH_USD_ORACLE_PUBKEY)
- * @param {number} [params.scaling]   Price scaling factor (default: 100)
+ * @param {number} [params.scaling]   Price scaling factor (default: from metadata)
  * @param {OracleHttpClientOptions} [params.http]
  * @returns {Promise<DecodedOraclePrice>}
  */
 export async function fetchLatestDecodedPrice(params = {}) {
-  const {
-    publicKey = GP_BCH_USD_ORACLE_PUBKEY,
-    scaling = 100,
-    http = {},
-  } = params;
+  const { publicKey = GP_BCH_USD_ORACLE_PUBKEY, http = {} } = params;
 
   const raw = await fetchLatestRawPriceMessage({ publicKey, http });
-  const decoded = decodePriceMessageHex(raw.message);
+  const metadata = await resolveOracleMetadata({ publicKey, http });
+  const scaling = params.scaling ?? metadata.priceScale;
+  const decoded = decodePriceMessageHex(raw.message, { priceScale: scaling });
 
   // decoded.priceValue is the raw integer (e.g. 47622)
   const price = scalePrice(decoded.priceValue, scaling);
@@ -213,6 +308,8 @@ export async function fetchLatestDecodedPrice(params = {}) {
     dataSequence: decoded.dataSequence,
     priceValue: decoded.priceValue,
     scaling,
+    scaleSource: params.scaling === undefined ? metadata.scaleSource : "argument",
+    assetPair: metadata.assetPair,
     price,
   };
 }
@@ -8,9 +8,24 @@
 //   ------  ----    -----------------------------
 //   0       4       timestamp (unix seconds, uint32 LE)
 //   4       4       messageSequence (uint32 LE)
-//   8       4       dataSequence (uint32 LE)
+//   8       4       dataSequence (int32 LE, > 0)
 //   12      4       priceRaw (uint32 LE)
 //
+// Oracles also publish metadata messages, told apart by a negative
+// dataSequence, which is the metadata type:
+//
+//   offset  size    field
+//   ------  ----    -----------------------------
+//   0       4       timestamp (unix seconds, uint32 LE)
+//   4       4       messageSequence (uint32 LE)
+//   8       4       metadataType (int32 LE, < 0, see METADATA_TYPES)
+//   12      n       value (UTF-8; numeric types hold a decimal string)
+//
+// ATTESTATION_SCALING is the price scale, and the SOURCE_*_UNIT_CODE
+// types name the asset (price = numerator units per denominator unit,
+// e.g. USD per BCH). oracles/oracleMetadata.js turns them into a per-key
+// summary.
+//
 // The oracle’s on-chain convention today is typically:
 //   priceRaw = price * SCALE  (e.g. SCALE = 100 for 2 decimal places)
 //
@@ -25,14 +40,73 @@
 import { Buffer } from "node:buffer";
 
 const MESSAGE_LENGTH_BYTES = 16;
+const HEADER_LENGTH_BYTES = 12;
 
 // Default price scale commonly used: priceRaw = price * DEFAULT_PRICE_SCALE
 export const DEFAULT_PRICE_SCALE = 100;
 
+// Metadata types (negative dataSequence) → field name. Types not listed
+// here still decode, with name "UNKNOWN".
+export const METADATA_TYPES = {
+  [-1]: "OPERATOR_NAME",
+  [-2]: "OPERATOR_WEBSITE",
+  [-3]: "RELAY_SERVER",
+  [-4]: "STARTING_TIMESTAMP",
+  [-5]: "ENDING_TIMESTAMP",
+  [-6]: "ATTESTATION_SCALING",
+  [-7]: "ATTESTATION_PERIOD",
+  [-51]: "SOURCE_NAME",
+  [-52]: "SOURCE_WEBSITE",
+  [-53]: "SOURCE_NUMERATOR_UNIT_NAME",
+  [-54]: "SOURCE_NUMERATOR_UNIT_CODE",
+  [-55]: "SOURCE_DENOMINATOR_UNIT_NAME",
+  [-56]: "SOURCE_DENOMINATOR_UNIT_CODE",
+};
+
+const NUMERIC_METADATA = new Set([
+  "STARTING_TIMESTAMP",
+  "ENDING_TIMESTAMP",
+  "ATTESTATION_SCALING",
+  "ATTESTATION_PERIOD",
+]);
+
+function toBuffer(messageBytes, fn) {
+  if (!messageBytes) {
+    throw new Error(`${fn}: messageBytes is required`);
+  }
+  // Normalize to Buffer so we can use Node APIs easily.
+  return messageBytes instanceof Buffer ? messageBytes : Buffer.from(messageBytes);
+}
+
+function hexToBuffer(messageHex, fn) {
+  if (typeof messageHex !== "string") {
+    throw new Error(`${fn}: messageHex must be a string`);
+  }
+  const cleaned = messageHex.startsWith("0x") ? messageHex.slice(2) : messageHex;
+  return Buffer.from(cleaned, "hex");
+}
+
+/**
+ * Whether the message bytes are a metadata message (negative
+ * dataSequence) rather than a price message.
+ *
+ * @param {Uint8Array | Buffer} messageBytes
+ * @returns {boolean}
+ */
+export function isMetadataMessage(messageBytes) {
+  const buf = toBuffer(messageBytes, "isMetadataMessage");
+  return buf.length >= HEADER_LENGTH_BYTES && buf.readInt32LE(8) < 0;
+}
+
 /**
  * Decode a 16-byte oracle message payload (Uint8Array or Buffer).
  *
+ * `priceScale` is not on the wire; pass the oracle's ATTESTATION_SCALING
+ * if known (default DEFAULT_PRICE_SCALE). Metadata messages are rejected:
+ * use decodeMetadataMessage / decodeOracleMessageHex for those.
+ *
  * @param {Uint8Array | Buffer} messageBytes
+ * @param {{ priceScale?: number }} [opts]
  * @returns {{
  *   timestamp: number,
  *   messageTimestamp: number,
@@ -43,15 +117,17 @@ export const DEFAULT_PRICE_SCALE = 100;
  *   priceValue: number
  * }}
  */
-export function decodePriceMessage(messageBytes) {
-  if (!messageBytes) {
-    throw new Error("decodePriceMessage: messageBytes is required");
-  }
-
-  // Normalize to Buffer so we can use Node APIs easily.
-  const buf =
-    messageBytes instanceof Buffer ? messageBytes : Buffer.from(messageBytes);
+export function decodePriceMessage(
+  messageBytes,
+  { priceScale = DEFAULT_PRICE_SCALE } = {}
+) {
+  const buf = toBuffer(messageBytes, "decodePriceMessage");
 
+  if (isMetadataMessage(buf)) {
+    throw new Error(
+      `decodePriceMessage: metadata message (type ${buf.readInt32LE(8)}), not a price`
+    );
+  }
   if (buf.length !== MESSAGE_LENGTH_BYTES) {
     throw new Error(
       `decodePriceMessage: expected ${MESSAGE_LENGTH_BYTES} bytes, got ${buf.length}`
@@ -61,11 +137,9 @@ export function decodePriceMessage(messageBytes) {
   // Little-endian uint32s for all four fields.
   const timestamp = buf.readUInt32LE(0);
   const messageSequence = buf.readUInt32LE(4);
-  const dataSequence = buf.readUInt32LE(8);
+  const dataSequence = buf.readInt32LE(8);
   const priceRaw = buf.readUInt32LE(12);
 
-  const priceScale = DEFAULT_PRICE_SCALE;
-
   return {
     // Base fields
     timestamp,
@@ -85,19 +159,70 @@ export function decodePriceMessage(messageBytes) {
  * Decode a hex string oracle message (16 bytes -> 32 hex chars).
  *
  * @param {string} messageHex
+ * @param {{ priceScale?: number }} [opts]
  * @returns {ReturnType<typeof decodePriceMessage>}
  */
-export function decodePriceMessageHex(messageHex) {
-  if (typeof messageHex !== "string") {
-    throw new Error("decodePriceMessageHex: messageHex must be a string");
+export function decodePriceMessageHex(messageHex, opts) {
+  return decodePriceMessage(hexToBuffer(messageHex, "decodePriceMessageHex"), opts);
+}
+
+/**
+ * Decode a metadata message (negative dataSequence).
+ *
+ * @param {Uint8Array | Buffer} messageBytes
+ * @returns {{
+ *   timestamp: number,
+ *   messageSequence: number,
+ *   metadataType: number,   // negative
+ *   name: string,           // METADATA_TYPES entry or "UNKNOWN"
+ *   value: string | number, // number for the numeric types
+ *   valueHex: string        // raw value bytes
+ * }}
+ */
+export function decodeMetadataMessage(messageBytes) {
+  const buf = toBuffer(messageBytes, "decodeMetadataMessage");
+
+  if (!isMetadataMessage(buf)) {
+    throw new Error("decodeMetadataMessage: not a metadata message");
   }
 
-  const cleaned = messageHex.startsWith("0x")
-    ? messageHex.slice(2)
-    : messageHex;
+  const metadataType = buf.readInt32LE(8);
+  const name = METADATA_TYPES[metadataType] ?? "UNKNOWN";
+  const raw = buf.subarray(HEADER_LENGTH_BYTES);
+  const text = raw.toString("utf8");
+
+  let value = text;
+  if (NUMERIC_METADATA.has(name)) {
+    value = Number(text);
+    if (!Number.isSafeInteger(value)) {
+      throw new Error(
+        `decodeMetadataMessage: ${name} must be an integer, got "${text}"`
+      );
+    }
+  }
 
-  const buf = Buffer.from(cleaned, "hex");
-  return decodePriceMessage(buf);
+  return {
+    timestamp: buf.readUInt32LE(0),
+    messageSequence: buf.readUInt32LE(4),
+    metadataType,
+    name,
+    value,
+    valueHex: raw.toString("hex"),
+  };
+}
+
+/**
+ * Decode any oracle message: { kind: "price", ...decodePriceMessage } or
+ * { kind: "metadata", ...decodeMetadataMessage }.
+ *
+ * @param {string} messageHex
+ * @param {{ priceScale?: number }} [opts] - for price messages
+ */
+export function decodeOracleMessageHex(messageHex, opts) {
+  const buf = hexToBuffer(messageHex, "decodeOracleMessageHex");
+  return isMetadataMessage(buf)
+    ? { kind: "metadata", ...decodeMetadataMessage(buf) }
+    : { kind: "price", ...decodePriceMessage(buf, opts) };
 }
 
 /**
@@ -179,6 +304,35 @@ export function encodePriceMessageHex(params) {
   return Buffer.from(bytes).toString("hex");
 }
 
+/**
+ * Encode a metadata message into a hex string (tests, mock oracles).
+ *
+ * @param {{
+ *   timestamp: number,
+ *   messageSequence: number,
+ *   metadataType: number,    // negative, see METADATA_TYPES
+ *   value: string | number
+ * }} params
+ * @returns {string}
+ */
+export function encodeMetadataMessageHex(params) {
+  const { timestamp, messageSequence, metadataType, value } = params ?? {};
+
+  if (!Number.isInteger(metadataType) || metadataType >= 0) {
+    throw new Error(
+      "encodeMetadataMessageHex: metadataType must be a negative integer"
+    );
+  }
+
+  const header = Buffer.allocUnsafe(HEADER_LENGTH_BYTES);
+  header.writeUInt32LE(timestamp >>> 0, 0);
+  header.writeUInt32LE(messageSequence >>> 0, 4);
+  header.writeInt32LE(metadataType, 8);
+  return Buffer.concat([header, Buffer.from(String(value), "utf8")]).toString(
+    "hex"
+  );
+}
+
 /**
  * Convenience helper: scale a raw integer price using a scaling factor.
  *
@@ -0,0 +1,283 @@
+// portfolioUtxos.js
+// A contract portfolio spread across several contract UTXOs.
+//
+// The covenant sums oldBch / newBch over every input and output with its
+// locking bytecode, so any number of contract UTXOs can be spent together.
+// Tokens are read differently (V3–V8):
+//
+//   oldTokens – tokenAmount of the input being evaluated. Every contract
+//               input runs the script, so each one checks
+//               D_after <= | bchUsd(all inputs) - its own tokens |.
+//   newTokens – tokenAmount of the FIRST contract output carrying tokens.
+//
+// So a multi-UTXO rebalance puts all FT on the first contract output
+// (otherwise the covenant would not see them), and must pass the check
+// for every spent input, not just for the aggregate.
+//
+// V9 sums tokens over every contract input and output like BCH
+// (`aggregateTokens`): every input checks the portfolio-wide D, and the
+// FT may be spread over the contract outputs (`spreadTokens`).
+//
+// Only pure FT UTXOs of the portfolio category (or BCH-only UTXOs) belong
+// to the portfolio; UTXOs carrying any other token are reported and left
+// alone, since spending them would need somewhere to send that token.
+
+import {
+  bchValueUsd,
+  imbalance,
+  imbalanceWeights,
+} from "./meanRevertMath.js";
+
+function utxoValueBigInt(u) {
+  const v = u.satoshis ?? u.value;
+  return v === undefined ? 0n : BigInt(v);
+}
+
+/**
+ * "txid:vout" – how UTXOs are named on the command line and in reports.
+ */
+export function outpointOf(u) {
+  return `${u.txid}:${u.vout}`;
+}
+
+/**
+ * Per-UTXO and aggregate view of the contract's UTXOs.
+ *
+ * Returns:
+ *   {
+ *     entries: [{
+ *       outpoint, utxo,
+ *       bchSats,        // BigInt
+ *       tokens,         // BigInt – portfolio FT on this UTXO
+ *       foreignToken,   // category hex of any other token, or null
+ *     }],
+ *     portfolio,        // entries without a foreign token
+ *     ignored,          // entries with one
+ *     bchSats,          // BigInt – sum over portfolio
+ *     tokens            // BigInt – sum over portfolio
+ *   }
+ */
+export function summarizePortfolio(utxos, ftCategory) {
+  const entries = utxos.map((u) => {
+    const isPortfolioFt = u.token?.category === ftCategory && !u.token.nft;
+    return {
+      outpoint: outpointOf(u),
+      utxo: u,
+      bchSats: utxoValueBigInt(u),
+      tokens: isPortfolioFt ? BigInt(u.token.amount ?? 0n) : 0n,
+      foreignToken: u.token && !isPortfolioFt ? u.token.category : null,
+    };
+  });
+
+  const portfolio = entries.filter((e) => e.foreignToken === null);
+  return {
+    entries,
+    portfolio,
+    ignored: entries.filter((e) => e.foreignToken !== null),
+    bchSats: portfolio.reduce((s, e) => s + e.bchSats, 0n),
+    tokens: portfolio.reduce((s, e) => s + e.tokens, 0n),
+  };
+}
+
+/**
+ * Pick the portfolio entries to spend: all of them, or the given
+ * "txid:vout" outpoints. Throws on unknown outpoints and on UTXOs that
+ * carry a foreign token.
+ */
+export function selectPortfolioEntries(summary, outpoints = null) {
+  if (outpoints == null) return summary.portfolio;
+
+  return outpoints.map((op) => {
+    const entry = summary.entries.find((e) => e.outpoint === op);
+    if (!entry) {
+      throw new Error(`Contract UTXO ${op} not found on the contract.`);
+    }
+    if (entry.foreignToken !== null) {
+      throw new Error(
+        `Contract UTXO ${op} carries a foreign token (${entry.foreignToken}) and cannot be rebalanced.`
+      );
+    }
+    return entry;
+  });
+}
+
+/**
+ * Contract outputs for a rebalance spending `selected` entries.
+ *
+ *   merge      – one output with newBch + newTokens
+ *   otherwise  – one output per spent UTXO: the first absorbs the BCH
+ *                change, the others keep their BCH. The first gets all
+ *                FT, or with spreadTokens (covenants that sum tokens, V9)
+ *                the FT is split evenly over the outputs. Falls back to
+ *                merging when the first would drop below dust.
+ *
+ * Returns { outputs: [{ bchSats, tokens }], merged }.
+ */
+export function planContractOutputs(
+  selected,
+  newBch,
+  newTokens,
+  { merge, dust, spreadTokens = false }
+) {
+  const single = [{ bchSats: newBch, tokens: newTokens }];
+  if (merge || selected.length <= 1) {
+    return { outputs: single, merged: selected.length > 1 };
+  }
+
+  const tokens = spreadTokens
+    ? splitEvenly(newTokens, selected.length)
+    : selected.map((_, i) => (i === 0 ? newTokens : 0n));
+  const rest = selected
+    .slice(1)
+    .map((e, i) => ({ bchSats: e.bchSats, tokens: tokens[i + 1] }));
+  const firstBch = newBch - rest.reduce((s, o) => s + o.bchSats, 0n);
+  if (firstBch < dust) return { outputs: single, merged: true };
+  return {
+    outputs: [{ bchSats: firstBch, tokens: tokens[0] }, ...rest],
+    merged: false,
+  };
+}
+
+/**
+ * The covenant's own view of a multi-UTXO rebalance: D_after from the
+ * summed output BCH and the first token-bearing output, D_before once per
+ * spent input with that input's tokens. With aggregateTokens (V9) both
+ * sides use the summed tokens, so every input sees the portfolio's D.
+ * stateSats is the BCH on the oracle state UTXO (V6+), which the covenant
+ * counts on both sides with the portfolio's.
+ *
+ * Returns {
+ *   D_after,
+ *   inputs: [{ outpoint, tokens, D_before, ok }],
+ *   failing // inputs whose check D_after <= D_before would fail
+ * }
+ */
+export function covenantInputChecks({
+  selected,
+  outputs,
+  oraclePriceRaw,
+  targetBchWeightBps,
+  aggregateTokens = false,
+  stateSats = 0n,
+}) {
+  const bchIn = selected.reduce((s, e) => s + e.bchSats, stateSats);
+  const bchOut = outputs.reduce((s, o) => s + o.bchSats, stateSats);
+  const tokensIn = selected.reduce((s, e) => s + e.tokens, 0n);
+  const tokensOut = aggregateTokens
+    ? outputs.reduce((s, o) => s + o.tokens, 0n)
+    : outputs.find((o) => o.tokens > 0n)?.tokens ?? 0n;
+
+  const D_after = imbalance(
+    bchOut,
+    tokensOut,
+    oraclePriceRaw,
+    targetBchWeightBps
+  );
+  const inputs = selected.map((e) => {
+    const tokens = aggregateTokens ? tokensIn : e.tokens;
+    const D_before = imbalance(
+      bchIn,
+      tokens,
+      oraclePriceRaw,
+      targetBchWeightBps
+    );
+    return {
+      outpoint: e.outpoint,
+      tokens,
+      D_before,
+      ok: D_after <= D_before,
+    };
+  });
+
+  return { D_after, inputs, failing: inputs.filter((i) => !i.ok) };
+}
+
+/**
+ * Value of each portfolio entry and of the whole portfolio at a price, for
+ * reports: { entries: [{ outpoint, bchSats, tokens, bchUsd }], bchUsd,
+ * tokens, D, deviationUsd }.
+ */
+export function valuePortfolio(summary, oraclePriceRaw, targetBchWeightBps) {
+  const { bchWeight, ftWeight } = imbalanceWeights(targetBchWeightBps);
+  const D = imbalance(
+    summary.bchSats,
+    summary.tokens,
+    oraclePriceRaw,
+    targetBchWeightBps
+  );
+  return {
+    entries: summary.portfolio.map((e) => ({
+      outpoint: e.outpoint,
+      bchSats: e.bchSats,
+      tokens: e.tokens,
+      bchUsd: bchValueUsd(e.bchSats, oraclePriceRaw),
+    })),
+    bchUsd: bchValueUsd(summary.bchSats, oraclePriceRaw),
+    tokens: summary.tokens,
+    D,
+    deviationUsd: Number(D) / Number(bchWeight + ftWeight),
+  };
+}
+
+/**
+ * Contract-UTXO options from the command line / environment:
+ *
+ *   --utxos <txid:vout,...>  (or REBALANCE_UTXOS) – spend only these
+ *   --merge                  (or REBALANCE_MERGE=1) – one contract output
+ *
+ * Returns { outpoints: string[] | null, merge: boolean }.
+ */
+export function portfolioOptionsFromArgv(
+  argv = process.argv,
+  env = process.env
+) {
+  let list = env.REBALANCE_UTXOS || null;
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--utxos") list = argv[i + 1] ?? null;
+    else if (argv[i].startsWith("--utxos=")) {
+      list = argv[i].slice("--utxos=".length);
+    }
+  }
+
+  const mergeEnv = (env.REBALANCE_MERGE ?? "").toLowerCase();
+  return {
+    outpoints: list
+      ? list
+          .split(",")
+          .map((s) => s.trim())
+          .filter(Boolean)
+      : null,
+    merge: argv.includes("--merge") || mergeEnv === "1" || mergeEnv === "true",
+  };
+}
+
+/**
+ * Split `total` into `n` near-equal BigInt parts (the first parts take the
+ * remainder), e.g. splitEvenly(10n, 3) → [4n, 3n, 3n].
+ */
+export function splitEvenly(total, n) {
+  if (!Number.isInteger(n) || n < 1) {
+    throw new Error(`Split count must be a positive integer, got ${n}`);
+  }
+  const count = BigInt(n);
+  const base = total / count;
+  const extra = total % count;
+  return Array.from({ length: n }, (_, i) =>
+    BigInt(i) < extra ? base + 1n : base
+  );
+}
+
+/**
+ * `--split <n>` / `--split=<n>` (or FUND_SPLIT): how many contract UTXOs
+ * the fund script spreads the portfolio across. Defaults to 1.
+ */
+export function splitCountFromArgv(argv = process.argv, env = process.env) {
+  let value = env.FUND_SPLIT || null;
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--split") value = argv[i + 1] ?? null;
+    else if (argv[i].startsWith("--split=")) {
+      value = argv[i].slice("--split=".length);
+    }
+  }
+  return value == null ? 1 : Number(value);
+}
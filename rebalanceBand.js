@@ -0,0 +1,318 @@
+// rebalanceBand.js
+// Tolerance bands (deadband) for the mean-revert rebalancer.
+//
+// The covenant accepts any move with D_after <= D_before, and its integer
+// math truncates, so without a band every dust-sized drift would trigger a
+// fee-paying rebalance. A band has two edges:
+//
+//   outer – skip while the portfolio is at most this far from target
+//   inner – once outside, move far enough to land at most this far away
+//
+// "How far" is the BCH leg's USD distance from its target share:
+//
+//   deviationUsd = D / (bchWeight + ftWeight)
+//     V3: |bchUsd - tokens| / 2
+//     V4: |bchUsd * W_ft - tokens * W_bch| / 10_000
+//
+// Band edges are given either in whole USD ("usd") or in basis points of
+// the total portfolio value ("pct"). "off" keeps the old behaviour: any
+// D > 0 rebalances, using the halving choosers from meanRevertMath.js.
+//
+// All comparisons are done in covenant D units so there is no rounding.
+
+import {
+  bchValueUsd,
+  imbalance,
+  imbalanceWeights,
+  signedImbalance,
+  usdToBchSats,
+  WEIGHT_SCALE,
+} from "./meanRevertMath.js";
+
+export const BAND_MODES = ["off", "usd", "pct"];
+
+/**
+ * Throw on an unknown mode, negative edges or inner > outer.
+ */
+export function validateBand(band) {
+  const { mode, outer, inner } = band;
+  if (!BAND_MODES.includes(mode)) {
+    throw new Error(
+      `Unknown tolerance band mode "${mode}". Expected one of: ${BAND_MODES.join(
+        ", "
+      )}`
+    );
+  }
+  if (mode === "off") return band;
+  if (outer < 0n || inner < 0n) {
+    throw new Error("Tolerance band edges must not be negative.");
+  }
+  if (inner > outer) {
+    throw new Error(
+      [
+        "Tolerance band inner edge must not exceed the outer edge.",
+        `  inner: ${inner.toString()}`,
+        `  outer: ${outer.toString()}`,
+      ].join("\n")
+    );
+  }
+  return band;
+}
+
+/**
+ * Convert one band edge into covenant D units (truncated).
+ *
+ *   usd: edge * (bchWeight + ftWeight)
+ *   pct: edge / 10_000 * totalUsd * (bchWeight + ftWeight)
+ */
+export function bandEdgeToD(edge, mode, totalUsd, targetBchWeightBps) {
+  const { bchWeight, ftWeight } = imbalanceWeights(targetBchWeightBps);
+  const scale = bchWeight + ftWeight;
+  if (mode === "usd") return edge * scale;
+  return (edge * totalUsd * scale) / WEIGHT_SCALE;
+}
+
+function formatEdge(edge, mode) {
+  return mode === "usd"
+    ? `$${edge.toString()}`
+    : `${(Number(edge) / 100).toFixed(2)}% of portfolio`;
+}
+
+/**
+ * Decide whether the portfolio is outside the band.
+ *
+ * Returns:
+ *   {
+ *     decision,       // "rebalance" | "skip"
+ *     reason,         // human-readable explanation for logs
+ *     D,              // BigInt – current imbalance (covenant units)
+ *     outerD,         // BigInt – outer edge in D units (null when "off")
+ *     innerD,         // BigInt – inner edge in D units (null when "off")
+ *     totalUsd,       // BigInt – bchUsd + tokens
+ *     deviationUsd    // Number – D / (bchWeight + ftWeight), for display
+ *   }
+ */
+export function evaluateBand({
+  bchSats,
+  tokens,
+  oraclePriceRaw,
+  targetBchWeightBps,
+  band,
+}) {
+  validateBand(band);
+
+  const D = imbalance(bchSats, tokens, oraclePriceRaw, targetBchWeightBps);
+  const totalUsd = bchValueUsd(bchSats, oraclePriceRaw) + tokens;
+  const { bchWeight, ftWeight } = imbalanceWeights(targetBchWeightBps);
+  const deviationUsd = Number(D) / Number(bchWeight + ftWeight);
+
+  if (band.mode === "off") {
+    return {
+      decision: D > 0n ? "rebalance" : "skip",
+      reason:
+        D > 0n
+          ? "band off: any imbalance triggers a rebalance"
+          : "band off: portfolio already balanced at this precision",
+      D,
+      outerD: null,
+      innerD: null,
+      totalUsd,
+      deviationUsd,
+    };
+  }
+
+  const outerD = bandEdgeToD(
+    band.outer,
+    band.mode,
+    totalUsd,
+    targetBchWeightBps
+  );
+  const innerD = bandEdgeToD(
+    band.inner,
+    band.mode,
+    totalUsd,
+    targetBchWeightBps
+  );
+  const deviationText = `deviation ≈ $${deviationUsd.toFixed(2)}`;
+
+  if (D <= outerD) {
+    return {
+      decision: "skip",
+      reason: `inside band: ${deviationText} <= outer ${formatEdge(
+        band.outer,
+        band.mode
+      )}`,
+      D,
+      outerD,
+      innerD,
+      totalUsd,
+      deviationUsd,
+    };
+  }
+
+  return {
+    decision: "rebalance",
+    reason: `outside band: ${deviationText} > outer ${formatEdge(
+      band.outer,
+      band.mode
+    )}; targeting inner ${formatEdge(band.inner, band.mode)}`,
+    D,
+    outerD,
+    innerD,
+    totalUsd,
+    deviationUsd,
+  };
+}
+
+function ceilDiv(a, b) {
+  return a >= 0n ? (a + b - 1n) / b : -(-a / b);
+}
+
+function floorDiv(a, b) {
+  return a >= 0n ? a / b : -((-a + b - 1n) / b);
+}
+
+/**
+ * FT-only move (BCH fixed) that lands inside the inner band with the
+ * smallest token transfer. Same return shape as
+ * chooseNewTokenAmountMeanRevert.
+ *
+ * When whole tokens cannot hit the inner band (coarse weights, tiny band)
+ * the closest reachable amount is used instead, as long as it still
+ * strictly improves D.
+ */
+export function chooseTokensIntoBand(
+  oldBch,
+  oldTokens,
+  oraclePriceRaw,
+  targetBchWeightBps,
+  innerD
+) {
+  const { bchWeight, ftWeight } = imbalanceWeights(targetBchWeightBps);
+  const bchUsd = bchValueUsd(oldBch, oraclePriceRaw);
+  const s = signedImbalance(
+    oldBch,
+    oldTokens,
+    oraclePriceRaw,
+    targetBchWeightBps
+  );
+  const D_before = s < 0n ? -s : s;
+
+  const noop = {
+    direction: "none",
+    newTokens: oldTokens,
+    stepTokens: 0n,
+    bchUsd,
+    D_before,
+    D_after: D_before,
+  };
+
+  if (D_before <= innerD || bchWeight === 0n) return noop;
+
+  // s(t) = bchUsd * ftWeight - t * bchWeight, linear in t.
+  const newTokens =
+    s < 0n
+      ? floorDiv(bchUsd * ftWeight + innerD, bchWeight) // withdraw
+      : ceilDiv(bchUsd * ftWeight - innerD, bchWeight); // deposit
+
+  let best = newTokens < 0n ? 0n : newTokens;
+  let D_after = imbalance(oldBch, best, oraclePriceRaw, targetBchWeightBps);
+
+  // Granularity fallback: try the neighbouring whole amount.
+  if (D_after > innerD) {
+    const other = s < 0n ? best + 1n : best - 1n;
+    const D_other =
+      other >= 0n
+        ? imbalance(oldBch, other, oraclePriceRaw, targetBchWeightBps)
+        : D_after;
+    if (D_other < D_after) {
+      best = other;
+      D_after = D_other;
+    }
+  }
+
+  if (D_after >= D_before) return noop;
+
+  return {
+    direction: best > oldTokens ? "deposit" : "withdraw",
+    newTokens: best,
+    stepTokens: best > oldTokens ? best - oldTokens : oldTokens - best,
+    bchUsd,
+    D_before,
+    D_after,
+  };
+}
+
+/**
+ * BCH <-> FT swap at the oracle price that lands inside the inner band
+ * with the smallest USD amount moved. Same return shape as
+ * chooseSwapMeanRevert.
+ *
+ * Each USD swapped moves s by about (bchWeight + ftWeight), so the minimal
+ * amount is ceil((D_before - innerD) / (bchWeight + ftWeight)). BCH value
+ * truncation can shift that by one, so a few neighbours are checked with
+ * the exact covenant math. Returns null when none lands in the band; the
+ * caller can then fall back to chooseSwapMeanRevert.
+ */
+export function chooseSwapIntoBand(
+  oldBch,
+  oldTokens,
+  oraclePriceRaw,
+  targetBchWeightBps,
+  innerD
+) {
+  const { bchWeight, ftWeight } = imbalanceWeights(targetBchWeightBps);
+  const bchUsd = bchValueUsd(oldBch, oraclePriceRaw);
+  const s = signedImbalance(
+    oldBch,
+    oldTokens,
+    oraclePriceRaw,
+    targetBchWeightBps
+  );
+  const D_before = s < 0n ? -s : s;
+
+  if (D_before <= innerD) return null;
+
+  const direction = s > 0n ? "sellBch" : "buyBch";
+  const estimate = ceilDiv(D_before - innerD, bchWeight + ftWeight);
+
+  for (let usd = estimate - 1n; usd <= estimate + 2n; usd++) {
+    if (usd < 1n) continue;
+
+    let newBch;
+    let newTokens;
+    let stepSats;
+    if (direction === "sellBch") {
+      stepSats = usdToBchSats(usd, oraclePriceRaw, "down");
+      newBch = oldBch - stepSats;
+      newTokens = oldTokens + usd;
+    } else {
+      stepSats = usdToBchSats(usd, oraclePriceRaw, "up");
+      newBch = oldBch + stepSats;
+      newTokens = oldTokens - usd;
+    }
+    if (newBch <= 0n || newTokens < 0n) continue;
+
+    const D_after = imbalance(
+      newBch,
+      newTokens,
+      oraclePriceRaw,
+      targetBchWeightBps
+    );
+    if (D_after > innerD || D_after >= D_before) continue;
+
+    return {
+      direction,
+      newBch,
+      newTokens,
+      stepSats,
+      stepTokens: usd,
+      bchUsd,
+      newBchUsd: bchValueUsd(newBch, oraclePriceRaw),
+      D_before,
+      D_after,
+    };
+  }
+
+  return null;
+}
@@ -0,0 +1,198 @@
+// rebalanceCooldown.js
+// Minimum time between rebalances.
+//
+// Two rebalancers (or one run twice in a row) can otherwise fire on
+// consecutive oracle messages. Before building anything the rebalancer
+// looks up its last rebalance and refuses to act within the cooldown:
+//
+//   journal – the newest trade-journal entry for the contract
+//             (tradeJournal.js); only knows this machine's broadcasts
+//   chain   – the newest transaction in the contract's Electrum history,
+//             timed by its block header (mempool: now). This also sees
+//             rebalances from other machines, and counts funding / drain
+//             transactions as activity too.
+//
+// V5 contracts enforce a cooldown on-chain as well: rebalance() requires
+// this.age >= minAgeBlocks, so every contract input needs that BIP68
+// sequence number and the contract UTXOs that many confirmations.
+
+export const COOLDOWN_SOURCES = ["journal", "chain", "both"];
+
+// BIP68: bit 31 disables the lock, bit 22 switches to 512 s units; the
+// block count lives in the low 16 bits.
+const SEQUENCE_MAX_BLOCKS = 0xffff;
+
+// Block header: version(4) prev(32) merkle(32) time(4) ...
+const HEADER_TIME_OFFSET = 68;
+
+/**
+ * The newest journal entry for `contractAddress`:
+ * { source: "journal", txid, timeMs } or null.
+ */
+export function lastJournalRebalance(journal, contractAddress) {
+  let last = null;
+  for (const e of journal) {
+    if (e.contractAddress !== contractAddress) continue;
+    const timeMs = Date.parse(e.time);
+    if (!last || timeMs > last.timeMs) {
+      last = { source: "journal", txid: e.txid, timeMs };
+    }
+  }
+  return last;
+}
+
+/**
+ * Timestamp (unix seconds) of a serialized block header in hex.
+ */
+export function blockHeaderTime(headerHex) {
+  const bytes = Buffer.from(headerHex, "hex");
+  if (bytes.length < HEADER_TIME_OFFSET + 4) {
+    throw new Error(
+      `Block header too short: ${bytes.length} bytes, expected at least 80`
+    );
+  }
+  return bytes.readUInt32LE(HEADER_TIME_OFFSET);
+}
+
+/**
+ * Whether `provider` can answer raw Electrum requests (history, headers).
+ * ElectrumNetworkProvider can; MockNetworkProvider and the local stand-in
+ * cannot.
+ */
+export function supportsChainHistory(provider) {
+  return typeof provider?.performRequest === "function";
+}
+
+/**
+ * The newest transaction touching `address`, from Electrum history:
+ * { source: "chain", txid, timeMs, height } (height null while in the
+ * mempool, timed `now`), or null when the address has no history.
+ */
+export async function lastChainActivity(provider, address, now = Date.now()) {
+  const history = await provider.performRequest(
+    "blockchain.address.get_history",
+    address
+  );
+  if (!history?.length) return null;
+
+  // Mempool entries (height 0 / -1) are newer than anything confirmed.
+  const pending = history.find((h) => h.height <= 0);
+  if (pending) {
+    return {
+      source: "chain",
+      txid: pending.tx_hash,
+      timeMs: now,
+      height: null,
+    };
+  }
+
+  const newest = history.reduce((a, b) => (b.height > a.height ? b : a));
+  const header = await provider.performRequest(
+    "blockchain.block.header",
+    newest.height
+  );
+  return {
+    source: "chain",
+    txid: newest.tx_hash,
+    timeMs: blockHeaderTime(header) * 1000,
+    height: newest.height,
+  };
+}
+
+/**
+ * Whichever of the given last-rebalance records is newest (nulls ignored).
+ */
+export function newestRebalance(...records) {
+  return records
+    .filter(Boolean)
+    .reduce((a, b) => (!a || b.timeMs > a.timeMs ? b : a), null);
+}
+
+/**
+ * Decide whether the cooldown still holds.
+ *
+ * `cooldownMs` <= 0 disables the check. Block timestamps may run a little
+ * ahead of the local clock, so a record from the "future" counts as now.
+ *
+ * Returns:
+ *   {
+ *     decision,     // "rebalance" | "wait"
+ *     reason,
+ *     last,         // the record checked, or null
+ *     remainingMs,  // Number – 0 when free to rebalance
+ *     readyAt       // ISO time the cooldown ends, or null
+ *   }
+ */
+export function evaluateCooldown({ last, now = Date.now(), cooldownMs }) {
+  if (!(cooldownMs > 0)) {
+    return {
+      decision: "rebalance",
+      reason: "cooldown disabled",
+      last,
+      remainingMs: 0,
+      readyAt: null,
+    };
+  }
+  if (!last) {
+    return {
+      decision: "rebalance",
+      reason: "no previous rebalance found",
+      last,
+      remainingMs: 0,
+      readyAt: null,
+    };
+  }
+
+  const elapsedMs = Math.max(0, now - last.timeMs);
+  const remainingMs = Math.max(0, cooldownMs - elapsedMs);
+  const readyAt = new Date(now - elapsedMs + cooldownMs).toISOString();
+  const ago =
+    `last rebalance ${Math.round(elapsedMs / 1000)} s ago` +
+    ` (${last.source}, txid ${last.txid})`;
+
+  if (remainingMs > 0) {
+    return {
+      decision: "wait",
+      reason:
+        `cooldown: ${ago}, ${Math.ceil(remainingMs / 1000)} s of` +
+        ` ${cooldownMs / 1000} s left (until ${readyAt})`,
+      last,
+      remainingMs,
+      readyAt,
+    };
+  }
+  return {
+    decision: "rebalance",
+    reason: `${ago}, cooldown of ${cooldownMs / 1000} s has passed`,
+    last,
+    remainingMs: 0,
+    readyAt,
+  };
+}
+
+/**
+ * BIP68 sequence number for a block-based relative lock of
+ * `minAgeBlocks` (what this.age >= minAgeBlocks checks).
+ */
+export function sequenceForMinAge(minAgeBlocks) {
+  const blocks = Number(minAgeBlocks);
+  if (!Number.isInteger(blocks) || blocks < 0 || blocks > SEQUENCE_MAX_BLOCKS) {
+    throw new Error(
+      `minAgeBlocks must be an integer in 0..${SEQUENCE_MAX_BLOCKS}, got ${minAgeBlocks}`
+    );
+  }
+  return blocks;
+}
+
+/**
+ * Whether contract UTXOs last touched at `height` (null: mempool) can be
+ * spent by a rebalance in the next block under a `minAgeBlocks` lock.
+ *
+ * Returns { ok, confirmations, blocksLeft }.
+ */
+export function minAgeStatus({ height, tipHeight, minAgeBlocks }) {
+  const needed = Number(minAgeBlocks);
+  const confirmations = height == null ? 0 : tipHeight - height + 1;
+  const blocksLeft = Math.max(0, needed - confirmations);
+  return { ok: blocksLeft === 0, confirmations, blocksLeft };
+}
@@ -0,0 +1,96 @@
+// rebalanceCost.js
+// Fee-aware rebalance decisions.
+//
+// A rebalance costs its miner fee plus the dust locked in the new outputs
+// it creates (the FT output to Alice and the returned NFT authority). It is
+// worth how much closer it brings the BCH leg to its target share:
+//
+//   benefitUsd = (D_before - D_after) / (bchWeight + ftWeight)
+//   costUsd    = costSats * oraclePriceRaw / 10^10
+//                (oraclePriceRaw = USD/BCH * 100, 10^8 sats per BCH)
+//
+// The rebalancer skips a move when benefitUsd < minMultiple * costUsd.
+// The comparison is done in integers; the USD figures and the ratio are
+// Numbers for logs and dry-run plans only.
+
+import { imbalanceWeights } from "./meanRevertMath.js";
+
+const SATS_PRICE_SCALE = 10_000_000_000n; // 10^8 sats * 100 (price scale)
+const MULTIPLE_SCALE = 1_000n; // minMultiple resolution: 0.001
+
+/**
+ * USD value of `sats` at the oracle price, as a Number (display only).
+ */
+export function satsToUsd(sats, oraclePriceRaw) {
+  return (Number(sats) * Number(oraclePriceRaw)) / Number(SATS_PRICE_SCALE);
+}
+
+/**
+ * Compare a move's imbalance reduction with its fee + dust cost.
+ *
+ * `minMultiple` (Number, >= 0) is the benefit/cost ratio a move must reach;
+ * 0 disables the check.
+ *
+ * Returns:
+ *   {
+ *     decision,       // "rebalance" | "skip"
+ *     reason,         // human-readable explanation for logs
+ *     feeSats,        // BigInt – pass-1 fee estimate
+ *     dustSats,       // BigInt – dust locked in the new FT / NFT outputs
+ *     costSats,       // BigInt – feeSats + dustSats
+ *     costUsd,        // Number
+ *     benefitUsd,     // Number – reduction of the BCH leg's USD deviation
+ *     ratio,          // Number – benefitUsd / costUsd (null when cost is 0)
+ *     minMultiple     // Number
+ *   }
+ */
+export function evaluateRebalanceCost({
+  D_before,
+  D_after,
+  targetBchWeightBps,
+  oraclePriceRaw,
+  feeSats,
+  dustSats,
+  minMultiple,
+}) {
+  if (!(minMultiple >= 0)) {
+    throw new Error(
+      `Fee multiple must be a non-negative number, got ${minMultiple}`
+    );
+  }
+
+  const { bchWeight, ftWeight } = imbalanceWeights(targetBchWeightBps);
+  const scale = bchWeight + ftWeight;
+  const reductionD = D_before - D_after;
+  const costSats = feeSats + dustSats;
+
+  const benefitUsd = Number(reductionD) / Number(scale);
+  const costUsd = satsToUsd(costSats, oraclePriceRaw);
+  const ratio = costSats === 0n ? null : benefitUsd / costUsd;
+
+  // reductionD / scale >= multiple * costSats * price / 10^10, without
+  // fractions.
+  const multiple = BigInt(Math.round(minMultiple * Number(MULTIPLE_SCALE)));
+  const worthIt =
+    reductionD * SATS_PRICE_SCALE * MULTIPLE_SCALE >=
+    multiple * costSats * oraclePriceRaw * scale;
+
+  const summary =
+    `benefit ≈ $${benefitUsd.toFixed(4)} vs cost ≈ $${costUsd.toFixed(4)}` +
+    ` (${costSats} sats)` +
+    (ratio === null ? "" : `, ratio ${ratio.toFixed(2)}`);
+
+  return {
+    decision: worthIt ? "rebalance" : "skip",
+    reason: worthIt
+      ? `${summary} >= ${minMultiple}x`
+      : `not worth the fee: ${summary} < ${minMultiple}x`,
+    feeSats,
+    dustSats,
+    costSats,
+    costUsd,
+    benefitUsd,
+    ratio,
+    minMultiple,
+  };
+}
@@ -0,0 +1,166 @@
+// rebalanceScheduler.js
+// Scheduling loop for the rebalancer daemon (scripts/rebalanceDaemon.js).
+//
+// Knows nothing about contracts or oracles: it calls runOnce() on an
+// interval, never two at a time, backs off exponentially after errors and
+// stops cleanly. runOnce receives an AbortSignal that is aborted on stop();
+// runRebalanceWithOracle checks it right before broadcasting.
+
+import {
+  DAEMON_INTERVAL_MS,
+  DAEMON_BACKOFF_BASE_MS,
+  DAEMON_BACKOFF_MAX_MS,
+} from "./config.js";
+
+/**
+ * Pause after `failures` consecutive errors:
+ *   baseMs * 2^(failures - 1), capped at maxMs.
+ */
+export function backoffDelay(failures, baseMs, maxMs) {
+  if (failures <= 0) return 0;
+  const exp = Math.min(failures - 1, 30); // keep 2^n finite
+  return Math.min(maxMs, baseMs * 2 ** exp);
+}
+
+/**
+ * Build the daemon loop around one rebalance attempt.
+ *
+ * runOnce({ signal }) must resolve to a result object (see
+ * runRebalanceWithOracle) or throw; `signal` is aborted when stop() is
+ * called while the run is in flight.
+ *
+ * Returns { start, stop, tick, running, failures, runs, stopped }.
+ */
+export function createRebalanceDaemon({
+  runOnce,
+  intervalMs = DAEMON_INTERVAL_MS,
+  backoffBaseMs = DAEMON_BACKOFF_BASE_MS,
+  backoffMaxMs = DAEMON_BACKOFF_MAX_MS,
+  log = console.log,
+}) {
+  let inFlight = null;
+  let controller = null;
+  let failures = 0;
+  let runs = 0;
+  let stopping = false;
+  let loopPromise = null;
+  let wake = null;
+
+  function sleep(ms) {
+    return new Promise((resolve) => {
+      const timer = setTimeout(done, ms);
+      function done() {
+        clearTimeout(timer);
+        wake = null;
+        resolve();
+      }
+      wake = done;
+    });
+  }
+
+  function nextDelay() {
+    return failures > 0
+      ? backoffDelay(failures, backoffBaseMs, backoffMaxMs)
+      : intervalMs;
+  }
+
+  /**
+   * Run one attempt now. Resolves to the run result, { status: "error" }
+   * on failure, or null if a run is already in flight / stopping.
+   */
+  function tick() {
+    if (stopping) return Promise.resolve(null);
+    if (inFlight) {
+      log("[daemon] Previous run still in progress – skipping this tick.");
+      return Promise.resolve(null);
+    }
+
+    const run = ++runs;
+    controller = new AbortController();
+    const { signal } = controller;
+
+    inFlight = (async () => {
+      log(`\n[daemon] Run #${run} starting...`);
+      try {
+        const result = await runOnce({ signal });
+        failures = 0;
+        log(
+          `[daemon] Run #${run}: ${result?.status ?? "done"}` +
+            (result?.txid ? ` txid=${result.txid}` : "") +
+            (result?.reason ? ` (${result.reason})` : "")
+        );
+        return result;
+      } catch (err) {
+        failures++;
+        log(
+          `[daemon] Run #${run} failed (${failures} in a row): ${
+            err?.message ?? err
+          }`
+        );
+        return { status: "error", error: err };
+      } finally {
+        inFlight = null;
+        controller = null;
+      }
+    })();
+
+    return inFlight;
+  }
+
+  async function loop() {
+    while (!stopping) {
+      await tick();
+      if (stopping) break;
+
+      const delay = nextDelay();
+      log(
+        failures > 0
+          ? `[daemon] Backing off for ${delay} ms.`
+          : `[daemon] Next run in ${delay} ms.`
+      );
+      await sleep(delay);
+    }
+    log("[daemon] Stopped.");
+  }
+
+  /**
+   * Start the loop. Resolves once the daemon has stopped.
+   */
+  function start() {
+    if (!loopPromise) loopPromise = loop();
+    return loopPromise;
+  }
+
+  /**
+   * Stop scheduling, abort a run that has not broadcast yet and wait for
+   * it (and the loop) to finish.
+   */
+  async function stop(reason = "stop requested") {
+    if (!stopping) {
+      stopping = true;
+      log(`\n[daemon] Shutting down (${reason})...`);
+      controller?.abort();
+      wake?.();
+    }
+    await inFlight;
+    await loopPromise;
+  }
+
+  return {
+    start,
+    stop,
+    tick,
+    get running() {
+      return inFlight !== null;
+    },
+    get failures() {
+      return failures;
+    },
+    get runs() {
+      return runs;
+    },
+    get stopped() {
+      return stopping;
+    },
+  };
+}
@@ -0,0 +1,228 @@
+// riskLimits.js
+// Off-chain risk limits on the size of a rebalance.
+//
+// The covenant only checks that a move reduces the imbalance, so a single
+// rebalance at a spiking oracle price may move almost the whole FT leg.
+// These limits cap how much the rebalancer moves, all in FT / whole USD
+// (the FT leg is a USD stablecoin, and a swap moves the same USD amount on
+// both legs):
+//
+//   maxTokensPerTrade – FT moved by one rebalance
+//   maxTradeBps       – one rebalance as a share of portfolio value
+//                       (BCH at the oracle price + FT), in basis points
+//   maxUsdPerWindow   – USD moved by all rebalances of the contract in the
+//                       last windowHours, summed from the trade journal
+//                       (tradeJournal.js) plus this one
+//
+// null disables a limit. When a move breaches one, action "clip" shrinks
+// it to the largest allowed amount; "abort" (or nothing left to move)
+// blocks the run with the reason.
+
+import { bchValueUsd, WEIGHT_SCALE } from "./meanRevertMath.js";
+import { swapLegs } from "./strategies/moves.js";
+import { tradesInWindow } from "./tradeJournal.js";
+
+export const RISK_LIMIT_ACTIONS = ["clip", "abort"];
+
+const MS_PER_HOUR = 3_600_000;
+
+/**
+ * Throw if the limits are not usable (negative caps, bps over 100%,
+ * unknown action, ...).
+ */
+export function validateRiskLimits(limits) {
+  const { maxTokensPerTrade, maxTradeBps, maxUsdPerWindow, windowHours, action } =
+    limits;
+
+  for (const [name, value] of [
+    ["maxTokensPerTrade", maxTokensPerTrade],
+    ["maxTradeBps", maxTradeBps],
+    ["maxUsdPerWindow", maxUsdPerWindow],
+  ]) {
+    if (value != null && (typeof value !== "bigint" || value < 0n)) {
+      throw new Error(
+        `Risk limit ${name} must be a non-negative BigInt or null, got ${value}`
+      );
+    }
+  }
+  if (maxTradeBps != null && maxTradeBps > WEIGHT_SCALE) {
+    throw new Error(
+      `Risk limit maxTradeBps must be at most ${WEIGHT_SCALE} (100%), got ${maxTradeBps}`
+    );
+  }
+  if (maxUsdPerWindow != null && !(windowHours > 0)) {
+    throw new Error(
+      `Risk limit windowHours must be a positive number, got ${windowHours}`
+    );
+  }
+  if (!RISK_LIMIT_ACTIONS.includes(action)) {
+    throw new Error(
+      `Unknown risk limit action "${action}". Expected one of: ${RISK_LIMIT_ACTIONS.join(
+        ", "
+      )}`
+    );
+  }
+}
+
+/**
+ * One line describing the limits, for logs.
+ */
+export function describeRiskLimits(limits) {
+  const parts = [
+    limits.maxTokensPerTrade != null &&
+      `max ${limits.maxTokensPerTrade} FT per trade`,
+    limits.maxTradeBps != null &&
+      `max ${(Number(limits.maxTradeBps) / 100).toFixed(2)}% of portfolio per trade`,
+    limits.maxUsdPerWindow != null &&
+      `max $${limits.maxUsdPerWindow} per ${limits.windowHours}h`,
+  ].filter(Boolean);
+  return parts.length ? `${parts.join(", ")} (${limits.action})` : "off";
+}
+
+/**
+ * USD moved by the contract's journal entries in the last windowHours:
+ * { trades, usedUsd, remainingUsd, windowHours }. remainingUsd is null
+ * without a maxUsdPerWindow.
+ */
+export function riskWindowUsage(
+  journal,
+  limits,
+  { contractAddress, now = Date.now() } = {}
+) {
+  const trades = tradesInWindow(journal, {
+    contractAddress,
+    now,
+    windowMs: limits.windowHours * MS_PER_HOUR,
+  });
+  const usedUsd = trades.reduce((s, e) => s + (e.usd ?? 0n), 0n);
+  const remainingUsd =
+    limits.maxUsdPerWindow == null
+      ? null
+      : usedUsd >= limits.maxUsdPerWindow
+      ? 0n
+      : limits.maxUsdPerWindow - usedUsd;
+  return {
+    trades: trades.length,
+    usedUsd,
+    remainingUsd,
+    windowHours: limits.windowHours,
+  };
+}
+
+/**
+ * Check a move of `requestedTokens` FT / USD against the limits.
+ *
+ * Returns:
+ *   {
+ *     decision,        // "allow" | "clip" | "block"
+ *     reason,          // human-readable explanation for logs
+ *     requestedTokens, // BigInt
+ *     allowedTokens,   // BigInt – largest move all limits allow (null: no limit)
+ *     checks: [{ limit, maxTokens, breached }],
+ *     window           // riskWindowUsage(), or null without maxUsdPerWindow
+ *   }
+ */
+export function evaluateRiskLimits({
+  requestedTokens,
+  bchSats,
+  tokens,
+  oraclePriceRaw,
+  limits,
+  journal = [],
+  contractAddress,
+  now = Date.now(),
+}) {
+  validateRiskLimits(limits);
+
+  const checks = [];
+  if (limits.maxTokensPerTrade != null) {
+    checks.push({
+      limit: "maxTokensPerTrade",
+      maxTokens: limits.maxTokensPerTrade,
+      text: `${limits.maxTokensPerTrade} FT per trade`,
+    });
+  }
+  if (limits.maxTradeBps != null) {
+    const portfolioUsd = bchValueUsd(bchSats, oraclePriceRaw) + tokens;
+    checks.push({
+      limit: "maxTradeBps",
+      maxTokens: (portfolioUsd * limits.maxTradeBps) / WEIGHT_SCALE,
+      text:
+        `${(Number(limits.maxTradeBps) / 100).toFixed(2)}%` +
+        ` of the $${portfolioUsd} portfolio`,
+    });
+  }
+
+  let window = null;
+  if (limits.maxUsdPerWindow != null) {
+    window = riskWindowUsage(journal, limits, { contractAddress, now });
+    checks.push({
+      limit: "maxUsdPerWindow",
+      maxTokens: window.remainingUsd,
+      text:
+        `$${limits.maxUsdPerWindow} per ${limits.windowHours}h` +
+        ` ($${window.usedUsd} used by ${window.trades} trade(s))`,
+    });
+  }
+
+  for (const c of checks) c.breached = requestedTokens > c.maxTokens;
+  const allowedTokens = checks.length
+    ? checks.reduce((m, c) => (c.maxTokens < m ? c.maxTokens : m), requestedTokens)
+    : null;
+  const breached = checks.filter((c) => c.breached);
+  const result = (decision, reason) => ({
+    decision,
+    reason,
+    requestedTokens,
+    allowedTokens,
+    checks: checks.map(({ limit, maxTokens, breached }) => ({
+      limit,
+      maxTokens,
+      breached,
+    })),
+    window,
+  });
+
+  if (!breached.length) {
+    return result(
+      "allow",
+      checks.length
+        ? `${requestedTokens} FT within limits (${checks.map((c) => c.text).join(", ")})`
+        : "no risk limits configured"
+    );
+  }
+
+  const why = breached.map((c) => `${c.text} allows ${c.maxTokens}`).join(", ");
+  if (limits.action === "abort") {
+    return result(
+      "block",
+      `risk limit: ${requestedTokens} FT exceeds ${why} (RISK_LIMIT_ACTION=abort)`
+    );
+  }
+  if (allowedTokens < 1n) {
+    return result("block", `risk limit: nothing left to move – ${why}`);
+  }
+  return result(
+    "clip",
+    `risk limit: clipped ${requestedTokens} FT to ${allowedTokens} – ${why}`
+  );
+}
+
+/**
+ * The move in the same direction, shrunk to `tokens` FT (tokens mode) or
+ * a `tokens` USD swap priced like strategies/moves.js swapLegs():
+ * { newBch, newTokens }.
+ */
+export function clipMove(state, direction, tokens, oraclePriceRaw) {
+  switch (direction) {
+    case "withdraw":
+      return { newBch: state.bchSats, newTokens: state.tokens - tokens };
+    case "deposit":
+      return { newBch: state.bchSats, newTokens: state.tokens + tokens };
+    case "sellBch":
+    case "buyBch":
+      return swapLegs(state, tokens, oraclePriceRaw, direction);
+    default:
+      throw new Error(`Cannot clip a move with direction "${direction}"`);
+  }
+}
@@ -6,6 +6,8 @@
 //    with NO token field (all tokens are burned).
 //
 // Intended use: "reset" local demo token state while keeping BCH value.
+//
+// --dry-run (or DRY_RUN=1) prints the plan instead of broadcasting.
 
 import {
   ElectrumNetworkProvider,
@@ -20,6 +22,7 @@ import {
   logTokenUtxosDetailed,
 } from "../utxos.js";
 import { formatSats } from "../bigint.js";
+import { isDryRun, buildDryRunPlan, emitDryRunPlan } from "../dryRun.js";
 
 function utxoValueBigInt(utxo) {
   const v = utxo.satoshis ?? utxo.value;
@@ -27,7 +30,9 @@ function utxoValueBigInt(utxo) {
   return BigInt(v);
 }
 
-export async function runBurnAllTokensFromAlice() {
+export async function runBurnAllTokensFromAlice({
+  dryRun = isDryRun(),
+} = {}) {
   console.log("=========================================");
   console.log(" Burn ALL tokens from aliceTokenAddress");
   console.log("=========================================\n");
@@ -131,6 +136,24 @@ export async function runBurnAllTokensFromAlice() {
     amount: finalAmount,
   });
 
+  if (dryRun) {
+    return emitDryRunPlan(
+      await buildDryRunPlan({
+        action: "burn",
+        builder: builder2,
+        feeEstimate: fee,
+        details: {
+          burnedUtxoCount: withTokens.length,
+          burnedTokens: withTokens.map((u) => ({
+            category: u.token.category,
+            amount: BigInt(u.token.amount ?? 0n),
+            nft: u.token.nft ?? null,
+          })),
+        },
+      })
+    );
+  }
+
   const txDetails = await builder2.send();
   console.log("\n[burn] Burn tx broadcast:", txDetails);
 
@@ -13,7 +13,11 @@
 //   - creates a single FT UTXO back to aliceTokenAddress with:
 //        * token.amount = sum(all token amounts)
 //        * amount      = sum(all BCH backing) - fee
+//          (plus BCH-only UTXOs, coin-selected, if the backing alone
+//          cannot cover the fee and stay above dust)
 //   - preserves all tokens, only reshapes UTXO layout.
+//
+// --dry-run (or DRY_RUN=1) prints the plan instead of broadcasting.
 
 import {
   ElectrumNetworkProvider,
@@ -26,11 +30,18 @@ import {
   FT_CATEGORY_HEX,
   SATS_PER_BYTE,
   DUST_THRESHOLD,
+  COIN_SELECTION,
 } from "../config.js";
 
 import { alicePriv, aliceTokenAddress } from "../common.js";
-import { splitByToken } from "../utxos.js";
+import {
+  splitByToken,
+  selectFundingUtxos,
+  describeSelection,
+  summarizeSelection,
+} from "../utxos.js";
 import { formatSats, safeJson } from "../bigint.js";
+import { isDryRun, buildDryRunPlan, emitDryRunPlan } from "../dryRun.js";
 
 function utxoValueBigInt(u) {
   const v = u.satoshis ?? u.value;
@@ -38,7 +49,9 @@ function utxoValueBigInt(u) {
   return BigInt(v);
 }
 
-export async function runConsolidateAliceFtCategory() {
+export async function runConsolidateAliceFtCategory({
+  dryRun = isDryRun(),
+} = {}) {
   console.log("========================================");
   console.log(" Consolidate Alice FT UTXOs (FT_CATEGORY_HEX) ");
   console.log("========================================\n");
@@ -83,47 +96,55 @@ export async function runConsolidateAliceFtCategory() {
     )}`
   );
 
-  if (totalBacking <= DUST_THRESHOLD) {
-    throw new Error(
-      [
-        "[consolidate] Total BCH backing for FT UTXOs is at/below dust.",
-        `  totalBacking : ${formatSats(totalBacking)}`,
-        `  DUST_THRESHOLD: ${formatSats(DUST_THRESHOLD)}`,
-        "Cannot safely build a single consolidated output.",
-      ].join("\n")
-    );
-  }
-
-  // --- PASS 1: provisional tx for fee estimate ---
+  // --- PASS 1: provisional tx for fee estimate (inside coin selection) ---
+  //
+  // All FT UTXOs are spent; BCH-only UTXOs are added only when their
+  // backing alone cannot pay the fee and keep the output above dust
+  // (COIN_SELECTION, see utxos.js).
   console.log("\n[pass1] Building provisional consolidation tx...");
 
-  const estBuilder = new TransactionBuilder({ provider });
-
-  for (const u of ftUtxos) {
-    estBuilder.addInput(u, tmpl.unlockP2PKH());
-  }
-
-  // Provisional: send everything (BCH + tokens) to one output
-  estBuilder.addOutput({
-    to: aliceTokenAddress,
-    amount: totalBacking,
-    token: {
-      category: FT_CATEGORY_HEX,
-      amount: totalTokens,
+  let bytesEstimate = 0n;
+  const selection = await selectFundingUtxos(bchOnly, {
+    amount: DUST_THRESHOLD,
+    include: ftUtxos,
+    strategy: COIN_SELECTION,
+    estimateFee: async (inputs) => {
+      const estBuilder = new TransactionBuilder({ provider });
+
+      for (const u of inputs) {
+        estBuilder.addInput(u, tmpl.unlockP2PKH());
+      }
+
+      // Provisional: send everything (BCH + tokens) to one output
+      estBuilder.addOutput({
+        to: aliceTokenAddress,
+        amount: inputs.reduce((s, u) => s + utxoValueBigInt(u), 0n),
+        token: {
+          category: FT_CATEGORY_HEX,
+          amount: totalTokens,
+        },
+      });
+
+      bytesEstimate = BigInt((await estBuilder.build()).length / 2);
+      return bytesEstimate * SATS_PER_BYTE;
     },
   });
-
-  const provisionalHex = await estBuilder.build();
-  const bytesEstimate = BigInt(provisionalHex.length / 2);
-  const feeEstimate = bytesEstimate * SATS_PER_BYTE;
+  const inputs = selection.selected;
+  const totalInputBch = selection.totalSats;
+  const feeEstimate = selection.feeEstimate;
 
   console.log(
     `[pass1] Estimated size: ${bytesEstimate} bytes @ ${SATS_PER_BYTE} sat/byte → fee ≈ ${formatSats(
       feeEstimate
     )}`
   );
+  if (inputs.length > ftUtxos.length) {
+    console.log(
+      `[pass1] Added ${inputs.length - ftUtxos.length} BCH-only UTXO(s) to cover the fee: ${describeSelection(selection)}`
+    );
+  }
 
-  const finalAmount = totalBacking - feeEstimate;
+  const finalAmount = totalInputBch - feeEstimate;
 
   if (finalAmount < DUST_THRESHOLD) {
     throw new Error(
@@ -146,7 +167,7 @@ export async function runConsolidateAliceFtCategory() {
 
   const txb = new TransactionBuilder({ provider });
 
-  for (const u of ftUtxos) {
+  for (const u of inputs) {
     txb.addInput(u, tmpl.unlockP2PKH());
   }
 
@@ -159,12 +180,28 @@ export async function runConsolidateAliceFtCategory() {
     },
   });
 
+  if (dryRun) {
+    return emitDryRunPlan(
+      await buildDryRunPlan({
+        action: "consolidate",
+        builder: txb,
+        feeEstimate,
+        details: {
+          category: FT_CATEGORY_HEX,
+          mergedUtxoCount: ftUtxos.length,
+          totalTokens,
+          coinSelection: summarizeSelection(selection),
+        },
+      })
+    );
+  }
+
   const txDetails = await txb.send();
 
   console.log("\n[consolidate] Broadcast txid:", txDetails.txid);
   if (txDetails?.hex) {
     const finalBytes = BigInt(txDetails.hex.length / 2);
-    const actualFee = totalBacking - finalAmount;
+    const actualFee = totalInputBch - finalAmount;
     console.log(
       `[consolidate] Final size: ${finalBytes.toString()} bytes, actual fee ≈ ${formatSats(
         actualFee
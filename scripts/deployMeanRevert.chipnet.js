@@ -0,0 +1,59 @@
+// scripts/deployMeanRevert.chipnet.js
+//
+// Deploy (instantiate) a MeanRevert contract version on CHIPNET
+// (see meanRevertContract.js; MEAN_REVERT_VERSION picks the default).
+// This does NOT create any on-chain UTXOs – it just gives us the
+// deterministic contract + token addresses for the given constructor args.
+
+import { ElectrumNetworkProvider } from "cashscript";
+
+import { NETWORK, MEAN_REVERT_VERSION } from "../config.js";
+import {
+  getMeanRevertContract,
+  getMeanRevertVersion,
+} from "../meanRevertContract.js";
+
+export async function runDeployMeanRevert({
+  version = MEAN_REVERT_VERSION,
+} = {}) {
+  const { contractName } = getMeanRevertVersion(version);
+
+  console.log("========================================");
+  console.log(` Deploy ${contractName} `);
+  console.log("========================================\n");
+  console.log(`[network] NETWORK="${NETWORK}"\n`);
+
+  if (NETWORK !== "chipnet") {
+    console.warn(
+      `[warn] NETWORK is "${NETWORK}", but this script is intended for CHIPNET.`
+    );
+  }
+
+  const provider = new ElectrumNetworkProvider(NETWORK);
+
+  const { contract, spec } = getMeanRevertContract(provider, version);
+
+  for (const [label, value] of spec.describeArgs()) {
+    console.log(`[args] ${label}:`, value);
+  }
+  console.log("");
+
+  console.log(`=== ${version.toUpperCase()} CONTRACT ===`);
+  console.log("contract.address      :", contract.address);
+  console.log("contract.tokenAddress :", contract.tokenAddress);
+  console.log("");
+  console.log(
+    `Tip: keep these constructor args stable so all ${version.toUpperCase()} scripts point to the same contract.`
+  );
+  console.log("");
+
+  return { contract, provider };
+}
+
+// --- CLI runner ---
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runDeployMeanRevert().catch((err) => {
+    console.error("Error in deployMeanRevert.chipnet script:", err);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,21 @@
+// scripts/deployMeanRevertV10.chipnet.js
+//
+// Deploy (instantiate) MeanRevertSingleTokenKeeperV10 on CHIPNET
+// (V9 without the rebalancer NFT: permissionless keepers earn a capped bounty).
+//
+// Thin wrapper around scripts/deployMeanRevert.chipnet.js with the contract
+// version pinned, so it ignores MEAN_REVERT_VERSION.
+
+import { runDeployMeanRevert } from "./deployMeanRevert.chipnet.js";
+
+export function runDeployMeanRevertV10() {
+  return runDeployMeanRevert({ version: "v10" });
+}
+
+// --- CLI runner ---
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runDeployMeanRevertV10().catch((err) => {
+    console.error("Error in deployMeanRevertV10.chipnet script:", err);
+    process.exit(1);
+  });
+}
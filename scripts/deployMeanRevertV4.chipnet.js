@@ -0,0 +1,21 @@
+// scripts/deployMeanRevertV4.chipnet.js
+//
+// Deploy (instantiate) MeanRevertSingleTokenNFTAuthV4 on CHIPNET
+// (target BCH weight = config.TARGET_BCH_WEIGHT_BPS).
+//
+// Thin wrapper around scripts/deployMeanRevert.chipnet.js with the contract
+// version pinned, so it ignores MEAN_REVERT_VERSION.
+
+import { runDeployMeanRevert } from "./deployMeanRevert.chipnet.js";
+
+export function runDeployMeanRevertV4() {
+  return runDeployMeanRevert({ version: "v4" });
+}
+
+// --- CLI runner ---
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runDeployMeanRevertV4().catch((err) => {
+    console.error("Error in deployMeanRevertV4.chipnet script:", err);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,21 @@
+// scripts/deployMeanRevertV5.chipnet.js
+//
+// Deploy (instantiate) MeanRevertSingleTokenNFTAuthV5 on CHIPNET
+// (V4 weighting + COOLDOWN_MIN_AGE_BLOCKS sequence lock).
+//
+// Thin wrapper around scripts/deployMeanRevert.chipnet.js with the contract
+// version pinned, so it ignores MEAN_REVERT_VERSION.
+
+import { runDeployMeanRevert } from "./deployMeanRevert.chipnet.js";
+
+export function runDeployMeanRevertV5() {
+  return runDeployMeanRevert({ version: "v5" });
+}
+
+// --- CLI runner ---
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runDeployMeanRevertV5().catch((err) => {
+    console.error("Error in deployMeanRevertV5.chipnet script:", err);
+    process.exit(1);
+  });
+}
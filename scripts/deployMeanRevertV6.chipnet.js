@@ -0,0 +1,21 @@
+// scripts/deployMeanRevertV6.chipnet.js
+//
+// Deploy (instantiate) MeanRevertSingleTokenNFTAuthV6 on CHIPNET
+// (V5 + the oracle message verified on-chain against ORACLE_PUBLIC_KEY_HEX).
+//
+// Thin wrapper around scripts/deployMeanRevert.chipnet.js with the contract
+// version pinned, so it ignores MEAN_REVERT_VERSION.
+
+import { runDeployMeanRevert } from "./deployMeanRevert.chipnet.js";
+
+export function runDeployMeanRevertV6() {
+  return runDeployMeanRevert({ version: "v6" });
+}
+
+// --- CLI runner ---
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runDeployMeanRevertV6().catch((err) => {
+    console.error("Error in deployMeanRevertV6.chipnet script:", err);
+    process.exit(1);
+  });
+}
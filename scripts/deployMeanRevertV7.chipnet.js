@@ -0,0 +1,21 @@
+// scripts/deployMeanRevertV7.chipnet.js
+//
+// Deploy (instantiate) MeanRevertSingleTokenNFTAuthV7 on CHIPNET
+// (V6 + the stablecoin token category enforced on-chain).
+//
+// Thin wrapper around scripts/deployMeanRevert.chipnet.js with the contract
+// version pinned, so it ignores MEAN_REVERT_VERSION.
+
+import { runDeployMeanRevert } from "./deployMeanRevert.chipnet.js";
+
+export function runDeployMeanRevertV7() {
+  return runDeployMeanRevert({ version: "v7" });
+}
+
+// --- CLI runner ---
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runDeployMeanRevertV7().catch((err) => {
+    console.error("Error in deployMeanRevertV7.chipnet script:", err);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,21 @@
+// scripts/deployMeanRevertV8.chipnet.js
+//
+// Deploy (instantiate) MeanRevertSingleTokenNFTAuthV8 on CHIPNET
+// (V7 + the rebalancer NFT category checked on-chain).
+//
+// Thin wrapper around scripts/deployMeanRevert.chipnet.js with the contract
+// version pinned, so it ignores MEAN_REVERT_VERSION.
+
+import { runDeployMeanRevert } from "./deployMeanRevert.chipnet.js";
+
+export function runDeployMeanRevertV8() {
+  return runDeployMeanRevert({ version: "v8" });
+}
+
+// --- CLI runner ---
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runDeployMeanRevertV8().catch((err) => {
+    console.error("Error in deployMeanRevertV8.chipnet script:", err);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,21 @@
+// scripts/deployMeanRevertV9.chipnet.js
+//
+// Deploy (instantiate) MeanRevertSingleTokenNFTAuthV9 on CHIPNET
+// (V8 + the stablecoin summed over every contract input and output).
+//
+// Thin wrapper around scripts/deployMeanRevert.chipnet.js with the contract
+// version pinned, so it ignores MEAN_REVERT_VERSION.
+
+import { runDeployMeanRevert } from "./deployMeanRevert.chipnet.js";
+
+export function runDeployMeanRevertV9() {
+  return runDeployMeanRevert({ version: "v9" });
+}
+
+// --- CLI runner ---
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runDeployMeanRevertV9().catch((err) => {
+    console.error("Error in deployMeanRevertV9.chipnet script:", err);
+    process.exit(1);
+  });
+}
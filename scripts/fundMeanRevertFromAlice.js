@@ -0,0 +1,476 @@
+// scripts/fundMeanRevertFromAlice.js
+//
+// Fund a MeanRevert contract version on CHIPNET with:
+//   - BCH portfolio value (PORTFOLIO_BCH)
+//   - INITIAL_TOKENS_ON_CONTRACT fungible tokens
+//
+// Sources:
+//   - FT UTXO at aliceTokenAddress (from mintAllForAlice.js)
+//   - BCH-only UTXOs at aliceAddress (for BCH backing + fees), picked by
+//     the COIN_SELECTION strategy (see utxos.js)
+//
+// Result:
+//   - Contract gets: PORTFOLIO_BCH BCH + INITIAL_TOKENS_ON_CONTRACT FT,
+//     in one UTXO, or with the BCH spread evenly over `--split <n>` UTXOs
+//     (all FT on the first one, where the covenant reads tokens from;
+//     split evenly too for V9, which sums them)
+//   - Alice gets: FT change (if any) + BCH change.
+//
+// Existing contract UTXOs are reported (per UTXO + total) along with the
+// portfolio total after funding; the rebalancer treats them all as one
+// portfolio (see portfolioUtxos.js).
+//
+// V6+ also need their oracle state NFT on the contract (oracleState.js).
+// Unless the contract already has it, the funding tx puts it there:
+// Alice's NFT back after a reset, or a new one minted from the vout=0 UTXO
+// at aliceAddress whose txid is ORACLE_STATE_CATEGORY_HEX (a genesis
+// input, spent first).
+//
+// V10 rebalances only a portfolio UTXO created in the same transaction as
+// its state NFT, so it is funded once, into one UTXO, with the state NFT
+// in the same tx; to fund it again, reset it first.
+//
+// --dry-run (or DRY_RUN=1) prints the plan instead of broadcasting.
+
+import {
+  ElectrumNetworkProvider,
+  TransactionBuilder,
+  SignatureTemplate,
+} from "cashscript";
+
+import {
+  NETWORK,
+  FT_CATEGORY_HEX,
+  INITIAL_TOKENS_ON_CONTRACT,
+  SATS_PER_BYTE,
+  DUST_THRESHOLD,
+  MEAN_REVERT_VERSION,
+  COIN_SELECTION,
+} from "../config.js";
+import { alicePriv, aliceAddress, aliceTokenAddress } from "../common.js";
+import {
+  splitByToken,
+  selectFundingUtxos,
+  describeSelection,
+  summarizeSelection,
+} from "../utxos.js";
+import {
+  summarizePortfolio,
+  splitEvenly,
+  splitCountFromArgv,
+} from "../portfolioUtxos.js";
+import {
+  findOracleState,
+  oracleStateToken,
+  ORACLE_STATE_INITIAL_COMMITMENT,
+} from "../oracleState.js";
+import { formatSats, safeJson } from "../bigint.js";
+import { isDryRun, buildDryRunPlan, emitDryRunPlan } from "../dryRun.js";
+import {
+  getMeanRevertContract,
+  getMeanRevertVersion,
+} from "../meanRevertContract.js";
+
+// 1 BCH as default backing for a nice intuitive demo.
+const PORTFOLIO_BCH = 1_000_000n;
+
+function utxoValueBigInt(u) {
+  const v = u.satoshis ?? u.value;
+  if (v === undefined) throw new Error("UTXO missing satoshi value");
+  return BigInt(v);
+}
+
+export async function runFundMeanRevertFromAlice({
+  version = MEAN_REVERT_VERSION,
+  provider = new ElectrumNetworkProvider(NETWORK),
+  dryRun = isDryRun(),
+  split = splitCountFromArgv(),
+} = {}) {
+  const { contractName, aggregateTokens, oracleState, keeper } =
+    getMeanRevertVersion(version);
+
+  console.log("========================================");
+  console.log(` Fund ${contractName} `);
+  console.log("========================================\n");
+  console.log(`[network] NETWORK="${NETWORK}"\n`);
+
+  const tmpl = new SignatureTemplate(alicePriv);
+
+  // --- Reconstruct the same contract instance as deploy/inspect ---
+  const { contract } = getMeanRevertContract(provider, version);
+
+  const label = version.toUpperCase();
+  console.log(`${label} contract.address      :`, contract.address);
+  console.log(`${label} contract.tokenAddress :`, contract.tokenAddress);
+
+  // --- 0) Existing portfolio + how the new funds are laid out ---
+  const contractUtxos = await contract.getUtxos();
+  const existing = summarizePortfolio(contractUtxos, FT_CATEGORY_HEX);
+  console.log(
+    `\n[portfolio] Existing contract UTXOs: ${existing.entries.length}`
+  );
+  for (const e of existing.entries) {
+    console.log(
+      `  • ${e.outpoint} ${formatSats(e.bchSats)}` +
+        (e.foreignToken
+          ? ` | foreign token ${e.foreignToken}`
+          : ` | ${e.tokens.toString()} FT`)
+    );
+  }
+  console.log(
+    `[portfolio] Existing total: ${formatSats(
+      existing.bchSats
+    )} + ${existing.tokens.toString()} FT`
+  );
+
+  if (keeper && (split !== 1 || existing.entries.length > 0)) {
+    throw new Error(
+      [
+        `${contractName} holds one portfolio UTXO, created with its state NFT.`,
+        split !== 1
+          ? `  Fund it without --split (got ${split}).`
+          : `  The contract is not empty: run resetMeanRevert${label}ToAlice.js first.`,
+      ].join("\n")
+    );
+  }
+
+  // Keeping every FT on one UTXO lets each input pass the covenant's
+  // per-input check on later rebalances. V9 sums the FT over all contract
+  // UTXOs, so there it is split like the BCH.
+  const bchParts = splitEvenly(PORTFOLIO_BCH, split);
+  const tokenParts = aggregateTokens
+    ? splitEvenly(INITIAL_TOKENS_ON_CONTRACT, split)
+    : bchParts.map((_, i) => (i === 0 ? INITIAL_TOKENS_ON_CONTRACT : 0n));
+  const contractOutputs = bchParts.map((bchSats, i) => ({
+    bchSats,
+    tokens: tokenParts[i],
+  }));
+  if (bchParts[bchParts.length - 1] < DUST_THRESHOLD) {
+    throw new Error(
+      `[fund] Splitting ${formatSats(PORTFOLIO_BCH)} into ${split} UTXOs would leave outputs below dust.`
+    );
+  }
+
+  // Output(s) 0..split-1: contract portfolio UTXO(s)
+  const addContractOutputs = (builder) => {
+    for (const out of contractOutputs) {
+      builder.addOutput({
+        to: contract.tokenAddress,
+        amount: out.bchSats,
+        ...(out.tokens > 0n && {
+          token: {
+            category: FT_CATEGORY_HEX,
+            amount: out.tokens,
+          },
+        }),
+      });
+    }
+  };
+  console.log("");
+
+  // --- 1) Find Alice's FT UTXO for the portfolio token ---
+  console.log("Fetching UTXOs for aliceTokenAddress:", aliceTokenAddress);
+  const aliceTokenUtxos = await provider.getUtxos(aliceTokenAddress);
+  const { bchOnly: tokenBchOnly, withTokens: tokenWithTokens } =
+    splitByToken(aliceTokenUtxos);
+
+  console.log(
+    `  - BCH-only:   ${tokenBchOnly.length}\n  - Token-bearing: ${tokenWithTokens.length}`
+  );
+
+  const ftUtxo = tokenWithTokens.find(
+    (u) =>
+      u.token?.category === FT_CATEGORY_HEX &&
+      BigInt(u.token.amount) >= INITIAL_TOKENS_ON_CONTRACT
+  );
+
+  if (!ftUtxo) {
+    throw new Error(
+      [
+        "No suitable FT UTXO found at aliceTokenAddress.",
+        `Need category=${FT_CATEGORY_HEX} with amount >= ${INITIAL_TOKENS_ON_CONTRACT.toString()}.`,
+        "Run mintAllForAlice.js and confirm config.FT_CATEGORY_HEX matches the FT genesis txid.",
+      ].join("\n")
+    );
+  }
+
+  console.log("\n[chosen] Portfolio FT UTXO:");
+  console.log(safeJson(ftUtxo));
+
+  const ftAmount = BigInt(ftUtxo.token.amount);
+  const ftChangeTokens = ftAmount - INITIAL_TOKENS_ON_CONTRACT;
+
+  console.log("\nFetching UTXOs for aliceAddress:", aliceAddress);
+  const aliceUtxos = await provider.getUtxos(aliceAddress);
+
+  // --- 1b) V6+: the oracle state NFT, unless the contract already holds it ---
+  let stateInput = null;
+  let stateToken = null;
+  if (oracleState) {
+    const stateCategory = oracleState.stateCategory();
+    if (findOracleState(contractUtxos, stateCategory)) {
+      console.log("\n[state] The contract already holds its oracle state NFT.");
+    } else {
+      stateInput = findOracleState(aliceTokenUtxos, stateCategory);
+      if (stateInput) {
+        stateToken = stateInput.token;
+        console.log(
+          `\n[state] Moving Alice's oracle state NFT (commitment ${stateToken.nft.commitment}) to the contract.`
+        );
+      } else {
+        stateInput = aliceUtxos.find(
+          (u) => !u.token && u.txid === stateCategory && u.vout === 0
+        );
+        if (!stateInput) {
+          throw new Error(
+            [
+              `No oracle state NFT of category ${stateCategory} on the contract or at Alice,`,
+              "and no genesis UTXO to mint one.",
+              "Need a BCH-only UTXO at aliceAddress with txid=ORACLE_STATE_CATEGORY_HEX and vout=0",
+              "(seedVoutZeroUtxos.js), or set ORACLE_STATE_CATEGORY_HEX to the state NFT's category.",
+            ].join("\n")
+          );
+        }
+        stateToken = oracleStateToken(
+          stateCategory,
+          ORACLE_STATE_INITIAL_COMMITMENT
+        );
+        console.log(
+          `\n[state] Minting the oracle state NFT from genesis UTXO ${stateInput.txid}:0.`
+        );
+      }
+    }
+  }
+  const stateInputSats = stateInput ? utxoValueBigInt(stateInput) : 0n;
+  const stateOutputSats = stateToken ? DUST_THRESHOLD : 0n;
+
+  // State NFT output (V6+, when it is not on the contract yet)
+  const addStateOutput = (builder) => {
+    if (!stateToken) return;
+    builder.addOutput({
+      to: contract.tokenAddress,
+      amount: stateOutputSats,
+      token: stateToken,
+    });
+  };
+
+  // --- 2) Coin-select BCH-only funding UTXOs at aliceAddress ---
+  const { bchOnly: aliceBchOnly } = splitByToken(aliceUtxos);
+  const fundingBchOnly = aliceBchOnly.filter((u) => u !== stateInput);
+
+  if (!fundingBchOnly.length) {
+    throw new Error(
+      "No BCH-only UTXOs at aliceAddress. Fund aliceAddress on chipnet first."
+    );
+  }
+
+  console.log(
+    `[plan] contract portfolio: ${formatSats(
+      PORTFOLIO_BCH
+    )} + ${INITIAL_TOKENS_ON_CONTRACT.toString()} tokens` +
+      (split > 1 ? ` over ${split} UTXOs` : "")
+  );
+  console.log(
+    `[plan] portfolio total after funding: ${formatSats(
+      existing.bchSats + PORTFOLIO_BCH
+    )} + ${(existing.tokens + INITIAL_TOKENS_ON_CONTRACT).toString()} tokens`
+  );
+  console.log(
+    `[plan] FT change back to Alice: ${ftChangeTokens.toString()} tokens\n`
+  );
+
+  // Inputs: state NFT / genesis UTXO (V10, first), FT UTXO, then the BCH
+  // funding UTXOs
+  const addInputs = (builder, fundingUtxos) => {
+    if (stateInput) builder.addInput(stateInput, tmpl.unlockP2PKH());
+    builder.addInput(ftUtxo, tmpl.unlockP2PKH());
+    for (const u of fundingUtxos) {
+      builder.addInput(u, tmpl.unlockP2PKH());
+    }
+  };
+
+  // --- PASS 1: provisional tx for fee estimate (inside coin selection) ---
+  console.log("[pass1] Building provisional funding tx for fee estimate...");
+
+  const requiredOutputs =
+    PORTFOLIO_BCH +
+    stateOutputSats +
+    (ftChangeTokens > 0n ? DUST_THRESHOLD : 0n) +
+    DUST_THRESHOLD; // BCH change
+
+  let bytesEstimate = 0n;
+  const funding = await selectFundingUtxos(fundingBchOnly, {
+    amount: requiredOutputs - utxoValueBigInt(ftUtxo) - stateInputSats,
+    strategy: COIN_SELECTION,
+    estimateFee: async (inputs) => {
+      const estBuilder = new TransactionBuilder({ provider });
+      addInputs(estBuilder, inputs);
+      addContractOutputs(estBuilder);
+      addStateOutput(estBuilder);
+
+      // Next: FT token change back to Alice
+      if (ftChangeTokens > 0n) {
+        estBuilder.addOutput({
+          to: aliceTokenAddress,
+          amount: DUST_THRESHOLD, // sats backing for token change
+          token: {
+            category: FT_CATEGORY_HEX,
+            amount: ftChangeTokens,
+          },
+        });
+      }
+
+      // Last: BCH change back to Alice (provisional DUST_THRESHOLD for fee calc)
+      estBuilder.addOutput({
+        to: aliceAddress,
+        amount: DUST_THRESHOLD,
+      });
+
+      bytesEstimate = BigInt((await estBuilder.build()).length / 2);
+      return bytesEstimate * SATS_PER_BYTE;
+    },
+  });
+  const feeEstimate = funding.feeEstimate;
+
+  console.log(`\n[chosen] BCH funding: ${describeSelection(funding)}`);
+  console.log(safeJson(funding.selected));
+
+  const totalInputBch =
+    utxoValueBigInt(ftUtxo) + stateInputSats + funding.totalSats;
+
+  console.log(`\n[inputs] total BCH from inputs: ${formatSats(totalInputBch)}`);
+  console.log(
+    `[pass1] Estimated size: ${bytesEstimate} bytes @ ${SATS_PER_BYTE} sat/byte → fee ≈ ${formatSats(
+      feeEstimate
+    )}`
+  );
+
+  const requiredMin = requiredOutputs + feeEstimate;
+
+  if (totalInputBch < requiredMin) {
+    throw new Error(
+      [
+        "[fund] Insufficient BCH to fund portfolio + fees.",
+        `  totalInputBch:   ${formatSats(totalInputBch)}`,
+        `  required minimum: ${formatSats(requiredMin)}`,
+      ].join("\n")
+    );
+  }
+
+  const finalBchChange =
+    totalInputBch -
+    PORTFOLIO_BCH -
+    stateOutputSats -
+    (ftChangeTokens > 0n ? DUST_THRESHOLD : 0n) -
+    feeEstimate;
+
+  if (finalBchChange < DUST_THRESHOLD) {
+    throw new Error(
+      [
+        "[fund] BCH change would fall below dust after fees.",
+        `  finalBchChange: ${formatSats(finalBchChange)}`,
+        `  DUST_THRESHOLD: ${formatSats(DUST_THRESHOLD)}`,
+      ].join("\n")
+    );
+  }
+
+  console.log(
+    `[pass1] Expected BCH change back to Alice: ${formatSats(finalBchChange)}`
+  );
+
+  // --- PASS 2: final funding transaction ---
+  console.log("\n[pass2] Building FINAL funding tx...");
+
+  const txb = new TransactionBuilder({ provider });
+  addInputs(txb, funding.selected);
+
+  // Contract portfolio output(s), then the state NFT (V10)
+  addContractOutputs(txb);
+  addStateOutput(txb);
+
+  // FT change
+  if (ftChangeTokens > 0n) {
+    txb.addOutput({
+      to: aliceTokenAddress,
+      amount: DUST_THRESHOLD,
+      token: {
+        category: FT_CATEGORY_HEX,
+        amount: ftChangeTokens,
+      },
+    });
+  }
+
+  // BCH change
+  txb.addOutput({
+    to: aliceAddress,
+    amount: finalBchChange,
+  });
+
+  if (dryRun) {
+    return emitDryRunPlan(
+      await buildDryRunPlan({
+        action: "fund",
+        builder: txb,
+        feeEstimate,
+        details: {
+          version,
+          contractAddress: contract.tokenAddress,
+          portfolioBch: PORTFOLIO_BCH,
+          tokensToContract: INITIAL_TOKENS_ON_CONTRACT,
+          ftChangeTokens,
+          contractOutputs,
+          oracleState: stateToken && {
+            source: stateInput.token ? "alice" : "genesis",
+            outpoint: `${stateInput.txid}:${stateInput.vout}`,
+            token: stateToken,
+          },
+          coinSelection: summarizeSelection(funding),
+          existingPortfolio: {
+            utxos: existing.entries.map((e) => ({
+              outpoint: e.outpoint,
+              bchSats: e.bchSats,
+              tokens: e.tokens,
+              foreignToken: e.foreignToken,
+            })),
+            totalBch: existing.bchSats,
+            totalTokens: existing.tokens,
+          },
+          portfolioAfter: {
+            totalBch: existing.bchSats + PORTFOLIO_BCH,
+            totalTokens: existing.tokens + INITIAL_TOKENS_ON_CONTRACT,
+          },
+        },
+      })
+    );
+  }
+
+  const txDetails = await txb.send();
+
+  console.log("\n[fund] Broadcast txid:", txDetails.txid);
+  if (txDetails?.hex) {
+    const finalBytes = BigInt(txDetails.hex.length / 2);
+    const actualFee =
+      totalInputBch -
+      PORTFOLIO_BCH -
+      stateOutputSats -
+      (ftChangeTokens > 0n ? DUST_THRESHOLD : 0n) -
+      finalBchChange;
+    console.log(
+      `[fund] Final size: ${finalBytes.toString()} bytes, actual fee ≈ ${formatSats(
+        actualFee
+      )}`
+    );
+  }
+
+  console.log(
+    `\nTip: run scripts/inspectMeanRevert${label}State.js to verify the contract portfolio.`
+  );
+}
+
+// --- CLI runner ---
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runFundMeanRevertFromAlice().catch((err) => {
+    console.error("Error in fundMeanRevertFromAlice script:", err);
+    process.exit(1);
+  });
+}
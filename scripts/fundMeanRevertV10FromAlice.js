@@ -0,0 +1,21 @@
+// scripts/fundMeanRevertV10FromAlice.js
+//
+// Fund the V10 contract on CHIPNET from Alice
+// (V9 without the rebalancer NFT: permissionless keepers earn a capped bounty).
+//
+// Thin wrapper around scripts/fundMeanRevertFromAlice.js with the contract
+// version pinned, so it ignores MEAN_REVERT_VERSION.
+
+import { runFundMeanRevertFromAlice } from "./fundMeanRevertFromAlice.js";
+
+export function runFundMeanRevertV10FromAlice() {
+  return runFundMeanRevertFromAlice({ version: "v10" });
+}
+
+// --- CLI runner ---
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runFundMeanRevertV10FromAlice().catch((err) => {
+    console.error("Error in fundMeanRevertV10FromAlice script:", err);
+    process.exit(1);
+  });
+}
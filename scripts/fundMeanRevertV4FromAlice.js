@@ -0,0 +1,21 @@
+// scripts/fundMeanRevertV4FromAlice.js
+//
+// Fund the V4 contract on CHIPNET from Alice
+// (target BCH weight = config.TARGET_BCH_WEIGHT_BPS).
+//
+// Thin wrapper around scripts/fundMeanRevertFromAlice.js with the contract
+// version pinned, so it ignores MEAN_REVERT_VERSION.
+
+import { runFundMeanRevertFromAlice } from "./fundMeanRevertFromAlice.js";
+
+export function runFundMeanRevertV4FromAlice() {
+  return runFundMeanRevertFromAlice({ version: "v4" });
+}
+
+// --- CLI runner ---
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runFundMeanRevertV4FromAlice().catch((err) => {
+    console.error("Error in fundMeanRevertV4FromAlice script:", err);
+    process.exit(1);
+  });
+}
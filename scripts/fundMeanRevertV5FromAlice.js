@@ -0,0 +1,21 @@
+// scripts/fundMeanRevertV5FromAlice.js
+//
+// Fund the V5 contract on CHIPNET from Alice
+// (V4 weighting + COOLDOWN_MIN_AGE_BLOCKS sequence lock).
+//
+// Thin wrapper around scripts/fundMeanRevertFromAlice.js with the contract
+// version pinned, so it ignores MEAN_REVERT_VERSION.
+
+import { runFundMeanRevertFromAlice } from "./fundMeanRevertFromAlice.js";
+
+export function runFundMeanRevertV5FromAlice() {
+  return runFundMeanRevertFromAlice({ version: "v5" });
+}
+
+// --- CLI runner ---
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runFundMeanRevertV5FromAlice().catch((err) => {
+    console.error("Error in fundMeanRevertV5FromAlice script:", err);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,21 @@
+// scripts/fundMeanRevertV6FromAlice.js
+//
+// Fund the V6 contract on CHIPNET from Alice
+// (V5 + the oracle message verified on-chain against ORACLE_PUBLIC_KEY_HEX).
+//
+// Thin wrapper around scripts/fundMeanRevertFromAlice.js with the contract
+// version pinned, so it ignores MEAN_REVERT_VERSION.
+
+import { runFundMeanRevertFromAlice } from "./fundMeanRevertFromAlice.js";
+
+export function runFundMeanRevertV6FromAlice() {
+  return runFundMeanRevertFromAlice({ version: "v6" });
+}
+
+// --- CLI runner ---
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runFundMeanRevertV6FromAlice().catch((err) => {
+    console.error("Error in fundMeanRevertV6FromAlice script:", err);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,21 @@
+// scripts/fundMeanRevertV7FromAlice.js
+//
+// Fund the V7 contract on CHIPNET from Alice
+// (V6 + the stablecoin token category enforced on-chain).
+//
+// Thin wrapper around scripts/fundMeanRevertFromAlice.js with the contract
+// version pinned, so it ignores MEAN_REVERT_VERSION.
+
+import { runFundMeanRevertFromAlice } from "./fundMeanRevertFromAlice.js";
+
+export function runFundMeanRevertV7FromAlice() {
+  return runFundMeanRevertFromAlice({ version: "v7" });
+}
+
+// --- CLI runner ---
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runFundMeanRevertV7FromAlice().catch((err) => {
+    console.error("Error in fundMeanRevertV7FromAlice script:", err);
+    process.exit(1);
+  });
+}
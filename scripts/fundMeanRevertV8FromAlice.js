@@ -0,0 +1,21 @@
+// scripts/fundMeanRevertV8FromAlice.js
+//
+// Fund the V8 contract on CHIPNET from Alice
+// (V7 + the rebalancer NFT category checked on-chain).
+//
+// Thin wrapper around scripts/fundMeanRevertFromAlice.js with the contract
+// version pinned, so it ignores MEAN_REVERT_VERSION.
+
+import { runFundMeanRevertFromAlice } from "./fundMeanRevertFromAlice.js";
+
+export function runFundMeanRevertV8FromAlice() {
+  return runFundMeanRevertFromAlice({ version: "v8" });
+}
+
+// --- CLI runner ---
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runFundMeanRevertV8FromAlice().catch((err) => {
+    console.error("Error in fundMeanRevertV8FromAlice script:", err);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,21 @@
+// scripts/fundMeanRevertV9FromAlice.js
+//
+// Fund the V9 contract on CHIPNET from Alice
+// (V8 + the stablecoin summed over every contract input and output).
+//
+// Thin wrapper around scripts/fundMeanRevertFromAlice.js with the contract
+// version pinned, so it ignores MEAN_REVERT_VERSION.
+
+import { runFundMeanRevertFromAlice } from "./fundMeanRevertFromAlice.js";
+
+export function runFundMeanRevertV9FromAlice() {
+  return runFundMeanRevertFromAlice({ version: "v9" });
+}
+
+// --- CLI runner ---
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runFundMeanRevertV9FromAlice().catch((err) => {
+    console.error("Error in fundMeanRevertV9FromAlice script:", err);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,198 @@
+// scripts/inspectMeanRevertState.js
+//
+// Inspect the on-chain state of a MeanRevert contract version on CHIPNET.
+// All contract UTXOs without foreign tokens form one portfolio: each is
+// listed, then the totals. With an oracle price it also prints the value
+// per UTXO and the current vs target allocation of the whole portfolio.
+
+import { ElectrumNetworkProvider } from "cashscript";
+
+import {
+  NETWORK,
+  FT_CATEGORY_HEX,
+  MEAN_REVERT_VERSION,
+  ORACLE_PUBLIC_KEYS,
+  ORACLE_AGGREGATION,
+  ORACLE_SEQUENCE_PATH,
+  ORACLE_EXPECTED_ASSET,
+  ORACLE_API_BASE_URL,
+  ORACLE_HTTP,
+} from "../config.js";
+import { formatSats, safeJson } from "../bigint.js";
+import {
+  getMeanRevertContract,
+  getMeanRevertVersion,
+} from "../meanRevertContract.js";
+import { WEIGHT_SCALE } from "../meanRevertMath.js";
+import { fetchAggregatedOraclePrice } from "../oracles/oracleAggregator.js";
+import { covenantPriceRaw } from "../oracles/oracleMetadata.js";
+import { summarizePortfolio, valuePortfolio } from "../portfolioUtxos.js";
+
+function utxoValueBigInt(u) {
+  const v = u.satoshis ?? u.value;
+  return v === undefined ? 0n : BigInt(v);
+}
+
+/**
+ * Print the contract's UTXOs and portfolio totals.
+ *
+ * fetchPrice() replaces fetchAggregatedOraclePrice (tests, mock oracles).
+ * Returns { summary, valuation } – valuation is null without a price.
+ */
+export async function runInspectMeanRevertState({
+  version = MEAN_REVERT_VERSION,
+  provider = new ElectrumNetworkProvider(NETWORK),
+  fetchPrice,
+} = {}) {
+  const { contractName } = getMeanRevertVersion(version);
+
+  console.log("========================================");
+  console.log(` Inspect ${contractName} `);
+  console.log("========================================\n");
+  console.log(`[network] NETWORK="${NETWORK}"\n`);
+
+  const { contract, spec } = getMeanRevertContract(provider, version);
+
+  const label = version.toUpperCase();
+  console.log(`${label} contract.address      :`, contract.address);
+  console.log(`${label} contract.tokenAddress :`, contract.tokenAddress);
+
+  const utxos = await contract.getUtxos();
+
+  console.log(`\n=== Contract UTXOs (count=${utxos.length}) ===`);
+  let totalBch = 0n;
+  const tokenBalances = new Map(); // category -> amount
+
+  for (const u of utxos) {
+    const v = utxoValueBigInt(u);
+    totalBch += v;
+
+    if (u.token) {
+      const cat = u.token.category;
+      const amt = BigInt(u.token.amount ?? 0n);
+      tokenBalances.set(cat, (tokenBalances.get(cat) ?? 0n) + amt);
+    }
+
+    console.log(
+      ` • txid=${u.txid} vout=${u.vout} value=${formatSats(v)} ` +
+        (u.token
+          ? `| token.category=${u.token.category} amount=${u.token.amount}` +
+            (u.token.nft?.commitment
+              ? ` nftCommit=${u.token.nft.commitment}`
+              : "")
+          : "")
+    );
+  }
+
+  console.log(`\nTotal BCH on contract: ${formatSats(totalBch)}`);
+
+  console.log("\nToken balances per category:");
+  if (!tokenBalances.size) {
+    console.log("  (none)");
+  } else {
+    for (const [cat, amt] of tokenBalances.entries()) {
+      const marker = cat === FT_CATEGORY_HEX ? " ← stablecoin FT" : "";
+      console.log(`  ${cat}: ${amt.toString()}${marker}`);
+    }
+  }
+
+  // The rebalancer's view: every UTXO without a foreign token.
+  const summary = summarizePortfolio(utxos, FT_CATEGORY_HEX);
+  console.log(
+    `\nPortfolio: ${summary.portfolio.length} UTXO(s), ${formatSats(
+      summary.bchSats
+    )} + ${summary.tokens.toString()} FT` +
+      (summary.ignored.length
+        ? ` (${summary.ignored.length} UTXO(s) with foreign tokens not counted)`
+        : "")
+  );
+
+  // Current vs target allocation needs a price to value the BCH leg.
+  const valuation = await logAllocation(
+    summary,
+    spec.targetBchWeightBps,
+    fetchPrice
+  );
+
+  console.log(
+    "\nTip: stablecoin FT category should match config.FT_CATEGORY_HEX."
+  );
+
+  return { summary, valuation };
+}
+
+async function logAllocation(summary, targetBchWeightBps, fetchPrice) {
+  const targetBps = targetBchWeightBps ?? WEIGHT_SCALE / 2n;
+  console.log(
+    `\nTarget allocation: ${bpsToPct(targetBps)} BCH / ${bpsToPct(
+      WEIGHT_SCALE - targetBps
+    )} FT`
+  );
+
+  if (!fetchPrice && !ORACLE_PUBLIC_KEYS.length) {
+    console.log(
+      "  (set ORACLE_PUBLIC_KEY_HEX or ORACLE_PUBLIC_KEYS to also show the current allocation)"
+    );
+    return null;
+  }
+
+  const oracleSnap = fetchPrice
+    ? await fetchPrice()
+    : await fetchAggregatedOraclePrice({
+        publicKeys: ORACLE_PUBLIC_KEYS,
+        ...ORACLE_AGGREGATION,
+        sequencePath: ORACLE_SEQUENCE_PATH,
+        apiBaseUrl: ORACLE_API_BASE_URL,
+        http: ORACLE_HTTP,
+      });
+  const oraclePriceRaw = covenantPriceRaw(oracleSnap, {
+    expectedAsset: ORACLE_EXPECTED_ASSET,
+  });
+  const valuation = valuePortfolio(summary, oraclePriceRaw, targetBchWeightBps);
+  const { bchUsd, tokens: stableTokens } = valuation;
+  const totalUsd = bchUsd + stableTokens;
+
+  if (summary.portfolio.length > 1) {
+    console.log("  Per UTXO:");
+    for (const e of valuation.entries) {
+      console.log(
+        `    ${e.outpoint}: BCH≈$${e.bchUsd.toString()} + ${e.tokens.toString()} FT`
+      );
+    }
+  }
+
+  if (totalUsd === 0n) {
+    console.log("  Current allocation: (empty portfolio)");
+    return valuation;
+  }
+
+  const currentBchBps = (bchUsd * WEIGHT_SCALE) / totalUsd;
+  console.log(
+    `  Current allocation: ${bpsToPct(currentBchBps)} BCH / ${bpsToPct(
+      WEIGHT_SCALE - currentBchBps
+    )} FT (BCH≈$${bchUsd.toString()}, FT=${stableTokens.toString()},` +
+      ` price≈$${(Number(oraclePriceRaw) / 100).toFixed(2)})`
+  );
+  console.log(
+    `  D = ${
+      targetBchWeightBps == null
+        ? "|BCH(USD-ish) - tokens|"
+        : "|BCH(USD-ish) * W_ft - tokens * W_bch|"
+    } = ${valuation.D.toString()} (deviation ≈ $${valuation.deviationUsd.toFixed(
+      2
+    )})`
+  );
+  return valuation;
+}
+
+function bpsToPct(bps) {
+  return `${(Number(bps) / 100).toFixed(2)}%`;
+}
+
+// --- CLI runner ---
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runInspectMeanRevertState().catch((err) => {
+    console.error("Error in inspectMeanRevertState script:", err);
+    process.exit(1);
+  });
+}
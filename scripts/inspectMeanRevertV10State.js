@@ -0,0 +1,21 @@
+// scripts/inspectMeanRevertV10State.js
+//
+// Inspect the V10 contract on CHIPNET
+// (V9 without the rebalancer NFT: permissionless keepers earn a capped bounty).
+//
+// Thin wrapper around scripts/inspectMeanRevertState.js with the contract
+// version pinned, so it ignores MEAN_REVERT_VERSION.
+
+import { runInspectMeanRevertState } from "./inspectMeanRevertState.js";
+
+export function runInspectMeanRevertV10State() {
+  return runInspectMeanRevertState({ version: "v10" });
+}
+
+// --- CLI runner ---
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runInspectMeanRevertV10State().catch((err) => {
+    console.error("Error in inspectMeanRevertV10State script:", err);
+    process.exit(1);
+  });
+}
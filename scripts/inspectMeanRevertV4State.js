@@ -0,0 +1,21 @@
+// scripts/inspectMeanRevertV4State.js
+//
+// Inspect the V4 contract on CHIPNET
+// (target BCH weight = config.TARGET_BCH_WEIGHT_BPS).
+//
+// Thin wrapper around scripts/inspectMeanRevertState.js with the contract
+// version pinned, so it ignores MEAN_REVERT_VERSION.
+
+import { runInspectMeanRevertState } from "./inspectMeanRevertState.js";
+
+export function runInspectMeanRevertV4State() {
+  return runInspectMeanRevertState({ version: "v4" });
+}
+
+// --- CLI runner ---
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runInspectMeanRevertV4State().catch((err) => {
+    console.error("Error in inspectMeanRevertV4State script:", err);
+    process.exit(1);
+  });
+}
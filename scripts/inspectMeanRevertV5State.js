@@ -0,0 +1,21 @@
+// scripts/inspectMeanRevertV5State.js
+//
+// Inspect the V5 contract on CHIPNET
+// (V4 weighting + COOLDOWN_MIN_AGE_BLOCKS sequence lock).
+//
+// Thin wrapper around scripts/inspectMeanRevertState.js with the contract
+// version pinned, so it ignores MEAN_REVERT_VERSION.
+
+import { runInspectMeanRevertState } from "./inspectMeanRevertState.js";
+
+export function runInspectMeanRevertV5State() {
+  return runInspectMeanRevertState({ version: "v5" });
+}
+
+// --- CLI runner ---
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runInspectMeanRevertV5State().catch((err) => {
+    console.error("Error in inspectMeanRevertV5State script:", err);
+    process.exit(1);
+  });
+}
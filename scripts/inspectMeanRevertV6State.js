@@ -0,0 +1,21 @@
+// scripts/inspectMeanRevertV6State.js
+//
+// Inspect the V6 contract on CHIPNET
+// (V5 + the oracle message verified on-chain against ORACLE_PUBLIC_KEY_HEX).
+//
+// Thin wrapper around scripts/inspectMeanRevertState.js with the contract
+// version pinned, so it ignores MEAN_REVERT_VERSION.
+
+import { runInspectMeanRevertState } from "./inspectMeanRevertState.js";
+
+export function runInspectMeanRevertV6State() {
+  return runInspectMeanRevertState({ version: "v6" });
+}
+
+// --- CLI runner ---
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runInspectMeanRevertV6State().catch((err) => {
+    console.error("Error in inspectMeanRevertV6State script:", err);
+    process.exit(1);
+  });
+}
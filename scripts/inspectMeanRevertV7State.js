@@ -0,0 +1,21 @@
+// scripts/inspectMeanRevertV7State.js
+//
+// Inspect the V7 contract on CHIPNET
+// (V6 + the stablecoin token category enforced on-chain).
+//
+// Thin wrapper around scripts/inspectMeanRevertState.js with the contract
+// version pinned, so it ignores MEAN_REVERT_VERSION.
+
+import { runInspectMeanRevertState } from "./inspectMeanRevertState.js";
+
+export function runInspectMeanRevertV7State() {
+  return runInspectMeanRevertState({ version: "v7" });
+}
+
+// --- CLI runner ---
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runInspectMeanRevertV7State().catch((err) => {
+    console.error("Error in inspectMeanRevertV7State script:", err);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,21 @@
+// scripts/inspectMeanRevertV8State.js
+//
+// Inspect the V8 contract on CHIPNET
+// (V7 + the rebalancer NFT category checked on-chain).
+//
+// Thin wrapper around scripts/inspectMeanRevertState.js with the contract
+// version pinned, so it ignores MEAN_REVERT_VERSION.
+
+import { runInspectMeanRevertState } from "./inspectMeanRevertState.js";
+
+export function runInspectMeanRevertV8State() {
+  return runInspectMeanRevertState({ version: "v8" });
+}
+
+// --- CLI runner ---
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runInspectMeanRevertV8State().catch((err) => {
+    console.error("Error in inspectMeanRevertV8State script:", err);
+    process.exit(1);
+  });
+}
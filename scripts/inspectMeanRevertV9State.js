@@ -0,0 +1,21 @@
+// scripts/inspectMeanRevertV9State.js
+//
+// Inspect the V9 contract on CHIPNET
+// (V8 + the stablecoin summed over every contract input and output).
+//
+// Thin wrapper around scripts/inspectMeanRevertState.js with the contract
+// version pinned, so it ignores MEAN_REVERT_VERSION.
+
+import { runInspectMeanRevertState } from "./inspectMeanRevertState.js";
+
+export function runInspectMeanRevertV9State() {
+  return runInspectMeanRevertState({ version: "v9" });
+}
+
+// --- CLI runner ---
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runInspectMeanRevertV9State().catch((err) => {
+    console.error("Error in inspectMeanRevertV9State script:", err);
+    process.exit(1);
+  });
+}
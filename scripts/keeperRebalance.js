@@ -0,0 +1,573 @@
+// scripts/keeperRebalance.js
+//
+// Reference keeper for the permissionless MeanRevert V10 on CHIPNET.
+//
+// V10's rebalance() needs no NFT: anyone who moves the portfolio towards
+// its target at the signed oracle price may take a capped bounty from it
+// (see contracts/MeanRevertSingleTokenKeeperV10.cash). This script is such
+// a keeper, by default Bob's wallet (common.js):
+//
+//  - Reads the contract UTXOs: the state NFT that records the last oracle
+//    message used (oracleState.js), and the portfolio UTXO created in the
+//    same transaction – the only one V10 lets a rebalance spend with it.
+//    Any other contract UTXO can only be drained by the owner.
+//  - Fetches the contract oracle's latest signed message, checks it the
+//    way the contract will (onchainOracle.js) and skips until the oracle
+//    has published since the last rebalance.
+//  - Plans a BCH <-> FT swap at the oracle price that minimises the
+//    imbalance, plus the largest bounty the contract accepts
+//    (keeperBounty.js). The swap is capped at the keeper's own FT when
+//    the keeper has to supply it.
+//  - Pays the fee from the keeper's BCH (coin selection, utxos.js) and
+//    skips when the bounty does not cover it.
+//  - --dry-run (or DRY_RUN=1): builds the final tx and prints a JSON plan
+//    instead of broadcasting – see dryRun.js.
+//
+// Like rebalanceWithOracle.js it waits for the contract UTXOs to reach
+// minAgeBlocks (sequence lock). No fungible tokens are burnt.
+
+import {
+  ElectrumNetworkProvider,
+  TransactionBuilder,
+  SignatureTemplate,
+} from "cashscript";
+
+import {
+  NETWORK,
+  FT_CATEGORY_HEX,
+  SATS_PER_BYTE,
+  DUST_THRESHOLD,
+  MEAN_REVERT_VERSION,
+  COIN_SELECTION,
+  ORACLE_API_BASE_URL,
+  ORACLE_HTTP,
+} from "../config.js";
+import { bobPriv, bobAddress, bobTokenAddress } from "../common.js";
+import { formatSats } from "../bigint.js";
+import { isDryRun, buildDryRunPlan, emitDryRunPlan } from "../dryRun.js";
+import {
+  selectTokenUtxos,
+  selectFundingUtxos,
+  describeSelection,
+  summarizeSelection,
+} from "../utxos.js";
+import { fetchLatestOraclePrice } from "../oracles/fetchOraclePrice.js";
+import {
+  getMeanRevertContract,
+  getMeanRevertVersion,
+} from "../meanRevertContract.js";
+import {
+  supportsChainHistory,
+  lastChainActivity,
+  sequenceForMinAge,
+  minAgeStatus,
+} from "../rebalanceCooldown.js";
+import {
+  checkOnchainOracleMessage,
+  medianTimePast,
+  chooseOracleLocktime,
+  onchainOracleUnlockArgs,
+} from "../onchainOracle.js";
+import { summarizePortfolio } from "../portfolioUtxos.js";
+import {
+  findOracleState,
+  oracleStateToken,
+  oracleStateCommitment,
+  checkOracleStateMessage,
+} from "../oracleState.js";
+import { planKeeperRebalance } from "../keeperBounty.js";
+
+function utxoValueBigInt(u) {
+  const v = u.satoshis ?? u.value;
+  if (v === undefined) throw new Error("UTXO missing satoshi value");
+  return BigInt(v);
+}
+
+/**
+ * Add the keeper rebalance inputs + outputs to a TransactionBuilder.
+ *
+ * Shared by pass 1 (fee estimate) and pass 2 (final tx):
+ *
+ *   Inputs:
+ *     0: state NFT UTXO (rebalance)
+ *     1: contract portfolio UTXO (rebalance)
+ *        – both contract inputs carry the minAgeBlocks sequence lock and
+ *          the signed oracle message; the tx locktime is set for it
+ *     next..: keeper FT UTXOs (sellBch only)
+ *     last..: keeper BCH funding UTXOs (coin selection)
+ *
+ *   Outputs:
+ *     0: contract portfolio
+ *     1: state NFT back to the contract, with the message's timestamp
+ *     next: FT to the keeper – bought tokens, or FT change (if any)
+ *     last: BCH change to the keeper (includes BCH bought and the bounty)
+ */
+function addKeeperIO(builder, plan) {
+  const {
+    contract,
+    tmpl,
+    keeper,
+    onchainOracle,
+    stateUtxo,
+    stateCommitment,
+    portfolioUtxo,
+    contractInputOptions,
+    keeperFtUtxos,
+    keeperFundingUtxos,
+    contractOutput,
+    keeperFtAmount,
+    bchChange,
+  } = plan;
+
+  for (const u of [stateUtxo, portfolioUtxo]) {
+    builder.addInput(
+      u,
+      contract.unlock.rebalance(...onchainOracle.unlockArgs),
+      contractInputOptions
+    );
+  }
+  builder.setLocktime(onchainOracle.locktime);
+  for (const u of [...keeperFtUtxos, ...keeperFundingUtxos]) {
+    builder.addInput(u, tmpl.unlockP2PKH());
+  }
+
+  builder.addOutput({
+    to: contract.tokenAddress,
+    amount: contractOutput.bchSats,
+    ...(contractOutput.tokens > 0n && {
+      token: {
+        category: FT_CATEGORY_HEX,
+        amount: contractOutput.tokens,
+      },
+    }),
+  });
+
+  builder.addOutput({
+    to: contract.tokenAddress,
+    amount: utxoValueBigInt(stateUtxo),
+    token: oracleStateToken(stateUtxo.token.category, stateCommitment),
+  });
+
+  if (keeperFtAmount > 0n) {
+    builder.addOutput({
+      to: keeper.tokenAddress,
+      amount: DUST_THRESHOLD,
+      token: {
+        category: FT_CATEGORY_HEX,
+        amount: keeperFtAmount,
+      },
+    });
+  }
+
+  builder.addOutput({
+    to: keeper.address,
+    amount: bchChange,
+  });
+
+  return builder;
+}
+
+/**
+ * Run one keeper attempt against a permissionless contract version (V10).
+ *
+ * keeper = { priv, address, tokenAddress } defaults to Bob. fetchPrice()
+ * replaces fetching the contract oracle's latest message; provider and
+ * signal are injected by the daemon (scripts/rebalanceDaemon.js), which
+ * only checks the signal right before broadcasting.
+ *
+ * Returns { status: "broadcast" | "dry-run" | "skipped" | "aborted",
+ *           reason?, txid?, plan? }.
+ */
+export async function runKeeperRebalance({
+  version = MEAN_REVERT_VERSION,
+  provider = new ElectrumNetworkProvider(NETWORK),
+  fetchPrice,
+  signal,
+  dryRun = isDryRun(),
+  keeper = {
+    priv: bobPriv,
+    address: bobAddress,
+    tokenAddress: bobTokenAddress,
+  },
+} = {}) {
+  const { contractName, keeper: keeperSpec } = getMeanRevertVersion(version);
+  if (!keeperSpec) {
+    throw new Error(
+      [
+        `${contractName} is rebalanced by the rebalancer NFT holder, not by keepers.`,
+        "  Use scripts/rebalanceWithOracle.js, or a keeper version (v10).",
+      ].join("\n")
+    );
+  }
+
+  console.log("========================================");
+  console.log(` Keeper rebalance ${contractName} `);
+  console.log("========================================\n");
+  console.log(`[network] NETWORK="${NETWORK}"`);
+  console.log(`[keeper] ${keeper.address}\n`);
+
+  const tmpl = new SignatureTemplate(keeper.priv);
+
+  const { contract, spec } = getMeanRevertContract(provider, version);
+  const { bountyBps, maxBountySats } = spec.keeper;
+  const stateCategory = spec.oracleState.stateCategory();
+
+  const label = version.toUpperCase();
+  console.log(`${label} contract.address      :`, contract.address);
+  console.log(`${label} contract.tokenAddress :`, contract.tokenAddress);
+  console.log(
+    `[bounty] ${bountyBps.toString()} bps of the USD moved towards the target,` +
+      ` at most ${formatSats(maxBountySats)}`
+  );
+
+  const targetBchWeightBps = spec.targetBchWeightBps;
+
+  // --- 1) Contract UTXOs: state NFT + the portfolio created with it ---
+  const contractUtxos = await contract.getUtxos();
+  const stateUtxo = findOracleState(contractUtxos, stateCategory);
+  if (!stateUtxo) {
+    throw new Error(
+      [
+        `No oracle state NFT (category ${stateCategory}) on the ${label} contract.`,
+        `  Run fundMeanRevert${label}FromAlice.js first.`,
+      ].join("\n")
+    );
+  }
+  const stateSats = utxoValueBigInt(stateUtxo);
+
+  // V10 spends the state NFT with the one portfolio UTXO from its
+  // transaction; anything else on the contract is drain-only.
+  const summary = summarizePortfolio(contractUtxos, FT_CATEGORY_HEX);
+  const paired = summary.portfolio.filter(
+    (e) => e.utxo.txid === stateUtxo.txid
+  );
+  if (paired.length !== 1) {
+    throw new Error(
+      [
+        `Found ${paired.length} portfolio UTXO(s) created with the ${label} state NFT; a rebalance needs exactly one.`,
+        `  Reset the contract and fund it again (fundMeanRevert${label}FromAlice.js, without --split).`,
+      ].join("\n")
+    );
+  }
+  const [portfolioEntry] = paired;
+  const portfolioUtxo = portfolioEntry.utxo;
+  const unspendable = summary.entries.filter(
+    (e) => e !== portfolioEntry && e.utxo !== stateUtxo
+  );
+
+  // The contract counts the state UTXO's BCH with the portfolio.
+  const oldBch = portfolioEntry.bchSats + stateSats;
+  const oldTokens = portfolioEntry.tokens;
+
+  console.log(
+    `\n[portfolio] ${portfolioEntry.outpoint}` +
+      ` + state NFT ${stateUtxo.txid}:${stateUtxo.vout}:` +
+      ` ${formatSats(oldBch)} + ${oldTokens.toString()} FT`
+  );
+  for (const e of unspendable) {
+    console.log(
+      `  • ${e.outpoint} ${formatSats(e.bchSats)} – not spent (drain-only)`
+    );
+  }
+
+  // --- 1b) Sequence lock: contract UTXOs must be minAgeBlocks old ---
+  const minAgeBlocks = spec.minAgeBlocks;
+  const contractInputOptions = { sequence: sequenceForMinAge(minAgeBlocks) };
+  if (supportsChainHistory(provider)) {
+    const chainLast = await lastChainActivity(provider, contract.address);
+    if (chainLast) {
+      const age = minAgeStatus({
+        height: chainLast.height,
+        tipHeight: await provider.getBlockHeight(),
+        minAgeBlocks,
+      });
+      if (!age.ok) {
+        const reason =
+          `sequence lock: contract UTXOs have ${age.confirmations} of` +
+          ` ${minAgeBlocks.toString()} confirmation(s), ${age.blocksLeft} block(s) to go`;
+        console.log(`[cooldown] ${reason} – skipping for now.`);
+        return { status: "skipped", reason };
+      }
+    }
+  }
+
+  // --- 2) The contract oracle's latest signed message ---
+  console.log("\n[oracle] Fetching the contract oracle's latest message...");
+  const oracleSnap = fetchPrice
+    ? await fetchPrice()
+    : await fetchLatestOraclePrice({
+        publicKey: spec.oraclePublicKey(),
+        apiBaseUrl: ORACLE_API_BASE_URL,
+        http: ORACLE_HTTP,
+      });
+
+  const stateCheck = checkOracleStateMessage({
+    state: stateUtxo,
+    snapshot: oracleSnap,
+  });
+  console.log(`[state] ${stateCheck.reason}`);
+  if (!stateCheck.fresh) {
+    console.log("[state] Skipping until the oracle publishes again.");
+    return { status: "skipped", reason: stateCheck.reason };
+  }
+
+  const mtp = await medianTimePast(provider);
+  const locktime = chooseOracleLocktime({
+    messageTimestamp: oracleSnap.timestamp,
+    medianTimePast: mtp,
+  });
+  const { oraclePriceRaw, locktimeGap } = checkOnchainOracleMessage({
+    snapshot: oracleSnap,
+    oraclePublicKey: spec.oraclePublicKey(),
+    locktime,
+    maxLocktimeGapSeconds: spec.maxLocktimeGapSeconds,
+  });
+  const onchainOracle = {
+    locktime,
+    medianTimePast: mtp,
+    locktimeGap,
+    unlockArgs: onchainOracleUnlockArgs(oracleSnap),
+  };
+  console.log(
+    `[oracle] priceRaw=${oraclePriceRaw.toString()}, locktime=${locktime}` +
+      (mtp == null ? " (message time)" : ` (chain MTP ${mtp} - 1)`) +
+      `, ${locktimeGap} s after the message (max ${spec.maxLocktimeGapSeconds.toString()} s)`
+  );
+
+  // --- 3) Swap at the oracle price + bounty ---
+  const keeperTokenUtxos = await provider.getUtxos(keeper.tokenAddress);
+  const keeperFt = keeperTokenUtxos
+    .filter((u) => u.token?.category === FT_CATEGORY_HEX && !u.token.nft)
+    .reduce((s, u) => s + BigInt(u.token.amount ?? 0n), 0n);
+
+  const planFor = (maxStepUsd) =>
+    planKeeperRebalance({
+      oldBch,
+      oldTokens,
+      oraclePriceRaw,
+      targetBchWeightBps,
+      bountyBps,
+      maxBountySats,
+      maxStepUsd,
+    });
+  let move = planFor(null);
+  if (move.direction === "sellBch" && move.stepTokens > keeperFt) {
+    console.log(
+      `[keeper] Holds ${keeperFt.toString()} FT of the ${move.stepTokens.toString()} the swap needs – capping it.`
+    );
+    move =
+      keeperFt > 0n
+        ? planFor(keeperFt)
+        : {
+            ...move,
+            direction: "none",
+            reason: "the keeper holds no FT to sell to the contract",
+          };
+  }
+
+  if (move.direction === "none") {
+    console.log(`[math] ${move.reason} – skipping.`);
+    return { status: "skipped", reason: move.reason };
+  }
+
+  const { direction, newBch, newTokens, stepSats, stepTokens, bountySats } =
+    move;
+  const { D_before, D_after, paid, earned, cap } = move.check;
+
+  console.log("\n[math] Keeper move (V10's checks):");
+  console.log(`  direction = ${direction}`);
+  console.log(
+    direction === "sellBch"
+      ? `  keeper pays ${stepTokens.toString()} FT for ${formatSats(stepSats)}`
+      : `  keeper pays ${formatSats(stepSats)} for ${stepTokens.toString()} FT`
+  );
+  console.log(`  bounty    = ${formatSats(bountySats)}`);
+  console.log(`  D_before  = ${D_before.toString()}, D_after = ${D_after.toString()}`);
+  console.log(
+    `  paid      = ${paid.toString()} micro-USD (earned ${earned.toString()}, cap ${cap.toString()})\n`
+  );
+
+  // --- 4) Contract output; the state NFT keeps its BCH ---
+  const portfolioBch = newBch - stateSats;
+  if (portfolioBch < DUST_THRESHOLD) {
+    throw new Error(
+      [
+        "[keeper] Contract BCH after the move would be below dust.",
+        `  portfolio BCH : ${formatSats(portfolioBch)}`,
+        `  DUST_THRESHOLD: ${formatSats(DUST_THRESHOLD)}`,
+      ].join("\n")
+    );
+  }
+  const contractOutput = { bchSats: portfolioBch, tokens: newTokens };
+
+  // --- 5) Keeper FT: spent on sellBch, received on buyBch ---
+  let keeperFtUtxos = [];
+  let keeperFtAmount = stepTokens; // buyBch: bought tokens
+  if (direction === "sellBch") {
+    const ft = selectTokenUtxos(keeperTokenUtxos, FT_CATEGORY_HEX, stepTokens);
+    keeperFtUtxos = ft.selected;
+    keeperFtAmount = ft.changeTokens;
+  }
+  const keeperFtOutputSats = keeperFtAmount > 0n ? DUST_THRESHOLD : 0n;
+
+  // --- 6) Keeper BCH for the fee (and for BCH the contract buys) ---
+  const keeperUtxos = await provider.getUtxos(keeper.address);
+  const fundingBchOnly = keeperUtxos.filter((u) => !u.token);
+
+  const otherInputBch =
+    oldBch + keeperFtUtxos.reduce((s, u) => s + utxoValueBigInt(u), 0n);
+  const requiredOutputs =
+    newBch + // contract outputs + state NFT
+    keeperFtOutputSats +
+    DUST_THRESHOLD; // BCH change
+
+  const plan = {
+    contract,
+    tmpl,
+    keeper,
+    onchainOracle,
+    stateUtxo,
+    stateCommitment: oracleStateCommitment(oracleSnap.rawMessage),
+    portfolioUtxo,
+    contractInputOptions,
+    keeperFtUtxos,
+    keeperFundingUtxos: [],
+    contractOutput,
+    keeperFtAmount,
+    bchChange: DUST_THRESHOLD, // provisional for pass 1
+  };
+
+  console.log("[pass1] Building provisional keeper tx for fee estimate...");
+  let bytesEstimate = 0n;
+  const funding = await selectFundingUtxos(fundingBchOnly, {
+    amount: requiredOutputs - otherInputBch,
+    strategy: COIN_SELECTION,
+    estimateFee: async (inputs) => {
+      const estBuilder = addKeeperIO(new TransactionBuilder({ provider }), {
+        ...plan,
+        keeperFundingUtxos: inputs,
+      });
+      bytesEstimate = BigInt((await estBuilder.build()).length / 2);
+      return bytesEstimate * SATS_PER_BYTE;
+    },
+  });
+  plan.keeperFundingUtxos = funding.selected;
+  const feeEstimate = funding.feeEstimate;
+
+  console.log(`[funding] Keeper BCH: ${describeSelection(funding)}`);
+  console.log(
+    `[pass1] Estimated size: ${bytesEstimate} bytes @ ${SATS_PER_BYTE} sat/byte → fee ≈ ${formatSats(
+      feeEstimate
+    )}`
+  );
+
+  // The swap is at the oracle price; the keeper earns the bounty minus fee.
+  if (bountySats <= feeEstimate) {
+    const reason = `bounty ${formatSats(bountySats)} does not cover the fee ${formatSats(
+      feeEstimate
+    )}`;
+    console.log(`[bounty] ${reason} – skipping.`);
+    return { status: "skipped", reason };
+  }
+
+  const totalInputBch = otherInputBch + funding.totalSats;
+  const finalBchChange =
+    totalInputBch - newBch - keeperFtOutputSats - feeEstimate;
+  if (finalBchChange < DUST_THRESHOLD) {
+    throw new Error(
+      [
+        "[keeper] BCH change would be below dust after fee.",
+        `  finalBchChange: ${formatSats(finalBchChange)}`,
+        `  DUST_THRESHOLD: ${formatSats(DUST_THRESHOLD)}`,
+      ].join("\n")
+    );
+  }
+
+  // --- PASS 2: final keeper transaction ---
+  console.log("\n[pass2] Building FINAL keeper tx...");
+  const txb = addKeeperIO(new TransactionBuilder({ provider }), {
+    ...plan,
+    bchChange: finalBchChange,
+  });
+
+  if (dryRun) {
+    const dryRunPlan = await buildDryRunPlan({
+      action: "keeper-rebalance",
+      builder: txb,
+      feeEstimate,
+      details: {
+        version,
+        contractAddress: contract.tokenAddress,
+        keeperAddress: keeper.address,
+        direction,
+        targetBchWeightBps,
+        oldBch,
+        newBch,
+        oldTokens,
+        newTokens,
+        stepSats,
+        stepTokens,
+        D_before,
+        D_after,
+        bounty: {
+          bountySats,
+          bountyBps,
+          maxBountySats,
+          paid,
+          earned,
+          cap,
+          keeperNetSats: bountySats - feeEstimate,
+        },
+        state: {
+          outpoint: `${stateUtxo.txid}:${stateUtxo.vout}`,
+          lastTimestamp: stateCheck.lastTimestamp,
+          commitment: plan.stateCommitment,
+        },
+        portfolio: {
+          outpoint: portfolioEntry.outpoint,
+          contractOutput,
+          drainOnly: unspendable.map((e) => e.outpoint),
+        },
+        coinSelection: summarizeSelection(funding),
+        oracle: {
+          oraclePubKey: oracleSnap.oraclePubKey,
+          rawMessage: oracleSnap.rawMessage,
+          signature: oracleSnap.signature,
+          timestamp: stateCheck.timestamp,
+          covenantPriceRaw: oraclePriceRaw,
+          onchain: {
+            locktime,
+            medianTimePast: mtp,
+            locktimeGap,
+            maxLocktimeGapSeconds: spec.maxLocktimeGapSeconds,
+          },
+        },
+      },
+    });
+    emitDryRunPlan(dryRunPlan);
+    return { status: "dry-run", plan: dryRunPlan };
+  }
+
+  if (signal?.aborted) {
+    console.log("\n[pass2] Shutdown requested – not broadcasting.");
+    return { status: "aborted", reason: "shutdown requested before broadcast" };
+  }
+
+  const txDetails = await txb.send();
+  console.log("\n[keeper] Broadcast txid:", txDetails.txid);
+  console.log(
+    `[keeper] Bounty ${formatSats(bountySats)}, fee ≈ ${formatSats(
+      feeEstimate
+    )}, net ≈ ${formatSats(bountySats - feeEstimate)}`
+  );
+
+  return { status: "broadcast", txid: txDetails.txid };
+}
+
+// --- CLI runner ---
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runKeeperRebalance().catch((err) => {
+    console.error("Error in keeperRebalance script:", err);
+    process.exit(1);
+  });
+}
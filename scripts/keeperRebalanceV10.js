@@ -0,0 +1,21 @@
+// scripts/keeperRebalanceV10.js
+//
+// Keeper rebalance of the V10 contract on CHIPNET
+// (V9 without the rebalancer NFT: permissionless keepers earn a capped bounty).
+//
+// Thin wrapper around scripts/keeperRebalance.js with the contract
+// version pinned, so it ignores MEAN_REVERT_VERSION.
+
+import { runKeeperRebalance } from "./keeperRebalance.js";
+
+export function runKeeperRebalanceV10() {
+  return runKeeperRebalance({ version: "v10" });
+}
+
+// --- CLI runner ---
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runKeeperRebalanceV10().catch((err) => {
+    console.error("Error in keeperRebalanceV10 script:", err);
+    process.exit(1);
+  });
+}
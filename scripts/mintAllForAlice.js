@@ -10,6 +10,7 @@
 // - Change returns all remaining BCH to aliceAddress
 // - Fee rate: SATS_PER_BYTE (1 sat/byte) from config.js
 // - Dust limit respected via DUST_THRESHOLD
+// - --dry-run (or DRY_RUN=1) prints the plan instead of broadcasting
 // ---------------------------------------------------------
 
 import {
@@ -19,8 +20,19 @@ import {
 } from "cashscript";
 
 import { alicePriv, aliceAddress, aliceTokenAddress } from "../common.js";
-import { NETWORK, SATS_PER_BYTE, DUST_THRESHOLD } from "../config.js";
-import { splitByToken } from "../utxos.js";
+import {
+  NETWORK,
+  SATS_PER_BYTE,
+  DUST_THRESHOLD,
+  COIN_SELECTION,
+} from "../config.js";
+import {
+  splitByToken,
+  selectFundingUtxos,
+  describeSelection,
+  summarizeSelection,
+} from "../utxos.js";
+import { isDryRun, buildDryRunPlan, emitDryRunPlan } from "../dryRun.js";
 
 const utxoValue = (u) => BigInt(u.satoshis ?? u.value);
 
@@ -68,14 +80,15 @@ function logFundingSummary(bchOnly) {
 /**
  * Run the FT+NFT atomic mint for Alice.
  *
- * - consumes all BCH-only UTXOs from aliceAddress
+ * - spends the two genesis UTXOs, plus other BCH-only UTXOs from
+ *   aliceAddress only as far as outputs + fee need them
  * - uses TWO UTXOs with vout=0 as FT/NFT genesis categories
  * - mints:
  *    * FT: 1000 tokens in FT_GENESIS.txid
  *    * NFT: pure NFT in NFT_GENESIS.txid with commitment "6e667430"
  * - sends both tokens to aliceTokenAddress
  */
-export async function runMintAllForAlice() {
+export async function runMintAllForAlice({ dryRun = isDryRun() } = {}) {
   console.log("============================================");
   console.log("  CLEAN FT + NFT ATOMIC MINT (ONE PASS)");
   console.log("============================================\n");
@@ -144,15 +157,6 @@ export async function runMintAllForAlice() {
 
   const tmpl = new SignatureTemplate(alicePriv);
 
-  // PASS 1 – fee estimate
-  console.log("\n[pass1] Building provisional transaction to estimate fee...");
-
-  const est = new TransactionBuilder({ provider });
-
-  // We still spend *all* BCH-only UTXOs as inputs (not just genesis ones),
-  // so large balances still work exactly like before.
-  bchOnly.forEach((u) => est.addInput(u, tmpl.unlockP2PKH()));
-
   const FT_BACK = 1000n;
   const NFT_BACK = 1000n;
 
@@ -174,17 +178,33 @@ export async function runMintAllForAlice() {
     { to: aliceAddress, amount: DUST_THRESHOLD },
   ];
 
-  provisional.forEach((o) => est.addOutput(o));
+  // PASS 1 – fee estimate
+  console.log("\n[pass1] Building provisional transaction to estimate fee...");
 
-  const hex = await est.build();
-  const txBytes = BigInt(hex.length / 2);
-  const fee = txBytes * SATS_PER_BYTE;
+  // Both genesis inputs are always spent; other BCH-only UTXOs are added
+  // only as far as the outputs + fee need them (COIN_SELECTION, utxos.js).
+  let txBytes = 0n;
+  const selection = await selectFundingUtxos(bchOnly, {
+    amount: FT_BACK + NFT_BACK + DUST_THRESHOLD,
+    include: [FT_GENESIS, NFT_GENESIS],
+    strategy: COIN_SELECTION,
+    estimateFee: async (inputs) => {
+      const est = new TransactionBuilder({ provider });
+      inputs.forEach((u) => est.addInput(u, tmpl.unlockP2PKH()));
+      provisional.forEach((o) => est.addOutput(o));
+      txBytes = BigInt((await est.build()).length / 2);
+      return txBytes * SATS_PER_BYTE;
+    },
+  });
+  const inputs = selection.selected;
+  const fee = selection.feeEstimate;
 
   console.log(
     `[pass1] Provisional tx size: ${txBytes} bytes @ ${SATS_PER_BYTE} sat/byte → fee = ${fee} sats`
   );
+  console.log(`[pass1] Inputs: ${describeSelection(selection)}`);
 
-  const totalIn = bchOnly.reduce((s, u) => s + utxoValue(u), 0n);
+  const totalIn = selection.totalSats;
   const required = FT_BACK + NFT_BACK + fee + DUST_THRESHOLD;
 
   console.log(
@@ -214,7 +234,7 @@ export async function runMintAllForAlice() {
   console.log("\n[pass2] Building FINAL transaction...");
 
   const txb = new TransactionBuilder({ provider });
-  bchOnly.forEach((u) => txb.addInput(u, tmpl.unlockP2PKH()));
+  inputs.forEach((u) => txb.addInput(u, tmpl.unlockP2PKH()));
 
   const outputs = [
     {
@@ -243,9 +263,24 @@ export async function runMintAllForAlice() {
 
   outputs.forEach((o) => txb.addOutput(o));
 
-  logInputs("FINAL", bchOnly);
+  logInputs("FINAL", inputs);
   logOutputs("FINAL", outputs);
 
+  if (dryRun) {
+    return emitDryRunPlan(
+      await buildDryRunPlan({
+        action: "mint",
+        builder: txb,
+        feeEstimate: fee,
+        details: {
+          ftCategory: FT_GENESIS.txid,
+          nftCategory: NFT_GENESIS.txid,
+          coinSelection: summarizeSelection(selection),
+        },
+      })
+    );
+  }
+
   const tx = await txb.send();
 
   console.log("\nMINT TXID:", tx.txid);
@@ -0,0 +1,128 @@
+// scripts/mockOracleServer.js
+//
+// Local oracle API for offline development (see oracles/mockOracle.js).
+//
+// Serves MOCK_ORACLE_COUNT signed oracle keys on MOCK_ORACLE_PORT, with
+// prices from MOCK_ORACLE_PATH (constant / random-walk / replay); all
+// MOCK_ORACLE_* settings are in config.js. It prints the env to point the
+// rebalancer, inspector and dashboard proxy at it, e.g.
+//
+//   MOCK_ORACLE_PATH=random-walk node scripts/mockOracleServer.js
+//
+//   ORACLE_API_BASE_URL=http://127.0.0.1:4100 \
+//   ORACLE_PUBLIC_KEYS=<printed keys> \
+//     node scripts/rebalanceWithOracle.js
+//
+// The signing keys are derived from MOCK_ORACLE_SEED, so the public keys
+// stay the same across restarts. Runs until SIGINT / SIGTERM.
+
+import { sha256, utf8ToBin } from "@bitauth/libauth";
+
+import { MOCK_ORACLE } from "../config.js";
+import {
+  createPricePath,
+  createMockOracle,
+  readReplayPrices,
+  startMockOracleServer,
+} from "../oracles/mockOracle.js";
+
+/**
+ * The i-th mock oracle signing key for `seed`.
+ */
+export function mockOraclePrivateKey(seed, i) {
+  return sha256.hash(utf8ToBin(`mock-oracle:${seed}:${i}`));
+}
+
+/**
+ * Start the mock oracle server with `settings` (default: MOCK_ORACLE).
+ * Resolves once it is listening, with startMockOracleServer()'s handle
+ * plus the oracles.
+ */
+export async function runMockOracleServer(settings = MOCK_ORACLE) {
+  const { path, replayFile, count } = settings;
+
+  if (!Number.isInteger(count) || count < 1) {
+    throw new Error(`MOCK_ORACLE_COUNT must be a positive integer, got ${count}`);
+  }
+  if (path === "replay" && !replayFile) {
+    throw new Error(
+      [
+        "MOCK_ORACLE_PATH=replay needs MOCK_ORACLE_REPLAY_FILE.",
+        "  The file is a JSON array of priceRaw values, or one per line.",
+      ].join("\n")
+    );
+  }
+  const prices = path === "replay" ? await readReplayPrices(replayFile) : undefined;
+
+  const oracles = Array.from({ length: count }, (_, i) =>
+    createMockOracle({
+      privateKey: mockOraclePrivateKey(settings.seed, i),
+      pricePath: createPricePath({
+        kind: path,
+        priceRaw: settings.priceRaw,
+        stepBps: settings.stepBps,
+        seed: settings.seed,
+        prices,
+      }),
+      intervalSeconds: settings.intervalSeconds,
+      priceScale: settings.priceScale,
+      assetPair: settings.assetPair,
+      name: `Mock oracle ${i + 1}`,
+    })
+  );
+
+  const handle = await startMockOracleServer({ oracles, port: settings.port });
+
+  console.log("========================================");
+  console.log(" Mock oracle server");
+  console.log("========================================\n");
+  console.log(`[mock-oracle] Listening on ${handle.url}`);
+  console.log(
+    `[mock-oracle] path=${path}, interval=${settings.intervalSeconds} s,` +
+      ` ${settings.assetPair} at scale ${settings.priceScale}`
+  );
+  for (const o of oracles) {
+    console.log(`[mock-oracle]   ${o.name}: ${o.publicKey}`);
+  }
+  console.log("\nPoint the scripts / dashboard proxy at it with:\n");
+  console.log(`  export ORACLE_API_BASE_URL=${handle.url}`);
+  console.log(
+    `  export ORACLE_PUBLIC_KEYS=${oracles.map((o) => o.publicKey).join(",")}\n`
+  );
+
+  return { ...handle, oracles };
+}
+
+/**
+ * Run the mock oracle server with `settings` until SIGINT / SIGTERM, or
+ * until `signal` aborts, then close it. Resolves once it is closed.
+ */
+export async function serveMockOracle({ settings = MOCK_ORACLE, signal } = {}) {
+  const { close } = await runMockOracleServer(settings);
+
+  const reason = await new Promise((resolve) => {
+    const onSignal = (sig) => done(sig);
+    const onAbort = () => done("abort signal");
+    function done(why) {
+      process.off("SIGINT", onSignal);
+      process.off("SIGTERM", onSignal);
+      signal?.removeEventListener("abort", onAbort);
+      resolve(why);
+    }
+    process.once("SIGINT", onSignal);
+    process.once("SIGTERM", onSignal);
+    signal?.addEventListener("abort", onAbort, { once: true });
+    if (signal?.aborted) onAbort();
+  });
+
+  console.log(`\n[mock-oracle] ${reason} – shutting down.`);
+  await close();
+}
+
+// --- CLI runner ---
+if (import.meta.url === `file://${process.argv[1]}`) {
+  serveMockOracle().catch((err) => {
+    console.error("Error in mockOracleServer script:", err);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,116 @@
+// scripts/rebalanceDaemon.js
+//
+// Long-running rebalancer: runs scripts/rebalanceWithOracle.js on an
+// interval against one shared ElectrumNetworkProvider, which holds a
+// connection only while requests are in flight. For the permissionless
+// V10 it runs the reference keeper, scripts/keeperRebalance.js, instead.
+//
+//  - Each run re-reads the contract state and the latest oracle price, so
+//    the band / mean-revert strategy decides afresh every time.
+//  - Runs never overlap: the next one is scheduled only after the previous
+//    one finished (and tick() refuses to start while one is in flight).
+//  - Any error (Electrum, oracle API, ...) switches the pause from
+//    DAEMON_INTERVAL_MS to an exponential backoff, reset by the next
+//    successful run.
+//  - SIGINT / SIGTERM (or the caller's AbortSignal): stop scheduling,
+//    abort the current run if it has not broadcast yet and wait for it to
+//    finish. A run that is already inside send() is allowed to complete,
+//    so a shutdown never leaves a half-broadcast transaction. A second
+//    signal forces exit.
+//
+// The scheduling loop itself lives in rebalanceScheduler.js and takes a
+// plain runOnce() callback, so it can be tested without chipnet – see
+// localStandInProvider.js and tests/rebalanceScheduler*.test.js.
+
+import { ElectrumNetworkProvider } from "cashscript";
+
+import {
+  NETWORK,
+  MEAN_REVERT_VERSION,
+  DAEMON_INTERVAL_MS,
+  DAEMON_BACKOFF_BASE_MS,
+  DAEMON_BACKOFF_MAX_MS,
+} from "../config.js";
+import { getMeanRevertVersion } from "../meanRevertContract.js";
+import { createRebalanceDaemon } from "../rebalanceScheduler.js";
+import { runRebalanceWithOracle } from "./rebalanceWithOracle.js";
+import { runKeeperRebalance } from "./keeperRebalance.js";
+
+/**
+ * Run the rebalancer for `version` until SIGINT / SIGTERM, or until
+ * `signal` aborts.
+ *
+ * `provider`, `fetchPrice` and `fetchHistory` are passed through to
+ * runRebalanceWithOracle (runKeeperRebalance for keeper versions, which
+ * needs no history); by default one ElectrumNetworkProvider is shared by
+ * all runs.
+ */
+export async function runRebalanceDaemon({
+  version = MEAN_REVERT_VERSION,
+  provider,
+  fetchPrice,
+  fetchHistory,
+  intervalMs = DAEMON_INTERVAL_MS,
+  backoffBaseMs = DAEMON_BACKOFF_BASE_MS,
+  backoffMaxMs = DAEMON_BACKOFF_MAX_MS,
+  signal,
+} = {}) {
+  const { contractName, keeper } = getMeanRevertVersion(version);
+  const runRebalance = keeper ? runKeeperRebalance : runRebalanceWithOracle;
+
+  console.log("========================================");
+  console.log(` Rebalance daemon – ${contractName} `);
+  console.log("========================================\n");
+  console.log(`[network] NETWORK="${NETWORK}"`);
+  console.log(
+    `[daemon] interval=${intervalMs} ms,` +
+      ` backoff=${backoffBaseMs}..${backoffMaxMs} ms`
+  );
+  console.log("[daemon] Ctrl+C (SIGINT) or SIGTERM to stop.\n");
+
+  const sharedProvider = provider ?? new ElectrumNetworkProvider(NETWORK);
+
+  const daemon = createRebalanceDaemon({
+    runOnce: ({ signal }) =>
+      runRebalance({
+        version,
+        provider: sharedProvider,
+        fetchPrice,
+        fetchHistory,
+        signal,
+      }),
+    intervalMs,
+    backoffBaseMs,
+    backoffMaxMs,
+  });
+
+  const onSignal = (sig) => {
+    if (daemon.stopped) {
+      console.log(`\n[daemon] Received ${sig} again – forcing exit.`);
+      process.exit(130);
+    }
+    daemon.stop(sig);
+  };
+  const onAbort = () => daemon.stop("abort signal");
+  process.on("SIGINT", onSignal);
+  process.on("SIGTERM", onSignal);
+  signal?.addEventListener("abort", onAbort, { once: true });
+
+  if (signal?.aborted) onAbort();
+
+  try {
+    await daemon.start();
+  } finally {
+    process.off("SIGINT", onSignal);
+    process.off("SIGTERM", onSignal);
+    signal?.removeEventListener("abort", onAbort);
+  }
+}
+
+// --- CLI runner ---
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runRebalanceDaemon().catch((err) => {
+    console.error("Error in rebalanceDaemon script:", err);
+    process.exit(1);
+  });
+}
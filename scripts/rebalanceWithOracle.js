@@ -0,0 +1,1191 @@
+// scripts/rebalanceWithOracle.js
+//
+// CHIPNET "good" rebalance for any MeanRevert contract version in
+// meanRevertContract.js (what each version enforces is in its contract's
+// header).
+//
+// It reads the contract's portfolio, fetches the aggregated oracle price,
+// lets the configured strategy choose a move towards the target weight,
+// checks it against the band, cooldown, risk limits and fee, and then
+// builds, signs and broadcasts the rebalance, or prints it as a JSON plan
+// with --dry-run. Before building, it re-checks off-chain that the move
+// keeps the covenant invariant (D_after < D_before). README section 1.3.2
+// walks through each step.
+//
+// IMPORTANT: we DO NOT burn any fungible tokens.
+//  - Total input tokens = total output tokens
+//  - So we don't need allowImplicitFungibleTokenBurn.
+
+import {
+  ElectrumNetworkProvider,
+  TransactionBuilder,
+  SignatureTemplate,
+} from "cashscript";
+
+import {
+  NETWORK,
+  FT_CATEGORY_HEX,
+  NFT_CATEGORY_HEX,
+  REBALANCER_NFT_COMMITMENT_HEX,
+  SATS_PER_BYTE,
+  DUST_THRESHOLD,
+  MEAN_REVERT_VERSION,
+  REBALANCE_STRATEGY,
+  STRATEGY_PROPORTION_BPS,
+  STRATEGY_ZSCORE,
+  REBALANCE_STEP_SIZING,
+  REBALANCE_MAX_STEP,
+  REBALANCE_BAND_MODE,
+  REBALANCE_BAND_OUTER,
+  REBALANCE_BAND_INNER,
+  REBALANCE_FEE_MULTIPLE,
+  COIN_SELECTION,
+  RISK_LIMITS,
+  RISK_JOURNAL_PATH,
+  REBALANCE_COOLDOWN_SECONDS,
+  REBALANCE_COOLDOWN_SOURCE,
+  ORACLE_PUBLIC_KEYS,
+  ORACLE_AGGREGATION,
+  ORACLE_SEQUENCE_PATH,
+  ORACLE_EXPECTED_ASSET,
+  ORACLE_API_BASE_URL,
+  ORACLE_HTTP,
+} from "../config.js";
+import { alicePriv, aliceAddress, aliceTokenAddress } from "../common.js";
+import { formatSats, safeJson } from "../bigint.js";
+import {
+  isDryRun,
+  buildDryRunPlan,
+  emitDryRunPlan,
+  transactionFee,
+} from "../dryRun.js";
+import {
+  selectTokenUtxos,
+  selectFundingUtxos,
+  describeSelection,
+  summarizeSelection,
+} from "../utxos.js";
+import { WEIGHT_SCALE } from "../meanRevertMath.js";
+import {
+  fetchLatestOraclePrice,
+  fetchOraclePriceHistory,
+} from "../oracles/fetchOraclePrice.js";
+import {
+  fetchAggregatedOraclePrice,
+  describeOracleSources,
+} from "../oracles/oracleAggregator.js";
+import {
+  covenantPriceRaw,
+  COVENANT_PRICE_SCALE,
+} from "../oracles/oracleMetadata.js";
+import {
+  getMeanRevertContract,
+  getMeanRevertVersion,
+} from "../meanRevertContract.js";
+import { validateBand, evaluateBand } from "../rebalanceBand.js";
+import { evaluateRebalanceCost } from "../rebalanceCost.js";
+import {
+  validateRiskLimits,
+  describeRiskLimits,
+  evaluateRiskLimits,
+  clipMove,
+} from "../riskLimits.js";
+import { readTradeJournal, appendTradeJournal } from "../tradeJournal.js";
+import {
+  COOLDOWN_SOURCES,
+  lastJournalRebalance,
+  supportsChainHistory,
+  lastChainActivity,
+  newestRebalance,
+  evaluateCooldown,
+  sequenceForMinAge,
+  minAgeStatus,
+} from "../rebalanceCooldown.js";
+import {
+  pickContractOracleSnapshot,
+  checkOnchainOracleMessage,
+  medianTimePast,
+  chooseOracleLocktime,
+  onchainOracleUnlockArgs,
+} from "../onchainOracle.js";
+import {
+  summarizePortfolio,
+  selectPortfolioEntries,
+  planContractOutputs,
+  covenantInputChecks,
+  portfolioOptionsFromArgv,
+} from "../portfolioUtxos.js";
+import {
+  findOracleState,
+  oracleStateToken,
+  oracleStateCommitment,
+  checkOracleStateMessage,
+} from "../oracleState.js";
+import {
+  getStrategy,
+  strategyNameFromArgv,
+  validateProposal,
+} from "../strategies/index.js";
+
+// "tokens" (default): only the FT leg moves, BCH on contract stays fixed.
+// "swap"           : BCH <-> FT swap against Alice at the oracle price.
+const REBALANCE_MODE = process.env.REBALANCE_MODE || "tokens";
+const REBALANCE_MODES = ["tokens", "swap"];
+
+const REBALANCE_BAND = {
+  mode: REBALANCE_BAND_MODE,
+  outer: REBALANCE_BAND_OUTER,
+  inner: REBALANCE_BAND_INNER,
+};
+
+function utxoValueBigInt(u) {
+  const v = u.satoshis ?? u.value;
+  if (v === undefined) throw new Error("UTXO missing satoshi value");
+  return BigInt(v);
+}
+
+/**
+ * Add the rebalance inputs + outputs to a TransactionBuilder.
+ *
+ * Shared by pass 1 (fee estimate) and pass 2 (final tx) so both build
+ * exactly the same layout:
+ *
+ *   Inputs:
+ *     0..k-1: contract portfolio UTXOs (rebalance; with the version's
+ *             sequence lock, if any; V6 passes the signed oracle message
+ *             and sets the tx locktime)
+ *     k: oracle state NFT UTXO (V6+, rebalance like the portfolio)
+ *     next: NFT authority UTXO
+ *     next..: Alice FT UTXOs (deposit direction only)
+ *     last..: Alice BCH funding UTXOs (coin selection)
+ *
+ *   Outputs:
+ *     0..: contract portfolio (newBch + newTokens; one output, or one per
+ *          spent UTXO with all FT on the first – spread over all of them
+ *          for V9)
+ *     next: oracle state NFT back to the contract, with the message's
+ *           timestamp (V6+)
+ *     next: FT to Alice – withdrawn tokens, or FT change on deposit (if any)
+ *     next: NFT back to Alice
+ *     last: BCH change to Alice (includes BCH the contract sold, if any)
+ */
+function addRebalanceIO(builder, plan) {
+  const {
+    contract,
+    tmpl,
+    oraclePriceRaw,
+    onchainOracle,
+    oracleState,
+    portfolioUtxos,
+    contractInputOptions,
+    nftAuthorityUtxo,
+    ftFundingUtxos,
+    aliceFundingUtxos,
+    contractOutputs,
+    aliceFtAmount,
+    bchChange,
+  } = plan;
+
+  const contractInputs = oracleState
+    ? [...portfolioUtxos, oracleState.utxo]
+    : portfolioUtxos;
+  for (const u of contractInputs) {
+    builder.addInput(
+      u,
+      onchainOracle
+        ? contract.unlock.rebalance(...onchainOracle.unlockArgs)
+        : contract.unlock.rebalance(oraclePriceRaw),
+      contractInputOptions
+    );
+  }
+  if (onchainOracle) builder.setLocktime(onchainOracle.locktime);
+  builder.addInput(nftAuthorityUtxo, tmpl.unlockP2PKH());
+  for (const u of ftFundingUtxos) {
+    builder.addInput(u, tmpl.unlockP2PKH());
+  }
+  for (const u of aliceFundingUtxos) {
+    builder.addInput(u, tmpl.unlockP2PKH());
+  }
+
+  // Contract portfolio after rebalance (newBch + newTokens in total, laid
+  // out by planContractOutputs). An output without FT – a swap may fully
+  // exit the FT leg – gets no token attached.
+  for (const out of contractOutputs) {
+    builder.addOutput({
+      to: contract.tokenAddress,
+      amount: out.bchSats,
+      ...(out.tokens > 0n && {
+        token: {
+          category: FT_CATEGORY_HEX,
+          amount: out.tokens,
+        },
+      }),
+    });
+  }
+
+  // Oracle state NFT back to the contract, recording this message
+  if (oracleState) {
+    builder.addOutput({
+      to: contract.tokenAddress,
+      amount: utxoValueBigInt(oracleState.utxo),
+      token: oracleStateToken(
+        oracleState.utxo.token.category,
+        oracleState.commitment
+      ),
+    });
+  }
+
+  // FT back to Alice: withdrawn tokenDelta, or change from deposited UTXOs
+  if (aliceFtAmount > 0n) {
+    builder.addOutput({
+      to: aliceTokenAddress,
+      amount: DUST_THRESHOLD,
+      token: {
+        category: FT_CATEGORY_HEX,
+        amount: aliceFtAmount,
+      },
+    });
+  }
+
+  // NFT back to Alice
+  builder.addOutput({
+    to: aliceTokenAddress,
+    amount: DUST_THRESHOLD,
+    token: nftAuthorityUtxo.token,
+  });
+
+  // BCH change to Alice
+  builder.addOutput({
+    to: aliceAddress,
+    amount: bchChange,
+  });
+
+  return builder;
+}
+
+/**
+ * Run one rebalance attempt.
+ *
+ * The daemon (scripts/rebalanceDaemon.js) injects a shared provider, its
+ * own price fetcher and an AbortSignal; the CLI uses the defaults.
+ * fetchHistory(count) replaces fetchOraclePriceHistory for strategies
+ * that need price history.
+ * The signal is only checked right before broadcasting, so a shutdown
+ * either sends the whole transaction or nothing.
+ *
+ * With dryRun the final tx is built but not sent; the plan is printed.
+ *
+ * portfolio = { outpoints, merge } chooses which contract UTXOs to spend
+ * (null: all) and whether to merge them; defaults come from --utxos /
+ * --merge (portfolioUtxos.js).
+ *
+ * riskLimits / journalPath default to RISK_LIMITS / RISK_JOURNAL_PATH; a
+ * move the limits refuse returns status "blocked" with the reason.
+ * cooldown = { seconds, source } defaults to REBALANCE_COOLDOWN_*; a run
+ * inside it returns status "skipped".
+ *
+ * Returns { status: "broadcast" | "dry-run" | "skipped" | "blocked" |
+ *           "aborted", reason?, txid?, feeSats?, plan? }; feeSats is the
+ * broadcast transaction's fee.
+ */
+export async function runRebalanceWithOracle({
+  version = MEAN_REVERT_VERSION,
+  provider = new ElectrumNetworkProvider(NETWORK),
+  fetchPrice,
+  fetchHistory,
+  signal,
+  dryRun = isDryRun(),
+  strategyName = strategyNameFromArgv() ?? REBALANCE_STRATEGY,
+  portfolio = portfolioOptionsFromArgv(),
+  riskLimits = RISK_LIMITS,
+  journalPath = RISK_JOURNAL_PATH,
+  cooldown = {
+    seconds: REBALANCE_COOLDOWN_SECONDS,
+    source: REBALANCE_COOLDOWN_SOURCE,
+  },
+} = {}) {
+  const { contractName, keeper } = getMeanRevertVersion(version);
+  if (keeper) {
+    throw new Error(
+      [
+        `${contractName} has no rebalancer NFT: keepers rebalance it.`,
+        "  Use scripts/keeperRebalance.js.",
+      ].join("\n")
+    );
+  }
+  const strategy = getStrategy(strategyName);
+
+  console.log("========================================");
+  console.log(` Rebalance ${contractName} (good) `);
+  console.log("========================================\n");
+  console.log(`[network] NETWORK="${NETWORK}"\n`);
+
+  if (!REBALANCE_MODES.includes(REBALANCE_MODE)) {
+    throw new Error(
+      `Unknown REBALANCE_MODE="${REBALANCE_MODE}". Expected one of: ${REBALANCE_MODES.join(
+        ", "
+      )}`
+    );
+  }
+  console.log(`[mode] REBALANCE_MODE="${REBALANCE_MODE}"`);
+  console.log(`[strategy] ${strategy.name} – ${strategy.description}`);
+
+  validateBand(REBALANCE_BAND);
+  console.log(
+    REBALANCE_BAND.mode === "off"
+      ? '[band] REBALANCE_BAND_MODE="off"\n'
+      : `[band] REBALANCE_BAND_MODE="${REBALANCE_BAND.mode}"` +
+          ` outer=${REBALANCE_BAND.outer.toString()}` +
+          ` inner=${REBALANCE_BAND.inner.toString()}` +
+          ` (${REBALANCE_BAND.mode === "pct" ? "bps of portfolio" : "USD"})\n`
+  );
+
+  validateRiskLimits(riskLimits);
+  console.log(`[risk] limits: ${describeRiskLimits(riskLimits)}`);
+
+  if (!COOLDOWN_SOURCES.includes(cooldown.source)) {
+    throw new Error(
+      `Unknown REBALANCE_COOLDOWN_SOURCE="${cooldown.source}". Expected one of: ${COOLDOWN_SOURCES.join(
+        ", "
+      )}`
+    );
+  }
+  console.log(
+    cooldown.seconds > 0
+      ? `[cooldown] ${cooldown.seconds} s since the last rebalance (source: ${cooldown.source})\n`
+      : "[cooldown] off\n"
+  );
+
+  if (!fetchPrice && !ORACLE_PUBLIC_KEYS.length) {
+    throw new Error(
+      "Neither ORACLE_PUBLIC_KEY_HEX nor ORACLE_PUBLIC_KEYS is set. Example:\n" +
+        '  ORACLE_PUBLIC_KEY_HEX="<gp_oracle_pubkey_hex>" node scripts/rebalanceWithOracle.js'
+    );
+  }
+
+  const tmpl = new SignatureTemplate(alicePriv);
+
+  const { contract, spec } = getMeanRevertContract(provider, version);
+
+  const label = version.toUpperCase();
+  console.log(`${label} contract.address      :`, contract.address);
+  console.log(`${label} contract.tokenAddress :`, contract.tokenAddress);
+
+  // null → 1:1 (V3), otherwise the weight baked into the contract.
+  const targetBchWeightBps = spec.targetBchWeightBps;
+  if (targetBchWeightBps != null) {
+    console.log(
+      `[target] BCH weight = ${targetBchWeightBps.toString()} bps` +
+        ` (FT weight = ${(WEIGHT_SCALE - targetBchWeightBps).toString()} bps)`
+    );
+  }
+
+  // --- 1) Collect the contract portfolio UTXOs ---
+  const contractUtxos = await contract.getUtxos();
+  if (!contractUtxos.length) {
+    throw new Error(
+      `No UTXOs found for the ${label} contract. Run fundMeanRevert${label}FromAlice.js first.`
+    );
+  }
+
+  const summary = summarizePortfolio(contractUtxos, FT_CATEGORY_HEX);
+  const selected = selectPortfolioEntries(summary, portfolio.outpoints);
+  if (!selected.length) {
+    throw new Error(
+      `No ${label} contract UTXOs without foreign tokens to rebalance.`
+    );
+  }
+  const portfolioUtxos = selected.map((e) => e.utxo);
+
+  // V6+: the oracle state NFT is spent and recreated with the portfolio.
+  const stateCategory = spec.oracleState?.stateCategory();
+  const stateUtxo = stateCategory
+    ? findOracleState(contractUtxos, stateCategory)
+    : null;
+  if (stateCategory && !stateUtxo) {
+    throw new Error(
+      [
+        `No oracle state NFT (category ${stateCategory}) on the ${label} contract.`,
+        `  Run fundMeanRevert${label}FromAlice.js first.`,
+      ].join("\n")
+    );
+  }
+  const stateSats = stateUtxo ? utxoValueBigInt(stateUtxo) : 0n;
+
+  console.log(
+    `\n[portfolio] ${summary.entries.length} contract UTXO(s),` +
+      ` spending ${selected.length}` +
+      (portfolio.outpoints ? " (chosen with --utxos)" : "") +
+      (portfolio.merge ? ", merging into one output" : "") +
+      ":"
+  );
+  for (const e of summary.entries) {
+    const spent = selected.includes(e);
+    const isState = e.utxo === stateUtxo;
+    console.log(
+      `  ${spent || isState ? "•" : " "} ${e.outpoint} ${formatSats(e.bchSats)}` +
+        (isState
+          ? " | oracle state NFT"
+          : e.foreignToken
+          ? ` | foreign token ${e.foreignToken} – ignored`
+          : ` | ${e.tokens.toString()} FT`) +
+        (spent || e.foreignToken ? "" : " – not spent")
+    );
+  }
+
+  const oldBch = selected.reduce((s, e) => s + e.bchSats, 0n);
+  const currentTokens = selected.reduce((s, e) => s + e.tokens, 0n);
+  console.log(
+    `[portfolio] Spent total: ${formatSats(oldBch)} + ${currentTokens.toString()} FT` +
+      (selected.length === summary.portfolio.length
+        ? ""
+        : ` (whole portfolio: ${formatSats(summary.bchSats)} + ${summary.tokens.toString()} FT)`)
+  );
+
+  // --- 1b) Cooldown since the last rebalance ---
+  //
+  // The journal only knows this machine's broadcasts; the contract's
+  // history also sees other rebalancers. Versions with an on-chain minimum
+  // age need the history too, to know whether the lock has matured.
+  const journal = await readTradeJournal(journalPath);
+  const useJournal = cooldown.source !== "chain";
+  const useChain = cooldown.source !== "journal";
+  const minAgeBlocks = spec.minAgeBlocks;
+
+  let chainLast = null;
+  if ((useChain && cooldown.seconds > 0) || minAgeBlocks != null) {
+    if (supportsChainHistory(provider)) {
+      chainLast = await lastChainActivity(provider, contract.address);
+    } else {
+      console.log(
+        "\n[cooldown] Provider has no transaction history – using the trade journal only."
+      );
+    }
+  }
+
+  const cooldownCheck = evaluateCooldown({
+    last: newestRebalance(
+      useJournal && lastJournalRebalance(journal, contract.tokenAddress),
+      useChain && chainLast
+    ),
+    cooldownMs: cooldown.seconds * 1000,
+  });
+  console.log(
+    `\n[cooldown] decision=${cooldownCheck.decision} – ${cooldownCheck.reason}`
+  );
+  if (cooldownCheck.decision === "wait") {
+    console.log("[cooldown] Skipping rebalance for now.");
+    return {
+      status: "skipped",
+      reason: cooldownCheck.reason,
+      cooldown: cooldownCheck,
+    };
+  }
+
+  // On-chain cooldown (V5): every contract input carries the sequence
+  // number this.age checks, and the UTXOs must have matured.
+  let contractInputOptions;
+  if (minAgeBlocks != null) {
+    contractInputOptions = { sequence: sequenceForMinAge(minAgeBlocks) };
+    console.log(
+      `[cooldown] ${label} requires this.age >= ${minAgeBlocks.toString()} block(s):` +
+        ` contract inputs use sequence ${contractInputOptions.sequence}`
+    );
+    if (chainLast) {
+      const age = minAgeStatus({
+        height: chainLast.height,
+        tipHeight: await provider.getBlockHeight(),
+        minAgeBlocks,
+      });
+      if (!age.ok) {
+        const reason =
+          `sequence lock: contract UTXOs have ${age.confirmations} of` +
+          ` ${minAgeBlocks.toString()} confirmation(s), ${age.blocksLeft} block(s) to go`;
+        console.log(`[cooldown] ${reason} – skipping rebalance for now.`);
+        return { status: "skipped", reason, cooldown: cooldownCheck };
+      }
+    }
+  }
+
+  // A swap can fully exit the FT leg, so only tokens mode needs FT here.
+  if (currentTokens <= 0n && REBALANCE_MODE !== "swap") {
+    throw new Error(
+      "Contract portfolio UTXOs have no fungible tokens in the stablecoin category."
+    );
+  }
+
+  const oldTokens = currentTokens;
+
+  // --- 2) Fetch live oracle price (median of the configured oracles) ---
+  console.log("\n[oracle] Fetching latest BCH/USD oracle price...");
+  // Every fetched snapshot, for V6 to find its own oracle key's message.
+  const snapshots = new Map();
+  const median = fetchPrice
+    ? await fetchPrice()
+    : await fetchAggregatedOraclePrice({
+        publicKeys: ORACLE_PUBLIC_KEYS,
+        ...ORACLE_AGGREGATION,
+        sequencePath: ORACLE_SEQUENCE_PATH,
+        fetchSnapshot: async (publicKey) => {
+          const snap = await fetchLatestOraclePrice({
+            publicKey,
+            apiBaseUrl: ORACLE_API_BASE_URL,
+            http: ORACLE_HTTP,
+          });
+          snapshots.set(publicKey, snap);
+          return snap;
+        },
+      });
+  if (median.aggregation) {
+    console.log(`[oracle] ${median.aggregation.reason}:`);
+    for (const line of describeOracleSources(median.aggregation.sources)) {
+      console.log(`[oracle] ${line.trim()}`);
+    }
+  }
+
+  // V6 can only use a message its own oracle key signed.
+  const oracleSnap = spec.onchainOracle
+    ? pickContractOracleSnapshot({
+        median,
+        snapshots,
+        oraclePublicKey: spec.oraclePublicKey(),
+      })
+    : median;
+  if (oracleSnap !== median) {
+    console.log(
+      `[oracle] ${label} uses its own oracle ${oracleSnap.oraclePubKey}` +
+        ` (priceRaw=${oracleSnap.priceRaw}, median ${median.priceRaw})`
+    );
+  }
+
+  // The covenant prices ORACLE_EXPECTED_ASSET at COVENANT_PRICE_SCALE.
+  const oraclePriceRaw = covenantPriceRaw(oracleSnap, {
+    expectedAsset: ORACLE_EXPECTED_ASSET,
+  });
+  const toCovenantScale = (snap) => ({
+    ...snap,
+    priceRaw: Number(
+      covenantPriceRaw(snap, { expectedAsset: ORACLE_EXPECTED_ASSET })
+    ),
+    priceScale: COVENANT_PRICE_SCALE,
+  });
+
+  console.log(
+    `[oracle] oraclePubKey=${oracleSnap.oraclePubKey},` +
+      ` priceRaw=${oracleSnap.priceRaw} (scale=${oracleSnap.priceScale},` +
+      ` ${oracleSnap.assetPair ?? "asset unknown"}),` +
+      ` price≈${oracleSnap.priceValue.toFixed(2)}`
+  );
+  if (!oracleSnap.assetPair) {
+    console.warn(
+      `[oracle] WARNING: oracle ${oracleSnap.oraclePubKey} publishes no asset metadata;` +
+        ` assuming ${ORACLE_EXPECTED_ASSET} at scale ${oracleSnap.priceScale}.`
+    );
+  }
+  if (oracleSnap.priceScale !== COVENANT_PRICE_SCALE) {
+    console.log(
+      `[oracle] covenant oraclePriceRaw=${oraclePriceRaw.toString()}` +
+        ` (scale=${COVENANT_PRICE_SCALE})`
+    );
+  }
+
+  // V6+: the contract re-checks the message and its gap to the locktime.
+  // The locktime is ours to choose; MTP - 1 is what makes the gap bound
+  // the message's age here, the contract cannot tell a back-dated one.
+  let onchainOracle = null;
+  if (spec.onchainOracle) {
+    const mtp = await medianTimePast(provider);
+    const locktime = chooseOracleLocktime({
+      messageTimestamp: oracleSnap.timestamp,
+      medianTimePast: mtp,
+    });
+    const { locktimeGap } = checkOnchainOracleMessage({
+      snapshot: oracleSnap,
+      oraclePublicKey: spec.oraclePublicKey(),
+      locktime,
+      maxLocktimeGapSeconds: spec.maxLocktimeGapSeconds,
+    });
+    onchainOracle = {
+      locktime,
+      medianTimePast: mtp,
+      locktimeGap,
+      unlockArgs: onchainOracleUnlockArgs(oracleSnap),
+    };
+    console.log(
+      `[oracle] ${label} verifies the message on-chain: locktime=${locktime}` +
+        (mtp == null ? " (message time)" : ` (chain MTP ${mtp} - 1)`) +
+        `, ${locktimeGap} s after the message (max ${spec.maxLocktimeGapSeconds.toString()} s)`
+    );
+  }
+
+  // V6+: only a message newer than the last one used is accepted.
+  let oracleState = null;
+  if (stateUtxo) {
+    const stateCheck = checkOracleStateMessage({
+      state: stateUtxo,
+      snapshot: oracleSnap,
+    });
+    console.log(`[state] ${stateCheck.reason}`);
+    if (!stateCheck.fresh) {
+      console.log("[state] Skipping until the oracle publishes again.");
+      return { status: "skipped", reason: stateCheck.reason };
+    }
+    oracleState = {
+      utxo: stateUtxo,
+      lastTimestamp: stateCheck.lastTimestamp,
+      commitment: oracleStateCommitment(oracleSnap.rawMessage),
+    };
+  }
+
+  // --- 3) Tolerance band: skip while inside the outer band ---
+  const bandCheck = evaluateBand({
+    bchSats: oldBch,
+    tokens: oldTokens,
+    oraclePriceRaw,
+    targetBchWeightBps,
+    band: REBALANCE_BAND,
+  });
+
+  console.log(
+    `\n[band] decision=${bandCheck.decision} – ${bandCheck.reason}` +
+      (bandCheck.outerD == null
+        ? ` (D=${bandCheck.D.toString()})`
+        : ` (D=${bandCheck.D.toString()}, outerD=${bandCheck.outerD.toString()}, innerD=${bandCheck.innerD.toString()})`)
+  );
+
+  if (bandCheck.decision === "skip") {
+    console.log("[band] Skipping rebalance for this state.");
+    return { status: "skipped", reason: bandCheck.reason };
+  }
+
+  // --- 4) Ask the strategy for a move, then check it against the covenant ---
+  //
+  // tokens mode: FT-only move, BCH fixed (newBch = oldBch).
+  // swap mode  : BCH <-> FT swap at the oracle price (newBch moves too).
+  const state = { bchSats: oldBch, tokens: oldTokens };
+  const strategyConfig = {
+    mode: REBALANCE_MODE,
+    targetBchWeightBps,
+    band: REBALANCE_BAND,
+    innerD: bandCheck.innerD,
+    stepSizing: REBALANCE_STEP_SIZING,
+    maxStep: REBALANCE_MAX_STEP,
+    proportionBps: STRATEGY_PROPORTION_BPS,
+    zscore: STRATEGY_ZSCORE,
+  };
+
+  // Only strategies that look at price history pay for fetching it.
+  const historyCount = strategy.historyCount?.(strategyConfig) ?? 0;
+  let history = [];
+  if (historyCount > 0) {
+    console.log(
+      `\n[oracle] Fetching last ${historyCount} oracle messages for ${strategy.name}...`
+    );
+    history = fetchHistory
+      ? await fetchHistory(historyCount)
+      : await fetchOraclePriceHistory({
+          // the oracle whose message is the median price
+          publicKey: oracleSnap.oraclePubKey,
+          count: historyCount,
+          apiBaseUrl: ORACLE_API_BASE_URL,
+          http: ORACLE_HTTP,
+        });
+    console.log(`[oracle] Got ${history.length} price snapshot(s).`);
+  }
+
+  // Strategies see every price at the covenant's scale.
+  const proposal = strategy.propose({
+    state,
+    oracle: toCovenantScale(oracleSnap),
+    history: history.map(toCovenantScale),
+    config: strategyConfig,
+  });
+  console.log(`\n[strategy] ${strategy.name}: ${proposal.rationale}`);
+
+  let choice = validateProposal({
+    state,
+    proposal,
+    oraclePriceRaw,
+    targetBchWeightBps,
+    mode: REBALANCE_MODE,
+    strategyName: strategy.name,
+  });
+
+  if (choice.stepTokens <= 0n) {
+    console.log(
+      "[math] Portfolio is already balanced at this precision (no improving step)."
+    );
+    console.log("[math] Skipping rebalance for this state.");
+    return { status: "skipped", reason: "no improving step" };
+  }
+
+  // --- 4a) Risk limits: clip the move or block the run ---
+  //
+  // Per-trade share is measured against the whole portfolio, the window
+  // against every journalled trade of this contract.
+  const riskCheck = evaluateRiskLimits({
+    requestedTokens: choice.stepTokens,
+    bchSats: summary.bchSats,
+    tokens: summary.tokens,
+    oraclePriceRaw,
+    limits: riskLimits,
+    journal,
+    contractAddress: contract.tokenAddress,
+  });
+
+  console.log(`[risk] decision=${riskCheck.decision} – ${riskCheck.reason}`);
+
+  if (riskCheck.decision === "block") {
+    console.log("[risk] Not rebalancing this run.");
+    return { status: "blocked", reason: riskCheck.reason, risk: riskCheck };
+  }
+
+  if (riskCheck.decision === "clip") {
+    choice = validateProposal({
+      state,
+      proposal: clipMove(
+        state,
+        choice.direction,
+        riskCheck.allowedTokens,
+        oraclePriceRaw
+      ),
+      oraclePriceRaw,
+      targetBchWeightBps,
+      mode: REBALANCE_MODE,
+      strategyName: `${strategy.name} (clipped)`,
+    });
+    if (!(choice.D_after < choice.D_before)) {
+      const reason = `${riskCheck.reason}, which would not reduce D`;
+      console.log(`[risk] ${reason} – not rebalancing this run.`);
+      return { status: "blocked", reason, risk: riskCheck };
+    }
+  }
+
+  const {
+    direction,
+    newBch,
+    newTokens,
+    stepTokens: tokenDelta,
+    stepSats: bchDelta,
+    bchUsd,
+    D_before,
+    D_after,
+  } = choice;
+
+  // Which way the FT leg moves, regardless of mode.
+  const tokensIntoContract = newTokens > oldTokens;
+
+  const dFormula =
+    targetBchWeightBps == null
+      ? "|BCH(USD-ish) - tokens|"
+      : "|BCH(USD-ish) * W_ft - tokens * W_bch|";
+
+  console.log("\n[math] Off-chain imbalance check (mean-revert):");
+  console.log(`  direction    = ${direction}`);
+  console.log(`  BCH(USD-ish) ≈ ${bchUsd.toString()}`);
+  console.log(
+    `  D_before = ${dFormula} = ${D_before.toString()} (oldBch=${oldBch.toString()}, oldTokens=${oldTokens.toString()})`
+  );
+  console.log(
+    `  D_after  = ${dFormula} = ${D_after.toString()} (newBch=${newBch.toString()}, newTokens=${newTokens.toString()})`
+  );
+  if (tokensIntoContract) {
+    console.log(
+      `  tokenDelta (new - old) = ${tokenDelta.toString()} tokens will be deposited from Alice`
+    );
+  } else {
+    console.log(
+      `  tokenDelta (old - new) = ${tokenDelta.toString()} tokens will be withdrawn to Alice`
+    );
+  }
+  if (bchDelta > 0n) {
+    console.log(
+      newBch > oldBch
+        ? `  bchDelta = ${formatSats(bchDelta)} paid by Alice into the contract`
+        : `  bchDelta = ${formatSats(bchDelta)} paid by the contract to Alice`
+    );
+  }
+  console.log("");
+
+  // Extra sanity: mirror contract condition on the exact newBch/newTokens.
+  if (!(D_after < D_before)) {
+    throw new Error(
+      "Sanity failure: D_after must be strictly less than D_before for a 'good' rebalance."
+    );
+  }
+
+  if (newBch < DUST_THRESHOLD) {
+    throw new Error(
+      [
+        "[rebalance] Contract BCH after swap would be below dust.",
+        `  newBch        : ${formatSats(newBch)}`,
+        `  DUST_THRESHOLD: ${formatSats(DUST_THRESHOLD)}`,
+      ].join("\n")
+    );
+  }
+
+  // --- 4b) Lay out the contract outputs and check every spent input ---
+  //
+  // Each contract input runs the covenant with its own tokenAmount as
+  // oldTokens (V3–V8), so the move has to satisfy all of them; V9 sums the
+  // tokens, so every input sees the same D (portfolioUtxos.js).
+  const { outputs: contractOutputs, merged } = planContractOutputs(
+    selected,
+    newBch,
+    newTokens,
+    {
+      merge: portfolio.merge,
+      dust: DUST_THRESHOLD,
+      spreadTokens: spec.aggregateTokens,
+    }
+  );
+  if (selected.length > 1) {
+    console.log(
+      `[portfolio] ${contractOutputs.length} contract output(s)` +
+        (merged ? " (merged)" : "") +
+        `: ${contractOutputs
+          .map((o) => `${formatSats(o.bchSats)} + ${o.tokens.toString()} FT`)
+          .join(", ")}`
+    );
+  }
+
+  const covenantView = covenantInputChecks({
+    selected,
+    outputs: contractOutputs,
+    oraclePriceRaw,
+    targetBchWeightBps,
+    aggregateTokens: spec.aggregateTokens,
+    stateSats,
+  });
+  if (covenantView.failing.length) {
+    throw new Error(
+      [
+        "[rebalance] The covenant would reject this move for some contract inputs",
+        `  (each input compares D_after=${covenantView.D_after.toString()} with its own tokens):`,
+        ...covenantView.failing.map(
+          (i) =>
+            `  ${i.outpoint}: tokens=${i.tokens.toString()} D_before=${i.D_before.toString()}`
+        ),
+        "  Leave those UTXOs out with --utxos, or move closer to target (e.g. --strategy full-to-target).",
+      ].join("\n")
+    );
+  }
+
+  // --- 5) NFT authority UTXO at aliceTokenAddress ---
+  const aliceTokenUtxos = await provider.getUtxos(aliceTokenAddress);
+  const nftAuthorityUtxo = aliceTokenUtxos.find(
+    (u) =>
+      u.token &&
+      u.token.category === NFT_CATEGORY_HEX &&
+      BigInt(u.token.amount ?? 0n) === 0n &&
+      u.token.nft?.commitment === REBALANCER_NFT_COMMITMENT_HEX
+  );
+
+  if (!nftAuthorityUtxo) {
+    throw new Error(
+      [
+        "No suitable NFT authority UTXO found at aliceTokenAddress.",
+        `Need category=${NFT_CATEGORY_HEX}, amount=0, commitment=${REBALANCER_NFT_COMMITMENT_HEX}.`,
+        "Ensure mintAllForAlice.js was run and config.NFT_CATEGORY_HEX / REBALANCER_NFT_COMMITMENT_HEX match that mint.",
+      ].join("\n")
+    );
+  }
+
+  console.log("\n[authority] NFT UTXO:");
+  console.log(safeJson(nftAuthorityUtxo));
+
+  // --- 5b) Tokens into contract: coin-select Alice's FT UTXOs ---
+  let ftFundingUtxos = [];
+  let aliceFtAmount = tokenDelta; // withdraw: tokenDelta goes to Alice
+
+  if (tokensIntoContract) {
+    const { selected, totalTokens, changeTokens } = selectTokenUtxos(
+      aliceTokenUtxos,
+      FT_CATEGORY_HEX,
+      tokenDelta
+    );
+    ftFundingUtxos = selected;
+    aliceFtAmount = changeTokens; // deposit: only FT change goes back
+
+    console.log(
+      `\n[deposit] Selected ${selected.length} Alice FT UTXO(s) with ${totalTokens.toString()} tokens` +
+        ` (deposit ${tokenDelta.toString()}, change ${changeTokens.toString()}):`
+    );
+    console.log(safeJson(selected));
+  }
+
+  // --- 6) Alice BCH funding UTXOs for fees (coin selection, utxos.js) ---
+  const aliceUtxos = await provider.getUtxos(aliceAddress);
+  const fundingBchOnly = aliceUtxos.filter((u) => !u.token);
+
+  if (!fundingBchOnly.length) {
+    throw new Error(
+      "No BCH-only UTXOs at aliceAddress to pay for fees. Fund aliceAddress on chipnet."
+    );
+  }
+
+  // Dust carried by the Alice FT output (if any) and the NFT output.
+  const aliceFtOutputSats = aliceFtAmount > 0n ? DUST_THRESHOLD : 0n;
+
+  const otherInputBch =
+    oldBch +
+    stateSats +
+    utxoValueBigInt(nftAuthorityUtxo) +
+    ftFundingUtxos.reduce((s, u) => s + utxoValueBigInt(u), 0n);
+
+  // newBch already reflects the swap: BCH bought by the contract raises
+  // what Alice must supply, BCH sold by the contract flows into her change.
+  const requiredOutputs =
+    newBch +
+    stateSats + // oracle state NFT output
+    aliceFtOutputSats + // FT output to Alice
+    DUST_THRESHOLD + // NFT output
+    DUST_THRESHOLD; // BCH change
+
+  const plan = {
+    contract,
+    tmpl,
+    oraclePriceRaw,
+    onchainOracle,
+    oracleState,
+    portfolioUtxos,
+    contractInputOptions,
+    nftAuthorityUtxo,
+    ftFundingUtxos,
+    aliceFundingUtxos: [],
+    contractOutputs,
+    aliceFtAmount,
+    bchChange: DUST_THRESHOLD, // provisional for pass 1
+  };
+
+  // --- 7) Build transaction (2-pass) ---
+  //
+  // Pass 1 runs inside coin selection: each candidate set of funding
+  // inputs is priced with a provisional tx until the set covers the fee.
+  console.log(
+    "\n[pass1] Building provisional rebalance tx for fee estimate..."
+  );
+
+  let bytesEstimate = 0n;
+  const funding = await selectFundingUtxos(fundingBchOnly, {
+    amount: requiredOutputs - otherInputBch,
+    strategy: COIN_SELECTION,
+    estimateFee: async (inputs) => {
+      const estBuilder = addRebalanceIO(new TransactionBuilder({ provider }), {
+        ...plan,
+        aliceFundingUtxos: inputs,
+      });
+      bytesEstimate = BigInt((await estBuilder.build()).length / 2);
+      return bytesEstimate * SATS_PER_BYTE;
+    },
+  });
+  plan.aliceFundingUtxos = funding.selected;
+  const feeEstimate = funding.feeEstimate;
+
+  console.log(`[funding] Alice BCH: ${describeSelection(funding)}`);
+  console.log(safeJson(funding.selected));
+
+  const totalInputBch = otherInputBch + funding.totalSats;
+
+  console.log(
+    `[pass1] Estimated size: ${bytesEstimate} bytes @ ${SATS_PER_BYTE} sat/byte → fee ≈ ${formatSats(
+      feeEstimate
+    )}`
+  );
+
+  // --- 7b) Is the move worth its fee + the dust it locks up? ---
+  const costCheck = evaluateRebalanceCost({
+    D_before,
+    D_after,
+    targetBchWeightBps,
+    oraclePriceRaw,
+    feeSats: feeEstimate,
+    dustSats: aliceFtOutputSats + DUST_THRESHOLD, // FT output + NFT output
+    minMultiple: REBALANCE_FEE_MULTIPLE,
+  });
+
+  console.log(`[fee] decision=${costCheck.decision} – ${costCheck.reason}`);
+
+  if (costCheck.decision === "skip") {
+    console.log("[fee] Skipping rebalance for this state.");
+    return { status: "skipped", reason: costCheck.reason, cost: costCheck };
+  }
+
+  const requiredMin = requiredOutputs + feeEstimate;
+
+  if (totalInputBch < requiredMin) {
+    throw new Error(
+      [
+        "[rebalance] Insufficient BCH backing for portfolio + fee plan.",
+        `  totalInputBch: ${formatSats(totalInputBch)}`,
+        `  requiredMin  : ${formatSats(requiredMin)}`,
+      ].join("\n")
+    );
+  }
+
+  const finalBchChange =
+    totalInputBch -
+    newBch -
+    stateSats - // oracle state NFT output
+    aliceFtOutputSats - // FT output to Alice
+    DUST_THRESHOLD - // NFT output
+    feeEstimate;
+
+  if (finalBchChange < DUST_THRESHOLD) {
+    throw new Error(
+      [
+        "[rebalance] BCH change would be below dust after fee.",
+        `  finalBchChange: ${formatSats(finalBchChange)}`,
+        `  DUST_THRESHOLD: ${formatSats(DUST_THRESHOLD)}`,
+      ].join("\n")
+    );
+  }
+
+  console.log(
+    `[pass1] Expected BCH change back to Alice: ${formatSats(finalBchChange)}`
+  );
+
+  // --- PASS 2: final rebalance transaction ---
+  console.log("\n[pass2] Building FINAL rebalance tx...");
+
+  const txb = addRebalanceIO(new TransactionBuilder({ provider }), {
+    ...plan,
+    bchChange: finalBchChange,
+  });
+
+  if (dryRun) {
+    const dryRunPlan = await buildDryRunPlan({
+      action: "rebalance",
+      builder: txb,
+      feeEstimate,
+      details: {
+        version,
+        contractAddress: contract.tokenAddress,
+        mode: REBALANCE_MODE,
+        strategy: {
+          name: strategy.name,
+          rationale: proposal.rationale,
+          metrics: proposal.metrics ?? null,
+        },
+        direction,
+        targetBchWeightBps,
+        oldBch,
+        newBch,
+        oldTokens,
+        newTokens,
+        tokenDelta,
+        bchDelta,
+        D_before,
+        D_after,
+        portfolio: {
+          utxos: summary.entries.map((e) => ({
+            outpoint: e.outpoint,
+            bchSats: e.bchSats,
+            tokens: e.tokens,
+            foreignToken: e.foreignToken,
+            spent: selected.includes(e),
+          })),
+          totalBch: summary.bchSats,
+          totalTokens: summary.tokens,
+          merged,
+          contractOutputs,
+          covenantInputs: covenantView.inputs,
+        },
+        band: {
+          ...REBALANCE_BAND,
+          decision: bandCheck.decision,
+          reason: bandCheck.reason,
+        },
+        cost: costCheck,
+        risk: { limits: riskLimits, ...riskCheck },
+        cooldown: {
+          ...cooldown,
+          ...cooldownCheck,
+          minAgeBlocks,
+          sequence: contractInputOptions?.sequence ?? null,
+        },
+        coinSelection: summarizeSelection(funding),
+        oracle: {
+          oraclePubKey: oracleSnap.oraclePubKey,
+          rawMessage: oracleSnap.rawMessage,
+          signature: oracleSnap.signature,
+          messageSequence: oracleSnap.messageSequence,
+          dataSequence: oracleSnap.dataSequence,
+          timestamp: oracleSnap.timestamp,
+          priceRaw: oracleSnap.priceRaw,
+          priceScale: oracleSnap.priceScale,
+          assetPair: oracleSnap.assetPair ?? null,
+          covenantPriceRaw: oraclePriceRaw,
+          aggregation: oracleSnap.aggregation ?? null,
+          onchain: onchainOracle && {
+            locktime: onchainOracle.locktime,
+            medianTimePast: onchainOracle.medianTimePast,
+            locktimeGap: onchainOracle.locktimeGap,
+            maxLocktimeGapSeconds: spec.maxLocktimeGapSeconds,
+            state: oracleState && {
+              outpoint: `${oracleState.utxo.txid}:${oracleState.utxo.vout}`,
+              lastTimestamp: oracleState.lastTimestamp,
+              commitment: oracleState.commitment,
+            },
+          },
+        },
+      },
+    });
+    emitDryRunPlan(dryRunPlan);
+    return { status: "dry-run", plan: dryRunPlan };
+  }
+
+  // Last point where a shutdown can still cancel cleanly.
+  if (signal?.aborted) {
+    console.log("\n[pass2] Shutdown requested – not broadcasting.");
+    return { status: "aborted", reason: "shutdown requested before broadcast" };
+  }
+
+  const txDetails = await txb.send();
+  console.log("\n[rebalance] Broadcast txid:", txDetails.txid);
+
+  // The window limit only sees what is journalled; a failed write is
+  // reported loudly but cannot undo the broadcast.
+  try {
+    await appendTradeJournal(journalPath, {
+      time: new Date().toISOString(),
+      txid: txDetails.txid,
+      version,
+      contractAddress: contract.tokenAddress,
+      mode: REBALANCE_MODE,
+      direction,
+      tokens: tokenDelta,
+      usd: tokenDelta,
+      bchSats: bchDelta,
+      oraclePriceRaw,
+    });
+    console.log(`[risk] Trade journalled in ${journalPath}`);
+  } catch (err) {
+    console.error(
+      `[risk] WARNING: could not append to trade journal ${journalPath}: ${err.message}`
+    );
+  }
+  const actualFee = transactionFee(txb);
+  if (txDetails?.hex) {
+    const finalBytes = BigInt(txDetails.hex.length / 2);
+    console.log(
+      `[rebalance] Final size: ${finalBytes.toString()} bytes, actual fee ${formatSats(
+        actualFee
+      )}`
+    );
+  }
+
+  console.log(
+    `\nTip: run scripts/inspectMeanRevert${label}State.js again to see the updated portfolio.`
+  );
+
+  return { status: "broadcast", txid: txDetails.txid, feeSats: actualFee };
+}
+
+// --- CLI runner ---
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runRebalanceWithOracle().catch((err) => {
+    console.error("Error in rebalanceWithOracle script:", err);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,21 @@
+// scripts/rebalanceWithOracleV4.js
+//
+// Oracle-driven rebalance of the V4 contract on CHIPNET
+// (target BCH weight = config.TARGET_BCH_WEIGHT_BPS).
+//
+// Thin wrapper around scripts/rebalanceWithOracle.js with the contract
+// version pinned, so it ignores MEAN_REVERT_VERSION.
+
+import { runRebalanceWithOracle } from "./rebalanceWithOracle.js";
+
+export function runRebalanceWithOracleV4() {
+  return runRebalanceWithOracle({ version: "v4" });
+}
+
+// --- CLI runner ---
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runRebalanceWithOracleV4().catch((err) => {
+    console.error("Error in rebalanceWithOracleV4 script:", err);
+    process.exit(1);
+  });
+}
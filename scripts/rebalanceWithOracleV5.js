@@ -0,0 +1,21 @@
+// scripts/rebalanceWithOracleV5.js
+//
+// Oracle-driven rebalance of the V5 contract on CHIPNET
+// (V4 weighting + COOLDOWN_MIN_AGE_BLOCKS sequence lock).
+//
+// Thin wrapper around scripts/rebalanceWithOracle.js with the contract
+// version pinned, so it ignores MEAN_REVERT_VERSION.
+
+import { runRebalanceWithOracle } from "./rebalanceWithOracle.js";
+
+export function runRebalanceWithOracleV5() {
+  return runRebalanceWithOracle({ version: "v5" });
+}
+
+// --- CLI runner ---
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runRebalanceWithOracleV5().catch((err) => {
+    console.error("Error in rebalanceWithOracleV5 script:", err);
+    process.exit(1);
+  });
+}
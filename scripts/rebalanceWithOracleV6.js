@@ -0,0 +1,21 @@
+// scripts/rebalanceWithOracleV6.js
+//
+// Oracle-driven rebalance of the V6 contract on CHIPNET
+// (V5 + the oracle message verified on-chain against ORACLE_PUBLIC_KEY_HEX).
+//
+// Thin wrapper around scripts/rebalanceWithOracle.js with the contract
+// version pinned, so it ignores MEAN_REVERT_VERSION.
+
+import { runRebalanceWithOracle } from "./rebalanceWithOracle.js";
+
+export function runRebalanceWithOracleV6() {
+  return runRebalanceWithOracle({ version: "v6" });
+}
+
+// --- CLI runner ---
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runRebalanceWithOracleV6().catch((err) => {
+    console.error("Error in rebalanceWithOracleV6 script:", err);
+    process.exit(1);
+  });
+}
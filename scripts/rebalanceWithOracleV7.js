@@ -0,0 +1,21 @@
+// scripts/rebalanceWithOracleV7.js
+//
+// Oracle-driven rebalance of the V7 contract on CHIPNET
+// (V6 + the stablecoin token category enforced on-chain).
+//
+// Thin wrapper around scripts/rebalanceWithOracle.js with the contract
+// version pinned, so it ignores MEAN_REVERT_VERSION.
+
+import { runRebalanceWithOracle } from "./rebalanceWithOracle.js";
+
+export function runRebalanceWithOracleV7() {
+  return runRebalanceWithOracle({ version: "v7" });
+}
+
+// --- CLI runner ---
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runRebalanceWithOracleV7().catch((err) => {
+    console.error("Error in rebalanceWithOracleV7 script:", err);
+    process.exit(1);
+  });
+}
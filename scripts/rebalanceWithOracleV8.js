@@ -0,0 +1,21 @@
+// scripts/rebalanceWithOracleV8.js
+//
+// Oracle-driven rebalance of the V8 contract on CHIPNET
+// (V7 + the rebalancer NFT category checked on-chain).
+//
+// Thin wrapper around scripts/rebalanceWithOracle.js with the contract
+// version pinned, so it ignores MEAN_REVERT_VERSION.
+
+import { runRebalanceWithOracle } from "./rebalanceWithOracle.js";
+
+export function runRebalanceWithOracleV8() {
+  return runRebalanceWithOracle({ version: "v8" });
+}
+
+// --- CLI runner ---
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runRebalanceWithOracleV8().catch((err) => {
+    console.error("Error in rebalanceWithOracleV8 script:", err);
+    process.exit(1);
+  });
+}
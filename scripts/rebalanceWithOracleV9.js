@@ -0,0 +1,21 @@
+// scripts/rebalanceWithOracleV9.js
+//
+// Oracle-driven rebalance of the V9 contract on CHIPNET
+// (V8 + the stablecoin summed over every contract input and output).
+//
+// Thin wrapper around scripts/rebalanceWithOracle.js with the contract
+// version pinned, so it ignores MEAN_REVERT_VERSION.
+
+import { runRebalanceWithOracle } from "./rebalanceWithOracle.js";
+
+export function runRebalanceWithOracleV9() {
+  return runRebalanceWithOracle({ version: "v9" });
+}
+
+// --- CLI runner ---
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runRebalanceWithOracleV9().catch((err) => {
+    console.error("Error in rebalanceWithOracleV9 script:", err);
+    process.exit(1);
+  });
+}
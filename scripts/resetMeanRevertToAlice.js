@@ -0,0 +1,286 @@
+// scripts/resetMeanRevertToAlice.js
+//
+// Reset/demo helper for a MeanRevert contract version on CHIPNET.
+//
+// Goal:
+//  - Spend ALL UTXOs locked to the contract
+//  - Send every satoshi + every token back to Alice
+//  - Pay miner fees from BCH-only UTXOs at aliceAddress, picked by the
+//    COIN_SELECTION strategy (see utxos.js)
+//
+// Result:
+//  - Contract has zero UTXOs (fully drained)
+//  - All FTs/NFTs previously in the contract are now at aliceTokenAddress
+//  - All BCH previously in the contract is now at Alice (token or plain address)
+//
+// --dry-run (or DRY_RUN=1) prints the plan instead of broadcasting.
+
+import {
+  ElectrumNetworkProvider,
+  TransactionBuilder,
+  SignatureTemplate,
+} from "cashscript";
+
+import {
+  NETWORK,
+  SATS_PER_BYTE,
+  DUST_THRESHOLD,
+  MEAN_REVERT_VERSION,
+  COIN_SELECTION,
+} from "../config.js";
+
+import {
+  alicePriv,
+  alicePub,
+  aliceAddress,
+  aliceTokenAddress,
+} from "../common.js";
+
+import { formatSats, safeJson } from "../bigint.js";
+import { isDryRun, buildDryRunPlan, emitDryRunPlan } from "../dryRun.js";
+import {
+  selectFundingUtxos,
+  describeSelection,
+  summarizeSelection,
+} from "../utxos.js";
+import {
+  getMeanRevertContract,
+  getMeanRevertVersion,
+} from "../meanRevertContract.js";
+
+function utxoValueBigInt(u) {
+  const v = u.satoshis ?? u.value;
+  if (v === undefined) throw new Error("UTXO missing satoshi value");
+  return BigInt(v);
+}
+
+export async function runResetMeanRevertToAlice({
+  version = MEAN_REVERT_VERSION,
+  dryRun = isDryRun(),
+} = {}) {
+  const { contractName } = getMeanRevertVersion(version);
+
+  console.log("========================================");
+  console.log(` Reset / Drain ${contractName} `);
+  console.log("========================================\n");
+  console.log(`[network] NETWORK="${NETWORK}"\n`);
+
+  const provider = new ElectrumNetworkProvider(NETWORK);
+  const tmpl = new SignatureTemplate(alicePriv);
+
+  // --- Reconstruct the same contract instance as deploy/fund/rebalance ---
+  const { contract } = getMeanRevertContract(provider, version);
+
+  const label = version.toUpperCase();
+  console.log(`${label} contract.address      :`, contract.address);
+  console.log(`${label} contract.tokenAddress :`, contract.tokenAddress);
+
+  // --- 1) Collect all contract UTXOs ---
+  const contractUtxos = await contract.getUtxos();
+  console.log(`\n[contract] UTXO count: ${contractUtxos.length}`);
+
+  if (!contractUtxos.length) {
+    console.log(
+      "\n[reset] No contract UTXOs found. Nothing to drain – state is already empty.\n"
+    );
+    return;
+  }
+
+  console.log("\n[contract] UTXOs to drain:");
+  console.log(safeJson(contractUtxos));
+
+  const totalContractBch = contractUtxos.reduce(
+    (s, u) => s + utxoValueBigInt(u),
+    0n
+  );
+  console.log(
+    `\n[contract] Total BCH locked in contract: ${formatSats(totalContractBch)}`
+  );
+
+  // --- 2) BCH-only UTXOs at aliceAddress to pay fees (coin-selected below) ---
+  const aliceUtxos = await provider.getUtxos(aliceAddress);
+  const fundingBchOnly = aliceUtxos.filter((u) => !u.token);
+
+  if (!fundingBchOnly.length) {
+    throw new Error(
+      "No BCH-only UTXOs at aliceAddress to pay for fees. Fund aliceAddress on chipnet first."
+    );
+  }
+
+  // --- 3) Plan outputs: ALL contract value → Alice, fee from funding UTXOs ---
+  //
+  // For each contract UTXO:
+  //  - If it has tokens → send to aliceTokenAddress (token-aware)
+  //  - If it is pure BCH → send to aliceAddress
+  //
+  // This preserves all token balances and BCH amounts from the contract,
+  // just changing ownership from the covenant to Alice.
+  const contractOutputs = contractUtxos.map((u) => {
+    const amount = utxoValueBigInt(u);
+    if (u.token) {
+      return {
+        to: aliceTokenAddress,
+        amount,
+        token: u.token,
+      };
+    }
+    return {
+      to: aliceAddress,
+      amount,
+    };
+  });
+
+  const sumContractOutputs = contractOutputs.reduce(
+    (s, o) => s + BigInt(o.amount),
+    0n
+  );
+
+  if (sumContractOutputs !== totalContractBch) {
+    throw new Error(
+      "[reset] Internal mismatch: sumContractOutputs != totalContractBch"
+    );
+  }
+
+  // Inputs: ALL contract UTXOs (drain) + funding UTXOs
+  const addInputs = (builder, fundingUtxos) => {
+    for (const utxo of contractUtxos) {
+      builder.addInput(utxo, contract.unlock.drain(alicePub, tmpl));
+    }
+    for (const u of fundingUtxos) {
+      builder.addInput(u, tmpl.unlockP2PKH());
+    }
+  };
+
+  // --- 4) PASS 1 – provisional tx for fee estimate (inside coin selection) ---
+  console.log("\n[pass1] Building provisional reset tx for fee estimate...");
+
+  let bytesEstimate = 0n;
+  const funding = await selectFundingUtxos(fundingBchOnly, {
+    amount: DUST_THRESHOLD, // only the fee and the change output to cover
+    strategy: COIN_SELECTION,
+    estimateFee: async (inputs) => {
+      const estBuilder = new TransactionBuilder({ provider });
+      addInputs(estBuilder, inputs);
+
+      // Outputs: contract value → Alice (token/BCH), plus provisional BCH change
+      for (const out of contractOutputs) {
+        estBuilder.addOutput(out);
+      }
+      estBuilder.addOutput({
+        to: aliceAddress,
+        amount: DUST_THRESHOLD,
+      });
+
+      bytesEstimate = BigInt((await estBuilder.build()).length / 2);
+      return bytesEstimate * SATS_PER_BYTE;
+    },
+  });
+  const feeEstimate = funding.feeEstimate;
+
+  console.log(
+    `\n[funding] Alice BCH (for miner fee): ${describeSelection(funding)}`
+  );
+  console.log(safeJson(funding.selected));
+
+  const totalInputBch = totalContractBch + funding.totalSats;
+
+  console.log(
+    `[pass1] Estimated size: ${bytesEstimate} bytes @ ${SATS_PER_BYTE} sat/byte → fee ≈ ${formatSats(
+      feeEstimate
+    )}`
+  );
+
+  const requiredMin =
+    sumContractOutputs +
+    DUST_THRESHOLD + // change output must be >= dust
+    feeEstimate;
+
+  if (totalInputBch < requiredMin) {
+    throw new Error(
+      [
+        "[reset] Insufficient BCH to pay miner fee while preserving all contract value.",
+        `  totalInputBch : ${formatSats(totalInputBch)}`,
+        `  requiredMin   : ${formatSats(requiredMin)}`,
+      ].join("\n")
+    );
+  }
+
+  const finalBchChange = totalInputBch - sumContractOutputs - feeEstimate;
+
+  if (finalBchChange < DUST_THRESHOLD) {
+    throw new Error(
+      [
+        "[reset] Final BCH change from funding UTXO would be below dust.",
+        `  finalBchChange: ${formatSats(finalBchChange)}`,
+        `  DUST_THRESHOLD: ${formatSats(DUST_THRESHOLD)}`,
+      ].join("\n")
+    );
+  }
+
+  console.log(
+    `[pass1] Expected BCH change back to Alice (fee payer): ${formatSats(
+      finalBchChange
+    )}`
+  );
+
+  // --- 5) PASS 2 – final reset transaction ---
+  console.log("\n[pass2] Building FINAL reset tx...");
+
+  const txb = new TransactionBuilder({ provider });
+
+  // Inputs: same as provisional
+  addInputs(txb, funding.selected);
+
+  // Outputs: ALL contract value to Alice (preserved), plus BCH change
+  for (const out of contractOutputs) {
+    txb.addOutput(out);
+  }
+
+  txb.addOutput({
+    to: aliceAddress,
+    amount: finalBchChange,
+  });
+
+  if (dryRun) {
+    return emitDryRunPlan(
+      await buildDryRunPlan({
+        action: "reset",
+        builder: txb,
+        feeEstimate,
+        details: {
+          version,
+          contractAddress: contract.tokenAddress,
+          contractUtxoCount: contractUtxos.length,
+          returnedToAliceSats: sumContractOutputs,
+          coinSelection: summarizeSelection(funding),
+        },
+      })
+    );
+  }
+
+  const txDetails = await txb.send();
+
+  console.log("\n[reset] Broadcast txid:", txDetails.txid);
+  if (txDetails?.hex) {
+    const finalBytes = BigInt(txDetails.hex.length / 2);
+    const actualFee = totalInputBch - sumContractOutputs - finalBchChange;
+    console.log(
+      `[reset] Final size: ${finalBytes.toString()} bytes, actual fee ≈ ${formatSats(
+        actualFee
+      )}`
+    );
+  }
+
+  console.log(
+    `\nTip: run scripts/inspectMeanRevert${label}State.js afterwards – contract UTXOs should be 0.\n` +
+      `Then you can re-run scripts/fundMeanRevert${label}FromAlice.js to restart the demo.`
+  );
+}
+
+// --- CLI runner ---
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runResetMeanRevertToAlice().catch((err) => {
+    console.error("Error in resetMeanRevertToAlice script:", err);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,21 @@
+// scripts/resetMeanRevertV10ToAlice.js
+//
+// Drain the V10 contract back to Alice on CHIPNET
+// (V9 without the rebalancer NFT: permissionless keepers earn a capped bounty).
+//
+// Thin wrapper around scripts/resetMeanRevertToAlice.js with the contract
+// version pinned, so it ignores MEAN_REVERT_VERSION.
+
+import { runResetMeanRevertToAlice } from "./resetMeanRevertToAlice.js";
+
+export function runResetMeanRevertV10ToAlice() {
+  return runResetMeanRevertToAlice({ version: "v10" });
+}
+
+// --- CLI runner ---
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runResetMeanRevertV10ToAlice().catch((err) => {
+    console.error("Error in resetMeanRevertV10ToAlice script:", err);
+    process.exit(1);
+  });
+}
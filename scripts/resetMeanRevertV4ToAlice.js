@@ -0,0 +1,21 @@
+// scripts/resetMeanRevertV4ToAlice.js
+//
+// Drain the V4 contract back to Alice on CHIPNET
+// (target BCH weight = config.TARGET_BCH_WEIGHT_BPS).
+//
+// Thin wrapper around scripts/resetMeanRevertToAlice.js with the contract
+// version pinned, so it ignores MEAN_REVERT_VERSION.
+
+import { runResetMeanRevertToAlice } from "./resetMeanRevertToAlice.js";
+
+export function runResetMeanRevertV4ToAlice() {
+  return runResetMeanRevertToAlice({ version: "v4" });
+}
+
+// --- CLI runner ---
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runResetMeanRevertV4ToAlice().catch((err) => {
+    console.error("Error in resetMeanRevertV4ToAlice script:", err);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,21 @@
+// scripts/resetMeanRevertV5ToAlice.js
+//
+// Drain the V5 contract back to Alice on CHIPNET
+// (V4 weighting + COOLDOWN_MIN_AGE_BLOCKS sequence lock).
+//
+// Thin wrapper around scripts/resetMeanRevertToAlice.js with the contract
+// version pinned, so it ignores MEAN_REVERT_VERSION.
+
+import { runResetMeanRevertToAlice } from "./resetMeanRevertToAlice.js";
+
+export function runResetMeanRevertV5ToAlice() {
+  return runResetMeanRevertToAlice({ version: "v5" });
+}
+
+// --- CLI runner ---
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runResetMeanRevertV5ToAlice().catch((err) => {
+    console.error("Error in resetMeanRevertV5ToAlice script:", err);
+    process.exit(1);
+  });
+}
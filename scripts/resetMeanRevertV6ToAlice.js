@@ -0,0 +1,21 @@
+// scripts/resetMeanRevertV6ToAlice.js
+//
+// Drain the V6 contract back to Alice on CHIPNET
+// (V5 + the oracle message verified on-chain against ORACLE_PUBLIC_KEY_HEX).
+//
+// Thin wrapper around scripts/resetMeanRevertToAlice.js with the contract
+// version pinned, so it ignores MEAN_REVERT_VERSION.
+
+import { runResetMeanRevertToAlice } from "./resetMeanRevertToAlice.js";
+
+export function runResetMeanRevertV6ToAlice() {
+  return runResetMeanRevertToAlice({ version: "v6" });
+}
+
+// --- CLI runner ---
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runResetMeanRevertV6ToAlice().catch((err) => {
+    console.error("Error in resetMeanRevertV6ToAlice script:", err);
+    process.exit(1);
+  });
+}
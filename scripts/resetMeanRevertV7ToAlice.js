@@ -0,0 +1,21 @@
+// scripts/resetMeanRevertV7ToAlice.js
+//
+// Drain the V7 contract back to Alice on CHIPNET
+// (V6 + the stablecoin token category enforced on-chain).
+//
+// Thin wrapper around scripts/resetMeanRevertToAlice.js with the contract
+// version pinned, so it ignores MEAN_REVERT_VERSION.
+
+import { runResetMeanRevertToAlice } from "./resetMeanRevertToAlice.js";
+
+export function runResetMeanRevertV7ToAlice() {
+  return runResetMeanRevertToAlice({ version: "v7" });
+}
+
+// --- CLI runner ---
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runResetMeanRevertV7ToAlice().catch((err) => {
+    console.error("Error in resetMeanRevertV7ToAlice script:", err);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,21 @@
+// scripts/resetMeanRevertV8ToAlice.js
+//
+// Drain the V8 contract back to Alice on CHIPNET
+// (V7 + the rebalancer NFT category checked on-chain).
+//
+// Thin wrapper around scripts/resetMeanRevertToAlice.js with the contract
+// version pinned, so it ignores MEAN_REVERT_VERSION.
+
+import { runResetMeanRevertToAlice } from "./resetMeanRevertToAlice.js";
+
+export function runResetMeanRevertV8ToAlice() {
+  return runResetMeanRevertToAlice({ version: "v8" });
+}
+
+// --- CLI runner ---
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runResetMeanRevertV8ToAlice().catch((err) => {
+    console.error("Error in resetMeanRevertV8ToAlice script:", err);
+    process.exit(1);
+  });
+}
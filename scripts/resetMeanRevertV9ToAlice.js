@@ -0,0 +1,21 @@
+// scripts/resetMeanRevertV9ToAlice.js
+//
+// Drain the V9 contract back to Alice on CHIPNET
+// (V8 + the stablecoin summed over every contract input and output).
+//
+// Thin wrapper around scripts/resetMeanRevertToAlice.js with the contract
+// version pinned, so it ignores MEAN_REVERT_VERSION.
+
+import { runResetMeanRevertToAlice } from "./resetMeanRevertToAlice.js";
+
+export function runResetMeanRevertV9ToAlice() {
+  return runResetMeanRevertToAlice({ version: "v9" });
+}
+
+// --- CLI runner ---
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runResetMeanRevertV9ToAlice().catch((err) => {
+    console.error("Error in resetMeanRevertV9ToAlice script:", err);
+    process.exit(1);
+  });
+}
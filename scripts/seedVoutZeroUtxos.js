@@ -6,15 +6,17 @@
 // Usage:
 //   node scripts/seedVoutZeroUtxos.js          # default: target 2 vout=0 UTXOs
 //   node scripts/seedVoutZeroUtxos.js 3        # (optional) target a different count
+//   node scripts/seedVoutZeroUtxos.js 3 --dry-run  # print the planned txs only
 //
 // Strategy:
 //   - Inspect aliceAddress UTXOs.
 //   - Count BCH-only UTXOs with vout === 0 (genesis candidates).
 //   - If already >= target, exit.
 //   - Otherwise, for each *additional* candidate needed:
-//       * Pick a BCH-only UTXO with vout !== 0 (non-genesis).
-//       * Build a 1-input, 1-output tx:
-//           - input: that UTXO
+//       * Coin-select BCH-only UTXO(s) with vout !== 0 (non-genesis),
+//         enough for a dust-safe output (COIN_SELECTION, see utxos.js).
+//       * Build a 1-output tx:
+//           - inputs: those UTXOs
 //           - output0: back to aliceAddress with (value - fee) sats
 //         → this creates a new BCH-only UTXO where outpoint.vout === 0.
 //   - We never spend existing vout=0 candidates.
@@ -26,9 +28,19 @@ import {
   TransactionBuilder,
 } from "cashscript";
 
-import { NETWORK, SATS_PER_BYTE, DUST_THRESHOLD } from "../config.js";
+import {
+  NETWORK,
+  SATS_PER_BYTE,
+  DUST_THRESHOLD,
+  COIN_SELECTION,
+} from "../config.js";
 import { alicePriv, aliceAddress } from "../common.js";
-import { splitByToken } from "../utxos.js";
+import {
+  splitByToken,
+  selectFundingUtxos,
+  summarizeSelection,
+} from "../utxos.js";
+import { isDryRun, buildDryRunPlan, emitDryRunPlan } from "../dryRun.js";
 
 const utxoValueBigInt = (u) => BigInt(u.satoshis ?? u.value);
 
@@ -36,8 +48,13 @@ const utxoValueBigInt = (u) => BigInt(u.satoshis ?? u.value);
  * Seed aliceAddress with at least `targetVout0` BCH-only UTXOs where vout === 0.
  *
  * @param {number} targetVout0
+ * @param {object} [opts]
+ * @param {boolean} [opts.dryRun] - print each planned tx instead of sending
  */
-export async function runSeedVoutZeroUtxos(targetVout0 = 2) {
+export async function runSeedVoutZeroUtxos(
+  targetVout0 = 2,
+  { dryRun = isDryRun() } = {}
+) {
   console.log("==============================================");
   console.log(" Seed vout=0 BCH-only UTXOs for aliceAddress ");
   console.log("==============================================\n");
@@ -95,35 +112,49 @@ export async function runSeedVoutZeroUtxos(targetVout0 = 2) {
     `[plan] Need ${needed} additional vout=0 BCH-only UTXOs (target = ${targetVout0}).`
   );
   console.log(
-    "[plan] For each, we'll build a 1-input, 1-output tx from a vout!=0 UTXO → vout=0 self-UTXO.\n"
+    "[plan] For each, we'll build a 1-output tx from coin-selected vout!=0 UTXO(s) → vout=0 self-UTXO.\n"
   );
 
   const tmpl = new SignatureTemplate(alicePriv);
   const newGenesisCandidates = [];
 
-  for (let i = 0; i < needed; i++) {
-    const utxo = nonZeroVoutFunding[i];
-    const inputValue = utxoValueBigInt(utxo);
+  // Funding UTXOs not yet spent by an earlier seed tx.
+  let pool = nonZeroVoutFunding;
 
+  for (let i = 0; i < needed; i++) {
     console.log(`--- [${i + 1}/${needed}] Creating new vout=0 candidate ---`);
-    console.log(
-      `Input UTXO: txid=${utxo.txid} vout=${
-        utxo.vout
-      } sats=${inputValue.toString()}`
-    );
 
-    // PASS 1 – provisional tx for fee estimate
-    const estBuilder = new TransactionBuilder({ provider });
-
-    estBuilder.addInput(utxo, tmpl.unlockP2PKH());
-    estBuilder.addOutput({
-      to: aliceAddress,
-      amount: inputValue, // provisional; we'll adjust after fee calc
+    // PASS 1 – provisional tx for fee estimate, inside coin selection:
+    // enough vout!=0 UTXOs (COIN_SELECTION, utxos.js) to leave a
+    // dust-safe output after the fee.
+    let byteLength = 0n;
+    const selection = await selectFundingUtxos(pool, {
+      amount: DUST_THRESHOLD,
+      strategy: COIN_SELECTION,
+      estimateFee: async (inputs) => {
+        const estBuilder = new TransactionBuilder({ provider });
+        inputs.forEach((u) => estBuilder.addInput(u, tmpl.unlockP2PKH()));
+        estBuilder.addOutput({
+          to: aliceAddress,
+          // provisional; we'll adjust after fee calc
+          amount: inputs.reduce((s, u) => s + utxoValueBigInt(u), 0n),
+        });
+        byteLength = BigInt((await estBuilder.build()).length / 2);
+        return byteLength * SATS_PER_BYTE;
+      },
     });
+    const inputs = selection.selected;
+    const inputValue = selection.totalSats;
+    const fee = selection.feeEstimate;
+    pool = pool.filter((u) => !inputs.includes(u));
 
-    const provisionalHex = await estBuilder.build();
-    const byteLength = BigInt(provisionalHex.length / 2);
-    const fee = byteLength * SATS_PER_BYTE;
+    inputs.forEach((utxo) => {
+      console.log(
+        `Input UTXO: txid=${utxo.txid} vout=${
+          utxo.vout
+        } sats=${utxoValueBigInt(utxo).toString()}`
+      );
+    });
 
     console.log(
       `[pass1] Provisional size: ${byteLength} bytes @ ${SATS_PER_BYTE} sat/byte → fee = ${fee} sats`
@@ -146,7 +177,7 @@ export async function runSeedVoutZeroUtxos(targetVout0 = 2) {
           `  - finalAmount        : ${finalAmount.toString()} sats`,
           `  - DUST_THRESHOLD     : ${DUST_THRESHOLD.toString()} sats`,
           "",
-          "This UTXO is too small to safely convert into a new vout=0 genesis candidate.",
+          "These UTXOs are too small to safely convert into a new vout=0 genesis candidate.",
           "Consider funding aliceAddress with a larger BCH-only UTXO and try again.",
           "",
         ].join("\n")
@@ -156,12 +187,28 @@ export async function runSeedVoutZeroUtxos(targetVout0 = 2) {
     // PASS 2 – final tx using (inputValue - fee)
     const finalBuilder = new TransactionBuilder({ provider });
 
-    finalBuilder.addInput(utxo, tmpl.unlockP2PKH());
+    inputs.forEach((u) => finalBuilder.addInput(u, tmpl.unlockP2PKH()));
     finalBuilder.addOutput({
       to: aliceAddress,
       amount: finalAmount,
     });
 
+    if (dryRun) {
+      emitDryRunPlan(
+        await buildDryRunPlan({
+          action: "seed",
+          builder: finalBuilder,
+          feeEstimate: fee,
+          details: {
+            step: i + 1,
+            of: needed,
+            coinSelection: summarizeSelection(selection),
+          },
+        })
+      );
+      continue;
+    }
+
     const txDetails = await finalBuilder.send();
 
     console.log(`[pass2] Broadcast txid: ${txDetails.txid}`);
@@ -178,6 +225,11 @@ export async function runSeedVoutZeroUtxos(targetVout0 = 2) {
     });
   }
 
+  if (dryRun) {
+    console.log(`[dry-run] ${needed} seed tx(s) planned, nothing broadcast.`);
+    return;
+  }
+
   console.log("==============================================");
   console.log(" Done seeding vout=0 BCH-only UTXOs.");
   console.log(" New candidate genesis outpoints:");
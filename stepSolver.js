@@ -0,0 +1,225 @@
+// stepSolver.js
+// Optimal rebalance steps under the covenant's exact truncating math.
+//
+// The halving choosers in meanRevertMath.js start at half the gap and halve
+// until D improves, which often leaves most of the gap for later
+// transactions. These solvers instead pick the amount that minimises
+// D_after outright, optionally capped at `maxStep` units (FT for FT-only
+// moves, USD for swaps). Among amounts with the same D_after the smallest
+// transfer wins.
+//
+// Both work on the signed imbalance s = bchUsd * W_ft - tokens * W_bch seen
+// along the direction that reduces it. Moving one more unit never increases
+// s in that direction (truncation only adds flat spots), so the best amount
+// sits where s crosses zero and can be found by binary search instead of
+// walking the whole range.
+
+import {
+  bchValueUsd,
+  imbalanceWeights,
+  signedImbalance,
+  usdToBchSats,
+} from "./meanRevertMath.js";
+
+/**
+ * Smallest u in [1, hi] minimising |f(u)|, for f non-increasing with
+ * f(0) > 0. Returns null when hi < 1.
+ */
+function smallestBestStep(f, hi) {
+  if (hi < 1n) return null;
+
+  // First u with f(u) <= v, or hi + 1 if there is none.
+  const firstAtOrBelow = (v, lo, top) => {
+    while (lo < top) {
+      const mid = (lo + top) / 2n;
+      if (f(mid) <= v) top = mid;
+      else lo = mid + 1n;
+    }
+    return lo;
+  };
+
+  const crossing = firstAtOrBelow(0n, 1n, hi + 1n);
+  const candidates = [];
+
+  // Last step still above zero, moved back to the first u with that value
+  // so flat spots resolve to the smaller transfer.
+  const above = crossing - 1n;
+  if (above >= 1n) {
+    candidates.push(firstAtOrBelow(f(above), 1n, above));
+  }
+  if (crossing <= hi) candidates.push(crossing);
+
+  let best = null;
+  let bestAbs = null;
+  for (const u of candidates.sort((a, b) => (a < b ? -1 : a > b ? 1 : 0))) {
+    const v = f(u);
+    const abs = v < 0n ? -v : v;
+    if (bestAbs === null || abs < bestAbs) {
+      best = u;
+      bestAbs = abs;
+    }
+  }
+  return best;
+}
+
+function capStep(hi, maxStep) {
+  return maxStep != null && maxStep < hi ? maxStep : hi;
+}
+
+/**
+ * FT-only move (BCH fixed) that minimises D_after, i.e.
+ * |bchUsd - newTokens| for V3 or |bchUsd * W_ft - newTokens * W_bch| for V4,
+ * moving at most `maxStepTokens` FT (null/undefined: no cap).
+ *
+ * Same return shape as chooseNewTokenAmountMeanRevert; a no-op (direction
+ * "none") when no amount strictly improves D.
+ */
+export function chooseOptimalTokenAmount(
+  oldBch,
+  oldTokens,
+  oraclePriceRaw,
+  targetBchWeightBps,
+  maxStepTokens
+) {
+  const { bchWeight, ftWeight } = imbalanceWeights(targetBchWeightBps);
+  const bchUsd = bchValueUsd(oldBch, oraclePriceRaw);
+  const s = signedImbalance(
+    oldBch,
+    oldTokens,
+    oraclePriceRaw,
+    targetBchWeightBps
+  );
+  const D_before = s < 0n ? -s : s;
+
+  const noop = {
+    direction: "none",
+    newTokens: oldTokens,
+    stepTokens: 0n,
+    bchUsd,
+    D_before,
+    D_after: D_before,
+  };
+
+  // Balanced, or a 100% FT target where tokens do not affect D.
+  if (D_before === 0n || bchWeight === 0n) return noop;
+
+  const direction = s > 0n ? "deposit" : "withdraw";
+  const sign = direction === "deposit" ? 1n : -1n;
+  const at = (step) => oldTokens + sign * step;
+
+  // s(t) = bchUsd * W_ft - t * W_bch, so it crosses zero within
+  // D_before / W_bch + 1 tokens; withdrawals also stop at zero tokens.
+  let hi = D_before / bchWeight + 1n;
+  if (direction === "withdraw" && oldTokens < hi) hi = oldTokens;
+  hi = capStep(hi, maxStepTokens);
+
+  const step = smallestBestStep(
+    (u) => sign * (bchUsd * ftWeight - at(u) * bchWeight),
+    hi
+  );
+  if (step === null) return noop;
+
+  const newTokens = at(step);
+  const sAfter = bchUsd * ftWeight - newTokens * bchWeight;
+  const D_after = sAfter < 0n ? -sAfter : sAfter;
+  if (D_after >= D_before) return noop;
+
+  return {
+    direction,
+    newTokens,
+    stepTokens: step,
+    bchUsd,
+    D_before,
+    D_after,
+  };
+}
+
+/**
+ * BCH <-> FT swap at the oracle price that minimises D_after, moving at
+ * most `maxStepUsd` whole USD (null/undefined: no cap). BCH is rounded in
+ * the contract's favour, as in chooseSwapMeanRevert.
+ *
+ * Same return shape as chooseSwapMeanRevert; a no-op (direction "none")
+ * when no amount strictly improves D.
+ */
+export function chooseOptimalSwap(
+  oldBch,
+  oldTokens,
+  oraclePriceRaw,
+  targetBchWeightBps,
+  maxStepUsd
+) {
+  const bchUsd = bchValueUsd(oldBch, oraclePriceRaw);
+  const s = signedImbalance(
+    oldBch,
+    oldTokens,
+    oraclePriceRaw,
+    targetBchWeightBps
+  );
+  const D_before = s < 0n ? -s : s;
+
+  const noop = {
+    direction: "none",
+    newBch: oldBch,
+    newTokens: oldTokens,
+    stepSats: 0n,
+    stepTokens: 0n,
+    bchUsd,
+    newBchUsd: bchUsd,
+    D_before,
+    D_after: D_before,
+  };
+
+  if (D_before === 0n) return noop;
+
+  const direction = s > 0n ? "sellBch" : "buyBch";
+  const legsFor = (usd) => {
+    if (direction === "sellBch") {
+      const sats = usdToBchSats(usd, oraclePriceRaw, "down");
+      return { sats, newBch: oldBch - sats, newTokens: oldTokens + usd };
+    }
+    const sats = usdToBchSats(usd, oraclePriceRaw, "up");
+    return { sats, newBch: oldBch + sats, newTokens: oldTokens - usd };
+  };
+  const sign = direction === "sellBch" ? 1n : -1n;
+  const f = (usd) => {
+    const legs = legsFor(usd);
+    return (
+      sign *
+      signedImbalance(
+        legs.newBch,
+        legs.newTokens,
+        oraclePriceRaw,
+        targetBchWeightBps
+      )
+    );
+  };
+
+  // Selling must leave BCH on the contract: usdToBchSats(u, "down") < oldBch
+  // ⇔ u * 10^10 < oldBch * price. Buying is limited by the FT held.
+  let hi =
+    direction === "sellBch"
+      ? (oldBch * oraclePriceRaw - 1n) / 10_000_000_000n
+      : oldTokens;
+  hi = capStep(hi, maxStepUsd);
+
+  const usd = smallestBestStep(f, hi);
+  if (usd === null) return noop;
+
+  const legs = legsFor(usd);
+  const fAfter = f(usd);
+  const D_after = fAfter < 0n ? -fAfter : fAfter;
+  if (D_after >= D_before) return noop;
+
+  return {
+    direction,
+    newBch: legs.newBch,
+    newTokens: legs.newTokens,
+    stepSats: legs.sats,
+    stepTokens: usd,
+    bchUsd,
+    newBchUsd: bchValueUsd(legs.newBch, oraclePriceRaw),
+    D_before,
+    D_after,
+  };
+}
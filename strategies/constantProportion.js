@@ -0,0 +1,35 @@
+// strategies/constantProportion.js
+// "constant-proportion" – close a fixed share of the gap every run.
+//
+// Each run moves config.proportionBps (STRATEGY_PROPORTION_BPS) of the
+// distance to target, so the portfolio converges geometrically and no
+// single trade is large. At least one whole unit (1 FT / $1) moves, so
+// small gaps still close.
+
+import { WEIGHT_SCALE } from "../meanRevertMath.js";
+import { holdProposal, closeShareOfGap } from "./moves.js";
+
+export const constantProportion = {
+  name: "constant-proportion",
+  description:
+    "Close a fixed share (STRATEGY_PROPORTION_BPS) of the gap to target each run.",
+
+  propose({ state, oracle, config }) {
+    const { mode, targetBchWeightBps, proportionBps } = config;
+
+    if (proportionBps <= 0n || proportionBps > WEIGHT_SCALE) {
+      throw new Error(
+        `constant-proportion: proportionBps must be in 1..10000, got ${proportionBps}`
+      );
+    }
+
+    const { move, text } = closeShareOfGap(
+      state,
+      BigInt(oracle.priceRaw),
+      targetBchWeightBps,
+      mode,
+      proportionBps
+    );
+    return move ? { ...move, rationale: text } : holdProposal(state, text);
+  },
+};
@@ -0,0 +1,81 @@
+// strategies/fullToTarget.js
+// "full-to-target" – close the whole gap in one transaction.
+//
+// FT-only: move tokens to the target amount for the current BCH value.
+// Swap   : swap the BCH leg's full USD distance from its target share.
+// Integer truncation means the exact target may be off by one unit, so the
+// neighbours are checked too and the lowest D_after wins (ties go to the
+// smaller transfer).
+
+import {
+  holdProposal,
+  swapLegs,
+  gapToTarget,
+  bestCandidate,
+} from "./moves.js";
+
+export const fullToTarget = {
+  name: "full-to-target",
+  description: "Rebalance all the way to the target allocation in one run.",
+
+  propose({ state, oracle, config }) {
+    const oraclePriceRaw = BigInt(oracle.priceRaw);
+    const { mode, targetBchWeightBps } = config;
+
+    const gap = gapToTarget(state, oraclePriceRaw, targetBchWeightBps);
+    if (gap.D === 0n) return holdProposal(state, "already on target");
+
+    if (mode === "swap") {
+      const candidates = [];
+      for (const usd of [
+        gap.usdToTarget - 1n,
+        gap.usdToTarget,
+        gap.usdToTarget + 1n,
+      ]) {
+        if (usd < 1n) continue;
+        candidates.push({
+          ...swapLegs(state, usd, oraclePriceRaw, gap.swapDirection),
+          usd,
+        });
+      }
+
+      const move = bestCandidate(
+        candidates,
+        gap.D,
+        oraclePriceRaw,
+        targetBchWeightBps
+      );
+      if (!move) return holdProposal(state, "no improving swap to target");
+      return {
+        newBch: move.newBch,
+        newTokens: move.newTokens,
+        rationale: `swap $${move.usd} (${gap.swapDirection}) straight to target`,
+      };
+    }
+
+    if (gap.targetTokens === null) {
+      return holdProposal(state, "FT amount cannot change D for this target");
+    }
+
+    // Closest whole amounts around the truncated target, nearest first.
+    const candidates = [gap.targetTokens, gap.targetTokens + 1n]
+      .sort((a, b) => {
+        const da = a > state.tokens ? a - state.tokens : state.tokens - a;
+        const db = b > state.tokens ? b - state.tokens : state.tokens - b;
+        return da < db ? -1 : da > db ? 1 : 0;
+      })
+      .map((newTokens) => ({ newBch: state.bchSats, newTokens }));
+
+    const move = bestCandidate(
+      candidates,
+      gap.D,
+      oraclePriceRaw,
+      targetBchWeightBps
+    );
+    if (!move) return holdProposal(state, "no improving FT move to target");
+    return {
+      ...move,
+      rationale: `move FT ${state.tokens} → ${move.newTokens} (target share at the current BCH value)`,
+    };
+  },
+};
@@ -0,0 +1,168 @@
+// strategies/index.js
+// Pluggable off-chain strategies for the mean-revert rebalancer.
+//
+// A strategy is a plain object:
+//
+//   {
+//     name,          // selected via REBALANCE_STRATEGY / --strategy <name>
+//     description,
+//     historyCount?(config) → number of oracle messages to fetch as history
+//     propose({ state, oracle, history, config }) → {
+//       newBch,      // BigInt – BCH sats on the contract afterwards
+//       newTokens,   // BigInt – FT amount on the contract afterwards
+//       rationale,   // string – why, for logs / dry-run plans
+//       metrics?     // object – extra numbers for dry-run plans
+//     }
+//   }
+//
+// Inputs:
+//   state   – { bchSats, tokens } currently on the contract
+//   oracle  – oracle snapshot (see oracles/fetchOraclePrice.js)
+//   history – recent oracle snapshots, oldest first (empty unless the
+//             strategy asks for some via historyCount)
+//   config  – { mode, targetBchWeightBps, band, innerD, stepSizing,
+//               maxStep, proportionBps, zscore }
+//
+// Strategies never build transactions. Whatever they propose goes through
+// validateProposal(), which re-checks it with the covenant's integer math
+// before the rebalancer builds anything.
+
+import { REBALANCE_STRATEGY } from "../config.js";
+import {
+  bchValueUsd,
+  imbalance,
+  usdToBchSats,
+} from "../meanRevertMath.js";
+import { meanRevertHalving } from "./meanRevertHalving.js";
+import { constantProportion } from "./constantProportion.js";
+import { fullToTarget } from "./fullToTarget.js";
+import { priceZScore } from "./priceZScore.js";
+
+export const STRATEGIES = Object.fromEntries(
+  [meanRevertHalving, constantProportion, fullToTarget, priceZScore].map(
+    (s) => [s.name, s]
+  )
+);
+
+/**
+ * Look up a strategy by name, throwing a helpful error for unknown names.
+ */
+export function getStrategy(name = REBALANCE_STRATEGY) {
+  const strategy = STRATEGIES[name];
+  if (!strategy) {
+    throw new Error(
+      `Unknown rebalance strategy "${name}". Expected one of: ${Object.keys(
+        STRATEGIES
+      ).join(", ")}`
+    );
+  }
+  return strategy;
+}
+
+/**
+ * `--strategy <name>` or `--strategy=<name>` from the command line, or null.
+ */
+export function strategyNameFromArgv(argv = process.argv) {
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--strategy") return argv[i + 1] ?? null;
+    if (argv[i].startsWith("--strategy=")) {
+      return argv[i].slice("--strategy=".length);
+    }
+  }
+  return null;
+}
+
+/**
+ * Check a proposal against the covenant rules and the rebalance mode, and
+ * describe the resulting move.
+ *
+ *   - amounts: newBch > 0, newTokens >= 0
+ *   - "tokens" mode: BCH on the contract must not change
+ *   - "swap" mode: the legs move in opposite directions and BCH is priced
+ *     at the oracle rate, rounded in the contract's favour
+ *   - covenant invariant: D_after <= D_before
+ *
+ * Throws on any violation. Returns the same shape the rebalancer used
+ * before strategies existed:
+ *   { direction, newBch, newTokens, stepTokens, stepSats, bchUsd,
+ *     newBchUsd, D_before, D_after }
+ * with direction "withdraw" | "deposit" (tokens), "sellBch" | "buyBch"
+ * (swap) or "none".
+ */
+export function validateProposal({
+  state,
+  proposal,
+  oraclePriceRaw,
+  targetBchWeightBps,
+  mode,
+  strategyName = "strategy",
+}) {
+  const { bchSats: oldBch, tokens: oldTokens } = state;
+  const { newBch, newTokens } = proposal;
+
+  const fail = (why) => {
+    throw new Error(
+      [
+        `[strategy] ${strategyName} proposal rejected: ${why}`,
+        `  oldBch=${oldBch.toString()} oldTokens=${oldTokens.toString()}`,
+        `  newBch=${String(newBch)} newTokens=${String(newTokens)}`,
+      ].join("\n")
+    );
+  };
+
+  if (typeof newBch !== "bigint" || typeof newTokens !== "bigint") {
+    fail("newBch and newTokens must be BigInt");
+  }
+  if (newBch <= 0n) fail("contract BCH must stay positive");
+  if (newTokens < 0n) fail("contract tokens must not be negative");
+
+  const stepTokens = newTokens > oldTokens ? newTokens - oldTokens : oldTokens - newTokens;
+  const stepSats = newBch > oldBch ? newBch - oldBch : oldBch - newBch;
+
+  let direction = "none";
+  if (mode === "swap") {
+    if (stepSats !== 0n || stepTokens !== 0n) {
+      if (stepSats === 0n || stepTokens === 0n) {
+        fail("a swap must move both BCH and FT");
+      }
+      if (newBch < oldBch === newTokens < oldTokens) {
+        fail("a swap must move BCH and FT in opposite directions");
+      }
+      direction = newBch < oldBch ? "sellBch" : "buyBch";
+      const fairSats =
+        direction === "sellBch"
+          ? usdToBchSats(stepTokens, oraclePriceRaw, "down")
+          : usdToBchSats(stepTokens, oraclePriceRaw, "up");
+      if (direction === "sellBch" ? stepSats > fairSats : stepSats < fairSats) {
+        fail(
+          `swap is not at the oracle price (${stepSats} sats for ${stepTokens} FT, fair ${fairSats})`
+        );
+      }
+    }
+  } else {
+    if (stepSats !== 0n) fail(`"${mode}" mode must not change contract BCH`);
+    if (stepTokens !== 0n) {
+      direction = newTokens > oldTokens ? "deposit" : "withdraw";
+    }
+  }
+
+  const D_before = imbalance(oldBch, oldTokens, oraclePriceRaw, targetBchWeightBps);
+  const D_after = imbalance(newBch, newTokens, oraclePriceRaw, targetBchWeightBps);
+  if (D_after > D_before) {
+    fail(
+      `covenant invariant D_after <= D_before violated (${D_after} > ${D_before})`
+    );
+  }
+
+  return {
+    direction,
+    newBch,
+    newTokens,
+    stepTokens,
+    stepSats,
+    bchUsd: bchValueUsd(oldBch, oraclePriceRaw),
+    newBchUsd: bchValueUsd(newBch, oraclePriceRaw),
+    D_before,
+    D_after,
+  };
+}
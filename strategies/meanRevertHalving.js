@@ -0,0 +1,122 @@
+// strategies/meanRevertHalving.js
+// "mean-revert" – the rebalancer's original policy.
+//
+//  - Band configured (innerD != null): smallest move that lands inside the
+//    inner band (rebalanceBand.js); swaps fall back to the step sizing
+//    below if no amount reaches it.
+//  - Band off, config.stepSizing "optimal" (default): the amount that
+//    minimises D_after, at most config.maxStep units (stepSolver.js).
+//  - Band off, "halving": halving choosers from meanRevertMath.js – FT-only
+//    moves start at half the gap, swaps at the full distance to target,
+//    both halved until D strictly improves.
+
+import {
+  chooseNewTokenAmountMeanRevert,
+  chooseSwapMeanRevert,
+} from "../meanRevertMath.js";
+import { chooseTokensIntoBand, chooseSwapIntoBand } from "../rebalanceBand.js";
+import { chooseOptimalTokenAmount, chooseOptimalSwap } from "../stepSolver.js";
+
+export const STEP_SIZINGS = ["optimal", "halving"];
+
+export const meanRevertHalving = {
+  name: "mean-revert",
+  description:
+    "Optimal (or halving) step towards target; with a band, just far enough to reach the inner band.",
+
+  propose({ state, oracle, config }) {
+    const { bchSats: oldBch, tokens: oldTokens } = state;
+    const oraclePriceRaw = BigInt(oracle.priceRaw);
+    const { mode, targetBchWeightBps, innerD, maxStep } = config;
+    const stepSizing = config.stepSizing ?? "optimal";
+
+    if (!STEP_SIZINGS.includes(stepSizing)) {
+      throw new Error(
+        `mean-revert: unknown step sizing "${stepSizing}". Expected one of: ${STEP_SIZINGS.join(
+          ", "
+        )}`
+      );
+    }
+    const optimal = stepSizing === "optimal";
+    const capped = optimal && maxStep != null ? `, capped at ${maxStep}` : "";
+
+    if (mode === "swap") {
+      const banded =
+        innerD == null
+          ? null
+          : chooseSwapIntoBand(
+              oldBch,
+              oldTokens,
+              oraclePriceRaw,
+              targetBchWeightBps,
+              innerD
+            );
+      const choice =
+        banded ??
+        (optimal
+          ? chooseOptimalSwap(
+              oldBch,
+              oldTokens,
+              oraclePriceRaw,
+              targetBchWeightBps,
+              maxStep
+            )
+          : chooseSwapMeanRevert(
+              oldBch,
+              oldTokens,
+              oraclePriceRaw,
+              targetBchWeightBps
+            ));
+
+      return {
+        newBch: choice.newBch,
+        newTokens: choice.newTokens,
+        rationale:
+          choice.direction === "none"
+            ? "no improving swap at this precision"
+            : banded
+            ? `swap $${choice.stepTokens} (${choice.direction}) to land inside the inner band`
+            : optimal
+            ? `swap $${choice.stepTokens} (${choice.direction}), the amount minimising D${capped}`
+            : `swap $${choice.stepTokens} (${choice.direction}), halved until D improves`,
+      };
+    }
+
+    const choice =
+      innerD != null
+        ? chooseTokensIntoBand(
+            oldBch,
+            oldTokens,
+            oraclePriceRaw,
+            targetBchWeightBps,
+            innerD
+          )
+        : optimal
+        ? chooseOptimalTokenAmount(
+            oldBch,
+            oldTokens,
+            oraclePriceRaw,
+            targetBchWeightBps,
+            maxStep
+          )
+        : chooseNewTokenAmountMeanRevert(
+            oldBch,
+            oldTokens,
+            oraclePriceRaw,
+            targetBchWeightBps
+          );
+
+    return {
+      newBch: oldBch,
+      newTokens: choice.newTokens,
+      rationale:
+        choice.direction === "none"
+          ? "no improving FT move at this precision"
+          : innerD != null
+          ? `${choice.direction} ${choice.stepTokens} FT to land inside the inner band`
+          : optimal
+          ? `${choice.direction} ${choice.stepTokens} FT (the amount minimising D${capped})`
+          : `${choice.direction} ${choice.stepTokens} FT (half the gap, halved until D improves)`,
+    };
+  },
+};
@@ -0,0 +1,156 @@
+// strategies/moves.js
+// Small building blocks shared by the rebalancer strategies.
+//
+// Strategies only decide *where* the portfolio should end up
+// ({ newBch, newTokens }); these helpers turn a USD / token step into
+// those amounts with the same rounding the rebalancer has always used.
+
+import {
+  imbalance,
+  imbalanceWeights,
+  signedImbalance,
+  targetTokensFor,
+  usdToBchSats,
+  bchValueUsd,
+  WEIGHT_SCALE,
+} from "../meanRevertMath.js";
+
+/**
+ * Proposal that leaves the portfolio as it is.
+ */
+export function holdProposal(state, rationale) {
+  return {
+    newBch: state.bchSats,
+    newTokens: state.tokens,
+    rationale,
+  };
+}
+
+/**
+ * Contract amounts after swapping `usd` whole USD at the oracle price.
+ *
+ * BCH is rounded in the contract's favour: down when it pays BCH out
+ * ("sellBch"), up when it receives BCH ("buyBch").
+ */
+export function swapLegs(state, usd, oraclePriceRaw, direction) {
+  if (direction === "sellBch") {
+    const sats = usdToBchSats(usd, oraclePriceRaw, "down");
+    return { newBch: state.bchSats - sats, newTokens: state.tokens + usd };
+  }
+  const sats = usdToBchSats(usd, oraclePriceRaw, "up");
+  return { newBch: state.bchSats + sats, newTokens: state.tokens - usd };
+}
+
+/**
+ * Where the target allocation is from the current state.
+ *
+ * Returns:
+ *   {
+ *     D,              // BigInt – current imbalance (covenant units)
+ *     swapDirection,  // "sellBch" | "buyBch" – swap that reduces D
+ *     usdToTarget,    // BigInt – USD a swap must move to reach target
+ *     targetTokens,   // BigInt | null – FT-only target (BCH fixed)
+ *   }
+ */
+export function gapToTarget(state, oraclePriceRaw, targetBchWeightBps) {
+  const { bchSats, tokens } = state;
+  const s = signedImbalance(bchSats, tokens, oraclePriceRaw, targetBchWeightBps);
+  const { bchWeight, ftWeight } = imbalanceWeights(targetBchWeightBps);
+
+  return {
+    D: s < 0n ? -s : s,
+    swapDirection: s > 0n ? "sellBch" : "buyBch",
+    usdToTarget: (s < 0n ? -s : s) / (bchWeight + ftWeight),
+    targetTokens: targetTokensFor(
+      bchValueUsd(bchSats, oraclePriceRaw),
+      targetBchWeightBps
+    ),
+  };
+}
+
+/**
+ * Among `candidates` ({ newBch, newTokens, ... }), the one with the lowest
+ * D_after; ties go to the earlier candidate. Invalid amounts are skipped.
+ * Returns null if none strictly improves on `D_before`.
+ */
+export function bestCandidate(
+  candidates,
+  D_before,
+  oraclePriceRaw,
+  targetBchWeightBps
+) {
+  let best = null;
+  let bestD = D_before;
+  for (const c of candidates) {
+    if (c.newBch <= 0n || c.newTokens < 0n) continue;
+    const d = imbalance(c.newBch, c.newTokens, oraclePriceRaw, targetBchWeightBps);
+    if (d < bestD) {
+      best = c;
+      bestD = d;
+    }
+  }
+  return best;
+}
+
+/**
+ * Close `shareBps` (1..10_000) of the gap to target, moving at least one
+ * whole unit (1 FT / $1).
+ *
+ * Returns { move, text }: `move` is { newBch, newTokens } or null when the
+ * step would not strictly improve D; `text` describes the step for the
+ * strategy's rationale.
+ */
+export function closeShareOfGap(
+  state,
+  oraclePriceRaw,
+  targetBchWeightBps,
+  mode,
+  shareBps
+) {
+  const gap = gapToTarget(state, oraclePriceRaw, targetBchWeightBps);
+  const share = `${(Number(shareBps) / 100).toFixed(2)}% of the gap`;
+
+  if (gap.D === 0n) return { move: null, text: "already on target" };
+
+  if (mode === "swap") {
+    let usd = (gap.usdToTarget * shareBps) / WEIGHT_SCALE;
+    if (usd < 1n) usd = 1n;
+
+    const move = bestCandidate(
+      [swapLegs(state, usd, oraclePriceRaw, gap.swapDirection)],
+      gap.D,
+      oraclePriceRaw,
+      targetBchWeightBps
+    );
+    return {
+      move,
+      text: move
+        ? `swap $${usd} (${gap.swapDirection}) = ${share} of $${gap.usdToTarget}`
+        : `swapping ${share} would not improve D`,
+    };
+  }
+
+  if (gap.targetTokens === null) {
+    return { move: null, text: "FT amount cannot change D for this target" };
+  }
+
+  const tokenGap = gap.targetTokens - state.tokens;
+  const sign = tokenGap < 0n ? -1n : 1n;
+  let step = (sign * tokenGap * shareBps) / WEIGHT_SCALE;
+  if (step < 1n) step = 1n;
+
+  const move = bestCandidate(
+    [{ newBch: state.bchSats, newTokens: state.tokens + sign * step }],
+    gap.D,
+    oraclePriceRaw,
+    targetBchWeightBps
+  );
+  return {
+    move,
+    text: move
+      ? `${sign > 0n ? "deposit" : "withdraw"} ${step} FT = ${share} of ${
+          sign * tokenGap
+        } FT`
+      : `moving ${share} would not improve D`,
+  };
+}
@@ -0,0 +1,120 @@
+// strategies/priceStats.js
+// Moving averages, z-scores and the rebalance sizing curve used by the
+// "price-zscore" strategy.
+//
+// Prices are plain Numbers (oracle priceRaw values are small integers);
+// nothing here feeds the covenant math directly – the result is only a
+// share of the gap to close, which the strategy turns into BigInt amounts.
+
+export const AVERAGE_TYPES = ["sma", "ema"];
+export const SIZE_CURVES = ["linear", "quadratic", "step"];
+
+/**
+ * Simple moving average of `values`.
+ */
+export function sma(values) {
+  if (!values.length) throw new Error("sma: need at least one value");
+  return values.reduce((s, v) => s + v, 0) / values.length;
+}
+
+/**
+ * Exponential moving average of `values` (oldest first), seeded with the
+ * first value. `period` gives the usual alpha = 2 / (period + 1).
+ */
+export function ema(values, period = values.length) {
+  if (!values.length) throw new Error("ema: need at least one value");
+  const alpha = 2 / (period + 1);
+  let avg = values[0];
+  for (let i = 1; i < values.length; i++) {
+    avg = alpha * values[i] + (1 - alpha) * avg;
+  }
+  return avg;
+}
+
+/**
+ * Population standard deviation of `values` around `mean`.
+ */
+export function stdDev(values, mean = sma(values)) {
+  const variance =
+    values.reduce((s, v) => s + (v - mean) * (v - mean), 0) / values.length;
+  return Math.sqrt(variance);
+}
+
+/**
+ * Price statistics over the last `lookback` prices (oldest first).
+ *
+ * Returns:
+ *   {
+ *     samples,   // Number – prices actually used (<= lookback)
+ *     spot,      // Number – latest price
+ *     sma,       // Number
+ *     ema,       // Number
+ *     mean,      // Number – sma or ema, per `average`
+ *     stdDev,    // Number – dispersion around the SMA
+ *     z          // Number – (spot - mean) / stdDev, 0 when flat
+ *   }
+ */
+export function priceStats(prices, { lookback, average = "ema" } = {}) {
+  if (!AVERAGE_TYPES.includes(average)) {
+    throw new Error(
+      `Unknown average type "${average}". Expected one of: ${AVERAGE_TYPES.join(
+        ", "
+      )}`
+    );
+  }
+  const window = lookback ? prices.slice(-lookback) : prices;
+  if (!window.length) throw new Error("priceStats: no prices in the window");
+
+  const simple = sma(window);
+  const exponential = ema(window);
+  const mean = average === "sma" ? simple : exponential;
+  const sd = stdDev(window, simple);
+  const spot = window[window.length - 1];
+
+  return {
+    samples: window.length,
+    spot,
+    sma: simple,
+    ema: exponential,
+    mean,
+    stdDev: sd,
+    z: sd === 0 ? 0 : (spot - mean) / sd,
+  };
+}
+
+/**
+ * Share of the gap to close (bps, BigInt) for a given |z|.
+ *
+ *   |z| <= entryZ : minBps
+ *   |z| >= fullZ  : maxBps
+ *   in between    : minBps + (maxBps - minBps) * shape(t),
+ *                   t = (|z| - entryZ) / (fullZ - entryZ)
+ *
+ * shape: "linear" t, "quadratic" t², "step" 0 until fullZ.
+ */
+export function sizeForZ(absZ, { entryZ, fullZ, minBps, maxBps, curve }) {
+  if (!SIZE_CURVES.includes(curve)) {
+    throw new Error(
+      `Unknown sizing curve "${curve}". Expected one of: ${SIZE_CURVES.join(
+        ", "
+      )}`
+    );
+  }
+  if (!(fullZ > entryZ) || entryZ < 0) {
+    throw new Error(
+      `Sizing thresholds must satisfy 0 <= entryZ < fullZ (got ${entryZ}, ${fullZ})`
+    );
+  }
+  if (minBps < 0n || maxBps > 10_000n || minBps > maxBps) {
+    throw new Error(
+      `Sizing bounds must satisfy 0 <= minBps <= maxBps <= 10000 (got ${minBps}, ${maxBps})`
+    );
+  }
+
+  if (absZ <= entryZ) return minBps;
+  if (absZ >= fullZ) return maxBps;
+
+  const t = (absZ - entryZ) / (fullZ - entryZ);
+  const shape = curve === "linear" ? t : curve === "quadratic" ? t * t : 0;
+  return minBps + BigInt(Math.floor(Number(maxBps - minBps) * shape));
+}
@@ -0,0 +1,84 @@
+// strategies/priceZScore.js
+// "price-zscore" – mean reversion in the *price*, not just the allocation.
+//
+// The other strategies only revert the portfolio towards its target split
+// at the latest spot price. This one also looks at the last `lookback`
+// oracle prices (history) and sizes the rebalance by how stretched the
+// price is:
+//
+//   z = (spot - mean) / stdDev      mean = SMA or EMA of the window
+//
+// A move that trades *against* the stretch (selling BCH share when the
+// price is above its mean, buying it when below) closes a share of the gap
+// that grows with |z| along the sizing curve (priceStats.sizeForZ). A move
+// that would chase the stretch only closes the minimum share. The covenant
+// still only allows moves towards target; this just decides how far.
+
+import { holdProposal, closeShareOfGap, gapToTarget } from "./moves.js";
+import { priceStats, sizeForZ } from "./priceStats.js";
+
+export const priceZScore = {
+  name: "price-zscore",
+  description:
+    "Scale the move by the price's z-score against its SMA/EMA over recent oracle messages.",
+
+  // How many oracle messages the rebalancer should fetch as `history`.
+  historyCount: (config) => config.zscore.lookback,
+
+  propose({ state, oracle, history = [], config }) {
+    const { mode, targetBchWeightBps, zscore } = config;
+    const oraclePriceRaw = BigInt(oracle.priceRaw);
+
+    const prices = history.map((h) => Number(h.priceRaw));
+    const last = history[history.length - 1];
+    if (!last || last.messageSequence !== oracle.messageSequence) {
+      prices.push(Number(oracle.priceRaw));
+    }
+
+    const stats = priceStats(prices, {
+      lookback: zscore.lookback,
+      average: zscore.average,
+    });
+
+    const gap = gapToTarget(state, oraclePriceRaw, targetBchWeightBps);
+    // BCH overweight → the move lowers the BCH share (sell BCH / add FT).
+    const lowersBchShare = gap.swapDirection === "sellBch";
+    const withReversion =
+      (lowersBchShare && stats.z > 0) || (!lowersBchShare && stats.z < 0);
+
+    const shareBps = withReversion
+      ? sizeForZ(Math.abs(stats.z), zscore)
+      : zscore.minBps;
+
+    const metrics = {
+      samples: stats.samples,
+      spot: stats.spot,
+      sma: stats.sma,
+      ema: stats.ema,
+      stdDev: stats.stdDev,
+      z: stats.z,
+      withReversion,
+      shareBps,
+    };
+    const why =
+      `z=${stats.z.toFixed(2)} vs ${zscore.average.toUpperCase()}` +
+      ` ${stats.mean.toFixed(2)} over ${stats.samples} prices` +
+      (withReversion ? "" : " (move would chase the price)");
+
+    if (gap.D === 0n) return { ...holdProposal(state, "already on target"), metrics };
+    if (shareBps === 0n) {
+      return { ...holdProposal(state, `${why}; size 0 → hold`), metrics };
+    }
+
+    const { move, text } = closeShareOfGap(
+      state,
+      oraclePriceRaw,
+      targetBchWeightBps,
+      mode,
+      shareBps
+    );
+    return move
+      ? { ...move, rationale: `${why}; ${text}`, metrics }
+      : { ...holdProposal(state, `${why}; ${text}`), metrics };
+  },
+};
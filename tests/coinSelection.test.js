@@ -0,0 +1,295 @@
+// tests/coinSelection.test.js
+// BCH coin selection over synthetic UTXO sets: strategies, per-input size
+// cost, forced inputs and the fee-estimate loop.
+
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  P2PKH_INPUT_BYTES,
+  COIN_SELECTION_STRATEGIES,
+  selectBchUtxos,
+  selectFundingUtxos,
+} from "../utxos.js";
+
+const INPUT_FEE = P2PKH_INPUT_BYTES; // at 1 sat/byte
+
+let nextTxid = 0;
+function utxos(...values) {
+  return values.map((satoshis) => ({
+    txid: (++nextTxid).toString(16).padStart(64, "0"),
+    vout: 1,
+    satoshis: BigInt(satoshis),
+  }));
+}
+
+const values = (selection) => selection.selected.map((u) => u.satoshis);
+
+// Deterministic pseudo-random UTXO sets.
+function lcg(seed) {
+  let s = seed;
+  return () => {
+    s = (s * 1_103_515_245 + 12_345) % 2 ** 31;
+    return s;
+  };
+}
+
+test("selectBchUtxos", async (t) => {
+  await t.test("largest-first takes the biggest UTXOs until covered", () => {
+    const set = utxos(5_000, 50_000, 20_000, 30_000);
+    const r = selectBchUtxos(set, 60_000n, { strategy: "largest-first" });
+    assert.deepEqual(values(r), [50_000n, 30_000n]);
+    assert.equal(r.totalSats, 80_000n);
+    assert.equal(r.inputFeeSats, 2n * INPUT_FEE);
+    assert.equal(r.effectiveSats, 80_000n - 2n * INPUT_FEE);
+    assert.equal(r.excessSats, r.effectiveSats - 60_000n);
+  });
+
+  await t.test("one big UTXO behaves like the old single-input pick", () => {
+    const set = utxos(1_000, 9_000_000, 3_000);
+    const r = selectBchUtxos(set, 10_000n);
+    assert.deepEqual(values(r), [9_000_000n]);
+  });
+
+  await t.test("many small UTXOs cover what no single one can", () => {
+    const set = utxos(...Array.from({ length: 20 }, () => 10_000));
+    const r = selectBchUtxos(set, 100_000n);
+    // Each input nets 10_000 - 141, so ten are not enough.
+    assert.equal(r.selected.length, 11);
+  });
+
+  await t.test("smallest-sufficient prefers one close fit", () => {
+    const set = utxos(5_000, 50_000, 20_000, 30_000);
+    const r = selectBchUtxos(set, 18_000n, {
+      strategy: "smallest-sufficient",
+    });
+    assert.deepEqual(values(r), [20_000n]);
+
+    // Just out of reach once its own input bytes are paid for.
+    const tight = selectBchUtxos(set, 20_000n, {
+      strategy: "smallest-sufficient",
+    });
+    assert.deepEqual(values(tight), [30_000n]);
+  });
+
+  await t.test("smallest-sufficient falls back to largest-first", () => {
+    const set = utxos(5_000, 50_000, 20_000, 30_000);
+    const r = selectBchUtxos(set, 70_000n, {
+      strategy: "smallest-sufficient",
+    });
+    assert.deepEqual(values(r), [50_000n, 30_000n]);
+  });
+
+  await t.test("branch-and-bound finds the least overshoot", () => {
+    const set = utxos(5_141, 60_141, 20_141, 30_141);
+    // 20_000 + 30_000 hits exactly; largest-first overshoots with 60_000.
+    const r = selectBchUtxos(set, 50_000n, { strategy: "branch-and-bound" });
+    assert.deepEqual(values(r).sort(), [20_141n, 30_141n].sort());
+    assert.equal(r.excessSats, 0n);
+
+    const lf = selectBchUtxos(set, 50_000n, { strategy: "largest-first" });
+    assert.ok(lf.excessSats > r.excessSats);
+  });
+
+  await t.test("branch-and-bound prefers fewer inputs on equal excess", () => {
+    const set = utxos(10_141, 10_141, 20_141);
+    const r = selectBchUtxos(set, 20_000n, { strategy: "branch-and-bound" });
+    assert.deepEqual(values(r), [20_141n]);
+  });
+
+  await t.test("UTXOs worth less than their input bytes are skipped", () => {
+    const set = utxos(100, 141, 50_000);
+    for (const strategy of COIN_SELECTION_STRATEGIES) {
+      const r = selectBchUtxos(set, 1n, { strategy });
+      assert.deepEqual(values(r), [50_000n], strategy);
+    }
+    assert.throws(
+      () => selectBchUtxos(utxos(100, 141), 1n),
+      /Insufficient BCH/
+    );
+  });
+
+  await t.test("per-input cost scales with fee rate and input size", () => {
+    const set = utxos(10_000, 10_000);
+    const r = selectBchUtxos(set, 19_000n, { feePerByte: 2n });
+    assert.equal(r.inputFeeSats, 2n * 2n * INPUT_FEE);
+    assert.throws(
+      () => selectBchUtxos(set, 19_000n, { inputBytes: 600n }),
+      /Insufficient BCH/
+    );
+  });
+
+  await t.test("token UTXOs are not candidates", () => {
+    const [plain] = utxos(10_000);
+    const withToken = {
+      ...utxos(900_000)[0],
+      token: { category: "aa".repeat(32), amount: 5n },
+    };
+    const r = selectBchUtxos([withToken, plain], 5_000n);
+    assert.deepEqual(r.selected, [plain]);
+  });
+
+  await t.test("include is always spent and counts towards the target", () => {
+    const [genesisA, genesisB, ...rest] = utxos(3_000, 3_000, 10_000, 50_000);
+    const r = selectBchUtxos([genesisA, genesisB, ...rest], 12_000n, {
+      include: [genesisA, genesisB],
+    });
+    assert.deepEqual(r.selected.slice(0, 2), [genesisA, genesisB]);
+    assert.deepEqual(values(r).slice(2), [50_000n]);
+
+    // Enough on its own: nothing else is added.
+    const enough = selectBchUtxos(rest, 1_000n, { include: [genesisA] });
+    assert.deepEqual(enough.selected, [genesisA]);
+  });
+
+  await t.test("nothing to cover selects nothing", () => {
+    const r = selectBchUtxos(utxos(10_000), 0n);
+    assert.deepEqual(r.selected, []);
+    assert.equal(r.totalSats, 0n);
+  });
+
+  await t.test("reports what was needed and available", () => {
+    assert.throws(
+      () => selectBchUtxos(utxos(10_000, 20_000), 40_000n),
+      (err) =>
+        /required : 40000 sats/.test(err.message) &&
+        /available: 29718 sats over 2 spendable UTXO\(s\)/.test(err.message)
+    );
+  });
+
+  await t.test("rejects unknown strategies", () => {
+    assert.throws(
+      () => selectBchUtxos(utxos(10_000), 1n, { strategy: "random" }),
+      /Unknown coin selection strategy "random"/
+    );
+  });
+
+  await t.test("every strategy covers the target on random sets", () => {
+    const rand = lcg(7);
+    for (let round = 0; round < 200; round++) {
+      const set = utxos(
+        ...Array.from({ length: 1 + (rand() % 12) }, () => 200 + (rand() % 60_000))
+      );
+      const available = set.reduce(
+        (s, u) => s + (u.satoshis > INPUT_FEE ? u.satoshis - INPUT_FEE : 0n),
+        0n
+      );
+      const target = BigInt(rand() % 80_000);
+
+      for (const strategy of COIN_SELECTION_STRATEGIES) {
+        if (target > available) {
+          assert.throws(() => selectBchUtxos(set, target, { strategy }));
+          continue;
+        }
+        const r = selectBchUtxos(set, target, { strategy });
+        assert.ok(r.effectiveSats >= target, `${strategy} round ${round}`);
+        assert.equal(new Set(r.selected).size, r.selected.length);
+      }
+    }
+  });
+
+  await t.test("branch-and-bound matches exhaustive search on small sets", () => {
+    const rand = lcg(42);
+    for (let round = 0; round < 150; round++) {
+      const set = utxos(
+        ...Array.from({ length: 1 + (rand() % 9) }, () => 500 + (rand() % 20_000))
+      );
+      const target = BigInt(rand() % 40_000);
+      const eff = set.map((u) => u.satoshis - INPUT_FEE);
+
+      // Least excess, then fewest inputs, over all 2^n subsets.
+      let best = null;
+      for (let mask = 0; mask < 1 << set.length; mask++) {
+        let sum = 0n;
+        let count = 0;
+        for (let i = 0; i < set.length; i++) {
+          if (mask & (1 << i)) {
+            sum += eff[i];
+            count++;
+          }
+        }
+        if (sum < target) continue;
+        const excess = sum - target;
+        if (
+          !best ||
+          excess < best.excess ||
+          (excess === best.excess && count < best.count)
+        ) {
+          best = { excess, count };
+        }
+      }
+
+      const label = `round ${round}`;
+      if (!best) {
+        assert.throws(
+          () => selectBchUtxos(set, target, { strategy: "branch-and-bound" }),
+          /Insufficient BCH/,
+          label
+        );
+        continue;
+      }
+      const r = selectBchUtxos(set, target, { strategy: "branch-and-bound" });
+      if (target === 0n) {
+        assert.equal(r.selected.length, 0, label);
+        continue;
+      }
+      assert.equal(r.excessSats, best.excess, label);
+      assert.equal(r.selected.length, best.count, label);
+    }
+  });
+});
+
+test("selectFundingUtxos", async (t) => {
+  // Fee of a tx with a 200-byte body plus its P2PKH inputs.
+  const feeFor = (inputs) => 200n + BigInt(inputs.length) * INPUT_FEE;
+
+  await t.test("adds the non-input part of the fee to the target", async () => {
+    const set = utxos(10_000, 10_100, 10_500);
+    const calls = [];
+    const r = await selectFundingUtxos(set, {
+      amount: 10_200n,
+      strategy: "smallest-sufficient",
+      estimateFee: async (inputs) => {
+        calls.push(inputs.length);
+        return feeFor(inputs);
+      },
+    });
+    // Round 1 ignores the 200-byte body and picks 10_500 alone, which
+    // falls short of 10_200 + 341; round 2 needs two inputs.
+    assert.ok(r.totalSats >= 10_200n + r.feeEstimate);
+    assert.equal(r.feeEstimate, feeFor(r.selected));
+    assert.deepEqual(calls, [1, 2]);
+  });
+
+  await t.test("a comfortable UTXO needs one round", async () => {
+    let calls = 0;
+    const r = await selectFundingUtxos(utxos(1_000_000), {
+      amount: 10_000n,
+      estimateFee: async (inputs) => {
+        calls++;
+        return feeFor(inputs);
+      },
+    });
+    assert.equal(calls, 1);
+    assert.equal(r.feeEstimate, 200n + INPUT_FEE);
+  });
+
+  await t.test("other inputs may already cover the amount", async () => {
+    const r = await selectFundingUtxos(utxos(5_000, 6_000), {
+      amount: -10_000n,
+      estimateFee: async (inputs) => feeFor(inputs),
+    });
+    assert.deepEqual(r.selected, []);
+    assert.equal(r.feeEstimate, 200n);
+  });
+
+  await t.test("insufficient funds still throw", async () => {
+    await assert.rejects(
+      selectFundingUtxos(utxos(5_000, 6_000), {
+        amount: 20_000n,
+        estimateFee: async (inputs) => feeFor(inputs),
+      }),
+      /Insufficient BCH/
+    );
+  });
+});
@@ -0,0 +1,92 @@
+// tests/dryRun.test.js
+// Plan mode: flag detection + plan shape from a built transaction.
+
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  isDryRun,
+  describeOutput,
+  buildDryRunPlan,
+} from "../dryRun.js";
+
+// Just enough of a TransactionBuilder for buildDryRunPlan.
+function fakeBuilder({ inputs, outputs, hex }) {
+  return {
+    inputs,
+    outputs,
+    sent: false,
+    async build() {
+      return hex;
+    },
+    async send() {
+      this.sent = true;
+    },
+  };
+}
+
+test("isDryRun", async (t) => {
+  await t.test("--dry-run flag anywhere on the command line", () => {
+    assert.equal(isDryRun(["node", "index.js", "mean-fund", "--dry-run"], {}), true);
+    assert.equal(isDryRun(["node", "index.js", "mean-fund"], {}), false);
+  });
+
+  await t.test("DRY_RUN env var", () => {
+    assert.equal(isDryRun([], { DRY_RUN: "1" }), true);
+    assert.equal(isDryRun([], { DRY_RUN: "true" }), true);
+    assert.equal(isDryRun([], { DRY_RUN: "0" }), false);
+  });
+});
+
+test("buildDryRunPlan", async (t) => {
+  const ftToken = { category: "aa".repeat(32), amount: 150n };
+  const builder = fakeBuilder({
+    inputs: [
+      { txid: "11".repeat(32), vout: 0, satoshis: 100_000_000n, token: ftToken },
+      { txid: "22".repeat(32), vout: 1, satoshis: 50_000n },
+    ],
+    outputs: [
+      { to: "bchtest:contract", amount: 100_000_000n, token: { ...ftToken, amount: 100n } },
+      { to: "bchtest:alice", amount: 1_000n, token: { ...ftToken, amount: 50n } },
+      { to: "bchtest:alice", amount: 48_600n },
+    ],
+    hex: "00".repeat(400),
+  });
+
+  const plan = await buildDryRunPlan({
+    action: "rebalance",
+    builder,
+    feeEstimate: 400n,
+    details: { D_before: 100n, D_after: 2n },
+  });
+
+  await t.test("lists every input and output", () => {
+    assert.equal(plan.dryRun, true);
+    assert.equal(plan.action, "rebalance");
+    assert.equal(plan.inputs.length, 2);
+    assert.equal(plan.inputs[1].token, null);
+    assert.equal(plan.outputs.length, 3);
+    assert.equal(plan.outputs[0].token.amount, 100n);
+  });
+
+  await t.test("fee is derived from the built tx", () => {
+    assert.deepEqual(plan.fee, {
+      estimate: 400n,
+      actual: 400n,
+      sizeBytes: 400,
+      satsPerByte: 1n,
+    });
+  });
+
+  await t.test("includes details and the tx hex, never sends", () => {
+    assert.equal(plan.D_before, 100n);
+    assert.equal(plan.D_after, 2n);
+    assert.equal(plan.txHex, "00".repeat(400));
+    assert.equal(builder.sent, false);
+  });
+
+  await t.test("locking bytecode outputs are shown as hex", () => {
+    const out = describeOutput({ to: Uint8Array.of(0x6a, 0x01), amount: 0n });
+    assert.equal(out.to, "6a01");
+  });
+});
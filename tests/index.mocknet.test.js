@@ -0,0 +1,110 @@
+// tests/index.mocknet.test.js
+//
+// Smoke tests for the long-running index.js commands: each one starts
+// through runCommand() and stops when its AbortSignal aborts.
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createServer } from "node:net";
+
+import { secp256k1, binToHex } from "@bitauth/libauth";
+
+import { LocalStandInProvider } from "../localStandInProvider.js";
+import { mockOraclePrivateKey } from "../scripts/mockOracleServer.js";
+import { fetchLatestOraclePrice } from "../oracles/fetchOraclePrice.js";
+import { runCommand } from "../index.js";
+
+// Stand-in for fetchLatestOraclePrice.
+async function fetchPrice() {
+  return {
+    oraclePubKey: "local",
+    priceRaw: 10_000,
+    priceScale: 100,
+    priceValue: 100,
+  };
+}
+
+test("index.js rebalance-daemon starts and stops on abort", { timeout: 10_000 }, async () => {
+  // No contract UTXOs: every run fails and backs off, nothing is broadcast.
+  const provider = new LocalStandInProvider();
+  const controller = new AbortController();
+
+  // Resolves once the first run reads the contract.
+  const firstRun = new Promise((resolve) => {
+    const getUtxos = provider.getUtxos.bind(provider);
+    provider.getUtxos = (address) => {
+      resolve();
+      return getUtxos(address);
+    };
+  });
+
+  const done = runCommand("rebalance-daemon", {
+    version: "v3",
+    provider,
+    fetchPrice,
+    intervalMs: 60_000,
+    backoffBaseMs: 60_000,
+    backoffMaxMs: 60_000,
+    signal: controller.signal,
+  });
+  await firstRun;
+  controller.abort();
+
+  await done;
+  assert.equal(provider.broadcasts.length, 0);
+});
+
+// A port nothing listens on right now.
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = createServer();
+    server.once("error", reject);
+    server.listen(0, "127.0.0.1", () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+test("index.js mock-oracle serves prices and stops on abort", { timeout: 10_000 }, async () => {
+  const port = await freePort();
+  const settings = {
+    port,
+    path: "random-walk",
+    priceRaw: 40_000,
+    stepBps: 50,
+    seed: 1,
+    replayFile: "",
+    intervalSeconds: 60,
+    count: 1,
+    priceScale: 100,
+    assetPair: "BCH/USD",
+  };
+  const publicKey = binToHex(
+    secp256k1.derivePublicKeyCompressed(mockOraclePrivateKey(settings.seed, 0))
+  );
+  const apiBaseUrl = `http://127.0.0.1:${port}`;
+  const controller = new AbortController();
+
+  const done = runCommand("mock-oracle", {
+    settings,
+    signal: controller.signal,
+  });
+
+  // Wait for it to listen (plain fetch, so no oracle circuit breaker trips).
+  const listening = async () =>
+    fetch(`${apiBaseUrl}/api/v1/oracles`).then(
+      (res) => res.ok,
+      () => false
+    );
+  for (let i = 0; i < 200 && !(await listening()); i++) {
+    await new Promise((r) => setTimeout(r, 20));
+  }
+
+  const snap = await fetchLatestOraclePrice({ publicKey, apiBaseUrl });
+  assert.equal(snap.assetPair, "BCH/USD");
+
+  controller.abort();
+  await done;
+  assert.equal(await listening(), false, "the server should be closed");
+});
@@ -0,0 +1,138 @@
+// tests/keeperBounty.test.js
+// Off-chain mirror of V10's keeper bounty: portfolio value, the bounty
+// checks, and the keeper's swap + largest accepted bounty.
+
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  portfolioValueMicroUsd,
+  bountyAllowance,
+  checkKeeperBounty,
+  planKeeperRebalance,
+} from "../keeperBounty.js";
+
+const price = 10_000n; // 100.00 USD/BCH
+
+// 1 BCH ($100) vs 50 FT at a 50/50 target: D = 250000, BCH overweight.
+const base = {
+  oldBch: 100_000_000n,
+  oldTokens: 50n,
+  oraclePriceRaw: price,
+  targetBchWeightBps: 5_000n,
+  bountyBps: 1_000n,
+  maxBountySats: 100_000n,
+};
+
+test("portfolioValueMicroUsd truncates BCH like the covenant", () => {
+  assert.equal(portfolioValueMicroUsd(100_000_000n, 50n, price), 150_000_000n);
+  assert.equal(portfolioValueMicroUsd(100_009_999n, 50n, price), 150_000_000n);
+  assert.equal(portfolioValueMicroUsd(100_010_000n, 0n, price), 100_010_000n);
+});
+
+test("bountyAllowance", () => {
+  // D 250000 → 5000 moves $24.50 towards the target; 10% of it is $2.45.
+  assert.deepEqual(
+    bountyAllowance({
+      D_before: 250_000n,
+      D_after: 5_000n,
+      oraclePriceRaw: price,
+      bountyBps: 1_000n,
+      maxBountySats: 100_000n,
+    }),
+    { earned: 2_450_000n, cap: 100_000n, allowed: 100_000n }
+  );
+});
+
+test("checkKeeperBounty", async (t) => {
+  const check = (newBch, newTokens, extra = {}) =>
+    checkKeeperBounty({ ...base, newBch, newTokens, ...extra });
+
+  await t.test("a fair swap plus a bounty within the cap passes", () => {
+    // 25 FT in for 0.25 BCH, then 0.001 BCH bounty.
+    const r = check(74_900_000n, 75n);
+    assert.equal(r.ok, true);
+    assert.equal(r.D_after, 5_000n);
+    assert.equal(r.paid, 100_000n);
+    assert.match(r.reason, /pays 100000 of 2450000 micro-USD earned/);
+  });
+
+  await t.test("more than the cap fails", () => {
+    const r = check(74_890_000n, 75n);
+    assert.equal(r.ok, false);
+    assert.match(r.reason, /more than the cap of 100000/);
+  });
+
+  await t.test("taking BCH without trading earns less than it takes", () => {
+    // $1 of the overweight BCH: D drops by 5000, which earns $0.05.
+    const r = check(99_000_000n, 50n, { maxBountySats: 10_000_000n });
+    assert.equal(r.ok, false);
+    assert.equal(r.earned, 50_000n);
+    assert.match(r.reason, /pays 1000000 micro-USD, more than the 50000 earned/);
+  });
+
+  await t.test("a move that does not improve D fails", () => {
+    assert.match(check(100_000_000n, 50n).reason, /does not improve/);
+    // Overshooting to the other side by as much is no better.
+    assert.match(check(50_000_000n, 100n).reason, /does not improve/);
+  });
+});
+
+test("planKeeperRebalance", async (t) => {
+  await t.test("swap to target, bounty limited by the cap", () => {
+    const r = planKeeperRebalance(base);
+    assert.equal(r.direction, "sellBch");
+    assert.equal(r.stepTokens, 25n);
+    assert.equal(r.stepSats, 25_000_000n);
+    assert.equal(r.bountySats, 100_000n);
+    assert.equal(r.newBch, 74_900_000n);
+    assert.equal(r.newTokens, 75n);
+    assert.equal(r.check.ok, true);
+  });
+
+  await t.test("bounty limited by what the move earns", () => {
+    const r = planKeeperRebalance({ ...base, maxBountySats: 10_000_000n });
+    assert.equal(r.bountySats, 2_350_000n);
+    assert.equal(r.check.paid, r.check.earned);
+    // One more 10^4-sat step of BCH would be refused.
+    const more = checkKeeperBounty({
+      ...base,
+      maxBountySats: 10_000_000n,
+      newBch: r.newBch - 10_000n,
+      newTokens: r.newTokens,
+    });
+    assert.equal(more.ok, false);
+  });
+
+  await t.test("maxStepUsd caps the swap", () => {
+    const r = planKeeperRebalance({
+      ...base,
+      maxBountySats: 10_000_000n,
+      maxStepUsd: 10n,
+    });
+    assert.equal(r.stepTokens, 10n);
+    assert.equal(r.D_after, 140_000n);
+    assert.equal(r.bountySats, 1_100_000n);
+  });
+
+  await t.test("no-op on a balanced portfolio", () => {
+    const r = planKeeperRebalance({ ...base, oldTokens: 100n });
+    assert.equal(r.direction, "none");
+    assert.equal(r.bountySats, 0n);
+    assert.match(r.reason, /no swap improves D/);
+  });
+
+  await t.test("no-op when the swap's rounding alone is not earned", () => {
+    // At $300/BCH a USD is 333333.3 sats: selling 1 USD of BCH drops the
+    // covenant's truncated BCH value by more than $1.
+    const r = planKeeperRebalance({
+      ...base,
+      oldTokens: 290n,
+      oraclePriceRaw: 30_000n,
+      bountyBps: 0n,
+    });
+    assert.equal(r.direction, "none");
+    assert.equal(r.newBch, base.oldBch);
+    assert.match(r.reason, /swap alone would be rejected: .* more than the 0 earned/);
+  });
+});
@@ -4,6 +4,12 @@
 import test from "node:test";
 import assert from "node:assert/strict";
 
+import {
+  chooseNewTokenAmountMeanRevert,
+  chooseSwapMeanRevert,
+  usdToBchSats,
+} from "../meanRevertMath.js";
+
 // These must match the contract:
 //   oldBchScaled = oldBch / 10_000
 //   bchValue     = (oldBchScaled * oraclePriceRaw) / 10_000 / 100
@@ -152,3 +158,151 @@ test("Mean-revert 1:1 BCH:stable (math only)", async (t) => {
     );
   });
 });
+
+test("chooseNewTokenAmountMeanRevert: both directions (shared helper)", async (t) => {
+  const bch = 100_000_000n; // 1 BCH
+  const price = 10_000n; // 100.00 USD/BCH → bchUsd = 100
+
+  await t.test("tokens overweight → withdraw half the gap", () => {
+    const r = chooseNewTokenAmountMeanRevert(bch, 200n, price);
+
+    assert.equal(r.direction, "withdraw");
+    assert.equal(r.bchUsd, 100n);
+    assert.equal(r.stepTokens, 50n);
+    assert.equal(r.newTokens, 150n);
+    assert.equal(r.D_before, 100n);
+    assert.equal(r.D_after, 50n);
+  });
+
+  await t.test("BCH overweight → deposit half the gap", () => {
+    const r = chooseNewTokenAmountMeanRevert(bch, 40n, price);
+
+    assert.equal(r.direction, "deposit");
+    assert.equal(r.stepTokens, 30n);
+    assert.equal(r.newTokens, 70n);
+    assert.equal(r.D_before, 60n);
+    assert.equal(r.D_after, 30n);
+  });
+
+  await t.test("gap of 1 token still moves by one in either direction", () => {
+    const up = chooseNewTokenAmountMeanRevert(bch, 99n, price);
+    assert.equal(up.direction, "deposit");
+    assert.equal(up.newTokens, 100n);
+    assert.equal(up.D_after, 0n);
+
+    const down = chooseNewTokenAmountMeanRevert(bch, 101n, price);
+    assert.equal(down.direction, "withdraw");
+    assert.equal(down.newTokens, 100n);
+    assert.equal(down.D_after, 0n);
+  });
+
+  await t.test("balanced portfolio is a no-op", () => {
+    const r = chooseNewTokenAmountMeanRevert(bch, 100n, price);
+
+    assert.equal(r.direction, "none");
+    assert.equal(r.stepTokens, 0n);
+    assert.equal(r.newTokens, 100n);
+    assert.equal(r.D_after, r.D_before);
+  });
+
+  await t.test("every proposed move satisfies the covenant rule", () => {
+    for (let tokens = 0n; tokens <= 300n; tokens += 7n) {
+      const r = chooseNewTokenAmountMeanRevert(bch, tokens, price);
+      assert.equal(
+        isRebalanceAllowed({
+          bchIn: bch,
+          tokensIn: tokens,
+          bchOut: bch,
+          tokensOut: r.newTokens,
+          oraclePriceRaw: price,
+        }),
+        true,
+        `tokens=${tokens} → ${r.newTokens} must be allowed`
+      );
+      if (r.stepTokens > 0n) assert.ok(r.D_after < r.D_before);
+    }
+  });
+});
+
+test("chooseSwapMeanRevert: BCH <-> FT swaps at the oracle price", async (t) => {
+  const bch = 100_000_000n; // 1 BCH
+  const price = 10_000n; // 100.00 USD/BCH
+
+  await t.test("usdToBchSats rounds in the requested direction", () => {
+    assert.equal(usdToBchSats(1n, 10_000n), 1_000_000n);
+    // 10^10 / 54068 = 184_952.28… sats per USD
+    assert.equal(usdToBchSats(1n, 54_068n, "down"), 184_952n);
+    assert.equal(usdToBchSats(1n, 54_068n, "up"), 184_953n);
+    assert.equal(usdToBchSats(0n, 54_068n, "up"), 0n);
+  });
+
+  await t.test("BCH overweight → contract sells BCH for FT", () => {
+    const r = chooseSwapMeanRevert(bch, 40n, price);
+
+    assert.equal(r.direction, "sellBch");
+    assert.equal(r.stepTokens, 30n);
+    assert.equal(r.stepSats, 30_000_000n);
+    assert.equal(r.newBch, 70_000_000n);
+    assert.equal(r.newTokens, 70n);
+    assert.equal(r.D_after, 0n);
+  });
+
+  await t.test("FT overweight → contract buys BCH with FT", () => {
+    const r = chooseSwapMeanRevert(bch, 200n, price);
+
+    assert.equal(r.direction, "buyBch");
+    assert.equal(r.stepTokens, 50n);
+    assert.equal(r.stepSats, 50_000_000n);
+    assert.equal(r.newBch, 150_000_000n);
+    assert.equal(r.newTokens, 150n);
+    assert.equal(r.D_after, 0n);
+  });
+
+  await t.test("balanced portfolio is a no-op", () => {
+    const r = chooseSwapMeanRevert(bch, 100n, price);
+
+    assert.equal(r.direction, "none");
+    assert.equal(r.stepSats, 0n);
+    assert.equal(r.newBch, bch);
+  });
+
+  await t.test("predicted D_after matches the covenant math exactly", () => {
+    const prices = [10_000n, 47_622n, 54_068n, 123_457n];
+    const bchAmounts = [1_000_000n, 12_345_678n, 100_000_000n];
+
+    for (const p of prices) {
+      for (const b of bchAmounts) {
+        for (let tokens = 0n; tokens <= 1_500n; tokens += 37n) {
+          const r = chooseSwapMeanRevert(b, tokens, p);
+
+          assert.equal(r.D_before, imbalance(b, tokens, p));
+          assert.equal(r.D_after, imbalance(r.newBch, r.newTokens, p));
+          assert.equal(r.newBchUsd, bchValueUsd(r.newBch, p));
+          assert.equal(
+            isRebalanceAllowed({
+              bchIn: b,
+              tokensIn: tokens,
+              bchOut: r.newBch,
+              tokensOut: r.newTokens,
+              oraclePriceRaw: p,
+            }),
+            true
+          );
+
+          if (r.direction === "none") continue;
+          assert.ok(r.D_after < r.D_before);
+          assert.ok(r.newBch > 0n && r.newTokens >= 0n);
+
+          // Both legs move by the same USD amount (contract-favouring rounding).
+          if (r.direction === "sellBch") {
+            assert.equal(r.newBch, b - usdToBchSats(r.stepTokens, p, "down"));
+            assert.equal(r.newTokens, tokens + r.stepTokens);
+          } else {
+            assert.equal(r.newBch, b + usdToBchSats(r.stepTokens, p, "up"));
+            assert.equal(r.newTokens, tokens - r.stepTokens);
+          }
+        }
+      }
+    }
+  });
+});
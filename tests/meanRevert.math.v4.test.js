@@ -0,0 +1,205 @@
+// tests/meanRevert.math.v4.test.js
+// Pure math tests for value-based mean reversion towards a configurable
+// target BCH weight (MeanRevertSingleTokenNFTAuthV4).
+
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  chooseNewTokenAmountMeanRevert,
+  chooseSwapMeanRevert,
+  imbalance as helperImbalance,
+  targetTokensFor,
+} from "../meanRevertMath.js";
+
+// These must match the contract:
+//   bchValue = (bch / 10_000 * oraclePriceRaw) / 10_000 / 100
+//   D        = | bchValue * (10_000 - w) - tokens * w |
+const BCH_SCALE_DOWN = 10_000n;
+const PRICE_SCALE = 100n;
+const WEIGHT_SCALE = 10_000n;
+
+function bchValueUsd(bchSats, oraclePriceRaw) {
+  const bchScaled = bchSats / BCH_SCALE_DOWN;
+  return (bchScaled * oraclePriceRaw) / BCH_SCALE_DOWN / PRICE_SCALE;
+}
+
+function weightedImbalance(bchSats, tokens, oraclePriceRaw, w) {
+  const bchUsd = bchValueUsd(bchSats, oraclePriceRaw);
+  let d = bchUsd * (WEIGHT_SCALE - w) - tokens * w;
+  if (d < 0n) d = -d;
+  return d;
+}
+
+function isRebalanceAllowed({ bchIn, tokensIn, bchOut, tokensOut, price, w }) {
+  if (price <= 0n) return false;
+  if (w < 0n || w > WEIGHT_SCALE) return false;
+
+  const before = weightedImbalance(bchIn, tokensIn, price, w);
+  const after = weightedImbalance(bchOut, tokensOut, price, w);
+
+  // V4 rule: must not move further away from the target weight
+  return after <= before;
+}
+
+const bch = 100_000_000n; // 1 BCH
+const price = 10_000n; // 100.00 USD/BCH → bchUsd = 100
+
+test("Mean-revert weighted BCH:stable (math only)", async (t) => {
+  await t.test("60/40 target is balanced at 100 USD BCH vs 66.67 FT", () => {
+    // 100 * 4000 - 66 * 6000 = 4000; 100 * 4000 - 67 * 6000 = -2000
+    assert.equal(weightedImbalance(bch, 66n, price, 6_000n), 4_000n);
+    assert.equal(weightedImbalance(bch, 67n, price, 6_000n), 2_000n);
+    assert.equal(targetTokensFor(100n, 6_000n), 66n);
+  });
+
+  await t.test("70/30 target is exactly balanced at 70 USD BCH vs 30 FT", () => {
+    assert.equal(weightedImbalance(70_000_000n, 30n, price, 7_000n), 0n);
+    // The same state is off-target for 1:1.
+    assert.ok(weightedImbalance(70_000_000n, 30n, price, 5_000n) > 0n);
+  });
+
+  await t.test("a move that is good for 1:1 can be bad for 60/40", () => {
+    // 1 BCH + 60 FT → 1 BCH + 90 FT: closer to 1:1, further from 60/40.
+    const move = { bchIn: bch, tokensIn: 60n, bchOut: bch, tokensOut: 90n, price };
+    assert.equal(isRebalanceAllowed({ ...move, w: 5_000n }), true);
+    assert.equal(isRebalanceAllowed({ ...move, w: 6_000n }), false);
+  });
+
+  await t.test("w = 5000 orders states exactly like V3 (D scaled by 5000)", () => {
+    for (let tokens = 0n; tokens <= 300n; tokens += 13n) {
+      const v3 = helperImbalance(bch, tokens, price);
+      assert.equal(weightedImbalance(bch, tokens, price, 5_000n), v3 * 5_000n);
+    }
+  });
+
+  await t.test("helper imbalance matches the contract formula", () => {
+    for (const w of [0n, 2_500n, 6_000n, 7_000n, 10_000n]) {
+      for (let tokens = 0n; tokens <= 300n; tokens += 29n) {
+        assert.equal(
+          helperImbalance(bch, tokens, price, w),
+          weightedImbalance(bch, tokens, price, w)
+        );
+      }
+    }
+  });
+});
+
+test("chooseNewTokenAmountMeanRevert: weighted target", async (t) => {
+  await t.test("60/40, tokens overweight → withdraw half the gap", () => {
+    // target tokens = 100 * 4000 / 6000 = 66 → gap 134 → step 67
+    const r = chooseNewTokenAmountMeanRevert(bch, 200n, price, 6_000n);
+
+    assert.equal(r.direction, "withdraw");
+    assert.equal(r.stepTokens, 67n);
+    assert.equal(r.newTokens, 133n);
+    assert.equal(r.D_before, 800_000n);
+    assert.equal(r.D_after, 398_000n);
+  });
+
+  await t.test("70/30, BCH overweight → deposit half the gap", () => {
+    // target tokens = 100 * 3000 / 7000 = 42 → gap 32 → step 16
+    const r = chooseNewTokenAmountMeanRevert(bch, 10n, price, 7_000n);
+
+    assert.equal(r.direction, "deposit");
+    assert.equal(r.stepTokens, 16n);
+    assert.equal(r.newTokens, 26n);
+    assert.equal(r.D_before, 230_000n);
+    assert.equal(r.D_after, 118_000n);
+  });
+
+  await t.test("100% FT target (w = 0) cannot be helped by moving FT", () => {
+    const r = chooseNewTokenAmountMeanRevert(bch, 50n, price, 0n);
+    assert.equal(r.direction, "none");
+    assert.equal(r.newTokens, 50n);
+  });
+
+  await t.test("omitted weight keeps the V3 1:1 behaviour", () => {
+    const v3 = chooseNewTokenAmountMeanRevert(bch, 200n, price);
+    assert.equal(v3.newTokens, 150n);
+    assert.equal(v3.D_before, 100n);
+  });
+
+  await t.test("every proposed move satisfies the covenant rule", () => {
+    for (const w of [0n, 3_000n, 5_000n, 6_000n, 7_000n, 10_000n]) {
+      for (let tokens = 0n; tokens <= 300n; tokens += 7n) {
+        const r = chooseNewTokenAmountMeanRevert(bch, tokens, price, w);
+        assert.equal(
+          isRebalanceAllowed({
+            bchIn: bch,
+            tokensIn: tokens,
+            bchOut: bch,
+            tokensOut: r.newTokens,
+            price,
+            w,
+          }),
+          true,
+          `w=${w} tokens=${tokens} → ${r.newTokens} must be allowed`
+        );
+        assert.ok(r.newTokens >= 0n);
+        if (r.stepTokens > 0n) assert.ok(r.D_after < r.D_before);
+      }
+    }
+  });
+});
+
+test("chooseSwapMeanRevert: weighted target", async (t) => {
+  await t.test("60/40, FT overweight → buy BCH straight to target", () => {
+    // total $300 → target $180 BCH / $120 FT
+    const r = chooseSwapMeanRevert(bch, 200n, price, 6_000n);
+
+    assert.equal(r.direction, "buyBch");
+    assert.equal(r.stepTokens, 80n);
+    assert.equal(r.stepSats, 80_000_000n);
+    assert.equal(r.newBch, 180_000_000n);
+    assert.equal(r.newTokens, 120n);
+    assert.equal(r.D_after, 0n);
+  });
+
+  await t.test("70/30, BCH-only portfolio → sell BCH for FT", () => {
+    const r = chooseSwapMeanRevert(bch, 0n, price, 7_000n);
+
+    assert.equal(r.direction, "sellBch");
+    assert.equal(r.stepTokens, 30n);
+    assert.equal(r.newBch, 70_000_000n);
+    assert.equal(r.newTokens, 30n);
+    assert.equal(r.D_after, 0n);
+  });
+
+  await t.test("predicted D_after matches the covenant math exactly", () => {
+    const prices = [10_000n, 47_622n, 54_068n];
+    const bchAmounts = [1_000_000n, 12_345_678n, 100_000_000n];
+    const weights = [2_500n, 6_000n, 7_000n, 10_000n];
+
+    for (const w of weights) {
+      for (const p of prices) {
+        for (const b of bchAmounts) {
+          for (let tokens = 0n; tokens <= 1_500n; tokens += 53n) {
+            const r = chooseSwapMeanRevert(b, tokens, p, w);
+
+            assert.equal(r.D_before, weightedImbalance(b, tokens, p, w));
+            assert.equal(
+              r.D_after,
+              weightedImbalance(r.newBch, r.newTokens, p, w)
+            );
+            assert.equal(
+              isRebalanceAllowed({
+                bchIn: b,
+                tokensIn: tokens,
+                bchOut: r.newBch,
+                tokensOut: r.newTokens,
+                price: p,
+                w,
+              }),
+              true
+            );
+
+            if (r.direction === "none") continue;
+            assert.ok(r.D_after < r.D_before);
+            assert.ok(r.newBch > 0n && r.newTokens >= 0n);
+          }
+        }
+      }
+    }
+  });
+});
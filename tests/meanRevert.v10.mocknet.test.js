@@ -0,0 +1,600 @@
+// tests/meanRevert.v10.mocknet.test.js
+//
+// Behavioural tests for MeanRevertSingleTokenKeeperV10.cash
+// – V9 without the rebalancer NFT: anyone may rebalance, and the keeper
+//   takes a capped bounty from the portfolio for the D it removes. Honest
+//   and griefing keepers are run against the contract directly, as are
+//   keepers spending other contract UTXOs than the state NFT and the
+//   portfolio created with it. Then the reference keeper
+//   (scripts/keeperRebalance.js) and the fund script's state NFT genesis
+//   on the local stand-in provider.
+//
+// The contract's oracle key and state category come from
+// ORACLE_PUBLIC_KEY_HEX and ORACLE_STATE_CATEGORY_HEX, so config.js and
+// everything that reads it are imported after setting them.
+
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { randomUtxo } from "cashscript";
+import { secp256k1, hexToBin, binToHex } from "@bitauth/libauth";
+
+import {
+  alicePkh,
+  aliceTokenAddress,
+  aliceAddress,
+  bobAddress,
+  bobTokenAddress,
+} from "../common.js";
+import { sequenceForMinAge } from "../rebalanceCooldown.js";
+import { summarizePortfolio } from "../portfolioUtxos.js";
+import { LocalStandInProvider } from "../localStandInProvider.js";
+import {
+  ORACLE_STATE_INITIAL_COMMITMENT,
+  oracleStateToken,
+  oracleStateCommitment,
+  oracleStateTimestamp,
+  findOracleState,
+} from "../oracleState.js";
+
+// -----------------------------------------------------------------------------
+// Constants
+// -----------------------------------------------------------------------------
+
+const FEE_ESTIMATE = 2_000n;
+const TARGET_BCH_WEIGHT_BPS = 5_000n;
+const MIN_AGE_BLOCKS = 6n;
+const MAX_LOCKTIME_GAP_SECONDS = 600n;
+const MESSAGE_TIMESTAMP = 1_760_000_000;
+const KEEPER_BOUNTY_BPS = 1_000n;
+const KEEPER_MAX_BOUNTY_SATS = 100_000n;
+const KEEPER_TOKENS = 100n;
+
+const oraclePriv = hexToBin("99".repeat(32));
+const ORACLE_PUBKEY = binToHex(secp256k1.derivePublicKeyCompressed(oraclePriv));
+
+// Big-endian, as on UTXOs and outputs.
+const SCRIPT_STATE_CATEGORY = randomUtxo().txid;
+
+process.env.ORACLE_PUBLIC_KEY_HEX = ORACLE_PUBKEY;
+process.env.ORACLE_STATE_CATEGORY_HEX = SCRIPT_STATE_CATEGORY;
+const { FT_CATEGORY_HEX, TARGET_BCH_WEIGHT_BPS: SCRIPT_TARGET_BCH_WEIGHT_BPS } =
+  await import("../config.js");
+const { getMeanRevertContract } = await import("../meanRevertContract.js");
+const { runKeeperRebalance } = await import("../scripts/keeperRebalance.js");
+const { planKeeperRebalance } = await import("../keeperBounty.js");
+const { runRebalanceWithOracle } = await import(
+  "../scripts/rebalanceWithOracle.js"
+);
+const { runFundMeanRevertFromAlice } = await import(
+  "../scripts/fundMeanRevertFromAlice.js"
+);
+const {
+  TOKEN_OUTPUT_SATS,
+  STATE_OUTPUT_SATS,
+  ORACLE_PRICE_RAW,
+  bob,
+  beHexToVmBytes,
+  randomCategory,
+  ftToken,
+  compileContract,
+  signPriceMessage,
+  setupContract: setupFixture,
+  buildRebalanceTx,
+} = await import("./mocknetFixtures.js");
+
+// -----------------------------------------------------------------------------
+// Helpers
+// -----------------------------------------------------------------------------
+
+const FT_CATEGORY = randomCategory();
+const STATE_CATEGORY = randomCategory();
+
+const artifact = compileContract("MeanRevertSingleTokenKeeperV10");
+
+const signedMessage = (timestamp) => signPriceMessage(oraclePriv, { timestamp });
+
+const MESSAGE = signedMessage(MESSAGE_TIMESTAMP);
+
+// [{ sats, tokens }] -> the fixture's [{ sats, token }].
+const layout = (entries) =>
+  entries.map(({ sats, tokens }) => ({
+    sats,
+    token: ftToken(FT_CATEGORY, tokens),
+  }));
+
+// Outputs 0 and 1 of the transaction that created the portfolio and the
+// state NFT, as the fund script and every rebalance do.
+const pairedOutpoint = (txid, vout) => ({ txid, vout });
+
+/**
+ * V10 holding 1 BCH ($100) vs 50 FT – D 250000, BCH overweight – and its
+ * state NFT at `stateCommitment`, both from one transaction, then
+ * `strays` ([{ sats, tokens }]) sent to it separately, plus Bob's FT and
+ * BCH. Bob holds no NFT: he is just a keeper.
+ *
+ * contractUtxos are [portfolio, state, ...strays].
+ */
+function setupContract({
+  stateCommitment = ORACLE_STATE_INITIAL_COMMITMENT,
+  strays = [],
+} = {}) {
+  const source = randomUtxo().txid;
+  return setupFixture(
+    artifact,
+    [
+      beHexToVmBytes(FT_CATEGORY), // bytes tokenCategory (VM-order)
+      TARGET_BCH_WEIGHT_BPS, // int targetBchWeightBps
+      MIN_AGE_BLOCKS, // int minAgeBlocks
+      `0x${ORACLE_PUBKEY}`, // pubkey oraclePublicKey
+      MAX_LOCKTIME_GAP_SECONDS, // int maxLocktimeGapSeconds
+      beHexToVmBytes(STATE_CATEGORY), // bytes oracleStateCat (VM-order)
+      KEEPER_BOUNTY_BPS, // int keeperBountyBps
+      KEEPER_MAX_BOUNTY_SATS, // int maxBountySats
+      alicePkh, // bytes20 ownerPkh
+    ],
+    {
+      contractUtxos: [
+        {
+          sats: 100_000_000n,
+          token: ftToken(FT_CATEGORY, 50n),
+          outpoint: pairedOutpoint(source, 0),
+        },
+        {
+          sats: STATE_OUTPUT_SATS,
+          token: oracleStateToken(STATE_CATEGORY, stateCommitment),
+          outpoint: pairedOutpoint(source, 1),
+        },
+        ...layout(strays),
+      ],
+      walletUtxos: [
+        { sats: TOKEN_OUTPUT_SATS, token: ftToken(FT_CATEGORY, KEEPER_TOKENS) },
+        { sats: 50_000_000n },
+      ],
+      wallet: bob,
+    }
+  );
+}
+
+/**
+ * Bob's rebalance: the state NFT and `portfolio` (contract UTXOs, the
+ * setup's portfolio by default) spent with `message`, paid into
+ * `contractOutputs` ([{ sats, tokens }]), and the rest – FT and BCH – back
+ * to Bob.
+ *
+ * `state` bends the state NFT's handling:
+ *   spend      – false leaves it unspent
+ *   to         – "contract" (default) or "keeper"
+ *   commitment – defaults to the message's timestamp bytes
+ */
+function buildKeeperTx(
+  setup,
+  {
+    contractOutputs,
+    message = MESSAGE,
+    state = {},
+    portfolio = setup.contractUtxos.slice(0, 1),
+  }
+) {
+  const {
+    spend = true,
+    to = "contract",
+    commitment = oracleStateCommitment(message.messageHex),
+  } = state;
+  const stateUtxo = setup.contractUtxos[1];
+  const stateToken = oracleStateToken(STATE_CATEGORY, commitment);
+
+  const outputs = layout(contractOutputs);
+  const walletTokenOutputs = [];
+  if (spend && to === "contract") {
+    outputs.push({ sats: STATE_OUTPUT_SATS, token: stateToken });
+  } else if (spend) {
+    walletTokenOutputs.push(stateToken);
+  }
+  const contractTokens = contractOutputs.reduce((s, o) => s + o.tokens, 0n);
+  const portfolioTokens = portfolio.reduce(
+    (s, u) => s + (u.token?.amount ?? 0n),
+    0n
+  );
+  walletTokenOutputs.push(
+    ftToken(FT_CATEGORY, KEEPER_TOKENS + portfolioTokens - contractTokens)
+  );
+
+  return buildRebalanceTx(setup, {
+    unlockArgs: message.unlockArgs,
+    sequence: sequenceForMinAge(MIN_AGE_BLOCKS),
+    locktime: message.timestamp,
+    fee: FEE_ESTIMATE,
+    contractUtxos: spend ? [stateUtxo, ...portfolio] : portfolio,
+    contractOutputs: outputs,
+    walletTokenOutputs,
+  });
+}
+
+// 25 FT in for 0.25 BCH at $100, then the 0.001 BCH cap as a bounty:
+// D 250000 -> 5000.
+const HONEST = [{ sats: 74_900_000n, tokens: 75n }];
+
+// -----------------------------------------------------------------------------
+// TEST 1 – an honest keeper
+// -----------------------------------------------------------------------------
+
+test("MeanRevertV10: an honest keeper swaps at the oracle price and takes the bounty", async () => {
+  assert.ok(
+    await buildKeeperTx(setupContract(), { contractOutputs: HONEST }).send(),
+    "any keeper, without an NFT, should be able to rebalance"
+  );
+});
+
+// -----------------------------------------------------------------------------
+// TEST 2 – greedy keepers
+// -----------------------------------------------------------------------------
+
+test("MeanRevertV10: a greedy keeper is refused", async (t) => {
+  await t.test("a bounty over the cap fails", async () => {
+    await assert.rejects(
+      buildKeeperTx(setupContract(), {
+        contractOutputs: [{ sats: 74_890_000n, tokens: 75n }],
+      }).send()
+    );
+  });
+
+  await t.test("taking BCH without trading fails", async () => {
+    // $1 of the overweight BCH lowers D by 5000, which earns only $0.05.
+    await assert.rejects(
+      buildKeeperTx(setupContract(), {
+        contractOutputs: [{ sats: 99_000_000n, tokens: 50n }],
+      }).send()
+    );
+  });
+});
+
+// -----------------------------------------------------------------------------
+// TEST 3 – griefing keepers
+// -----------------------------------------------------------------------------
+
+test("MeanRevertV10: a move that does not reduce D fails", async (t) => {
+  await t.test("a no-op that only burns the state's message", async () => {
+    await assert.rejects(
+      buildKeeperTx(setupContract(), {
+        contractOutputs: [{ sats: 100_000_000n, tokens: 50n }],
+      }).send()
+    );
+  });
+
+  await t.test("a fair swap the wrong way", async () => {
+    // 25 FT out for 0.25 BCH in: D 250000 -> 500000.
+    await assert.rejects(
+      buildKeeperTx(setupContract(), {
+        contractOutputs: [{ sats: 125_000_000n, tokens: 25n }],
+      }).send()
+    );
+  });
+});
+
+test("MeanRevertV10: the state NFT refuses old prices", async (t) => {
+  const used = oracleStateCommitment(MESSAGE.messageHex);
+
+  await t.test("replaying the last message fails", async () => {
+    await assert.rejects(
+      buildKeeperTx(setupContract({ stateCommitment: used }), {
+        contractOutputs: HONEST,
+      }).send()
+    );
+  });
+
+  await t.test("an older message fails", async () => {
+    await assert.rejects(
+      buildKeeperTx(setupContract({ stateCommitment: used }), {
+        contractOutputs: HONEST,
+        message: signedMessage(MESSAGE_TIMESTAMP - 60),
+      }).send()
+    );
+  });
+
+  await t.test("a newer message passes", async () => {
+    assert.ok(
+      await buildKeeperTx(setupContract({ stateCommitment: used }), {
+        contractOutputs: HONEST,
+        message: signedMessage(MESSAGE_TIMESTAMP + 60),
+      }).send()
+    );
+  });
+});
+
+test("MeanRevertV10: the state NFT must be spent and returned updated", async (t) => {
+  await t.test("sending it to the keeper fails", async () => {
+    await assert.rejects(
+      buildKeeperTx(setupContract(), {
+        contractOutputs: HONEST,
+        state: { to: "keeper" },
+      }).send()
+    );
+  });
+
+  await t.test("returning the old commitment fails", async () => {
+    await assert.rejects(
+      buildKeeperTx(setupContract(), {
+        contractOutputs: HONEST,
+        state: { commitment: ORACLE_STATE_INITIAL_COMMITMENT },
+      }).send()
+    );
+  });
+
+  await t.test("leaving it unspent fails", async () => {
+    await assert.rejects(
+      buildKeeperTx(setupContract(), {
+        contractOutputs: HONEST,
+        state: { spend: false },
+      }).send()
+    );
+  });
+});
+
+test("MeanRevertV10: a keeper cannot fragment the portfolio", async () => {
+  // Same totals as HONEST over two contract outputs: three contract
+  // outputs where the layout allows two.
+  await assert.rejects(
+    buildKeeperTx(setupContract(), {
+      contractOutputs: [
+        { sats: 37_450_000n, tokens: 38n },
+        { sats: 37_450_000n, tokens: 37n },
+      ],
+    }).send()
+  );
+});
+
+// -----------------------------------------------------------------------------
+// TEST 4 – other contract UTXOs are drain-only
+// -----------------------------------------------------------------------------
+
+// A second 1 BCH + 50 FT UTXO sent to the contract on its own.
+const STRAY = { sats: 100_000_000n, tokens: 50n };
+
+test("MeanRevertV10: a rebalance spends the state NFT and its portfolio only", async (t) => {
+  await t.test("the honest move passes next to a stray UTXO", async () => {
+    assert.ok(
+      await buildKeeperTx(setupContract({ strays: [STRAY] }), {
+        contractOutputs: HONEST,
+      }).send()
+    );
+  });
+
+  await t.test("spending a stray instead of the portfolio fails", async () => {
+    const setup = setupContract({ strays: [STRAY] });
+    await assert.rejects(
+      buildKeeperTx(setup, {
+        contractOutputs: HONEST,
+        portfolio: [setup.contractUtxos[2]],
+      }).send()
+    );
+  });
+
+  await t.test("spending a stray with the portfolio fails", async () => {
+    // 2 BCH ($200) vs 100 FT at 50/50: 50 FT in for 0.5 BCH, less the
+    // bounty, into one output.
+    const setup = setupContract({ strays: [STRAY] });
+    await assert.rejects(
+      buildKeeperTx(setup, {
+        contractOutputs: [{ sats: 149_900_000n, tokens: 150n }],
+        portfolio: [setup.contractUtxos[0], setup.contractUtxos[2]],
+      }).send()
+    );
+  });
+});
+
+// -----------------------------------------------------------------------------
+// TEST 5 – the reference keeper
+// -----------------------------------------------------------------------------
+
+// Prices are signed "now", once, so a second run sees the same message.
+const SCRIPT_MESSAGE = signedMessage(Math.floor(Date.now() / 1000));
+
+function fetchPrice() {
+  return Promise.resolve({
+    oraclePubKey: ORACLE_PUBKEY,
+    rawMessage: SCRIPT_MESSAGE.messageHex,
+    signature: SCRIPT_MESSAGE.signatureHex,
+    timestamp: SCRIPT_MESSAGE.timestamp,
+    messageSequence: 100,
+    dataSequence: 90,
+    priceRaw: Number(ORACLE_PRICE_RAW),
+    priceScale: 100,
+    priceValue: Number(ORACLE_PRICE_RAW) / 100,
+    assetPair: "BCH/USD",
+  });
+}
+
+const bchOnlySats = (utxos) =>
+  utxos.filter((u) => !u.token).reduce((s, u) => s + u.satoshis, 0n);
+
+// 1 BCH ($100) vs 50 FT and the state NFT on the configured V10 contract –
+// from one transaction unless `paired` is false – and a BCH-only stray,
+// with Bob's FT and BCH.
+function setupScriptPortfolio({ paired = true } = {}) {
+  const provider = new LocalStandInProvider();
+  const { contract } = getMeanRevertContract(provider, "v10");
+  const source = randomUtxo().txid;
+  provider.addUtxo(contract.tokenAddress, {
+    ...(paired ? pairedOutpoint(source, 0) : randomUtxo()),
+    satoshis: 100_000_000n,
+    token: { category: FT_CATEGORY_HEX, amount: 50n },
+  });
+  provider.addUtxo(contract.tokenAddress, {
+    ...pairedOutpoint(source, 1),
+    satoshis: STATE_OUTPUT_SATS,
+    token: oracleStateToken(SCRIPT_STATE_CATEGORY),
+  });
+  const stray = { ...randomUtxo(), satoshis: 20_000n };
+  provider.addUtxo(contract.address, stray);
+  provider.addUtxo(bobTokenAddress, {
+    ...randomUtxo(),
+    satoshis: TOKEN_OUTPUT_SATS,
+    token: { category: FT_CATEGORY_HEX, amount: KEEPER_TOKENS },
+  });
+  provider.addUtxo(bobAddress, { ...randomUtxo(), satoshis: 1_000_000n });
+  return { provider, contract, stray };
+}
+
+// The reference keeper's move on setupScriptPortfolio() at the configured
+// target, before fees.
+const scriptMove = () =>
+  planKeeperRebalance({
+    oldBch: 100_000_000n + STATE_OUTPUT_SATS,
+    oldTokens: 50n,
+    oraclePriceRaw: ORACLE_PRICE_RAW,
+    targetBchWeightBps: SCRIPT_TARGET_BCH_WEIGHT_BPS,
+    bountyBps: KEEPER_BOUNTY_BPS,
+    maxBountySats: KEEPER_MAX_BOUNTY_SATS,
+  });
+
+test("keeperRebalance: the reference keeper on V10", async (t) => {
+  await t.test("broadcast: swap, bounty and an updated state", async () => {
+    const { provider, contract, stray } = setupScriptPortfolio();
+    const move = scriptMove();
+
+    const result = await runKeeperRebalance({
+      version: "v10",
+      provider,
+      fetchPrice,
+      dryRun: false,
+    });
+    assert.equal(result.status, "broadcast");
+
+    const contractUtxos = await contract.getUtxos();
+    const after = summarizePortfolio(contractUtxos, FT_CATEGORY_HEX);
+    assert.equal(after.tokens, move.newTokens);
+    const state = findOracleState(contractUtxos, SCRIPT_STATE_CATEGORY);
+    assert.equal(oracleStateTimestamp(state), SCRIPT_MESSAGE.timestamp);
+    assert.ok(
+      contractUtxos.some(
+        (u) => u.token?.category === FT_CATEGORY_HEX && u.txid === state.txid
+      ),
+      "the new portfolio should come from the state NFT's transaction"
+    );
+    assert.ok(
+      contractUtxos.some((u) => u.txid === stray.txid && u.vout === stray.vout),
+      "the stray UTXO should be left on the contract"
+    );
+
+    // The swap's BCH and the bounty, less the fee.
+    assert.ok(
+      bchOnlySats(await provider.getUtxos(bobAddress)) >
+        1_000_000n + move.stepSats,
+      "Bob should be paid the swap and the bounty"
+    );
+
+    // The same message cannot be used again.
+    const again = await runKeeperRebalance({
+      version: "v10",
+      provider,
+      fetchPrice,
+      dryRun: false,
+    });
+    assert.equal(again.status, "skipped");
+    assert.match(again.reason, /no oracle message since the last rebalance/);
+  });
+
+  await t.test("dry-run: the bounty and the new state commitment", async () => {
+    const { provider, stray } = setupScriptPortfolio();
+
+    const { plan } = await runKeeperRebalance({
+      version: "v10",
+      provider,
+      fetchPrice,
+      dryRun: true,
+    });
+    assert.equal(plan.bounty.bountySats, scriptMove().bountySats);
+    assert.equal(
+      plan.state.commitment,
+      oracleStateCommitment(SCRIPT_MESSAGE.messageHex)
+    );
+    assert.deepEqual(plan.portfolio.drainOnly, [`${stray.txid}:${stray.vout}`]);
+    assert.equal(provider.broadcasts.length, 0);
+  });
+
+  await t.test("a portfolio not created with the state NFT is refused", async () => {
+    const { provider } = setupScriptPortfolio({ paired: false });
+
+    await assert.rejects(
+      runKeeperRebalance({ version: "v10", provider, fetchPrice }),
+      /Found 0 portfolio UTXO\(s\) created with the V10 state NFT/
+    );
+  });
+
+  await t.test("each version has one rebalance script", async () => {
+    const { provider } = setupScriptPortfolio();
+
+    await assert.rejects(
+      runRebalanceWithOracle({ version: "v10", provider, fetchPrice }),
+      /keepers rebalance it/
+    );
+    await assert.rejects(
+      runKeeperRebalance({ version: "v9", provider, fetchPrice }),
+      /not by keepers/
+    );
+  });
+});
+
+// -----------------------------------------------------------------------------
+// TEST 6 – funding creates the state NFT with the portfolio
+// -----------------------------------------------------------------------------
+
+test("fundMeanRevertFromAlice: V10 funding mints the state NFT", async (t) => {
+  const provider = new LocalStandInProvider();
+  provider.addUtxo(aliceTokenAddress, {
+    ...randomUtxo(),
+    satoshis: TOKEN_OUTPUT_SATS,
+    token: { category: FT_CATEGORY_HEX, amount: 1_000n },
+  });
+  // The category's genesis UTXO: output 0 of the transaction it is named
+  // after.
+  provider.addUtxo(aliceAddress, {
+    txid: SCRIPT_STATE_CATEGORY,
+    vout: 0,
+    satoshis: 10_000n,
+  });
+  provider.addUtxo(aliceAddress, { ...randomUtxo(), satoshis: 5_000_000n });
+
+  await t.test("--split is refused", async () => {
+    await assert.rejects(
+      runFundMeanRevertFromAlice({
+        version: "v10",
+        provider,
+        dryRun: false,
+        split: 2,
+      }),
+      /without --split/
+    );
+  });
+
+  await t.test("one portfolio UTXO, from the state NFT's transaction", async () => {
+    await runFundMeanRevertFromAlice({
+      version: "v10",
+      provider,
+      dryRun: false,
+      split: 1,
+    });
+
+    const { contract } = getMeanRevertContract(provider, "v10");
+    const contractUtxos = await contract.getUtxos();
+    const state = findOracleState(contractUtxos, SCRIPT_STATE_CATEGORY);
+    assert.ok(state, "the contract should hold the state NFT");
+    assert.equal(state.token.nft.commitment, ORACLE_STATE_INITIAL_COMMITMENT);
+    const { portfolio } = summarizePortfolio(contractUtxos, FT_CATEGORY_HEX);
+    assert.equal(portfolio.length, 1);
+    assert.equal(portfolio[0].utxo.txid, state.txid);
+  });
+
+  await t.test("funding again is refused until a reset", async () => {
+    await assert.rejects(
+      runFundMeanRevertFromAlice({
+        version: "v10",
+        provider,
+        dryRun: false,
+        split: 1,
+      }),
+      /resetMeanRevertV10ToAlice\.js/
+    );
+  });
+});
@@ -22,6 +22,11 @@ import {
   aliceTokenAddress,
   aliceAddress,
 } from "../common.js";
+import {
+  chooseNewTokenAmountMeanRevert,
+  chooseSwapMeanRevert,
+} from "../meanRevertMath.js";
+import { selectTokenUtxos } from "../utxos.js";
 
 // -----------------------------------------------------------------------------
 // Constants
@@ -572,3 +577,387 @@ test("MeanRevertV3: ignores non-stablecoin token categories in value math", asyn
     "V3 should ignore non-stablecoin token categories when enforcing value balance"
   );
 });
+
+// -----------------------------------------------------------------------------
+// TEST 5 – withdraw direction chosen by the shared strategy helper
+// -----------------------------------------------------------------------------
+
+test("MeanRevertV3: withdraw step from chooseNewTokenAmountMeanRevert passes", async () => {
+  const { provider, contract } = setupContractV3(0n);
+  const aliceTemplate = new SignatureTemplate(alicePriv);
+
+  // 1 BCH @ $100 vs 260 tokens → tokens overweight.
+  const contractFtUtxo = createContractFtUtxo(contract, provider, 260n);
+  const nftAuthorityUtxo = createNftAuthorityUtxo(provider);
+  const aliceFundingUtxo = createAliceFundingUtxo(provider);
+
+  const oldBch = contractFtUtxo.satoshis;
+  const { direction, newTokens, stepTokens, D_before, D_after } =
+    chooseNewTokenAmountMeanRevert(oldBch, 260n, ORACLE_PRICE_RAW);
+
+  assert.equal(direction, "withdraw");
+  assert.equal(newTokens, 180n);
+  assert.ok(D_after < D_before);
+
+  const feeEstimate = 1_000n;
+  const aliceChangeSats =
+    contractFtUtxo.satoshis +
+    nftAuthorityUtxo.satoshis +
+    aliceFundingUtxo.satoshis -
+    oldBch -
+    TOKEN_OUTPUT_SATS - // withdrawn FT output
+    TOKEN_OUTPUT_SATS - // NFT output
+    feeEstimate;
+
+  const txDetails = await new TransactionBuilder({ provider })
+    .addInput(contractFtUtxo, contract.unlock.rebalance(ORACLE_PRICE_RAW))
+    .addInput(nftAuthorityUtxo, aliceTemplate.unlockP2PKH())
+    .addInput(aliceFundingUtxo, aliceTemplate.unlockP2PKH())
+    .addOutput({
+      to: contract.tokenAddress,
+      amount: oldBch,
+      token: { category: FT_CATEGORY_VM, amount: newTokens },
+    })
+    .addOutput({
+      to: aliceTokenAddress,
+      amount: TOKEN_OUTPUT_SATS,
+      token: { category: FT_CATEGORY_VM, amount: stepTokens },
+    })
+    .addOutput({
+      to: aliceTokenAddress,
+      amount: TOKEN_OUTPUT_SATS,
+      token: nftAuthorityUtxo.token,
+    })
+    .addOutput({ to: aliceAddress, amount: aliceChangeSats })
+    .send();
+
+  assert.ok(txDetails, "V3 should accept the helper's withdraw step");
+});
+
+// -----------------------------------------------------------------------------
+// TEST 6 – deposit direction: Alice FT coin-selected across several UTXOs
+// -----------------------------------------------------------------------------
+
+test("MeanRevertV3: deposit step funded from multiple Alice FT UTXOs passes", async () => {
+  const { provider, contract } = setupContractV3(0n);
+  const aliceTemplate = new SignatureTemplate(alicePriv);
+
+  // 1 BCH @ $100 vs 40 tokens → BCH overweight, contract needs more FT.
+  const contractFtUtxo = createContractFtUtxo(contract, provider, 40n);
+  const nftAuthorityUtxo = createNftAuthorityUtxo(provider);
+  const aliceFundingUtxo = createAliceFundingUtxo(provider);
+
+  // Alice's FT is fragmented: no single UTXO covers the deposit.
+  const aliceFtUtxos = [12n, 20n, 5n].map((amount) => {
+    const utxo = randomUtxo();
+    utxo.satoshis = TOKEN_OUTPUT_SATS;
+    utxo.token = { category: FT_CATEGORY_VM, amount };
+    provider.addUtxo(aliceTokenAddress, utxo);
+    return utxo;
+  });
+
+  const oldBch = contractFtUtxo.satoshis;
+  const { direction, newTokens, stepTokens, D_before, D_after } =
+    chooseNewTokenAmountMeanRevert(oldBch, 40n, ORACLE_PRICE_RAW);
+
+  assert.equal(direction, "deposit");
+  assert.equal(stepTokens, 30n);
+  assert.equal(newTokens, 70n);
+  assert.ok(D_after < D_before);
+
+  const { selected, changeTokens } = selectTokenUtxos(
+    await provider.getUtxos(aliceTokenAddress),
+    FT_CATEGORY_VM,
+    stepTokens
+  );
+
+  // Largest-first: 20 + 12 = 32 ≥ 30, leaving 2 tokens of change.
+  assert.equal(selected.length, 2);
+  assert.equal(changeTokens, 2n);
+
+  const feeEstimate = 1_000n;
+  const selectedSats = selected.reduce((s, u) => s + u.satoshis, 0n);
+  const aliceChangeSats =
+    contractFtUtxo.satoshis +
+    nftAuthorityUtxo.satoshis +
+    selectedSats +
+    aliceFundingUtxo.satoshis -
+    oldBch -
+    TOKEN_OUTPUT_SATS - // FT change output
+    TOKEN_OUTPUT_SATS - // NFT output
+    feeEstimate;
+
+  const txb = new TransactionBuilder({ provider })
+    .addInput(contractFtUtxo, contract.unlock.rebalance(ORACLE_PRICE_RAW))
+    .addInput(nftAuthorityUtxo, aliceTemplate.unlockP2PKH());
+  for (const u of selected) {
+    txb.addInput(u, aliceTemplate.unlockP2PKH());
+  }
+
+  const txDetails = await txb
+    .addInput(aliceFundingUtxo, aliceTemplate.unlockP2PKH())
+    .addOutput({
+      to: contract.tokenAddress,
+      amount: oldBch,
+      token: { category: FT_CATEGORY_VM, amount: newTokens },
+    })
+    .addOutput({
+      to: aliceTokenAddress,
+      amount: TOKEN_OUTPUT_SATS,
+      token: { category: FT_CATEGORY_VM, amount: changeTokens },
+    })
+    .addOutput({
+      to: aliceTokenAddress,
+      amount: TOKEN_OUTPUT_SATS,
+      token: nftAuthorityUtxo.token,
+    })
+    .addOutput({ to: aliceAddress, amount: aliceChangeSats })
+    .send();
+
+  assert.ok(txDetails, "V3 should accept an improving FT deposit");
+
+  // The unselected 5-token UTXO stays with Alice.
+  assert.ok(!selected.includes(aliceFtUtxos[2]));
+});
+
+// -----------------------------------------------------------------------------
+// TEST 7 – deposit that overshoots the target is rejected
+// -----------------------------------------------------------------------------
+
+test("MeanRevertV3: deposit that overshoots 1:1 value fails", async () => {
+  const { provider, contract } = setupContractV3(0n);
+  const aliceTemplate = new SignatureTemplate(alicePriv);
+
+  // 1 BCH @ $100 vs 40 tokens: D_before = 60. Depositing 140 → 180 tokens,
+  // D_after = 80, which is worse even though it is the "deposit" direction.
+  const contractFtUtxo = createContractFtUtxo(contract, provider, 40n);
+  const nftAuthorityUtxo = createNftAuthorityUtxo(provider);
+  const aliceFundingUtxo = createAliceFundingUtxo(provider);
+
+  const aliceFtUtxo = randomUtxo();
+  aliceFtUtxo.satoshis = TOKEN_OUTPUT_SATS;
+  aliceFtUtxo.token = { category: FT_CATEGORY_VM, amount: 140n };
+  provider.addUtxo(aliceTokenAddress, aliceFtUtxo);
+
+  const oldBch = contractFtUtxo.satoshis;
+  assert.ok(
+    imbalance(oldBch, 180n, ORACLE_PRICE_RAW) >
+      imbalance(oldBch, 40n, ORACLE_PRICE_RAW)
+  );
+
+  const feeEstimate = 1_000n;
+  const aliceChangeSats =
+    nftAuthorityUtxo.satoshis +
+    aliceFtUtxo.satoshis +
+    aliceFundingUtxo.satoshis -
+    TOKEN_OUTPUT_SATS - // NFT output
+    feeEstimate;
+
+  const txPromise = new TransactionBuilder({ provider })
+    .addInput(contractFtUtxo, contract.unlock.rebalance(ORACLE_PRICE_RAW))
+    .addInput(nftAuthorityUtxo, aliceTemplate.unlockP2PKH())
+    .addInput(aliceFtUtxo, aliceTemplate.unlockP2PKH())
+    .addInput(aliceFundingUtxo, aliceTemplate.unlockP2PKH())
+    .addOutput({
+      to: contract.tokenAddress,
+      amount: oldBch,
+      token: { category: FT_CATEGORY_VM, amount: 180n },
+    })
+    .addOutput({
+      to: aliceTokenAddress,
+      amount: TOKEN_OUTPUT_SATS,
+      token: nftAuthorityUtxo.token,
+    })
+    .addOutput({ to: aliceAddress, amount: aliceChangeSats })
+    .send();
+
+  await assert.rejects(
+    txPromise,
+    undefined,
+    "V3 should reject deposits that overshoot the value balance"
+  );
+});
+
+// -----------------------------------------------------------------------------
+// TEST 8 – swap mode: contract sells BCH to Alice for FT
+// -----------------------------------------------------------------------------
+
+test("MeanRevertV3: swap selling BCH for FT at the oracle price passes", async () => {
+  const { provider, contract } = setupContractV3(0n);
+  const aliceTemplate = new SignatureTemplate(alicePriv);
+
+  // 1 BCH @ $100 vs 40 tokens → BCH overweight.
+  const contractFtUtxo = createContractFtUtxo(contract, provider, 40n);
+  const nftAuthorityUtxo = createNftAuthorityUtxo(provider);
+  const aliceFundingUtxo = createAliceFundingUtxo(provider);
+
+  const aliceFtUtxo = randomUtxo();
+  aliceFtUtxo.satoshis = TOKEN_OUTPUT_SATS;
+  aliceFtUtxo.token = { category: FT_CATEGORY_VM, amount: 30n };
+  provider.addUtxo(aliceTokenAddress, aliceFtUtxo);
+
+  const oldBch = contractFtUtxo.satoshis;
+  const swap = chooseSwapMeanRevert(oldBch, 40n, ORACLE_PRICE_RAW);
+
+  assert.equal(swap.direction, "sellBch");
+  assert.equal(swap.stepTokens, 30n);
+  assert.equal(swap.newBch, 70_000_000n);
+  assert.equal(swap.D_after, 0n);
+
+  // Alice receives the sold BCH in her change output.
+  const feeEstimate = 1_000n;
+  const aliceChangeSats =
+    contractFtUtxo.satoshis +
+    nftAuthorityUtxo.satoshis +
+    aliceFtUtxo.satoshis +
+    aliceFundingUtxo.satoshis -
+    swap.newBch -
+    TOKEN_OUTPUT_SATS - // NFT output
+    feeEstimate;
+
+  assert.ok(aliceChangeSats > swap.stepSats);
+
+  const txDetails = await new TransactionBuilder({ provider })
+    .addInput(contractFtUtxo, contract.unlock.rebalance(ORACLE_PRICE_RAW))
+    .addInput(nftAuthorityUtxo, aliceTemplate.unlockP2PKH())
+    .addInput(aliceFtUtxo, aliceTemplate.unlockP2PKH())
+    .addInput(aliceFundingUtxo, aliceTemplate.unlockP2PKH())
+    .addOutput({
+      to: contract.tokenAddress,
+      amount: swap.newBch,
+      token: { category: FT_CATEGORY_VM, amount: swap.newTokens },
+    })
+    .addOutput({
+      to: aliceTokenAddress,
+      amount: TOKEN_OUTPUT_SATS,
+      token: nftAuthorityUtxo.token,
+    })
+    .addOutput({ to: aliceAddress, amount: aliceChangeSats })
+    .send();
+
+  assert.ok(txDetails, "V3 should accept an improving BCH → FT swap");
+});
+
+// -----------------------------------------------------------------------------
+// TEST 9 – swap mode: contract buys BCH from Alice with FT
+// -----------------------------------------------------------------------------
+
+test("MeanRevertV3: swap buying BCH with FT at the oracle price passes", async () => {
+  const { provider, contract } = setupContractV3(0n);
+  const aliceTemplate = new SignatureTemplate(alicePriv);
+
+  // 1 BCH @ $100 vs 200 tokens → FT overweight.
+  const contractFtUtxo = createContractFtUtxo(contract, provider, 200n);
+  const nftAuthorityUtxo = createNftAuthorityUtxo(provider);
+
+  const oldBch = contractFtUtxo.satoshis;
+  const swap = chooseSwapMeanRevert(oldBch, 200n, ORACLE_PRICE_RAW);
+
+  assert.equal(swap.direction, "buyBch");
+  assert.equal(swap.stepTokens, 50n);
+  assert.equal(swap.stepSats, 50_000_000n);
+  assert.equal(swap.newBch, 150_000_000n);
+
+  // Alice must bring the BCH the contract buys, plus fees.
+  const aliceFundingUtxo = createAliceFundingUtxo(
+    provider,
+    swap.stepSats + 10_000n
+  );
+
+  const feeEstimate = 1_000n;
+  const aliceChangeSats =
+    contractFtUtxo.satoshis +
+    nftAuthorityUtxo.satoshis +
+    aliceFundingUtxo.satoshis -
+    swap.newBch -
+    TOKEN_OUTPUT_SATS - // FT output to Alice
+    TOKEN_OUTPUT_SATS - // NFT output
+    feeEstimate;
+
+  assert.ok(aliceChangeSats >= DUST_LIMIT);
+
+  const txDetails = await new TransactionBuilder({ provider })
+    .addInput(contractFtUtxo, contract.unlock.rebalance(ORACLE_PRICE_RAW))
+    .addInput(nftAuthorityUtxo, aliceTemplate.unlockP2PKH())
+    .addInput(aliceFundingUtxo, aliceTemplate.unlockP2PKH())
+    .addOutput({
+      to: contract.tokenAddress,
+      amount: swap.newBch,
+      token: { category: FT_CATEGORY_VM, amount: swap.newTokens },
+    })
+    .addOutput({
+      to: aliceTokenAddress,
+      amount: TOKEN_OUTPUT_SATS,
+      token: { category: FT_CATEGORY_VM, amount: swap.stepTokens },
+    })
+    .addOutput({
+      to: aliceTokenAddress,
+      amount: TOKEN_OUTPUT_SATS,
+      token: nftAuthorityUtxo.token,
+    })
+    .addOutput({ to: aliceAddress, amount: aliceChangeSats })
+    .send();
+
+  assert.ok(txDetails, "V3 should accept an improving FT → BCH swap");
+});
+
+// -----------------------------------------------------------------------------
+// TEST 10 – swap that takes too much BCH for the FT paid is rejected
+// -----------------------------------------------------------------------------
+
+test("MeanRevertV3: swap that overpays BCH to Alice fails", async () => {
+  const { provider, contract } = setupContractV3(0n);
+  const aliceTemplate = new SignatureTemplate(alicePriv);
+
+  // 1 BCH @ $100 vs 40 tokens: D_before = 60.
+  // Alice pays 30 FT but takes 0.95 BCH → (5 USD BCH, 70 FT): D_after = 65.
+  const contractFtUtxo = createContractFtUtxo(contract, provider, 40n);
+  const nftAuthorityUtxo = createNftAuthorityUtxo(provider);
+  const aliceFundingUtxo = createAliceFundingUtxo(provider);
+
+  const aliceFtUtxo = randomUtxo();
+  aliceFtUtxo.satoshis = TOKEN_OUTPUT_SATS;
+  aliceFtUtxo.token = { category: FT_CATEGORY_VM, amount: 30n };
+  provider.addUtxo(aliceTokenAddress, aliceFtUtxo);
+
+  const oldBch = contractFtUtxo.satoshis;
+  const newBch = 5_000_000n;
+  assert.ok(
+    imbalance(newBch, 70n, ORACLE_PRICE_RAW) >
+      imbalance(oldBch, 40n, ORACLE_PRICE_RAW)
+  );
+
+  const feeEstimate = 1_000n;
+  const aliceChangeSats =
+    contractFtUtxo.satoshis +
+    nftAuthorityUtxo.satoshis +
+    aliceFtUtxo.satoshis +
+    aliceFundingUtxo.satoshis -
+    newBch -
+    TOKEN_OUTPUT_SATS - // NFT output
+    feeEstimate;
+
+  const txPromise = new TransactionBuilder({ provider })
+    .addInput(contractFtUtxo, contract.unlock.rebalance(ORACLE_PRICE_RAW))
+    .addInput(nftAuthorityUtxo, aliceTemplate.unlockP2PKH())
+    .addInput(aliceFtUtxo, aliceTemplate.unlockP2PKH())
+    .addInput(aliceFundingUtxo, aliceTemplate.unlockP2PKH())
+    .addOutput({
+      to: contract.tokenAddress,
+      amount: newBch,
+      token: { category: FT_CATEGORY_VM, amount: 70n },
+    })
+    .addOutput({
+      to: aliceTokenAddress,
+      amount: TOKEN_OUTPUT_SATS,
+      token: nftAuthorityUtxo.token,
+    })
+    .addOutput({ to: aliceAddress, amount: aliceChangeSats })
+    .send();
+
+  await assert.rejects(
+    txPromise,
+    undefined,
+    "V3 should reject swaps that worsen the value balance"
+  );
+});
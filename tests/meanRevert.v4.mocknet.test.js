@@ -0,0 +1,224 @@
+// tests/meanRevert.v4.mocknet.test.js
+//
+// Behavioural tests for MeanRevertSingleTokenNFTAuthV4.cash
+// – same layout as the V3 mocknet tests, but the invariant targets a
+//   configurable BCH weight (targetBchWeightBps) instead of 1:1.
+
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { alicePkh } from "../common.js";
+import {
+  chooseNewTokenAmountMeanRevert,
+  chooseSwapMeanRevert,
+  imbalance,
+} from "../meanRevertMath.js";
+import {
+  TOKEN_OUTPUT_SATS,
+  ORACLE_PRICE_RAW,
+  NFT_COMMIT_RAW,
+  beHexToVmBytes,
+  randomCategory,
+  ftToken,
+  nftToken,
+  compileContract,
+  setupContract,
+  buildRebalanceTx,
+} from "./mocknetFixtures.js";
+
+// -----------------------------------------------------------------------------
+// Helpers
+// -----------------------------------------------------------------------------
+
+const FT_CATEGORY = randomCategory();
+const NFT_CATEGORY = randomCategory();
+
+const artifactV4 = compileContract("MeanRevertSingleTokenNFTAuthV4");
+
+/**
+ * V4 holding 1 BCH @ $100 (round numbers) + `tokens` FT, with Alice's NFT
+ * authority (unless `nft` is false), `aliceTokens` FT and a funding UTXO.
+ *
+ * V4 signature:
+ *   contract MeanRevertSingleTokenNFTAuthV4(
+ *     bytes   tokenCategory,
+ *     int     targetBchWeightBps,
+ *     bytes   rebalancerNftCat,
+ *     bytes   rebalancerNftCommit,
+ *     bytes20 ownerPkh
+ *   )
+ */
+function setupContractV4(
+  targetBchWeightBps,
+  { tokens, aliceTokens = 0n, nft = true }
+) {
+  const walletUtxos = [{ sats: 4_000n }];
+  if (aliceTokens > 0n) {
+    walletUtxos.unshift({
+      sats: TOKEN_OUTPUT_SATS,
+      token: ftToken(FT_CATEGORY, aliceTokens),
+    });
+  }
+  if (nft) walletUtxos.unshift({ sats: 2_000n, token: nftToken(NFT_CATEGORY) });
+
+  return setupContract(
+    artifactV4,
+    [
+      beHexToVmBytes(FT_CATEGORY), // bytes tokenCategory (VM-order)
+      targetBchWeightBps, // int targetBchWeightBps
+      beHexToVmBytes(NFT_CATEGORY), // bytes rebalancerNftCat (reserved)
+      `0x${NFT_COMMIT_RAW}`, // bytes rebalancerNftCommit
+      alicePkh, // bytes20 ownerPkh
+    ],
+    {
+      contractUtxos: [
+        { sats: 100_000_000n, token: ftToken(FT_CATEGORY, tokens) },
+      ],
+      walletUtxos,
+    }
+  );
+}
+
+/**
+ * rebalance() leaving the contract `newBch` + `newTokens`, with `withdraw`
+ * FT and Alice's NFT (if she has it) going back to her.
+ */
+function buildV4Tx(setup, { newTokens, newBch = 100_000_000n, withdraw = 0n }) {
+  const walletTokenOutputs = setup.walletUtxos
+    .filter((u) => u.token?.nft)
+    .map((u) => u.token);
+  if (withdraw > 0n) walletTokenOutputs.unshift(ftToken(FT_CATEGORY, withdraw));
+
+  return buildRebalanceTx(setup, {
+    unlockArgs: [ORACLE_PRICE_RAW],
+    contractOutputs: [{ sats: newBch, token: ftToken(FT_CATEGORY, newTokens) }],
+    walletTokenOutputs,
+  });
+}
+
+// -----------------------------------------------------------------------------
+// TEST 1 – 60/40: withdraw step from the shared helper passes
+// -----------------------------------------------------------------------------
+
+test("MeanRevertV4: 60/40 withdraw towards target weight passes", async () => {
+  // 1 BCH @ $100 vs 200 tokens → FT far above its 40% share.
+  const setup = setupContractV4(6_000n, { tokens: 200n });
+
+  const r = chooseNewTokenAmountMeanRevert(
+    100_000_000n,
+    200n,
+    ORACLE_PRICE_RAW,
+    6_000n
+  );
+
+  assert.equal(r.direction, "withdraw");
+  assert.equal(r.newTokens, 133n);
+  assert.ok(r.D_after < r.D_before);
+
+  const txDetails = await buildV4Tx(setup, {
+    newTokens: r.newTokens,
+    withdraw: r.stepTokens,
+  }).send();
+
+  assert.ok(txDetails, "V4 should accept a step towards 60/40");
+});
+
+// -----------------------------------------------------------------------------
+// TEST 2 – 60/40: a move towards 1:1 that leaves 60/40 is rejected
+// -----------------------------------------------------------------------------
+
+test("MeanRevertV4: 60/40 rejects a deposit that only helps a 1:1 split", async () => {
+  // 1 BCH + 60 FT → 1 BCH + 90 FT.
+  // V3 (1:1) would accept this (D 40 → 10), but for 60/40 the target is
+  // ~66.67 FT, so 90 FT is further away (D 40_000 → 140_000).
+  const setup = setupContractV4(6_000n, { tokens: 60n, aliceTokens: 30n });
+
+  const oldBch = 100_000_000n;
+  assert.ok(
+    imbalance(oldBch, 90n, ORACLE_PRICE_RAW) <
+      imbalance(oldBch, 60n, ORACLE_PRICE_RAW),
+    "Sanity: the move improves a 1:1 split"
+  );
+  assert.ok(
+    imbalance(oldBch, 90n, ORACLE_PRICE_RAW, 6_000n) >
+      imbalance(oldBch, 60n, ORACLE_PRICE_RAW, 6_000n),
+    "Sanity: the move worsens a 60/40 split"
+  );
+
+  await assert.rejects(
+    buildV4Tx(setup, { newTokens: 90n }).send(),
+    undefined,
+    "V4 must reject a deposit that moves away from 60/40"
+  );
+});
+
+// -----------------------------------------------------------------------------
+// TEST 3 – 70/30: swap selling BCH for FT passes
+// -----------------------------------------------------------------------------
+
+test("MeanRevertV4: 70/30 swap selling BCH for FT passes", async () => {
+  // 1 BCH @ $100 vs 10 tokens: total $110 → target $77 BCH / $33 FT.
+  const setup = setupContractV4(7_000n, { tokens: 10n, aliceTokens: 23n });
+
+  const swap = chooseSwapMeanRevert(
+    100_000_000n,
+    10n,
+    ORACLE_PRICE_RAW,
+    7_000n
+  );
+
+  assert.equal(swap.direction, "sellBch");
+  assert.equal(swap.stepTokens, 23n);
+  assert.equal(swap.newBch, 77_000_000n);
+  assert.equal(swap.D_after, 0n);
+
+  const txDetails = await buildV4Tx(setup, {
+    newTokens: swap.newTokens,
+    newBch: swap.newBch,
+  }).send();
+
+  assert.ok(txDetails, "V4 should accept a swap landing on 70/30");
+});
+
+// -----------------------------------------------------------------------------
+// TEST 4 – 70/30: deposit that overshoots the FT share is rejected
+// -----------------------------------------------------------------------------
+
+test("MeanRevertV4: 70/30 deposit that overshoots the FT share fails", async () => {
+  // 1 BCH + 10 FT → 1 BCH + 100 FT: D 230_000 → 400_000.
+  const setup = setupContractV4(7_000n, { tokens: 10n, aliceTokens: 90n });
+
+  await assert.rejects(
+    buildV4Tx(setup, { newTokens: 100n }).send(),
+    undefined,
+    "V4 must reject a deposit that overshoots 70/30"
+  );
+});
+
+// -----------------------------------------------------------------------------
+// TEST 5 – weight outside 0..10000 makes rebalance() unusable
+// -----------------------------------------------------------------------------
+
+test("MeanRevertV4: targetBchWeightBps above 10000 is rejected", async () => {
+  const setup = setupContractV4(10_001n, { tokens: 200n });
+
+  await assert.rejects(
+    buildV4Tx(setup, { newTokens: 100n, withdraw: 100n }).send(),
+    undefined,
+    "V4 must reject rebalances when the target weight is invalid"
+  );
+});
+
+// -----------------------------------------------------------------------------
+// TEST 6 – rebalance() still requires the NFT authority
+// -----------------------------------------------------------------------------
+
+test("MeanRevertV4: rebalance() still requires NFT authority UTXO", async () => {
+  const setup = setupContractV4(6_000n, { tokens: 200n, nft: false });
+
+  await assert.rejects(
+    buildV4Tx(setup, { newTokens: 133n, withdraw: 67n }).send(),
+    undefined,
+    "V4 must reject rebalance without the NFT authority input"
+  );
+});
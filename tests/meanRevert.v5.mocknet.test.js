@@ -0,0 +1,147 @@
+// tests/meanRevert.v5.mocknet.test.js
+//
+// Behavioural tests for MeanRevertSingleTokenNFTAuthV5.cash
+// – V4 weighting plus an on-chain cooldown: rebalance() requires
+//   this.age >= minAgeBlocks, i.e. a BIP68 sequence number on every
+//   contract input.
+
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { alicePkh } from "../common.js";
+import { chooseNewTokenAmountMeanRevert } from "../meanRevertMath.js";
+import { sequenceForMinAge } from "../rebalanceCooldown.js";
+import {
+  ORACLE_PRICE_RAW,
+  NFT_COMMIT_RAW,
+  beHexToVmBytes,
+  randomCategory,
+  ftToken,
+  nftToken,
+  compileContract,
+  setupContract,
+  buildRebalanceTx,
+} from "./mocknetFixtures.js";
+
+// -----------------------------------------------------------------------------
+// Constants
+// -----------------------------------------------------------------------------
+
+const TARGET_BCH_WEIGHT_BPS = 5_000n;
+const MIN_AGE_BLOCKS = 6n;
+
+// -----------------------------------------------------------------------------
+// Helpers
+// -----------------------------------------------------------------------------
+
+const FT_CATEGORY = randomCategory();
+const NFT_CATEGORY = randomCategory();
+
+const artifactV5 = compileContract("MeanRevertSingleTokenNFTAuthV5");
+
+/**
+ * Instantiate V5 contract with 1 BCH + 200 FT, plus Alice's NFT authority
+ * and a funding UTXO.
+ *
+ * V5 signature:
+ *   contract MeanRevertSingleTokenNFTAuthV5(
+ *     bytes   tokenCategory,
+ *     int     targetBchWeightBps,
+ *     int     minAgeBlocks,
+ *     bytes   rebalancerNftCat,
+ *     bytes   rebalancerNftCommit,
+ *     bytes20 ownerPkh
+ *   )
+ */
+function setupContractV5() {
+  return setupContract(
+    artifactV5,
+    [
+      beHexToVmBytes(FT_CATEGORY), // bytes tokenCategory (VM-order)
+      TARGET_BCH_WEIGHT_BPS, // int targetBchWeightBps
+      MIN_AGE_BLOCKS, // int minAgeBlocks
+      beHexToVmBytes(NFT_CATEGORY), // bytes rebalancerNftCat (reserved)
+      `0x${NFT_COMMIT_RAW}`, // bytes rebalancerNftCommit
+      alicePkh, // bytes20 ownerPkh
+    ],
+    {
+      contractUtxos: [{ sats: 100_000_000n, token: ftToken(FT_CATEGORY, 200n) }],
+      walletUtxos: [
+        { sats: 2_000n, token: nftToken(NFT_CATEGORY) },
+        { sats: 4_000n },
+      ],
+    }
+  );
+}
+
+/**
+ * FT-only withdraw towards 50/50, with `sequence` on the contract input.
+ */
+function buildWithdrawTx(setup, sequence) {
+  const [contractFtUtxo] = setup.contractUtxos;
+  const r = chooseNewTokenAmountMeanRevert(
+    contractFtUtxo.satoshis,
+    contractFtUtxo.token.amount,
+    ORACLE_PRICE_RAW,
+    TARGET_BCH_WEIGHT_BPS
+  );
+  assert.equal(r.direction, "withdraw");
+
+  return buildRebalanceTx(setup, {
+    unlockArgs: [ORACLE_PRICE_RAW],
+    sequence,
+    contractOutputs: [
+      {
+        sats: contractFtUtxo.satoshis,
+        token: ftToken(FT_CATEGORY, r.newTokens),
+      },
+    ],
+    walletTokenOutputs: [
+      ftToken(FT_CATEGORY, r.stepTokens),
+      nftToken(NFT_CATEGORY),
+    ],
+  });
+}
+
+// -----------------------------------------------------------------------------
+// TEST 1 – the minimum-age sequence unlocks rebalance()
+// -----------------------------------------------------------------------------
+
+test("MeanRevertV5: rebalance with the min-age sequence passes", async () => {
+  const setup = setupContractV5();
+
+  const txDetails = await buildWithdrawTx(
+    setup,
+    sequenceForMinAge(MIN_AGE_BLOCKS)
+  ).send();
+
+  assert.ok(txDetails, "V5 should accept a rebalance carrying the sequence lock");
+});
+
+// -----------------------------------------------------------------------------
+// TEST 2 – without the sequence the same rebalance fails
+// -----------------------------------------------------------------------------
+
+test("MeanRevertV5: rebalance without a sequence lock fails", async () => {
+  const setup = setupContractV5();
+
+  await assert.rejects(
+    buildWithdrawTx(setup).send(),
+    undefined,
+    "V5 must reject a rebalance whose contract input has no relative lock"
+  );
+});
+
+// -----------------------------------------------------------------------------
+// TEST 3 – a shorter lock than minAgeBlocks fails
+// -----------------------------------------------------------------------------
+
+test("MeanRevertV5: rebalance with a too-short sequence lock fails", async () => {
+  const setup = setupContractV5();
+
+  await assert.rejects(
+    buildWithdrawTx(setup, sequenceForMinAge(MIN_AGE_BLOCKS - 1n)).send(),
+    undefined,
+    "V5 must reject a rebalance locked for fewer than minAgeBlocks"
+  );
+});
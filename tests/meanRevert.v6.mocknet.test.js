@@ -0,0 +1,538 @@
+// tests/meanRevert.v6.mocknet.test.js
+//
+// Behavioural tests for MeanRevertSingleTokenNFTAuthV6.cash
+// – V5 with the oracle price verified on-chain: rebalance() takes the
+//   oracle's signed 16-byte message, checks it with checkDataSig against
+//   the constructor's oracle key and measures its age against tx.locktime.
+//   The oracle state NFT it spends and recreates only lets a message newer
+//   than the last one used through. Messages are signed locally with a
+//   throwaway oracle key.
+//
+// The last tests run scripts/rebalanceWithOracle.js against V6; the
+// contract's oracle key and state category come from ORACLE_PUBLIC_KEY_HEX
+// and ORACLE_STATE_CATEGORY_HEX, so config.js and everything that reads
+// them are imported after setting them.
+
+import test, { after } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+import { randomUtxo } from "cashscript";
+import { secp256k1, hexToBin, binToHex } from "@bitauth/libauth";
+
+import { alicePkh, aliceTokenAddress, aliceAddress } from "../common.js";
+import { chooseNewTokenAmountMeanRevert } from "../meanRevertMath.js";
+import { sequenceForMinAge } from "../rebalanceCooldown.js";
+import {
+  encodePriceMessageHex,
+  encodeMetadataMessageHex,
+} from "../oracles/priceCodec.js";
+import { signOracleMessage } from "../oracles/oracleSignature.js";
+import { chooseOracleLocktime } from "../onchainOracle.js";
+import {
+  oracleStateToken,
+  oracleStateCommitment,
+  oracleStateTimestamp,
+  findOracleState,
+} from "../oracleState.js";
+import { LocalStandInProvider } from "../localStandInProvider.js";
+
+// -----------------------------------------------------------------------------
+// Constants
+// -----------------------------------------------------------------------------
+
+const TARGET_BCH_WEIGHT_BPS = 5_000n;
+const MIN_AGE_BLOCKS = 6n;
+const MAX_LOCKTIME_GAP_SECONDS = 600n;
+const MESSAGE_TIMESTAMP = 1_760_000_000;
+
+const oraclePriv = hexToBin("66".repeat(32));
+const otherPriv = hexToBin("67".repeat(32));
+const ORACLE_PUBKEY = binToHex(secp256k1.derivePublicKeyCompressed(oraclePriv));
+
+// Big-endian, as on UTXOs and outputs.
+const SCRIPT_STATE_CATEGORY = randomUtxo().txid;
+
+process.env.ORACLE_PUBLIC_KEY_HEX = ORACLE_PUBKEY;
+process.env.ORACLE_STATE_CATEGORY_HEX = SCRIPT_STATE_CATEGORY;
+const { FT_CATEGORY_HEX, NFT_CATEGORY_HEX, REBALANCER_NFT_COMMITMENT_HEX } =
+  await import("../config.js");
+const { getMeanRevertContract } = await import("../meanRevertContract.js");
+const { runRebalanceWithOracle } = await import(
+  "../scripts/rebalanceWithOracle.js"
+);
+const {
+  ORACLE_PRICE_RAW,
+  NFT_COMMIT_RAW,
+  beHexToVmBytes,
+  randomCategory,
+  ftToken,
+  nftToken,
+  oracleState,
+  compileContract,
+  signPriceMessage,
+  setupContract,
+  buildRebalanceTx,
+} = await import("./mocknetFixtures.js");
+
+// -----------------------------------------------------------------------------
+// Helpers
+// -----------------------------------------------------------------------------
+
+const FT_CATEGORY = randomCategory();
+const NFT_CATEGORY = randomCategory();
+const STATE_CATEGORY = randomCategory();
+
+const artifactV6 = compileContract("MeanRevertSingleTokenNFTAuthV6");
+
+/**
+ * A price message signed by `priv` (default: the contract's oracle), as
+ * rebalance() arguments.
+ */
+const signedPrice = (fields = {}, priv = oraclePriv) =>
+  signPriceMessage(priv, { timestamp: MESSAGE_TIMESTAMP, ...fields }).unlockArgs;
+
+// The state NFT commitment a rebalance with `oracleArgs` writes.
+const commitmentOf = ([message]) => oracleStateCommitment(binToHex(message));
+
+/**
+ * Instantiate V6 contract with 1 BCH + 200 FT and its oracle state NFT at
+ * `stateCommitment` (default: no message used yet), plus Alice's NFT
+ * authority and a funding UTXO.
+ *
+ * V6 signature:
+ *   contract MeanRevertSingleTokenNFTAuthV6(
+ *     bytes   tokenCategory,
+ *     int     targetBchWeightBps,
+ *     int     minAgeBlocks,
+ *     pubkey  oraclePublicKey,
+ *     int     maxLocktimeGapSeconds,
+ *     bytes   oracleStateCat,
+ *     bytes   rebalancerNftCat,
+ *     bytes   rebalancerNftCommit,
+ *     bytes20 ownerPkh
+ *   )
+ */
+function setupContractV6({ stateCommitment } = {}) {
+  return setupContract(
+    artifactV6,
+    [
+      beHexToVmBytes(FT_CATEGORY), // bytes tokenCategory (VM-order)
+      TARGET_BCH_WEIGHT_BPS, // int targetBchWeightBps
+      MIN_AGE_BLOCKS, // int minAgeBlocks
+      `0x${ORACLE_PUBKEY}`, // pubkey oraclePublicKey
+      MAX_LOCKTIME_GAP_SECONDS, // int maxLocktimeGapSeconds
+      beHexToVmBytes(STATE_CATEGORY), // bytes oracleStateCat (VM-order)
+      beHexToVmBytes(NFT_CATEGORY), // bytes rebalancerNftCat (reserved)
+      `0x${NFT_COMMIT_RAW}`, // bytes rebalancerNftCommit
+      alicePkh, // bytes20 ownerPkh
+    ],
+    {
+      contractUtxos: [
+        { sats: 100_000_000n, token: ftToken(FT_CATEGORY, 200n) },
+        oracleState(STATE_CATEGORY, stateCommitment),
+      ],
+      walletUtxos: [
+        { sats: 2_000n, token: nftToken(NFT_CATEGORY) },
+        { sats: 4_000n },
+      ],
+    }
+  );
+}
+
+/**
+ * FT-only withdraw towards 50/50 at ORACLE_PRICE_RAW, unlocked with
+ * `oracleArgs` ([message, signature]) and the given locktime. The state
+ * NFT goes back to the contract at `stateCommitment` (default: the
+ * message's timestamp).
+ */
+function buildWithdrawTx(
+  setup,
+  oracleArgs,
+  {
+    locktime = MESSAGE_TIMESTAMP,
+    stateCommitment = commitmentOf(oracleArgs),
+  } = {}
+) {
+  const [contractFtUtxo] = setup.contractUtxos;
+  const r = chooseNewTokenAmountMeanRevert(
+    contractFtUtxo.satoshis,
+    contractFtUtxo.token.amount,
+    ORACLE_PRICE_RAW,
+    TARGET_BCH_WEIGHT_BPS
+  );
+  assert.equal(r.direction, "withdraw");
+
+  return buildRebalanceTx(setup, {
+    unlockArgs: oracleArgs,
+    sequence: sequenceForMinAge(MIN_AGE_BLOCKS),
+    locktime,
+    contractOutputs: [
+      {
+        sats: contractFtUtxo.satoshis,
+        token: ftToken(FT_CATEGORY, r.newTokens),
+      },
+      oracleState(STATE_CATEGORY, stateCommitment),
+    ],
+    walletTokenOutputs: [
+      ftToken(FT_CATEGORY, r.stepTokens),
+      nftToken(NFT_CATEGORY),
+    ],
+  });
+}
+
+// -----------------------------------------------------------------------------
+// TEST 1 – a fresh message signed by the oracle unlocks rebalance()
+// -----------------------------------------------------------------------------
+
+test("MeanRevertV6: rebalance with a signed oracle message passes", async () => {
+  const setup = setupContractV6();
+
+  const txDetails = await buildWithdrawTx(setup, signedPrice(), {
+    locktime: MESSAGE_TIMESTAMP + Number(MAX_LOCKTIME_GAP_SECONDS),
+  }).send();
+
+  assert.ok(txDetails, "V6 should accept a rebalance at the signed price");
+});
+
+// -----------------------------------------------------------------------------
+// TEST 2 – messages the oracle did not sign fail
+// -----------------------------------------------------------------------------
+
+test("MeanRevertV6: a tampered or foreign oracle message fails", async () => {
+  // The signature of the real message, with a different price.
+  const tampered = [
+    signedPrice({ priceRaw: 20_000 })[0],
+    signedPrice()[1],
+  ];
+  await assert.rejects(
+    buildWithdrawTx(setupContractV6(), tampered).send(),
+    undefined,
+    "V6 must reject a message whose signature does not match"
+  );
+
+  await assert.rejects(
+    buildWithdrawTx(setupContractV6(), signedPrice({}, otherPriv)).send(),
+    undefined,
+    "V6 must reject a message signed by another key"
+  );
+});
+
+// -----------------------------------------------------------------------------
+// TEST 3 – the price is the signed one
+// -----------------------------------------------------------------------------
+
+test("MeanRevertV6: a withdraw the signed price does not justify fails", async () => {
+  // At 1000.00 USD/BCH the BCH leg is overweight, so sending FT out of
+  // the contract makes the imbalance worse.
+  await assert.rejects(
+    buildWithdrawTx(setupContractV6(), signedPrice({ priceRaw: 100_000 })).send(),
+    undefined,
+    "V6 must check the invariant at the price in the message"
+  );
+});
+
+// -----------------------------------------------------------------------------
+// TEST 4 – signed metadata is not a price
+// -----------------------------------------------------------------------------
+
+test("MeanRevertV6: a signed metadata message fails", async () => {
+  const messageHex = encodeMetadataMessageHex({
+    timestamp: MESSAGE_TIMESTAMP,
+    messageSequence: 1,
+    metadataType: -6, // ATTESTATION_SCALING
+    value: 9999, // 4 bytes, so the message is 16 like a price
+  });
+  assert.equal(messageHex.length, 32);
+
+  await assert.rejects(
+    buildWithdrawTx(setupContractV6(), [
+      hexToBin(messageHex),
+      hexToBin(signOracleMessage(messageHex, oraclePriv)),
+    ]).send(),
+    undefined,
+    "V6 must reject a message with a negative data sequence"
+  );
+});
+
+// -----------------------------------------------------------------------------
+// TEST 5 – locktime gap
+// -----------------------------------------------------------------------------
+
+test("MeanRevertV6: a locktime too far after the message fails", async () => {
+  await assert.rejects(
+    buildWithdrawTx(setupContractV6(), signedPrice(), {
+      locktime: MESSAGE_TIMESTAMP + Number(MAX_LOCKTIME_GAP_SECONDS) + 1,
+    }).send(),
+    undefined,
+    "V6 must reject a locktime more than maxLocktimeGapSeconds after the message"
+  );
+
+  await assert.rejects(
+    buildWithdrawTx(setupContractV6(), signedPrice(), {
+      locktime: 800_000,
+    }).send(),
+    undefined,
+    "V6 must reject a block-height locktime"
+  );
+});
+
+// -----------------------------------------------------------------------------
+// TEST 6 – the scripts' locktime: the chain's median time past - 1
+// -----------------------------------------------------------------------------
+
+test("MeanRevertV6: the locktime gap is measured from MTP - 1, not the clock", async () => {
+  // The MTP runs about an hour behind the clock, so a fresh message is
+  // newer than the locktime: the gap check passes without bounding its age.
+  const behind = chooseOracleLocktime({
+    messageTimestamp: MESSAGE_TIMESTAMP,
+    medianTimePast: MESSAGE_TIMESTAMP - 3_600,
+  });
+  assert.equal(behind, MESSAGE_TIMESTAMP - 3_601);
+  assert.ok(
+    await buildWithdrawTx(setupContractV6(), signedPrice(), {
+      locktime: behind,
+    }).send(),
+    "V6 should accept a message newer than MTP - 1"
+  );
+
+  // Only MTP - 1 more than maxLocktimeGapSeconds after the message fails.
+  const stale = chooseOracleLocktime({
+    messageTimestamp: MESSAGE_TIMESTAMP,
+    medianTimePast: MESSAGE_TIMESTAMP + Number(MAX_LOCKTIME_GAP_SECONDS) + 2,
+  });
+  await assert.rejects(
+    buildWithdrawTx(setupContractV6(), signedPrice(), {
+      locktime: stale,
+    }).send(),
+    undefined,
+    "V6 must reject a locktime (MTP - 1) more than maxLocktimeGapSeconds after the message"
+  );
+});
+
+// -----------------------------------------------------------------------------
+// TEST 7 – the oracle state NFT: strictly newer messages only
+// -----------------------------------------------------------------------------
+
+test("MeanRevertV6: a message no newer than the state NFT's fails, whatever the locktime", async () => {
+  const used = commitmentOf(signedPrice());
+
+  await assert.rejects(
+    buildWithdrawTx(
+      setupContractV6({ stateCommitment: used }),
+      signedPrice()
+    ).send(),
+    undefined,
+    "V6 must reject a message that was already used"
+  );
+
+  // An older message with a locktime back-dated to match passes the age
+  // check; the state NFT still refuses it.
+  const older = MESSAGE_TIMESTAMP - 3_600;
+  await assert.rejects(
+    buildWithdrawTx(
+      setupContractV6({ stateCommitment: used }),
+      signedPrice({ timestamp: older }),
+      { locktime: older }
+    ).send(),
+    undefined,
+    "V6 must reject a message older than the last one used"
+  );
+
+  assert.ok(
+    await buildWithdrawTx(
+      setupContractV6({ stateCommitment: used }),
+      signedPrice({ timestamp: MESSAGE_TIMESTAMP + 1 }),
+      { locktime: MESSAGE_TIMESTAMP + 1 }
+    ).send(),
+    "V6 should accept the next message"
+  );
+});
+
+test("MeanRevertV6: the state NFT must come back with the message's timestamp", async () => {
+  const setup = setupContractV6();
+  await assert.rejects(
+    buildWithdrawTx(setup, signedPrice(), {
+      stateCommitment: commitmentOf(signedPrice({ timestamp: 1 })),
+    }).send(),
+    undefined,
+    "V6 must reject a state NFT that does not record the message"
+  );
+
+  // Leaving the state NFT unspent.
+  const [portfolioUtxo] = setup.contractUtxos;
+  await assert.rejects(
+    buildWithdrawTx(
+      { ...setup, contractUtxos: [portfolioUtxo] },
+      signedPrice()
+    ).send(),
+    undefined,
+    "V6 must reject a rebalance that does not spend the state NFT"
+  );
+});
+
+// -----------------------------------------------------------------------------
+// TEST 8 – the rebalance script builds V6 transactions
+// -----------------------------------------------------------------------------
+
+const journalDir = mkdtempSync(join(tmpdir(), "v6-rebalance-"));
+after(() => rmSync(journalDir, { recursive: true, force: true }));
+const journalPath = join(journalDir, "trade-journal.jsonl");
+
+// What fetchAggregatedOraclePrice would return for a locally signed message.
+function oracleSnapshot(fields = {}, priv = oraclePriv) {
+  const message = {
+    timestamp: Math.floor(Date.now() / 1000),
+    messageSequence: 100,
+    dataSequence: 90,
+    priceRaw: Number(ORACLE_PRICE_RAW),
+    ...fields,
+  };
+  const rawMessage = encodePriceMessageHex(message);
+  return {
+    ...message,
+    oraclePubKey: binToHex(secp256k1.derivePublicKeyCompressed(priv)),
+    rawMessage,
+    signature: signOracleMessage(rawMessage, priv),
+    priceScale: 100,
+    priceValue: message.priceRaw / 100,
+    assetPair: "BCH/USD",
+  };
+}
+
+// 1 BCH ($100) vs 200 FT on the V6 contract with its state NFT at
+// `stateCommitment`, and Alice's NFT and BCH.
+function setupScriptPortfolio({ stateCommitment } = {}) {
+  const provider = new LocalStandInProvider();
+  const { contract } = getMeanRevertContract(provider, "v6");
+  provider.addUtxo(contract.tokenAddress, {
+    ...randomUtxo(),
+    satoshis: 100_000_000n,
+    token: { category: FT_CATEGORY_HEX, amount: 200n },
+  });
+  provider.addUtxo(contract.tokenAddress, {
+    ...randomUtxo(),
+    satoshis: 1_000n,
+    token: oracleStateToken(SCRIPT_STATE_CATEGORY, stateCommitment),
+  });
+  provider.addUtxo(aliceTokenAddress, {
+    ...randomUtxo(),
+    satoshis: 2_000n,
+    token: {
+      category: NFT_CATEGORY_HEX,
+      amount: 0n,
+      nft: { capability: "none", commitment: REBALANCER_NFT_COMMITMENT_HEX },
+    },
+  });
+  provider.addUtxo(aliceAddress, { ...randomUtxo(), satoshis: 5_000_000n });
+  return { provider, contract };
+}
+
+// Satoshis on the contract and Alice's addresses, each UTXO counted once.
+async function portfolioSats(provider, contract) {
+  const seen = new Map();
+  for (const address of [contract.tokenAddress, aliceTokenAddress, aliceAddress]) {
+    for (const u of await provider.getUtxos(address)) {
+      seen.set(`${u.txid}:${u.vout}`, u.satoshis);
+    }
+  }
+  return [...seen.values()].reduce((s, v) => s + v, 0n);
+}
+
+const rebalance = (provider, snapshot, extra = {}) =>
+  runRebalanceWithOracle({
+    version: "v6",
+    provider,
+    fetchPrice: async () => snapshot,
+    journalPath,
+    portfolio: { outpoints: null, merge: false },
+    ...extra,
+  });
+
+test("rebalanceWithOracle: V6 spends the signed message", async (t) => {
+  await t.test("broadcasts with the message's timestamp as locktime", async () => {
+    const { provider, contract } = setupScriptPortfolio();
+    const snapshot = oracleSnapshot();
+
+    const result = await rebalance(provider, snapshot);
+    assert.equal(result.status, "broadcast");
+
+    const [hex] = provider.broadcasts;
+    assert.equal(
+      Buffer.from(hex.slice(-8), "hex").readUInt32LE(0),
+      snapshot.timestamp
+    );
+    assert.ok(hex.includes(snapshot.rawMessage));
+    assert.ok(hex.includes(snapshot.signature));
+
+    // The state NFT is back on the contract, recording the message.
+    const state = findOracleState(
+      await provider.getUtxos(contract.tokenAddress),
+      SCRIPT_STATE_CATEGORY
+    );
+    assert.equal(oracleStateTimestamp(state), snapshot.timestamp);
+  });
+
+  await t.test("reports the fee the transaction paid", async () => {
+    const { provider, contract } = setupScriptPortfolio();
+    const before = await portfolioSats(provider, contract);
+
+    const result = await rebalance(provider, oracleSnapshot());
+    assert.equal(result.status, "broadcast");
+
+    // Everything not paid as fee stays on the contract or with Alice,
+    // including the state NFT's satoshis.
+    assert.ok(result.feeSats > 0n);
+    assert.equal(result.feeSats, before - (await portfolioSats(provider, contract)));
+  });
+
+  await t.test("the dry-run plan shows the locktime and its gap to the message", async () => {
+    const { provider } = setupScriptPortfolio();
+    const snapshot = oracleSnapshot();
+
+    const { plan } = await rebalance(provider, snapshot, { dryRun: true });
+    const { state, ...onchain } = plan.oracle.onchain;
+    assert.deepEqual(onchain, {
+      locktime: snapshot.timestamp,
+      medianTimePast: null,
+      locktimeGap: 0,
+      maxLocktimeGapSeconds: 600n,
+    });
+    assert.equal(state.lastTimestamp, 0);
+    assert.equal(state.commitment, oracleStateCommitment(snapshot.rawMessage));
+    assert.equal(provider.broadcasts.length, 0);
+  });
+
+  await t.test("skips until the oracle publishes a newer message", async () => {
+    const snapshot = oracleSnapshot();
+    const { provider } = setupScriptPortfolio({
+      stateCommitment: oracleStateCommitment(snapshot.rawMessage),
+    });
+
+    const result = await rebalance(provider, snapshot);
+    assert.equal(result.status, "skipped");
+    assert.match(result.reason, /no oracle message since the last rebalance/);
+    assert.equal(provider.broadcasts.length, 0);
+  });
+
+  await t.test("refuses messages the contract would reject", async () => {
+    const { provider } = setupScriptPortfolio();
+
+    await assert.rejects(
+      rebalance(provider, oracleSnapshot({}, otherPriv)),
+      /contract needs a price signed by its oracle/
+    );
+
+    const tampered = {
+      ...oracleSnapshot(),
+      rawMessage: oracleSnapshot({ priceRaw: 20_000 }).rawMessage,
+    };
+    await assert.rejects(
+      rebalance(provider, tampered),
+      /would reject the oracle message: the signature does not verify/
+    );
+    assert.equal(provider.broadcasts.length, 0);
+  });
+});
@@ -0,0 +1,259 @@
+// tests/meanRevert.v7.mocknet.test.js
+//
+// Behavioural tests for MeanRevertSingleTokenNFTAuthV7.cash
+// – V6 with the stablecoin category enforced: the contract input may only
+//   carry tokenCategory, and only contract outputs of tokenCategory count
+//   as newTokens.
+//
+// Extends V3's "ignores non-stablecoin token categories" test with the
+// cases V6 gets wrong: a foreign FT substituted for the stablecoin, and a
+// foreign FT output placed before the stablecoin one. Each attack is run
+// against V6 first, to show it is one.
+//
+// Categories are given the way the scripts give them: big-endian (txid
+// order) on UTXOs and outputs, VM-order in the constructor. The VM reverses
+// a UTXO's category when the contract reads tx.inputs[i].tokenCategory.
+
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { secp256k1, hexToBin, binToHex } from "@bitauth/libauth";
+
+import { alicePkh } from "../common.js";
+import { imbalance } from "../meanRevertMath.js";
+import { sequenceForMinAge } from "../rebalanceCooldown.js";
+import { oracleStateCommitment } from "../oracleState.js";
+import {
+  TOKEN_OUTPUT_SATS,
+  ORACLE_PRICE_RAW,
+  NFT_COMMIT_RAW,
+  beHexToVmBytes,
+  randomCategory,
+  nftToken,
+  oracleState,
+  compileContract,
+  signPriceMessage,
+  setupContract,
+  buildRebalanceTx,
+} from "./mocknetFixtures.js";
+
+// -----------------------------------------------------------------------------
+// Constants
+// -----------------------------------------------------------------------------
+
+const TARGET_BCH_WEIGHT_BPS = 5_000n;
+const MIN_AGE_BLOCKS = 6n;
+const MAX_LOCKTIME_GAP_SECONDS = 600n;
+const MESSAGE_TIMESTAMP = 1_760_000_000;
+
+const oraclePriv = hexToBin("77".repeat(32));
+const ORACLE_PUBKEY = binToHex(secp256k1.derivePublicKeyCompressed(oraclePriv));
+
+// -----------------------------------------------------------------------------
+// Helpers
+// -----------------------------------------------------------------------------
+
+const FT_CATEGORY = randomCategory();
+const NFT_CATEGORY = randomCategory();
+const FOREIGN_FT_CATEGORY = randomCategory();
+const STATE_CATEGORY = randomCategory();
+
+const artifacts = {
+  v6: compileContract("MeanRevertSingleTokenNFTAuthV6"),
+  v7: compileContract("MeanRevertSingleTokenNFTAuthV7"),
+};
+
+// The oracle's signed price message, as rebalance() arguments.
+const { unlockArgs: oracleArgs, messageHex } = signPriceMessage(oraclePriv, {
+  timestamp: MESSAGE_TIMESTAMP,
+});
+
+/**
+ * Instantiate V6 or V7 (same constructor) with one contract UTXO of
+ * 1 BCH + `contractToken` and the oracle state NFT, plus Alice's NFT
+ * authority, a funding UTXO and, with `aliceForeignTokens`, a foreign FT
+ * UTXO.
+ *
+ *   contract MeanRevertSingleTokenNFTAuthV7(
+ *     bytes   tokenCategory,
+ *     int     targetBchWeightBps,
+ *     int     minAgeBlocks,
+ *     pubkey  oraclePublicKey,
+ *     int     maxLocktimeGapSeconds,
+ *     bytes   oracleStateCat,
+ *     bytes   rebalancerNftCat,
+ *     bytes   rebalancerNftCommit,
+ *     bytes20 ownerPkh
+ *   )
+ */
+function setupContractVersion(
+  version,
+  { contractToken, aliceForeignTokens = 0n }
+) {
+  const walletUtxos = [
+    { sats: 2_000n, token: nftToken(NFT_CATEGORY) },
+    { sats: 4_000n },
+  ];
+  if (aliceForeignTokens > 0n) {
+    walletUtxos.unshift({ sats: 2_000n, token: foreign(aliceForeignTokens) });
+  }
+
+  return setupContract(
+    artifacts[version],
+    [
+      beHexToVmBytes(FT_CATEGORY), // bytes tokenCategory (VM-order)
+      TARGET_BCH_WEIGHT_BPS, // int targetBchWeightBps
+      MIN_AGE_BLOCKS, // int minAgeBlocks
+      `0x${ORACLE_PUBKEY}`, // pubkey oraclePublicKey
+      MAX_LOCKTIME_GAP_SECONDS, // int maxLocktimeGapSeconds
+      beHexToVmBytes(STATE_CATEGORY), // bytes oracleStateCat (VM-order)
+      beHexToVmBytes(NFT_CATEGORY), // bytes rebalancerNftCat (reserved)
+      `0x${NFT_COMMIT_RAW}`, // bytes rebalancerNftCommit
+      alicePkh, // bytes20 ownerPkh
+    ],
+    {
+      contractUtxos: [
+        { sats: 100_000_000n, token: contractToken },
+        oracleState(STATE_CATEGORY),
+      ],
+      walletUtxos,
+    }
+  );
+}
+
+/**
+ * rebalance() spending the contract UTXOs with Alice's inputs, sending
+ * `contractOutputs` and the updated state NFT to the contract and
+ * `aliceTokenOutputs` to Alice, then the NFT and the BCH change back to
+ * Alice.
+ */
+const buildVersionTx = (setup, { contractOutputs, aliceTokenOutputs = [] }) =>
+  buildRebalanceTx(setup, {
+    unlockArgs: oracleArgs,
+    sequence: sequenceForMinAge(MIN_AGE_BLOCKS),
+    locktime: MESSAGE_TIMESTAMP,
+    contractOutputs: [
+      ...contractOutputs,
+      oracleState(STATE_CATEGORY, oracleStateCommitment(messageHex)),
+    ],
+    walletTokenOutputs: [...aliceTokenOutputs, nftToken(NFT_CATEGORY)],
+  });
+
+const stable = (amount) => ({ category: FT_CATEGORY, amount });
+const foreign = (amount) => ({ category: FOREIGN_FT_CATEGORY, amount });
+
+// -----------------------------------------------------------------------------
+// TEST 1 – an honest rebalance still passes
+// -----------------------------------------------------------------------------
+
+test("MeanRevertV7: stablecoin withdraw towards target passes", async () => {
+  // 1 BCH @ $100 vs 150 tokens; 25 tokens out brings it to 100 : 125.
+  const setup = setupContractVersion("v7", { contractToken: stable(150n) });
+
+  const txDetails = await buildVersionTx(setup, {
+    contractOutputs: [{ sats: 100_000_000n, token: stable(125n) }],
+    aliceTokenOutputs: [stable(25n)],
+  }).send();
+
+  assert.ok(txDetails, "V7 should accept a stablecoin rebalance");
+});
+
+// -----------------------------------------------------------------------------
+// TEST 2 – a foreign FT substituted for the stablecoin
+// -----------------------------------------------------------------------------
+
+test("MeanRevertV7: a foreign FT substituted for the stablecoin fails", async () => {
+  // All 150 stablecoin tokens leave; 100 worthless FT take their place.
+  // Counted as the stablecoin, the portfolio looks perfectly balanced.
+  const attack = {
+    contractOutputs: [{ sats: 100_000_000n, token: foreign(100n) }],
+    aliceTokenOutputs: [stable(150n)],
+  };
+  assert.equal(
+    imbalance(100_000_000n, 100n, ORACLE_PRICE_RAW, TARGET_BCH_WEIGHT_BPS),
+    0n
+  );
+  assert.ok(
+    imbalance(100_000_000n, 0n, ORACLE_PRICE_RAW, TARGET_BCH_WEIGHT_BPS) >
+      imbalance(100_000_000n, 150n, ORACLE_PRICE_RAW, TARGET_BCH_WEIGHT_BPS)
+  );
+
+  const v6 = setupContractVersion("v6", {
+    contractToken: stable(150n),
+    aliceForeignTokens: 100n,
+  });
+  assert.ok(
+    await buildVersionTx(v6, attack).send(),
+    "V6 counts the foreign FT as the stablecoin"
+  );
+
+  const v7 = setupContractVersion("v7", {
+    contractToken: stable(150n),
+    aliceForeignTokens: 100n,
+  });
+  await assert.rejects(
+    buildVersionTx(v7, attack).send(),
+    undefined,
+    "V7 must not count a foreign FT output as the stablecoin"
+  );
+});
+
+// -----------------------------------------------------------------------------
+// TEST 3 – foreign FT deposited onto the contract is ignored, in any order
+// -----------------------------------------------------------------------------
+
+test("MeanRevertV7: ignores non-stablecoin outputs, even before the stablecoin", async () => {
+  // Balanced 1 BCH @ $100 vs 100 tokens. Alice deposits 200 foreign FT on
+  // an output of its own, listed first; BCH and stablecoin are unchanged.
+  const deposit = {
+    contractOutputs: [
+      { sats: TOKEN_OUTPUT_SATS, token: foreign(200n) },
+      { sats: 100_000_000n - TOKEN_OUTPUT_SATS, token: stable(100n) },
+    ],
+  };
+
+  const v6 = setupContractVersion("v6", {
+    contractToken: stable(100n),
+    aliceForeignTokens: 200n,
+  });
+  await assert.rejects(
+    buildVersionTx(v6, deposit).send(),
+    undefined,
+    "V6 reads the first token output, the foreign one, as newTokens"
+  );
+
+  const v7 = setupContractVersion("v7", {
+    contractToken: stable(100n),
+    aliceForeignTokens: 200n,
+  });
+  assert.ok(
+    await buildVersionTx(v7, deposit).send(),
+    "V7 should count the stablecoin output and ignore the foreign one"
+  );
+});
+
+// -----------------------------------------------------------------------------
+// TEST 4 – a contract input carrying a foreign FT cannot be rebalanced
+// -----------------------------------------------------------------------------
+
+test("MeanRevertV7: a contract input with a foreign FT fails", async () => {
+  // 250 foreign FT counted as stablecoin make 1 BCH look underweight, so
+  // sending them out looks like an improvement.
+  const move = {
+    contractOutputs: [{ sats: 100_000_000n }],
+    aliceTokenOutputs: [foreign(250n)],
+  };
+
+  const v6 = setupContractVersion("v6", { contractToken: foreign(250n) });
+  assert.ok(
+    await buildVersionTx(v6, move).send(),
+    "V6 reads the foreign FT as oldTokens"
+  );
+
+  const v7 = setupContractVersion("v7", { contractToken: foreign(250n) });
+  await assert.rejects(
+    buildVersionTx(v7, move).send(),
+    undefined,
+    "V7 must reject a contract input of another category (drain() only)"
+  );
+});
@@ -0,0 +1,166 @@
+// tests/meanRevert.v8.mocknet.test.js
+//
+// Behavioural tests for MeanRevertSingleTokenNFTAuthV8.cash
+// – V7 with the rebalancer NFT's category checked: the authority input
+//   must be an NFT of rebalancerNftCat with rebalancerNftCommit, not just
+//   any NFT with that commitment.
+//
+// The forged NFT (a fresh category, commitment "nft0") is run against V7
+// first, to show it is an attack there.
+//
+// Categories are big-endian on UTXOs and outputs and VM-order in the
+// constructor, as the scripts pass them (see meanRevertContract.js).
+
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { secp256k1, hexToBin, binToHex } from "@bitauth/libauth";
+
+import { alicePkh } from "../common.js";
+import { sequenceForMinAge } from "../rebalanceCooldown.js";
+import { oracleStateCommitment } from "../oracleState.js";
+import {
+  NFT_COMMIT_RAW,
+  beHexToVmBytes,
+  randomCategory,
+  ftToken,
+  nftToken,
+  oracleState,
+  compileContract,
+  signPriceMessage,
+  setupContract,
+  buildRebalanceTx,
+} from "./mocknetFixtures.js";
+
+// -----------------------------------------------------------------------------
+// Constants
+// -----------------------------------------------------------------------------
+
+const TARGET_BCH_WEIGHT_BPS = 5_000n;
+const MIN_AGE_BLOCKS = 6n;
+const MAX_LOCKTIME_GAP_SECONDS = 600n;
+const MESSAGE_TIMESTAMP = 1_760_000_000;
+
+const oraclePriv = hexToBin("88".repeat(32));
+const ORACLE_PUBKEY = binToHex(secp256k1.derivePublicKeyCompressed(oraclePriv));
+
+// -----------------------------------------------------------------------------
+// Helpers
+// -----------------------------------------------------------------------------
+
+const FT_CATEGORY = randomCategory();
+const NFT_CATEGORY = randomCategory();
+// Someone else's freshly minted category.
+const FORGED_NFT_CATEGORY = randomCategory();
+const STATE_CATEGORY = randomCategory();
+
+const artifacts = {
+  v7: compileContract("MeanRevertSingleTokenNFTAuthV7"),
+  v8: compileContract("MeanRevertSingleTokenNFTAuthV8"),
+};
+
+// The oracle's signed price message, as rebalance() arguments.
+const { unlockArgs: oracleArgs, messageHex } = signPriceMessage(oraclePriv, {
+  timestamp: MESSAGE_TIMESTAMP,
+});
+
+/**
+ * V7 or V8 (same constructor) with 1 BCH + 150 FT and the oracle state
+ * NFT, and Alice holding
+ * `nft` as her authority UTXO plus a funding UTXO.
+ */
+function setupContractVersion(version, nft) {
+  return setupContract(
+    artifacts[version],
+    [
+      beHexToVmBytes(FT_CATEGORY), // bytes tokenCategory (VM-order)
+      TARGET_BCH_WEIGHT_BPS, // int targetBchWeightBps
+      MIN_AGE_BLOCKS, // int minAgeBlocks
+      `0x${ORACLE_PUBKEY}`, // pubkey oraclePublicKey
+      MAX_LOCKTIME_GAP_SECONDS, // int maxLocktimeGapSeconds
+      beHexToVmBytes(STATE_CATEGORY), // bytes oracleStateCat (VM-order)
+      beHexToVmBytes(NFT_CATEGORY), // bytes rebalancerNftCat (VM-order)
+      `0x${NFT_COMMIT_RAW}`, // bytes rebalancerNftCommit
+      alicePkh, // bytes20 ownerPkh
+    ],
+    {
+      contractUtxos: [
+        { sats: 100_000_000n, token: ftToken(FT_CATEGORY, 150n) },
+        oracleState(STATE_CATEGORY),
+      ],
+      walletUtxos: [{ sats: 2_000n, token: nft }, { sats: 4_000n }],
+    }
+  );
+}
+
+/**
+ * Withdraw 25 FT (150 -> 125, towards 100 : 100) with Alice's NFT as the
+ * authority; the state NFT goes back with the message's timestamp.
+ */
+function buildWithdrawTx(setup) {
+  const [nftUtxo] = setup.walletUtxos;
+  return buildRebalanceTx(setup, {
+    unlockArgs: oracleArgs,
+    sequence: sequenceForMinAge(MIN_AGE_BLOCKS),
+    locktime: MESSAGE_TIMESTAMP,
+    contractOutputs: [
+      { sats: 100_000_000n, token: ftToken(FT_CATEGORY, 125n) },
+      oracleState(STATE_CATEGORY, oracleStateCommitment(messageHex)),
+    ],
+    walletTokenOutputs: [ftToken(FT_CATEGORY, 25n), nftUtxo.token],
+  });
+}
+
+// -----------------------------------------------------------------------------
+// TEST 1 – the real rebalancer NFT authorizes
+// -----------------------------------------------------------------------------
+
+test("MeanRevertV8: rebalance with the real rebalancer NFT passes", async () => {
+  const txDetails = await buildWithdrawTx(
+    setupContractVersion("v8", nftToken(NFT_CATEGORY))
+  ).send();
+
+  assert.ok(txDetails, "V8 should accept the rebalancer NFT");
+});
+
+// -----------------------------------------------------------------------------
+// TEST 2 – a forged NFT with the right commitment
+// -----------------------------------------------------------------------------
+
+test("MeanRevertV8: a forged-category NFT with the right commitment fails", async () => {
+  const forged = nftToken(FORGED_NFT_CATEGORY);
+
+  assert.ok(
+    await buildWithdrawTx(setupContractVersion("v7", forged)).send(),
+    "V7 only compares the commitment"
+  );
+
+  await assert.rejects(
+    buildWithdrawTx(setupContractVersion("v8", forged)).send(),
+    undefined,
+    "V8 must reject an NFT outside rebalancerNftCat"
+  );
+});
+
+// -----------------------------------------------------------------------------
+// TEST 3 – capability byte ignored, commitment still required
+// -----------------------------------------------------------------------------
+
+test("MeanRevertV8: any capability of the category authorizes, other commitments fail", async () => {
+  for (const capability of ["mutable", "minting"]) {
+    assert.ok(
+      await buildWithdrawTx(
+        setupContractVersion("v8", nftToken(NFT_CATEGORY, { capability }))
+      ).send(),
+      `V8 should ignore the ${capability} capability byte`
+    );
+  }
+
+  await assert.rejects(
+    buildWithdrawTx(
+      setupContractVersion("v8", nftToken(NFT_CATEGORY, { commitment: "6e667431" }))
+    ).send(),
+    undefined,
+    "V8 must still require rebalancerNftCommit"
+  );
+});
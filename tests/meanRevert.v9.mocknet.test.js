@@ -0,0 +1,333 @@
+// tests/meanRevert.v9.mocknet.test.js
+//
+// Behavioural tests for MeanRevertSingleTokenNFTAuthV9.cash
+// – V8 with the stablecoin summed over every contract input and output,
+//   like BCH. Split and merged multi-UTXO layouts are run against V8 and
+//   V9 directly, then built by scripts/rebalanceWithOracle.js.
+//
+// The contract's oracle key and state category come from
+// ORACLE_PUBLIC_KEY_HEX and ORACLE_STATE_CATEGORY_HEX, so config.js and
+// everything that reads them are imported after setting them.
+
+import test, { after } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+import { randomUtxo } from "cashscript";
+import { secp256k1, hexToBin, binToHex } from "@bitauth/libauth";
+
+import { alicePkh, aliceTokenAddress, aliceAddress } from "../common.js";
+import { sequenceForMinAge } from "../rebalanceCooldown.js";
+import { summarizePortfolio } from "../portfolioUtxos.js";
+import { LocalStandInProvider } from "../localStandInProvider.js";
+import { oracleStateToken, oracleStateCommitment } from "../oracleState.js";
+
+// -----------------------------------------------------------------------------
+// Constants
+// -----------------------------------------------------------------------------
+
+const TARGET_BCH_WEIGHT_BPS = 5_000n;
+const MIN_AGE_BLOCKS = 6n;
+const MAX_LOCKTIME_GAP_SECONDS = 600n;
+const MESSAGE_TIMESTAMP = 1_760_000_000;
+
+const oraclePriv = hexToBin("99".repeat(32));
+const ORACLE_PUBKEY = binToHex(secp256k1.derivePublicKeyCompressed(oraclePriv));
+
+// Big-endian, as on UTXOs and outputs.
+const SCRIPT_STATE_CATEGORY = randomUtxo().txid;
+
+process.env.ORACLE_PUBLIC_KEY_HEX = ORACLE_PUBKEY;
+process.env.ORACLE_STATE_CATEGORY_HEX = SCRIPT_STATE_CATEGORY;
+const { FT_CATEGORY_HEX, NFT_CATEGORY_HEX, REBALANCER_NFT_COMMITMENT_HEX } =
+  await import("../config.js");
+const { getMeanRevertContract } = await import("../meanRevertContract.js");
+const { runRebalanceWithOracle } = await import(
+  "../scripts/rebalanceWithOracle.js"
+);
+const {
+  ORACLE_PRICE_RAW,
+  NFT_COMMIT_RAW,
+  beHexToVmBytes,
+  randomCategory,
+  ftToken,
+  nftToken,
+  oracleState,
+  compileContract,
+  signPriceMessage,
+  setupContract,
+  buildRebalanceTx,
+} = await import("./mocknetFixtures.js");
+
+// -----------------------------------------------------------------------------
+// Helpers
+// -----------------------------------------------------------------------------
+
+const FT_CATEGORY = randomCategory();
+const NFT_CATEGORY = randomCategory();
+const STATE_CATEGORY = randomCategory();
+
+const artifacts = {
+  v8: compileContract("MeanRevertSingleTokenNFTAuthV8"),
+  v9: compileContract("MeanRevertSingleTokenNFTAuthV9"),
+};
+
+const { unlockArgs: oracleArgs, messageHex } = signPriceMessage(oraclePriv, {
+  timestamp: MESSAGE_TIMESTAMP,
+});
+
+// [{ sats, tokens }] -> the fixture's [{ sats, token }].
+const layout = (entries) =>
+  entries.map(({ sats, tokens }) => ({
+    sats,
+    token: ftToken(FT_CATEGORY, tokens),
+  }));
+
+/**
+ * V8 or V9 (same constructor) holding `portfolio` – [{ sats, tokens }],
+ * one contract UTXO each – and the oracle state NFT, plus Alice's NFT
+ * authority and a funding UTXO.
+ */
+function setupContractVersion(version, portfolio) {
+  return setupContract(
+    artifacts[version],
+    [
+      beHexToVmBytes(FT_CATEGORY), // bytes tokenCategory (VM-order)
+      TARGET_BCH_WEIGHT_BPS, // int targetBchWeightBps
+      MIN_AGE_BLOCKS, // int minAgeBlocks
+      `0x${ORACLE_PUBKEY}`, // pubkey oraclePublicKey
+      MAX_LOCKTIME_GAP_SECONDS, // int maxLocktimeGapSeconds
+      beHexToVmBytes(STATE_CATEGORY), // bytes oracleStateCat (VM-order)
+      beHexToVmBytes(NFT_CATEGORY), // bytes rebalancerNftCat (VM-order)
+      `0x${NFT_COMMIT_RAW}`, // bytes rebalancerNftCommit
+      alicePkh, // bytes20 ownerPkh
+    ],
+    {
+      contractUtxos: [...layout(portfolio), oracleState(STATE_CATEGORY)],
+      walletUtxos: [
+        { sats: 2_000n, token: nftToken(NFT_CATEGORY) },
+        { sats: 4_000n },
+      ],
+    }
+  );
+}
+
+/**
+ * rebalance() spending every contract UTXO into `contractOutputs`
+ * ([{ sats, tokens }]) and the updated state NFT, with `aliceTokens` FT
+ * going to Alice.
+ */
+function buildVersionTx(setup, { contractOutputs, aliceTokens = 0n }) {
+  const walletTokenOutputs = [nftToken(NFT_CATEGORY)];
+  if (aliceTokens > 0n) {
+    walletTokenOutputs.unshift(ftToken(FT_CATEGORY, aliceTokens));
+  }
+  return buildRebalanceTx(setup, {
+    unlockArgs: oracleArgs,
+    sequence: sequenceForMinAge(MIN_AGE_BLOCKS),
+    locktime: MESSAGE_TIMESTAMP,
+    contractOutputs: [
+      ...layout(contractOutputs),
+      oracleState(STATE_CATEGORY, oracleStateCommitment(messageHex)),
+    ],
+    walletTokenOutputs,
+  });
+}
+
+// 1 BCH ($100) vs 150 FT over two contract UTXOs.
+const SPREAD_150 = [
+  { sats: 50_000_000n, tokens: 75n },
+  { sats: 50_000_000n, tokens: 75n },
+];
+
+// -----------------------------------------------------------------------------
+// TEST 1 – split layout: FT spread over the contract outputs
+// -----------------------------------------------------------------------------
+
+test("MeanRevertV9: withdraw into a split layout counts every output", async () => {
+  // 150 -> 100 FT, 50 on each output: D 50 -> 0 for the portfolio.
+  const move = {
+    contractOutputs: [
+      { sats: 50_000_000n, tokens: 50n },
+      { sats: 50_000_000n, tokens: 50n },
+    ],
+    aliceTokens: 50n,
+  };
+
+  // V8 sees 75 FT per input (D_before 25) and 50 FT out (D_after 50).
+  await assert.rejects(
+    buildVersionTx(setupContractVersion("v8", SPREAD_150), move).send(),
+    undefined,
+    "V8 reads only the first token output"
+  );
+
+  assert.ok(
+    await buildVersionTx(setupContractVersion("v9", SPREAD_150), move).send(),
+    "V9 should sum the FT over both outputs"
+  );
+});
+
+// -----------------------------------------------------------------------------
+// TEST 2 – merged layout
+// -----------------------------------------------------------------------------
+
+test("MeanRevertV9: withdraw into one merged output passes", async () => {
+  assert.ok(
+    await buildVersionTx(setupContractVersion("v9", SPREAD_150), {
+      contractOutputs: [{ sats: 100_000_000n, tokens: 100n }],
+      aliceTokens: 50n,
+    }).send(),
+    "V9 should accept the merged layout"
+  );
+});
+
+// -----------------------------------------------------------------------------
+// TEST 3 – FT cannot leave a balanced portfolio
+// -----------------------------------------------------------------------------
+
+test("MeanRevertV9: FT taken from a balanced spread portfolio fails", async () => {
+  // 1 BCH vs 100 FT, 50 on each UTXO: balanced. Each V8 input sees only
+  // its own 50 FT (D_before 50), so leaving 50 FT (D_after 50) passes and
+  // the other 50 go to Alice.
+  const balanced = [
+    { sats: 50_000_000n, tokens: 50n },
+    { sats: 50_000_000n, tokens: 50n },
+  ];
+  const take = {
+    contractOutputs: [
+      { sats: 50_000_000n, tokens: 50n },
+      { sats: 50_000_000n, tokens: 0n },
+    ],
+    aliceTokens: 50n,
+  };
+
+  assert.ok(
+    await buildVersionTx(setupContractVersion("v8", balanced), take).send(),
+    "V8 lets FT leave a balanced portfolio"
+  );
+
+  await assert.rejects(
+    buildVersionTx(setupContractVersion("v9", balanced), take).send(),
+    undefined,
+    "V9 must see the portfolio's D of 0 on every input"
+  );
+});
+
+// -----------------------------------------------------------------------------
+// TEST 4 – the rebalance script lays out V9 portfolios
+// -----------------------------------------------------------------------------
+
+const journalDir = mkdtempSync(join(tmpdir(), "v9-rebalance-"));
+after(() => rmSync(journalDir, { recursive: true, force: true }));
+const journalPath = join(journalDir, "trade-journal.jsonl");
+
+function fetchPrice() {
+  const timestamp = Math.floor(Date.now() / 1000);
+  const signed = signPriceMessage(oraclePriv, { timestamp });
+  return Promise.resolve({
+    oraclePubKey: ORACLE_PUBKEY,
+    rawMessage: signed.messageHex,
+    signature: signed.signatureHex,
+    timestamp,
+    messageSequence: 100,
+    dataSequence: 90,
+    priceRaw: Number(ORACLE_PRICE_RAW),
+    priceScale: 100,
+    priceValue: Number(ORACLE_PRICE_RAW) / 100,
+    assetPair: "BCH/USD",
+  });
+}
+
+// 1 BCH ($100) vs 200 FT on the V9 contract, spread evenly over `count`
+// UTXOs, and its state NFT, with Alice's NFT and BCH.
+function setupScriptPortfolio(count) {
+  const provider = new LocalStandInProvider();
+  const { contract } = getMeanRevertContract(provider, "v9");
+  for (let i = 0; i < count; i++) {
+    provider.addUtxo(contract.tokenAddress, {
+      ...randomUtxo(),
+      satoshis: 100_000_000n / BigInt(count),
+      token: { category: FT_CATEGORY_HEX, amount: 200n / BigInt(count) },
+    });
+  }
+  provider.addUtxo(contract.tokenAddress, {
+    ...randomUtxo(),
+    satoshis: 1_000n,
+    token: oracleStateToken(SCRIPT_STATE_CATEGORY),
+  });
+  provider.addUtxo(aliceTokenAddress, {
+    ...randomUtxo(),
+    satoshis: 2_000n,
+    token: {
+      category: NFT_CATEGORY_HEX,
+      amount: 0n,
+      nft: { capability: "none", commitment: REBALANCER_NFT_COMMITMENT_HEX },
+    },
+  });
+  provider.addUtxo(aliceAddress, { ...randomUtxo(), satoshis: 5_000_000n });
+  return { provider, contract };
+}
+
+test("rebalanceWithOracle: V9 split and merged layouts", async (t) => {
+  await t.test("split: FT spread over one output per spent UTXO", async () => {
+    const { provider, contract } = setupScriptPortfolio(4);
+
+    const result = await runRebalanceWithOracle({
+      version: "v9",
+      provider,
+      fetchPrice,
+      journalPath,
+      portfolio: { outpoints: null, merge: false },
+    });
+    assert.equal(result.status, "broadcast");
+
+    const after = summarizePortfolio(await contract.getUtxos(), FT_CATEGORY_HEX);
+    assert.equal(after.portfolio.length, 4);
+    assert.ok(after.portfolio.every((e) => e.tokens > 0n));
+    assert.ok(after.tokens < 200n);
+    const amounts = after.portfolio.map((e) => e.tokens);
+    assert.ok(
+      amounts.every((a) => a === amounts[0] || a === amounts[0] - 1n),
+      "the FT is split evenly"
+    );
+    assert.equal(after.bchSats, 100_000_000n);
+  });
+
+  await t.test("merged: a single contract output", async () => {
+    const { provider, contract } = setupScriptPortfolio(3);
+
+    const result = await runRebalanceWithOracle({
+      version: "v9",
+      provider,
+      fetchPrice,
+      journalPath,
+      portfolio: { outpoints: null, merge: true },
+    });
+    assert.equal(result.status, "broadcast");
+
+    const after = summarizePortfolio(await contract.getUtxos(), FT_CATEGORY_HEX);
+    assert.equal(after.portfolio.length, 1);
+    assert.ok(after.tokens < 200n);
+  });
+
+  await t.test("dry-run: every input checks the portfolio's tokens", async () => {
+    const { provider } = setupScriptPortfolio(2);
+
+    const { plan } = await runRebalanceWithOracle({
+      version: "v9",
+      provider,
+      fetchPrice,
+      journalPath,
+      dryRun: true,
+      portfolio: { outpoints: null, merge: false },
+    });
+    assert.deepEqual(
+      plan.portfolio.covenantInputs.map((i) => i.tokens),
+      [200n, 200n]
+    );
+    assert.ok(plan.portfolio.contractOutputs.every((o) => o.tokens > 0n));
+    assert.equal(provider.broadcasts.length, 0);
+  });
+});
@@ -0,0 +1,266 @@
+// tests/mockOracle.test.js
+//
+// Mock oracle server: price paths, the message feed, and the real client
+// code (signature checks, metadata, aggregation) running against it over
+// local HTTP.
+
+import test, { after } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { hexToBin } from "@bitauth/libauth";
+
+import {
+  createPricePath,
+  createMockOracle,
+  readReplayPrices,
+  startMockOracleServer,
+} from "../oracles/mockOracle.js";
+import { decodeOracleMessageHex } from "../oracles/priceCodec.js";
+import { verifyOracleSignature } from "../oracles/oracleSignature.js";
+import {
+  fetchLatestOraclePrice,
+  fetchOraclePriceHistory,
+} from "../oracles/fetchOraclePrice.js";
+import { listOracles, fetchOracleMessages } from "../oracles/oraclesClient.js";
+import { fetchAggregatedOraclePrice } from "../oracles/oracleAggregator.js";
+import { runMockOracleServer } from "../scripts/mockOracleServer.js";
+
+const dir = mkdtempSync(join(tmpdir(), "mock-oracle-"));
+after(() => rmSync(dir, { recursive: true, force: true }));
+
+const privateKey = hexToBin("55".repeat(32));
+
+test("createPricePath", async (t) => {
+  await t.test("constant", () => {
+    const path = createPricePath({ kind: "constant", priceRaw: 40_000 });
+    assert.deepEqual([0, 1, 50].map(path), [40_000, 40_000, 40_000]);
+  });
+
+  await t.test("random-walk is seeded and moves at most stepBps", () => {
+    const spec = { kind: "random-walk", priceRaw: 40_000, stepBps: 100, seed: 7 };
+    const a = createPricePath(spec);
+    const b = createPricePath(spec);
+    const walk = Array.from({ length: 200 }, (_, i) => a(i));
+    assert.deepEqual(Array.from({ length: 200 }, (_, i) => b(i)), walk);
+    assert.equal(walk[0], 40_000);
+    assert.ok(new Set(walk).size > 50);
+    for (let i = 1; i < walk.length; i++) {
+      // 1% of the last price, plus rounding.
+      assert.ok(Math.abs(walk[i] - walk[i - 1]) <= walk[i - 1] / 100 + 1);
+    }
+    const other = createPricePath({ ...spec, seed: 8 });
+    assert.notDeepEqual(
+      Array.from({ length: 10 }, (_, i) => other(i)),
+      walk.slice(0, 10)
+    );
+  });
+
+  await t.test("replay holds the last price", () => {
+    const path = createPricePath({ kind: "replay", prices: [1, 2, 3] });
+    assert.deepEqual([0, 1, 2, 3, 9].map(path), [1, 2, 3, 3, 3]);
+  });
+
+  await t.test("bad specs", () => {
+    assert.throws(
+      () => createPricePath({ kind: "sine", priceRaw: 1 }),
+      /Unknown mock oracle price path "sine"/
+    );
+    assert.throws(
+      () => createPricePath({ kind: "constant", priceRaw: 0 }),
+      /positive integer priceRaw/
+    );
+    assert.throws(
+      () => createPricePath({ kind: "replay", prices: [] }),
+      /at least one price/
+    );
+  });
+});
+
+test("readReplayPrices", async () => {
+  const json = join(dir, "prices.json");
+  writeFileSync(json, "[40000, 40100]");
+  assert.deepEqual(await readReplayPrices(json), [40_000, 40_100]);
+
+  const csv = join(dir, "prices.csv");
+  writeFileSync(
+    csv,
+    "# timestamp,priceRaw\r\n1700000000,40000\r\n\r\n1700000060,39950\r\n"
+  );
+  assert.deepEqual(await readReplayPrices(csv), [40_000, 39_950]);
+
+  const bad = join(dir, "bad.txt");
+  writeFileSync(bad, "40000\n400.5\n");
+  await assert.rejects(
+    readReplayPrices(bad),
+    /entry 2 \("400.5"\) is not a positive integer priceRaw/
+  );
+});
+
+test("createMockOracle", async (t) => {
+  let clock = 1_760_000_000_000;
+  const oracle = createMockOracle({
+    privateKey,
+    pricePath: createPricePath({ kind: "replay", prices: [100, 200, 300, 400] }),
+    intervalSeconds: 60,
+    backfill: 2,
+    priceScale: 1000,
+    assetPair: "BCH/EUR",
+    now: () => clock,
+  });
+  const decode = (records) => records.map((r) => decodeOracleMessageHex(r.message));
+
+  await t.test("backfilled prices, newest first, all signed", () => {
+    const records = oracle.queryMessages({ count: 10, minDataSequence: 1 });
+    const prices = decode(records);
+    assert.deepEqual(
+      prices.map((p) => [p.dataSequence, p.priceRaw, p.timestamp]),
+      [
+        [3, 300, 1_760_000_000],
+        [2, 200, 1_759_999_940],
+        [1, 100, 1_759_999_880],
+      ]
+    );
+    for (const r of records) {
+      assert.ok(
+        verifyOracleSignature({
+          messageHex: r.message,
+          signatureHex: r.signature,
+          publicKeyHex: oracle.publicKey,
+        })
+      );
+    }
+  });
+
+  await t.test("a new message once an interval has passed", () => {
+    clock += 59_000;
+    assert.equal(decode(oracle.queryMessages())[0].priceRaw, 300);
+    clock += 1_000;
+    const [latest] = decode(oracle.queryMessages());
+    assert.equal(latest.priceRaw, 400);
+    assert.equal(latest.dataSequence, 4);
+  });
+
+  await t.test("metadata messages by data sequence", () => {
+    const metadata = decode(
+      oracle.queryMessages({ count: 100, maxDataSequence: -1 })
+    );
+    assert.ok(metadata.every((m) => m.kind === "metadata"));
+    const byName = Object.fromEntries(metadata.map((m) => [m.name, m.value]));
+    assert.equal(byName.ATTESTATION_SCALING, 1000);
+    assert.equal(byName.SOURCE_NUMERATOR_UNIT_CODE, "EUR");
+    assert.equal(byName.SOURCE_DENOMINATOR_UNIT_CODE, "BCH");
+  });
+
+  await t.test("sequence and timestamp filters", () => {
+    const prices = (query) =>
+      decode(oracle.queryMessages({ count: 100, minDataSequence: 1, ...query })).map(
+        (m) => m.priceRaw
+      );
+    const [latest] = decode(oracle.queryMessages());
+    assert.deepEqual(
+      prices({ maxMessageSequence: latest.messageSequence - 1 }),
+      [300, 200, 100]
+    );
+    assert.deepEqual(prices({ minMessageTimestamp: 1_759_999_940 }), [400, 300, 200]);
+  });
+});
+
+test("the oracle clients against the mock server", async (t) => {
+  const oracles = ["66", "77"].map((b, i) =>
+    createMockOracle({
+      privateKey: hexToBin(b.repeat(32)),
+      pricePath: createPricePath({
+        kind: "constant",
+        priceRaw: 4_000_000 + i * 100,
+      }),
+      priceScale: 10_000,
+    })
+  );
+  const server = await startMockOracleServer({ oracles });
+  t.after(() => server.close());
+  const apiBaseUrl = server.url;
+  const [a, b] = oracles.map((o) => o.publicKey);
+
+  await t.test("fetchLatestOraclePrice verifies and scales by the metadata", async () => {
+    const snap = await fetchLatestOraclePrice({ publicKey: a, apiBaseUrl });
+    assert.equal(snap.priceRaw, 4_000_000);
+    assert.equal(snap.priceScale, 10_000);
+    assert.equal(snap.priceValue, 400);
+    assert.equal(snap.assetPair, "BCH/USD");
+  });
+
+  await t.test("fetchOraclePriceHistory gets the backfill", async () => {
+    const history = await fetchOraclePriceHistory({
+      publicKey: b,
+      count: 20,
+      apiBaseUrl,
+    });
+    assert.equal(history.length, 20);
+    assert.ok(history.every((h) => h.priceRaw === 4_000_100));
+    assert.ok(history[0].messageSequence < history[19].messageSequence);
+  });
+
+  await t.test("fetchAggregatedOraclePrice over both keys", async () => {
+    const result = await fetchAggregatedOraclePrice({
+      publicKeys: [a, b],
+      maxAgeSeconds: 600,
+      maxLagSeconds: 300,
+      maxDeviationBps: 200,
+      minQuorum: 2,
+      apiBaseUrl,
+    });
+    assert.equal(result.priceRaw, 4_000_000);
+    assert.equal(result.aggregation.accepted, 2);
+  });
+
+  await t.test("listOracles and errors", async () => {
+    const http = { baseUrl: apiBaseUrl };
+    const { oracles: listed } = await listOracles(http);
+    assert.deepEqual(listed.map((o) => o.publicKey), [a, b]);
+
+    await assert.rejects(
+      fetchOracleMessages({ publicKey: "02ab", http }),
+      /Oracle HTTP error 404 .*Unknown oracle publicKey 02ab/
+    );
+    const res = await fetch(
+      `${apiBaseUrl}/api/v1/oracleMessages?publicKey=${a}&count=lots`
+    );
+    assert.equal(res.status, 400);
+    assert.match((await res.json()).error, /count must be an integer/);
+  });
+});
+
+test("runMockOracleServer serves deterministic keys", async () => {
+  const settings = {
+    port: 0,
+    path: "random-walk",
+    priceRaw: 40_000,
+    stepBps: 50,
+    seed: 3,
+    replayFile: "",
+    intervalSeconds: 60,
+    count: 2,
+    priceScale: 100,
+    assetPair: "BCH/USD",
+  };
+  const first = await runMockOracleServer(settings);
+  const keys = first.oracles.map((o) => o.publicKey);
+  const snap = await fetchLatestOraclePrice({
+    publicKey: keys[1],
+    apiBaseUrl: first.url,
+  });
+  await first.close();
+
+  const second = await runMockOracleServer(settings);
+  await second.close();
+  assert.deepEqual(second.oracles.map((o) => o.publicKey), keys);
+  assert.equal(new Set(keys).size, 2);
+  assert.equal(snap.assetPair, "BCH/USD");
+
+  await assert.rejects(
+    runMockOracleServer({ ...settings, path: "replay" }),
+    /MOCK_ORACLE_PATH=replay needs MOCK_ORACLE_REPLAY_FILE/
+  );
+});
@@ -0,0 +1,185 @@
+// tests/mocknetFixtures.js
+//
+// Shared fixture for the V4+ mocknet tests: a contract on a fresh
+// MockNetworkProvider with its UTXOs, a wallet's UTXOs next to it, and a
+// rebalance() transaction over both.
+//
+// Categories are big-endian (txid order) on UTXOs and outputs, as the
+// scripts give them, and VM-order in the constructor (beHexToVmBytes).
+// meanRevertContract.js reads config.js, so files that set env for it
+// import this module after setting it.
+
+import {
+  MockNetworkProvider,
+  Contract,
+  TransactionBuilder,
+  SignatureTemplate,
+  randomUtxo,
+} from "cashscript";
+import { compileFile } from "cashc";
+import { hexToBin } from "@bitauth/libauth";
+
+import {
+  alicePriv,
+  aliceAddress,
+  aliceTokenAddress,
+  bobPriv,
+  bobAddress,
+  bobTokenAddress,
+} from "../common.js";
+import { beHexToVmBytes } from "../meanRevertContract.js";
+import {
+  ORACLE_STATE_INITIAL_COMMITMENT,
+  oracleStateToken,
+} from "../oracleState.js";
+import { encodePriceMessageHex } from "../oracles/priceCodec.js";
+import { signOracleMessage } from "../oracles/oracleSignature.js";
+
+export { beHexToVmBytes };
+
+export const TOKEN_OUTPUT_SATS = 1_000n;
+export const FEE_ESTIMATE = 1_000n;
+export const ORACLE_PRICE_RAW = 10_000n; // 100.00 USD/BCH (scale=100)
+export const NFT_COMMIT_RAW = "6e667430"; // "nft0"
+export const STATE_OUTPUT_SATS = 1_000n;
+
+export const alice = {
+  priv: alicePriv,
+  address: aliceAddress,
+  tokenAddress: aliceTokenAddress,
+};
+export const bob = {
+  priv: bobPriv,
+  address: bobAddress,
+  tokenAddress: bobTokenAddress,
+};
+
+// A fresh category, big-endian.
+export const randomCategory = () => randomUtxo().txid;
+
+// `amount` FT of `category`, or no token for 0.
+export const ftToken = (category, amount) =>
+  amount > 0n ? { category, amount } : undefined;
+
+export const nftToken = (
+  category,
+  { capability = "none", commitment = NFT_COMMIT_RAW } = {}
+) => ({ category, amount: 0n, nft: { capability, commitment } });
+
+// The V6+ oracle state NFT of `category` at `commitment`, as a contract
+// UTXO or output ({ sats, token }).
+export const oracleState = (
+  category,
+  commitment = ORACLE_STATE_INITIAL_COMMITMENT
+) => ({ sats: STATE_OUTPUT_SATS, token: oracleStateToken(category, commitment) });
+
+export const compileContract = (name) =>
+  compileFile(new URL(`../contracts/${name}.cash`, import.meta.url));
+
+/**
+ * A price message signed by `priv`: { timestamp, messageHex, signatureHex,
+ * unlockArgs }, the last being rebalance()'s (message, signature).
+ */
+export function signPriceMessage(priv, fields = {}) {
+  const message = {
+    messageSequence: 100,
+    dataSequence: 90,
+    priceRaw: Number(ORACLE_PRICE_RAW),
+    ...fields,
+  };
+  const messageHex = encodePriceMessageHex(message);
+  const signatureHex = signOracleMessage(messageHex, priv);
+  return {
+    timestamp: message.timestamp,
+    messageHex,
+    signatureHex,
+    unlockArgs: [hexToBin(messageHex), hexToBin(signatureHex)],
+  };
+}
+
+/**
+ * `artifact` with constructor `args` on a fresh MockNetworkProvider,
+ * holding `contractUtxos` ([{ sats, token, outpoint? }]), with
+ * `walletUtxos` (same shape) on `wallet`'s addresses. `outpoint`
+ * ({ txid, vout }) replaces the random one.
+ *
+ * Returns { provider, contract, wallet, contractUtxos, walletUtxos }, the
+ * UTXOs as added.
+ */
+export function setupContract(
+  artifact,
+  args,
+  { contractUtxos = [], walletUtxos = [], wallet = alice } = {}
+) {
+  const provider = new MockNetworkProvider();
+  const contract = new Contract(artifact, args, { provider });
+
+  const add = (address, { sats, token, outpoint }) => {
+    const utxo = { ...randomUtxo(), ...outpoint, satoshis: sats, token };
+    provider.addUtxo(address, utxo);
+    return utxo;
+  };
+  return {
+    provider,
+    contract,
+    wallet,
+    contractUtxos: contractUtxos.map((u) => add(contract.tokenAddress, u)),
+    walletUtxos: walletUtxos.map((u) =>
+      add(u.token ? wallet.tokenAddress : wallet.address, u)
+    ),
+  };
+}
+
+/**
+ * rebalance(...unlockArgs) spending `contractUtxos` (with `sequence`) and
+ * then the wallet's UTXOs, paying `contractOutputs` ([{ sats, token }]) to
+ * the contract, `walletTokenOutputs` ([token]) to the wallet at
+ * TOKEN_OUTPUT_SATS each, and the BCH left over less `fee` as change.
+ * Both UTXO lists default to the setup's.
+ */
+export function buildRebalanceTx(
+  { provider, contract, wallet, ...setup },
+  {
+    unlockArgs,
+    contractOutputs,
+    walletTokenOutputs = [],
+    contractUtxos = setup.contractUtxos,
+    walletUtxos = setup.walletUtxos,
+    sequence,
+    locktime,
+    fee = FEE_ESTIMATE,
+  }
+) {
+  const walletTemplate = new SignatureTemplate(wallet.priv);
+  const builder = new TransactionBuilder({ provider });
+
+  for (const u of contractUtxos) {
+    builder.addInput(
+      u,
+      contract.unlock.rebalance(...unlockArgs),
+      sequence === undefined ? undefined : { sequence }
+    );
+  }
+  for (const u of walletUtxos) {
+    builder.addInput(u, walletTemplate.unlockP2PKH());
+  }
+  if (locktime !== undefined) builder.setLocktime(locktime);
+
+  let change = [...contractUtxos, ...walletUtxos].reduce(
+    (s, u) => s + u.satoshis,
+    -fee
+  );
+  for (const { sats, token } of contractOutputs) {
+    builder.addOutput({ to: contract.tokenAddress, amount: sats, token });
+    change -= sats;
+  }
+  for (const token of walletTokenOutputs) {
+    builder.addOutput({
+      to: wallet.tokenAddress,
+      amount: TOKEN_OUTPUT_SATS,
+      token,
+    });
+    change -= TOKEN_OUTPUT_SATS;
+  }
+  return builder.addOutput({ to: wallet.address, amount: change });
+}
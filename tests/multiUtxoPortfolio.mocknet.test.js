@@ -0,0 +1,280 @@
+// tests/multiUtxoPortfolio.mocknet.test.js
+//
+// A contract portfolio spread across 2–5 contract UTXOs: rebalance (all,
+// a subset, merged), fund --split and inspect against LocalStandInProvider.
+
+import test, { after } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+import { randomUtxo } from "cashscript";
+
+import { aliceAddress, aliceTokenAddress } from "../common.js";
+import {
+  FT_CATEGORY_HEX,
+  NFT_CATEGORY_HEX,
+  REBALANCER_NFT_COMMITMENT_HEX,
+  INITIAL_TOKENS_ON_CONTRACT,
+} from "../config.js";
+import { getMeanRevertContract } from "../meanRevertContract.js";
+import { LocalStandInProvider } from "../localStandInProvider.js";
+import { outpointOf, summarizePortfolio } from "../portfolioUtxos.js";
+import { runRebalanceWithOracle } from "../scripts/rebalanceWithOracle.js";
+import { runFundMeanRevertFromAlice } from "../scripts/fundMeanRevertFromAlice.js";
+import { runInspectMeanRevertState } from "../scripts/inspectMeanRevertState.js";
+
+const ORACLE_PRICE_RAW = 10_000; // 100.00 USD/BCH
+
+// Keep broadcasts out of the real trade journal.
+const journalDir = mkdtempSync(join(tmpdir(), "multi-utxo-"));
+after(() => rmSync(journalDir, { recursive: true, force: true }));
+const journalPath = join(journalDir, "trade-journal.jsonl");
+
+async function fetchPrice() {
+  return {
+    oraclePubKey: "local",
+    priceRaw: ORACLE_PRICE_RAW,
+    priceScale: 100,
+    priceValue: ORACLE_PRICE_RAW / 100,
+  };
+}
+
+function addAliceUtxos(provider) {
+  provider.addUtxo(aliceTokenAddress, {
+    ...randomUtxo(),
+    satoshis: 2_000n,
+    token: {
+      category: NFT_CATEGORY_HEX,
+      amount: 0n,
+      nft: { capability: "none", commitment: REBALANCER_NFT_COMMITMENT_HEX },
+    },
+  });
+  provider.addUtxo(aliceAddress, { ...randomUtxo(), satoshis: 5_000_000n });
+}
+
+/**
+ * 1 BCH ($100) vs 200 FT spread over `count` contract UTXOs. By default
+ * all FT sit on the first one (the layout the rebalancer and fund --split
+ * leave behind); `tokensPer` overrides the FT on each.
+ */
+function setupPortfolio(count, { tokensPer } = {}) {
+  const provider = new LocalStandInProvider();
+  const { contract } = getMeanRevertContract(provider, "v3");
+
+  const sats = 100_000_000n / BigInt(count);
+  for (let i = 0; i < count; i++) {
+    const tokens = tokensPer ? tokensPer[i] : i === 0 ? 200n : 0n;
+    provider.addUtxo(contract.tokenAddress, {
+      ...randomUtxo(),
+      satoshis: sats,
+      ...(tokens > 0n && {
+        token: { category: FT_CATEGORY_HEX, amount: tokens },
+      }),
+    });
+  }
+  addAliceUtxos(provider);
+  return { provider, contract };
+}
+
+async function portfolioOf(contract) {
+  return summarizePortfolio(await contract.getUtxos(), FT_CATEGORY_HEX);
+}
+
+test("rebalance spends every contract UTXO", async (t) => {
+  for (const count of [2, 3, 4, 5]) {
+    await t.test(`${count} UTXOs`, async () => {
+      const { provider, contract } = setupPortfolio(count);
+      const before = await portfolioOf(contract);
+
+      const result = await runRebalanceWithOracle({
+        version: "v3",
+        provider,
+        fetchPrice,
+        journalPath,
+        portfolio: { outpoints: null, merge: false },
+      });
+      assert.equal(result.status, "broadcast");
+
+      // One output per spent UTXO, all FT on the first.
+      const after = await portfolioOf(contract);
+      assert.equal(after.portfolio.length, count);
+      assert.ok(after.portfolio[0].tokens < 200n);
+      assert.equal(after.tokens, after.portfolio[0].tokens);
+      assert.ok(after.portfolio.slice(1).every((e) => e.tokens === 0n));
+      assert.equal(after.bchSats, before.bchSats);
+    });
+  }
+});
+
+test("rebalance dry-run reports per-UTXO and aggregate state", async () => {
+  const { provider, contract } = setupPortfolio(3);
+  const before = await portfolioOf(contract);
+
+  const result = await runRebalanceWithOracle({
+    version: "v3",
+    provider,
+    fetchPrice,
+    journalPath,
+    dryRun: true,
+    portfolio: { outpoints: null, merge: false },
+  });
+  assert.equal(result.status, "dry-run");
+  assert.equal(provider.broadcasts.length, 0);
+
+  const { plan } = result;
+  assert.equal(plan.oldBch, before.bchSats);
+  assert.equal(plan.oldTokens, 200n);
+  assert.equal(plan.portfolio.utxos.length, 3);
+  assert.ok(plan.portfolio.utxos.every((u) => u.spent));
+  assert.equal(plan.portfolio.totalBch, before.bchSats);
+  assert.equal(plan.portfolio.contractOutputs.length, 3);
+  assert.ok(plan.portfolio.covenantInputs.every((i) => i.ok));
+  // 3 contract inputs + Alice's NFT + Alice's BCH.
+  assert.equal(plan.inputs.length, 5);
+});
+
+test("rebalance with --merge leaves a single contract UTXO", async () => {
+  const { provider, contract } = setupPortfolio(4);
+
+  const result = await runRebalanceWithOracle({
+    version: "v3",
+    provider,
+    fetchPrice,
+    journalPath,
+    portfolio: { outpoints: null, merge: true },
+  });
+  assert.equal(result.status, "broadcast");
+
+  const after = await portfolioOf(contract);
+  assert.equal(after.portfolio.length, 1);
+  assert.equal(after.bchSats, 100_000_000n);
+  assert.ok(after.tokens < 200n);
+});
+
+test("rebalance with --utxos spends only the chosen subset", async () => {
+  const { provider, contract } = setupPortfolio(3);
+  const before = await portfolioOf(contract);
+  const [first, second, untouched] = before.portfolio;
+
+  const result = await runRebalanceWithOracle({
+    version: "v3",
+    provider,
+    fetchPrice,
+    journalPath,
+    dryRun: true,
+    portfolio: { outpoints: [first.outpoint, second.outpoint], merge: false },
+  });
+  assert.equal(result.status, "dry-run");
+  const { plan } = result;
+  assert.equal(plan.oldBch, first.bchSats + second.bchSats);
+  assert.deepEqual(
+    plan.portfolio.utxos.filter((u) => !u.spent).map((u) => u.outpoint),
+    [untouched.outpoint]
+  );
+
+  await runRebalanceWithOracle({
+    version: "v3",
+    provider,
+    fetchPrice,
+    journalPath,
+    portfolio: { outpoints: [first.outpoint, second.outpoint], merge: true },
+  });
+  const after = await portfolioOf(contract);
+  assert.equal(after.portfolio.length, 2);
+  assert.ok(after.entries.some((e) => e.outpoint === untouched.outpoint));
+});
+
+test("UTXOs with foreign tokens are left alone", async () => {
+  const { provider, contract } = setupPortfolio(2);
+  const foreign = {
+    ...randomUtxo(),
+    satoshis: 1_000n,
+    token: { category: "cd".repeat(32), amount: 7n },
+  };
+  provider.addUtxo(contract.tokenAddress, foreign);
+
+  const result = await runRebalanceWithOracle({
+    version: "v3",
+    provider,
+    fetchPrice,
+    journalPath,
+    dryRun: true,
+    portfolio: { outpoints: null, merge: false },
+  });
+  const ignored = result.plan.portfolio.utxos.find(
+    (u) => u.outpoint === outpointOf(foreign)
+  );
+  assert.equal(ignored.spent, false);
+  assert.equal(ignored.foreignToken, "cd".repeat(32));
+  assert.equal(result.plan.oldBch, 100_000_000n);
+
+  await assert.rejects(
+    runRebalanceWithOracle({
+      version: "v3",
+      provider,
+      fetchPrice,
+      journalPath,
+      dryRun: true,
+      portfolio: { outpoints: [outpointOf(foreign)], merge: false },
+    }),
+    /carries a foreign token/
+  );
+});
+
+test("refuses a move one spent input's own check would reject", async () => {
+  // $100 of BCH vs 400 FT overall, but the first input alone holds 100 FT
+  // and sees D_before = |100 - 100| = 0; a move back into the band leaves
+  // D_after > 0.
+  const { provider } = setupPortfolio(2, { tokensPer: [100n, 300n] });
+
+  await assert.rejects(
+    runRebalanceWithOracle({
+      version: "v3",
+      provider,
+      fetchPrice,
+      journalPath,
+      portfolio: { outpoints: null, merge: false },
+    }),
+    /covenant would reject/
+  );
+  assert.equal(provider.broadcasts.length, 0);
+});
+
+test("fund --split spreads the new portfolio, inspect sums it", async () => {
+  const provider = new LocalStandInProvider();
+  const { contract } = getMeanRevertContract(provider, "v3");
+  provider.addUtxo(aliceTokenAddress, {
+    ...randomUtxo(),
+    satoshis: 2_000n,
+    token: { category: FT_CATEGORY_HEX, amount: INITIAL_TOKENS_ON_CONTRACT },
+  });
+  provider.addUtxo(aliceAddress, { ...randomUtxo(), satoshis: 10_000_000n });
+
+  const plan = await runFundMeanRevertFromAlice({
+    version: "v3",
+    provider,
+    dryRun: true,
+    split: 3,
+  });
+  assert.equal(plan.action, "fund");
+  assert.equal(plan.contractOutputs.length, 3);
+  assert.equal(plan.portfolioAfter.totalTokens, INITIAL_TOKENS_ON_CONTRACT);
+
+  await runFundMeanRevertFromAlice({ version: "v3", provider, split: 3 });
+  const after = await portfolioOf(contract);
+  assert.equal(after.portfolio.length, 3);
+  assert.equal(after.tokens, INITIAL_TOKENS_ON_CONTRACT);
+  assert.equal(after.portfolio[0].tokens, INITIAL_TOKENS_ON_CONTRACT);
+
+  const { summary, valuation } = await runInspectMeanRevertState({
+    version: "v3",
+    provider,
+    fetchPrice,
+  });
+  assert.equal(summary.portfolio.length, 3);
+  assert.equal(summary.bchSats, after.bchSats);
+  assert.equal(valuation.entries.length, 3);
+  assert.equal(valuation.tokens, INITIAL_TOKENS_ON_CONTRACT);
+});
@@ -0,0 +1,240 @@
+// tests/onchainOracle.test.js
+// Off-chain mirror of V6's oracle checks: reading the message the way the
+// contract does, the signature / scale / locktime gap checks, which key's message a
+// V6 rebalance uses, and the locktime from the chain's median time past.
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { secp256k1, hexToBin, binToHex } from "@bitauth/libauth";
+
+import {
+  readOnchainOracleMessage,
+  checkOnchainOracleMessage,
+  pickContractOracleSnapshot,
+  medianTimePast,
+  chooseOracleLocktime,
+  onchainOracleUnlockArgs,
+} from "../onchainOracle.js";
+import {
+  encodePriceMessageHex,
+  encodeMetadataMessageHex,
+} from "../oracles/priceCodec.js";
+import { signOracleMessage } from "../oracles/oracleSignature.js";
+
+const oraclePriv = hexToBin("44".repeat(32));
+const otherPriv = hexToBin("45".repeat(32));
+const oracleKey = binToHex(secp256k1.derivePublicKeyCompressed(oraclePriv));
+const otherKey = binToHex(secp256k1.derivePublicKeyCompressed(otherPriv));
+
+const TIMESTAMP = 1_760_000_000;
+
+function snapshotOf(fields = {}, priv = oraclePriv) {
+  const message = {
+    timestamp: TIMESTAMP,
+    messageSequence: 10,
+    dataSequence: 9,
+    priceRaw: 40_000,
+    ...fields,
+  };
+  const rawMessage = encodePriceMessageHex(message);
+  return {
+    oraclePubKey: binToHex(secp256k1.derivePublicKeyCompressed(priv)),
+    rawMessage,
+    signature: signOracleMessage(rawMessage, priv),
+    priceRaw: message.priceRaw,
+    priceScale: 100,
+    timestamp: message.timestamp,
+  };
+}
+
+const check = (snapshot, extra = {}) =>
+  checkOnchainOracleMessage({
+    snapshot,
+    oraclePublicKey: oracleKey,
+    locktime: TIMESTAMP,
+    maxLocktimeGapSeconds: 600n,
+    ...extra,
+  });
+
+test("readOnchainOracleMessage reads the fields V6 parses", () => {
+  assert.deepEqual(readOnchainOracleMessage(snapshotOf().rawMessage), {
+    timestamp: TIMESTAMP,
+    dataSequence: 9,
+    priceRaw: 40_000,
+  });
+
+  // A metadata type reads as negative, like int() on-chain.
+  const metadata = encodeMetadataMessageHex({
+    timestamp: TIMESTAMP,
+    messageSequence: 1,
+    metadataType: -6,
+    value: 1234,
+  });
+  assert.equal(readOnchainOracleMessage(metadata).dataSequence, -(2 ** 31 - 6));
+
+  assert.throws(
+    () => readOnchainOracleMessage("00".repeat(15)),
+    /must be 16 bytes, got 15/
+  );
+});
+
+test("checkOnchainOracleMessage", async (t) => {
+  await t.test("accepts a fresh message from the contract's oracle", () => {
+    assert.deepEqual(check(snapshotOf(), { locktime: TIMESTAMP + 600 }), {
+      oraclePriceRaw: 40_000n,
+      locktimeGap: 600,
+    });
+    // A message newer than the locktime is fine.
+    const early = check(snapshotOf(), { locktime: TIMESTAMP - 3_600 });
+    assert.equal(early.locktimeGap, -3_600);
+  });
+
+  await t.test("rejects what the contract would reject", () => {
+    assert.throws(
+      () => check(snapshotOf({}, otherPriv)),
+      new RegExp(`signed by ${otherKey}, not the contract's oracle`)
+    );
+
+    const tampered = snapshotOf();
+    tampered.rawMessage = encodePriceMessageHex({
+      timestamp: TIMESTAMP,
+      messageSequence: 10,
+      dataSequence: 9,
+      priceRaw: 80_000,
+    });
+    assert.throws(() => check(tampered), /signature does not verify/);
+
+    assert.throws(
+      () => check({ ...snapshotOf(), priceScale: 1_000 }),
+      /prices at scale 1000\.\n.*at scale 100/
+    );
+    assert.throws(
+      () => check(snapshotOf({ priceRaw: 0 })),
+      /price 0 is not positive/
+    );
+    assert.throws(
+      () => check(snapshotOf(), { locktime: 800_000 }),
+      /locktime 800000 is a block height/
+    );
+    assert.throws(
+      () => check(snapshotOf(), { locktime: TIMESTAMP + 601 }),
+      /the locktime is 601 s after it, the limit is 600 s/
+    );
+  });
+
+  await t.test("rejects a signed metadata message", () => {
+    const rawMessage = encodeMetadataMessageHex({
+      timestamp: TIMESTAMP,
+      messageSequence: 1,
+      metadataType: -6,
+      value: 1234,
+    });
+    assert.throws(
+      () =>
+        check({
+          ...snapshotOf(),
+          rawMessage,
+          signature: signOracleMessage(rawMessage, oraclePriv),
+        }),
+      /is not a price message/
+    );
+  });
+});
+
+test("pickContractOracleSnapshot", async (t) => {
+  const own = snapshotOf({ priceRaw: 40_100 });
+  const other = { ...snapshotOf({}, otherPriv), oraclePubKey: otherKey };
+  const aggregation = (status) => ({
+    sources: [
+      { publicKey: otherKey, status: "accepted", reason: "" },
+      {
+        publicKey: oracleKey,
+        status,
+        reason: status === "stale" ? "300 s behind" : "",
+      },
+    ],
+  });
+
+  await t.test("the median itself when the contract key signed it", () => {
+    const median = { ...own, aggregation: aggregation("accepted") };
+    const picked = pickContractOracleSnapshot({
+      median,
+      snapshots: new Map(),
+      oraclePublicKey: oracleKey,
+    });
+    assert.equal(picked, median);
+  });
+
+  await t.test("otherwise the contract key's accepted snapshot", () => {
+    const median = { ...other, aggregation: aggregation("accepted") };
+    const picked = pickContractOracleSnapshot({
+      median,
+      snapshots: new Map([[oracleKey, own]]),
+      oraclePublicKey: oracleKey,
+    });
+    assert.equal(picked.priceRaw, 40_100);
+    assert.equal(picked.oraclePubKey, oracleKey);
+    assert.equal(picked.aggregation, median.aggregation);
+  });
+
+  await t.test("never a rejected or unknown source", () => {
+    assert.throws(
+      () =>
+        pickContractOracleSnapshot({
+          median: { ...other, aggregation: aggregation("stale") },
+          snapshots: new Map([[oracleKey, own]]),
+          oraclePublicKey: oracleKey,
+        }),
+      /not accepted \(stale: 300 s behind\)/
+    );
+    assert.throws(
+      () =>
+        pickContractOracleSnapshot({
+          median: { ...other, aggregation: { sources: [] } },
+          snapshots: new Map(),
+          oraclePublicKey: oracleKey,
+        }),
+      /not among the oracles fetched/
+    );
+  });
+});
+
+test("medianTimePast and chooseOracleLocktime", async () => {
+  const times = [5, 1, 9, 3, 7, 2, 8, 4, 6, 10, 11].map(
+    (m) => TIMESTAMP + m * 600
+  );
+  const calls = [];
+  const electrum = {
+    async getBlockHeight() {
+      return 1_000;
+    },
+    async performRequest(method, ...params) {
+      calls.push([method, ...params]);
+      const hex = times
+        .map((time) => {
+          const header = Buffer.alloc(80);
+          header.writeUInt32LE(time, 68);
+          return header.toString("hex");
+        })
+        .join("");
+      return { hex, count: times.length, max: 2016 };
+    },
+  };
+
+  const mtp = await medianTimePast(electrum);
+  assert.equal(mtp, TIMESTAMP + 6 * 600);
+  assert.deepEqual(calls, [["blockchain.block.headers", 990, 11]]);
+  assert.equal(await medianTimePast({}), null);
+
+  const locktime = (medianTimePast) =>
+    chooseOracleLocktime({ messageTimestamp: TIMESTAMP, medianTimePast });
+  assert.equal(locktime(mtp), mtp - 1);
+  assert.equal(locktime(null), TIMESTAMP);
+});
+
+test("onchainOracleUnlockArgs passes the message and signature as bytes", () => {
+  const snap = snapshotOf();
+  const [message, signature] = onchainOracleUnlockArgs(snap);
+  assert.equal(binToHex(message), snap.rawMessage);
+  assert.equal(signature.length, 64);
+});
@@ -0,0 +1,225 @@
+// tests/oracleAggregator.test.js
+//
+// Multi-oracle aggregation: median, lagging / outlying / mis-scaled
+// sources, failed fetches and the quorum.
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { secp256k1, hexToBin, binToHex } from "@bitauth/libauth";
+
+import {
+  validateAggregation,
+  aggregateOraclePrices,
+  describeOracleSources,
+  fetchAggregatedOraclePrice,
+} from "../oracles/oracleAggregator.js";
+import { encodePriceMessageHex } from "../oracles/priceCodec.js";
+import { signOracleMessage } from "../oracles/oracleSignature.js";
+
+const T = 1_760_000_000;
+const SETTINGS = { maxLagSeconds: 300, maxDeviationBps: 200, minQuorum: 1 };
+
+function snap(publicKey, priceRaw, { timestamp = T, priceScale = 100 } = {}) {
+  return {
+    oraclePubKey: publicKey,
+    priceRaw,
+    priceScale,
+    priceValue: priceRaw / priceScale,
+    timestamp,
+    messageSequence: 1,
+  };
+}
+
+function ok(publicKey, priceRaw, opts) {
+  return { publicKey, snapshot: snap(publicKey, priceRaw, opts) };
+}
+
+const statuses = (r) => r.sources.map((s) => [s.publicKey, s.status]);
+
+test("validateAggregation", () => {
+  validateAggregation(SETTINGS);
+  assert.throws(
+    () => validateAggregation({ ...SETTINGS, minQuorum: 0 }),
+    /minQuorum must be a positive integer/
+  );
+  assert.throws(
+    () => validateAggregation({ ...SETTINGS, maxDeviationBps: -1 }),
+    /maxDeviationBps must be a non-negative number/
+  );
+  assert.throws(
+    () => validateAggregation({ ...SETTINGS, maxLagSeconds: NaN }),
+    /maxLagSeconds/
+  );
+});
+
+test("aggregateOraclePrices", async (t) => {
+  await t.test("a single oracle is its own median", () => {
+    const r = aggregateOraclePrices([ok("a", 40_000)], SETTINGS);
+    assert.equal(r.ok, true);
+    assert.equal(r.median.priceRaw, 40_000);
+    assert.equal(r.reason, "median 40000 from 1 of 1 oracle(s)");
+  });
+
+  await t.test("median of three, the outlier dropped", () => {
+    const r = aggregateOraclePrices(
+      [ok("a", 40_000), ok("b", 40_100), ok("c", 48_000)],
+      SETTINGS
+    );
+    assert.deepEqual(statuses(r), [
+      ["a", "accepted"],
+      ["b", "accepted"],
+      ["c", "outlier"],
+    ]);
+    assert.equal(r.sources[1].deviationBps, 0);
+    assert.equal(r.sources[2].deviationBps, 1_970);
+    assert.match(r.sources[2].reason, /1970 bps from the median 40100/);
+    // Two left: the lower middle one, a price some oracle signed.
+    assert.equal(r.median.priceRaw, 40_000);
+    assert.equal(r.median.oraclePubKey, "a");
+  });
+
+  await t.test("a lagging oracle is stale", () => {
+    const r = aggregateOraclePrices(
+      [
+        ok("a", 40_000),
+        ok("b", 39_000, { timestamp: T - 600 }),
+        ok("c", 40_050, { timestamp: T - 60 }),
+      ],
+      SETTINGS
+    );
+    assert.deepEqual(statuses(r), [
+      ["a", "accepted"],
+      ["b", "stale"],
+      ["c", "accepted"],
+    ]);
+    assert.equal(r.sources[1].lagSeconds, 600);
+    assert.match(r.sources[1].reason, /600 s behind the freshest oracle/);
+  });
+
+  await t.test("a different price scale is not comparable", () => {
+    const r = aggregateOraclePrices(
+      [ok("a", 40_000), ok("b", 40_010), ok("c", 4_000_000, { priceScale: 10_000 })],
+      SETTINGS
+    );
+    assert.equal(r.sources[2].status, "scale");
+    assert.match(r.sources[2].reason, /priceScale 10000, most oracles use 100/);
+  });
+
+  await t.test("failed fetches count against the quorum", () => {
+    const r = aggregateOraclePrices(
+      [
+        ok("a", 40_000),
+        { publicKey: "b", error: new Error("invalid signature") },
+        ok("c", 50_000),
+      ],
+      { ...SETTINGS, minQuorum: 2 }
+    );
+    assert.equal(r.ok, false);
+    assert.equal(r.median, null);
+    assert.equal(r.accepted, 1);
+    assert.equal(r.reason, "1 of 3 oracle(s) usable, quorum is 2");
+    assert.deepEqual(describeOracleSources(r.sources), [
+      "  a: accepted priceRaw=40000",
+      "  b: error – invalid signature",
+      "  c: outlier priceRaw=50000 – 2500 bps from the median 40000 (max 200 bps)",
+    ]);
+  });
+
+  await t.test("nothing usable at all", () => {
+    const r = aggregateOraclePrices(
+      [{ publicKey: "a", error: new Error("timeout") }],
+      SETTINGS
+    );
+    assert.equal(r.ok, false);
+    assert.equal(r.accepted, 0);
+  });
+});
+
+test("fetchAggregatedOraclePrice", async (t) => {
+  await t.test("returns the median snapshot with per-source details", async () => {
+    const prices = { a: 40_200, b: 40_000, c: 40_100 };
+    const result = await fetchAggregatedOraclePrice({
+      publicKeys: ["a", "b", "c"],
+      ...SETTINGS,
+      minQuorum: 3,
+      fetchSnapshot: async (key) => snap(key, prices[key]),
+    });
+    assert.equal(result.priceRaw, 40_100);
+    assert.equal(result.oraclePubKey, "c");
+    assert.equal(result.aggregation.accepted, 3);
+    assert.equal(result.aggregation.sources.length, 3);
+  });
+
+  await t.test("below quorum is an error listing every source", async () => {
+    await assert.rejects(
+      fetchAggregatedOraclePrice({
+        publicKeys: ["a", "b"],
+        ...SETTINGS,
+        minQuorum: 2,
+        fetchSnapshot: async (key) => {
+          if (key === "b") throw new Error("HTTP 502");
+          return snap(key, 40_000);
+        },
+      }),
+      (err) => {
+        assert.match(err.message, /No usable oracle price: 1 of 2 oracle\(s\) usable/);
+        assert.match(err.message, /b: error – HTTP 502/);
+        return true;
+      }
+    );
+  });
+
+  await t.test("no keys", async () => {
+    await assert.rejects(
+      fetchAggregatedOraclePrice({ publicKeys: [], ...SETTINGS }),
+      /at least one oracle public key/
+    );
+  });
+
+  await t.test("a forged oracle response drops out of the median", async () => {
+    const keys = ["11", "22", "33"].map((b) => hexToBin(b.repeat(32)));
+    const pubs = keys.map((k) => binToHex(secp256k1.derivePublicKeyCompressed(k)));
+    const messages = [40_000, 40_050, 40_100].map((priceRaw, i) =>
+      encodePriceMessageHex({
+        timestamp: T,
+        messageSequence: 10 + i,
+        dataSequence: 10 + i,
+        priceRaw,
+      })
+    );
+    const records = pubs.map((publicKey, i) => ({
+      publicKey,
+      message: messages[i],
+      signature: signOracleMessage(messages[i], keys[i]),
+    }));
+    // The third oracle's response is replaced by a spoofed low price.
+    records[2] = { ...records[2], message: messages[0] };
+
+    const realFetch = globalThis.fetch;
+    t.after(() => {
+      globalThis.fetch = realFetch;
+    });
+    globalThis.fetch = async (url) => {
+      const key = new URL(url).searchParams.get("publicKey");
+      return {
+        ok: true,
+        json: async () => ({
+          oracleMessages: [records.find((r) => r.publicKey === key)],
+        }),
+      };
+    };
+
+    const result = await fetchAggregatedOraclePrice({
+      publicKeys: pubs,
+      ...SETTINGS,
+      minQuorum: 2,
+      apiBaseUrl: "http://oracle.test",
+    });
+    assert.equal(result.priceRaw, 40_000);
+    assert.deepEqual(
+      result.aggregation.sources.map((s) => s.status),
+      ["accepted", "accepted", "error"]
+    );
+    assert.match(result.aggregation.sources[2].reason, /invalid signature/);
+  });
+});
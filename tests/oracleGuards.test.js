@@ -0,0 +1,199 @@
+// tests/oracleGuards.test.js
+//
+// Oracle replay guards: max age against the local clock, last-seen
+// sequences persisted per key, and how the aggregator reports both.
+
+import test, { after } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+import {
+  checkOracleSnapshot,
+  readOracleSequences,
+  recordOracleSequences,
+  writeOracleSequences,
+} from "../oracles/oracleGuards.js";
+import { fetchAggregatedOraclePrice } from "../oracles/oracleAggregator.js";
+
+const NOW = Date.parse("2026-10-19T12:00:00Z");
+const T = NOW / 1000;
+const SETTINGS = {
+  maxAgeSeconds: 600,
+  maxLagSeconds: 300,
+  maxDeviationBps: 200,
+  minQuorum: 1,
+};
+
+function snap(
+  oraclePubKey,
+  { seq = 100, data = seq, age = 30, priceRaw = 40_000 } = {}
+) {
+  return {
+    oraclePubKey,
+    messageSequence: seq,
+    dataSequence: data,
+    timestamp: T - age,
+    priceRaw,
+    priceScale: 100,
+    priceValue: priceRaw / 100,
+  };
+}
+
+const dir = mkdtempSync(join(tmpdir(), "oracle-guards-"));
+after(() => rmSync(dir, { recursive: true, force: true }));
+let fileCount = 0;
+const freshPath = () => join(dir, `sequences-${++fileCount}.json`);
+
+test("checkOracleSnapshot", async (t) => {
+  const lastSeen = {
+    messageSequence: 100,
+    dataSequence: 90,
+    seenAt: "2026-10-19T11:59:00.000Z",
+  };
+
+  await t.test("a fresh, newer message passes", () => {
+    const r = checkOracleSnapshot(snap("a", { seq: 101, data: 91 }), {
+      maxAgeSeconds: 600,
+      lastSeen,
+      now: NOW,
+    });
+    assert.deepEqual(r, { ok: true, status: "ok", reason: "", ageSeconds: 30 });
+  });
+
+  await t.test("the same message again is not a regression", () => {
+    const r = checkOracleSnapshot(snap("a", { seq: 100, data: 90 }), {
+      maxAgeSeconds: 600,
+      lastSeen,
+      now: NOW,
+    });
+    assert.equal(r.ok, true);
+  });
+
+  await t.test("an old message expires", () => {
+    const r = checkOracleSnapshot(snap("a", { age: 21 * 86_400 }), {
+      maxAgeSeconds: 600,
+      now: NOW,
+    });
+    assert.equal(r.status, "expired");
+    assert.equal(r.ageSeconds, 21 * 86_400);
+    assert.match(r.reason, /1814400 s old \(max 600 s\), timestamp 2026-09-28T12:00:00/);
+  });
+
+  await t.test("maxAgeSeconds 0 disables the age check", () => {
+    const r = checkOracleSnapshot(snap("a", { age: 21 * 86_400 }), {
+      maxAgeSeconds: 0,
+      now: NOW,
+    });
+    assert.equal(r.ok, true);
+  });
+
+  await t.test("either sequence going backwards is rejected", () => {
+    const bySeq = checkOracleSnapshot(snap("a", { seq: 99, data: 95 }), {
+      maxAgeSeconds: 600,
+      lastSeen,
+      now: NOW,
+    });
+    assert.equal(bySeq.status, "regressed");
+    assert.match(
+      bySeq.reason,
+      /messageSequence 99 is behind the last seen 100 \(2026-10-19T11:59:00.000Z\)/
+    );
+
+    const byData = checkOracleSnapshot(snap("a", { seq: 105, data: 80 }), {
+      maxAgeSeconds: 600,
+      lastSeen,
+      now: NOW,
+    });
+    assert.equal(byData.status, "regressed");
+    assert.match(byData.reason, /dataSequence 80/);
+  });
+});
+
+test("last-seen sequence file", async (t) => {
+  await t.test("a missing file has seen nothing", async () => {
+    assert.deepEqual(await readOracleSequences(join(dir, "missing.json")), {});
+  });
+
+  await t.test("records round-trip and never move backwards", async () => {
+    const path = join(dir, "nested", "sequences.json");
+    let seq = recordOracleSequences(
+      {},
+      [snap("a", { seq: 10 }), snap("b", { seq: 5 })],
+      NOW
+    );
+    seq = recordOracleSequences(seq, [snap("a", { seq: 8 })], NOW + 1_000);
+    await writeOracleSequences(path, seq);
+
+    const read = await readOracleSequences(path);
+    assert.deepEqual(read, seq);
+    assert.equal(read.a.messageSequence, 10);
+    assert.equal(read.a.seenAt, new Date(NOW).toISOString());
+    assert.equal(read.b.messageSequence, 5);
+  });
+
+  await t.test("a corrupt file is an error", async () => {
+    const path = join(dir, "corrupt.json");
+    writeFileSync(path, "{not json");
+    await assert.rejects(readOracleSequences(path), /Oracle sequence file .* is corrupt/);
+  });
+});
+
+test("fetchAggregatedOraclePrice applies the guards", async (t) => {
+  await t.test("a replayed message is rejected on the next run", async () => {
+    const sequencePath = freshPath();
+    let served = { a: snap("a", { seq: 200 }), b: snap("b", { seq: 50 }) };
+    const run = () =>
+      fetchAggregatedOraclePrice({
+        publicKeys: ["a", "b"],
+        ...SETTINGS,
+        sequencePath,
+        now: NOW,
+        fetchSnapshot: async (key) => served[key],
+      });
+
+    const first = await run();
+    assert.equal(first.aggregation.accepted, 2);
+    assert.equal((await readOracleSequences(sequencePath)).a.messageSequence, 200);
+
+    // Oracle "a" is now served from an old cache.
+    served = { a: snap("a", { seq: 150 }), b: snap("b", { seq: 51 }) };
+    const second = await run();
+    assert.equal(second.oraclePubKey, "b");
+    const [a] = second.aggregation.sources;
+    assert.equal(a.status, "regressed");
+    assert.match(a.reason, /messageSequence 150 is behind the last seen 200/);
+    // The rejected message does not lower what was seen.
+    const stored = await readOracleSequences(sequencePath);
+    assert.equal(stored.a.messageSequence, 200);
+    assert.equal(stored.b.messageSequence, 51);
+  });
+
+  await t.test("below quorum the error still carries the sources", async () => {
+    await assert.rejects(
+      fetchAggregatedOraclePrice({
+        publicKeys: ["a"],
+        ...SETTINGS,
+        now: NOW,
+        fetchSnapshot: async (key) => snap(key, { age: 3_600 }),
+      }),
+      (err) => {
+        assert.match(err.message, /a: expired priceRaw=40000 – message is 3600 s old/);
+        assert.equal(err.aggregation.sources[0].status, "expired");
+        assert.equal(err.aggregation.sources[0].ageSeconds, 3_600);
+        return true;
+      }
+    );
+  });
+
+  await t.test("without a sequence file only the age is checked", async () => {
+    const result = await fetchAggregatedOraclePrice({
+      publicKeys: ["a"],
+      ...SETTINGS,
+      now: NOW,
+      fetchSnapshot: async (key) => snap(key, { seq: 1 }),
+    });
+    assert.equal(result.messageSequence, 1);
+  });
+});
@@ -0,0 +1,318 @@
+// tests/oracleHttp.test.js
+//
+// The shared oracle HTTP layer: timeouts, retries with backoff, the
+// per-base-URL circuit breaker and the error kinds, all through an
+// injected fetchImpl.
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { secp256k1, hexToBin, binToHex } from "@bitauth/libauth";
+
+import {
+  oracleGetJson,
+  oracleBackoffDelay,
+  oracleCircuitState,
+  resetOracleCircuitBreakers,
+  OracleHttpError,
+  ORACLE_HTTP_DEFAULTS,
+} from "../oracles/oracleHttp.js";
+import {
+  fetchOracleMessages,
+  fetchLatestRawPriceMessage,
+} from "../oracles/oraclesClient.js";
+import { fetchLatestOraclePrice } from "../oracles/fetchOraclePrice.js";
+import { fetchAggregatedOraclePrice } from "../oracles/oracleAggregator.js";
+import { encodePriceMessageHex } from "../oracles/priceCodec.js";
+import { signOracleMessage } from "../oracles/oracleSignature.js";
+
+const BASE = "http://oracle.test";
+
+const json = (body) => ({ ok: true, status: 200, json: async () => body });
+const status = (code, text = "") => ({
+  ok: false,
+  status: code,
+  statusText: code >= 500 ? "Server Error" : "Not Found",
+  text: async () => text,
+});
+const hang = () => new Promise(() => {});
+
+// fetchImpl answering from `responses` in turn (a function is called, an
+// Error is thrown), recording each URL.
+function scripted(...responses) {
+  const f = async (url, init) => {
+    f.calls.push(url);
+    f.signals.push(init?.signal);
+    const next = responses[Math.min(f.calls.length - 1, responses.length - 1)];
+    if (next instanceof Error) throw next;
+    return typeof next === "function" ? next() : next;
+  };
+  f.calls = [];
+  f.signals = [];
+  return f;
+}
+
+// Fast settings: no real sleeping, jitter pinned to its maximum.
+function opts(fetchImpl, extra = {}) {
+  const delays = [];
+  return {
+    baseUrl: BASE,
+    fetchImpl,
+    timeoutMs: 50,
+    sleep: async (ms) => {
+      delays.push(ms);
+    },
+    random: () => 1,
+    delays,
+    ...extra,
+  };
+}
+
+const kind = (k, extra = {}) => (err) => {
+  assert.ok(err instanceof OracleHttpError, `expected OracleHttpError, got ${err}`);
+  assert.equal(err.kind, k);
+  for (const [key, value] of Object.entries(extra)) assert.equal(err[key], value);
+  return true;
+};
+
+test("oracleBackoffDelay doubles up to the cap, with 50–100% jitter", () => {
+  const s = { backoffBaseMs: 500, backoffMaxMs: 3_000 };
+  assert.deepEqual(
+    [0, 1, 2, 3].map((r) => oracleBackoffDelay(r, s, () => 1)),
+    [500, 1_000, 2_000, 3_000]
+  );
+  assert.equal(oracleBackoffDelay(1, s, () => 0), 500);
+  assert.equal(oracleBackoffDelay(0, ORACLE_HTTP_DEFAULTS, () => 0.5), 375);
+});
+
+test("oracleGetJson", async (t) => {
+  resetOracleCircuitBreakers();
+  await t.test("returns the JSON and passes an abort signal", async () => {
+    const f = scripted(json({ hello: 1 }));
+    assert.deepEqual(await oracleGetJson("/api/v1/oracles", opts(f)), { hello: 1 });
+    assert.deepEqual(f.calls, [`${BASE}/api/v1/oracles`]);
+    assert.ok(f.signals[0] instanceof AbortSignal);
+  });
+
+  await t.test("5xx and network errors are retried with backoff", async () => {
+    const f = scripted(status(502), new TypeError("fetch failed"), json({ ok: 1 }));
+    const o = opts(f);
+    assert.deepEqual(await oracleGetJson("/x", o), { ok: 1 });
+    assert.equal(f.calls.length, 3);
+    assert.deepEqual(o.delays, [500, 1_000]);
+  });
+
+  await t.test("after the last retry the error says how many attempts", async () => {
+    const f = scripted(status(503, "maintenance"));
+    await assert.rejects(
+      oracleGetJson("/x", opts(f, { retries: 1 })),
+      kind("http", { status: 503, attempts: 2 })
+    );
+    await assert.rejects(
+      oracleGetJson(
+        "/x",
+        opts(scripted(new TypeError("ECONNREFUSED")), { retries: 0 })
+      ),
+      (err) => kind("network", { attempts: 1 })(err) && /ECONNREFUSED/.test(err.message)
+    );
+  });
+
+  await t.test("a hung request times out (and is retried)", async () => {
+    const f = scripted(hang, json({ late: false }));
+    const o = opts(f);
+    assert.deepEqual(await oracleGetJson("/x", o), { late: false });
+    assert.ok(f.signals[0].aborted);
+
+    await assert.rejects(
+      oracleGetJson("/x", opts(scripted(hang), { retries: 0, timeoutMs: 20 })),
+      (err) =>
+        kind("timeout")(err) &&
+        err.message === `Oracle API timed out after 20 ms: GET ${BASE}/x`
+    );
+  });
+
+  await t.test("a body that never finishes also times out", async () => {
+    const f = scripted({ ok: true, status: 200, json: hang });
+    await assert.rejects(
+      oracleGetJson("/x", opts(f, { retries: 0 })),
+      kind("timeout")
+    );
+  });
+
+  await t.test("4xx and bad JSON are not retried", async () => {
+    const notFound = scripted(status(404, "no such oracle"));
+    await assert.rejects(
+      oracleGetJson("/x", opts(notFound)),
+      (err) =>
+        kind("http", { status: 404, attempts: 1 })(err) &&
+        /Oracle HTTP error 404 Not Found: no such oracle/.test(err.message)
+    );
+    assert.equal(notFound.calls.length, 1);
+
+    const garbage = scripted({
+      ok: true,
+      status: 200,
+      json: async () => JSON.parse("<html>"),
+    });
+    await assert.rejects(
+      oracleGetJson("/x", opts(garbage)),
+      kind("decode", { attempts: 1 })
+    );
+    assert.equal(garbage.calls.length, 1);
+  });
+});
+
+test("circuit breaker per base URL", async (t) => {
+  resetOracleCircuitBreakers();
+  let clock = 1_000_000;
+  const settings = (f, extra) =>
+    opts(f, {
+      retries: 0,
+      breakerThreshold: 2,
+      breakerCooldownMs: 10_000,
+      now: () => clock,
+      ...extra,
+    });
+
+  await t.test("opens after the threshold and fails fast", async () => {
+    const f = scripted(status(500));
+    await assert.rejects(oracleGetJson("/x", settings(f)), kind("http"));
+    assert.equal(oracleCircuitState(BASE), "closed");
+    await assert.rejects(oracleGetJson("/x", settings(f)), kind("http"));
+    assert.equal(oracleCircuitState(BASE, { now: clock }), "open");
+
+    await assert.rejects(
+      oracleGetJson("/x", settings(f)),
+      (err) =>
+        kind("circuit", { attempts: 0 })(err) &&
+        /circuit open for http:\/\/oracle.test: 2 request\(s\) in a row/.test(
+          err.message
+        )
+    );
+    assert.equal(f.calls.length, 2);
+
+    // Other APIs are not affected.
+    const other = scripted(json({}));
+    await oracleGetJson("/x", settings(other, { baseUrl: "http://other.test" }));
+    assert.equal(other.calls.length, 1);
+  });
+
+  await t.test("after the cooldown one trial decides", async () => {
+    clock += 10_000;
+    assert.equal(
+      oracleCircuitState(BASE, { breakerCooldownMs: 10_000, now: clock }),
+      "half-open"
+    );
+
+    // A failed trial opens it again at once.
+    const failing = settings(scripted(status(500)));
+    await assert.rejects(oracleGetJson("/x", failing), kind("http"));
+    const healthy = settings(scripted(json({})));
+    await assert.rejects(oracleGetJson("/x", healthy), kind("circuit"));
+
+    // A successful trial closes it.
+    clock += 10_000;
+    const f = scripted(json({ back: true }));
+    assert.deepEqual(await oracleGetJson("/x", settings(f)), { back: true });
+    assert.equal(oracleCircuitState(BASE), "closed");
+    await oracleGetJson("/x", settings(f));
+    assert.equal(f.calls.length, 2);
+  });
+
+  await t.test("concurrent calls wait out a trial in flight", async () => {
+    for (let i = 0; i < 2; i++) {
+      await assert.rejects(oracleGetJson("/x", settings(scripted(status(500)))));
+    }
+    clock += 10_000;
+    let release;
+    const slow = scripted(() => new Promise((r) => (release = () => r(json({})))));
+    const trial = oracleGetJson("/x", settings(slow, { timeoutMs: 1_000 }));
+    const waiting = settings(scripted(json({})));
+    await assert.rejects(oracleGetJson("/x", waiting), kind("circuit"));
+    release();
+    await trial;
+    assert.equal(oracleCircuitState(BASE), "closed");
+  });
+
+  await t.test("a 4xx answer does not count as the API being down", async () => {
+    await assert.rejects(oracleGetJson("/x", settings(scripted(status(500)))));
+    await assert.rejects(oracleGetJson("/x", settings(scripted(status(404)))));
+    await assert.rejects(oracleGetJson("/x", settings(scripted(status(500)))));
+    assert.equal(oracleCircuitState(BASE), "closed");
+  });
+});
+
+test("the oracle clients use the shared layer", async (t) => {
+  resetOracleCircuitBreakers();
+  const http = (f, extra) => opts(f, extra);
+
+  await t.test("no messages is an `empty` error", async () => {
+    await assert.rejects(
+      fetchLatestRawPriceMessage({
+        publicKey: "02aa",
+        http: http(scripted(json({ oracleMessages: [] }))),
+      }),
+      kind("empty")
+    );
+
+    const realFetch = globalThis.fetch;
+    t.after(() => {
+      globalThis.fetch = realFetch;
+    });
+    globalThis.fetch = scripted(json({ oracleMessages: [] }));
+    await assert.rejects(
+      fetchLatestOraclePrice({ publicKey: "02aa", apiBaseUrl: BASE }),
+      (err) => kind("empty")(err) && /no messages for 02aa/.test(err.message)
+    );
+  });
+
+  await t.test("a malformed response is a `decode` error", async () => {
+    await assert.rejects(
+      fetchOracleMessages({
+        publicKey: "02aa",
+        http: http(scripted(json({ oracleMessages: "soon" }))),
+      }),
+      kind("decode")
+    );
+  });
+
+  await t.test("a hung oracle drops out of the median", async () => {
+    const realFetch = globalThis.fetch;
+    t.after(() => {
+      globalThis.fetch = realFetch;
+    });
+    // Key "02bb" never answers; `good` has no metadata and a price.
+    const priv = hexToBin("88".repeat(32));
+    const good = binToHex(secp256k1.derivePublicKeyCompressed(priv));
+    const message = encodePriceMessageHex({
+      timestamp: Math.floor(Date.now() / 1000),
+      messageSequence: 1,
+      dataSequence: 1,
+      priceRaw: 40_000,
+    });
+    const record = {
+      message,
+      publicKey: good,
+      signature: signOracleMessage(message, priv),
+    };
+
+    globalThis.fetch = async (url) => {
+      const key = new URL(url).searchParams.get("publicKey");
+      if (key !== good) return hang();
+      const meta = new URL(url).searchParams.get("maxDataSequence") === "-1";
+      return json({ oracleMessages: meta ? [] : [record] });
+    };
+
+    const result = await fetchAggregatedOraclePrice({
+      publicKeys: [good, "02bb"],
+      maxLagSeconds: 300,
+      maxDeviationBps: 200,
+      minQuorum: 1,
+      apiBaseUrl: BASE,
+      http: { timeoutMs: 30, retries: 1, backoffBaseMs: 1, backoffMaxMs: 1 },
+    });
+    assert.equal(result.priceRaw, 40_000);
+    const [, hung] = result.aggregation.sources;
+    assert.equal(hung.status, "error");
+    assert.match(hung.reason, /timed out after 30 ms/);
+  });
+});
@@ -0,0 +1,308 @@
+// tests/oracleMetadata.test.js
+//
+// Oracle metadata messages: decoding, the per-key summary (scale, asset),
+// rescaling to the covenant, and the client resolving them per key.
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { secp256k1, hexToBin, binToHex } from "@bitauth/libauth";
+
+import {
+  METADATA_TYPES,
+  decodeMetadataMessage,
+  decodeOracleMessageHex,
+  decodePriceMessageHex,
+  encodeMetadataMessageHex,
+  encodePriceMessageHex,
+  isMetadataMessage,
+} from "../oracles/priceCodec.js";
+import {
+  summarizeOracleMetadata,
+  covenantPriceRaw,
+} from "../oracles/oracleMetadata.js";
+import {
+  fetchOracleMetadata,
+  resolveOracleMetadata,
+  clearOracleMetadataCache,
+  fetchLatestDecodedPrice,
+} from "../oracles/oraclesClient.js";
+import {
+  fetchLatestOraclePrice,
+  fetchOraclePriceHistory,
+} from "../oracles/fetchOraclePrice.js";
+import { aggregateOraclePrices } from "../oracles/oracleAggregator.js";
+import { signOracleMessage } from "../oracles/oracleSignature.js";
+
+const T = 1_760_000_000;
+const TYPE = Object.fromEntries(
+  Object.entries(METADATA_TYPES).map(([type, name]) => [name, Number(type)])
+);
+
+const oraclePriv = hexToBin("44".repeat(32));
+const publicKey = binToHex(secp256k1.derivePublicKeyCompressed(oraclePriv));
+
+function signed(message, priv = oraclePriv) {
+  return { message, publicKey, signature: signOracleMessage(message, priv) };
+}
+
+function metadata(name, value, messageSequence = 1) {
+  return encodeMetadataMessageHex({
+    timestamp: T,
+    messageSequence,
+    metadataType: TYPE[name],
+    value,
+  });
+}
+
+// An EUR/BCH oracle publishing at scale 10000.
+const EUR_METADATA = [
+  signed(metadata("ATTESTATION_SCALING", 10_000, 3)),
+  signed(metadata("SOURCE_NUMERATOR_UNIT_CODE", "EUR", 4)),
+  signed(metadata("SOURCE_NUMERATOR_UNIT_NAME", "Euro", 5)),
+  signed(metadata("SOURCE_DENOMINATOR_UNIT_CODE", "BCH", 6)),
+  signed(metadata("SOURCE_NAME", "Example exchange", 7)),
+];
+const PRICE = signed(
+  encodePriceMessageHex({
+    timestamp: T,
+    messageSequence: 20,
+    dataSequence: 10,
+    priceRaw: 3_712_345,
+  })
+);
+
+// Serves `metadata` for metadata queries and `prices` otherwise, counting
+// requests.
+function oracleApi({ metadata: meta = [], prices = [PRICE] } = {}) {
+  const api = async (url) => {
+    const isMeta = new URL(url).searchParams.get("maxDataSequence") === "-1";
+    api.calls.push(isMeta ? "metadata" : "prices");
+    return {
+      ok: true,
+      json: async () => ({ oracleMessages: isMeta ? meta : prices }),
+    };
+  };
+  api.calls = [];
+  return api;
+}
+
+test("priceCodec metadata messages", async (t) => {
+  await t.test("round-trip a text and a numeric type", () => {
+    const name = decodeMetadataMessage(
+      Buffer.from(metadata("SOURCE_NAME", "Exämple"), "hex")
+    );
+    assert.equal(name.metadataType, -51);
+    assert.equal(name.name, "SOURCE_NAME");
+    assert.equal(name.value, "Exämple");
+
+    const scaling = decodeOracleMessageHex(metadata("ATTESTATION_SCALING", 1000));
+    assert.equal(scaling.kind, "metadata");
+    assert.equal(scaling.value, 1000);
+  });
+
+  await t.test("unknown types still decode", () => {
+    const d = decodeOracleMessageHex(
+      encodeMetadataMessageHex({
+        timestamp: T,
+        messageSequence: 1,
+        metadataType: -99,
+        value: "x",
+      })
+    );
+    assert.equal(d.name, "UNKNOWN");
+    assert.equal(d.value, "x");
+  });
+
+  await t.test("price and metadata messages are told apart", () => {
+    assert.equal(isMetadataMessage(Buffer.from(PRICE.message, "hex")), false);
+    assert.equal(decodeOracleMessageHex(PRICE.message).kind, "price");
+    assert.throws(
+      () => decodePriceMessageHex(metadata("SOURCE_NAME", "0123")),
+      /metadata message \(type -51\), not a price/
+    );
+  });
+
+  await t.test("a price decodes at a given scale", () => {
+    const d = decodePriceMessageHex(PRICE.message, { priceScale: 10_000 });
+    assert.equal(d.priceScale, 10_000);
+    assert.equal(d.priceRaw, 3_712_345);
+  });
+
+  await t.test("a non-numeric scaling is rejected", () => {
+    assert.throws(
+      () => decodeOracleMessageHex(metadata("ATTESTATION_SCALING", "lots")),
+      /ATTESTATION_SCALING must be an integer, got "lots"/
+    );
+  });
+});
+
+test("summarizeOracleMetadata", async (t) => {
+  const decode = (records) => records.map((r) => decodeOracleMessageHex(r.message));
+
+  await t.test("scale and asset pair from the metadata", () => {
+    const s = summarizeOracleMetadata(decode(EUR_METADATA));
+    assert.equal(s.priceScale, 10_000);
+    assert.equal(s.scaleSource, "metadata");
+    assert.equal(s.assetPair, "BCH/EUR");
+    assert.equal(s.numeratorUnit, "Euro");
+    assert.equal(s.sourceName, "Example exchange");
+  });
+
+  await t.test("the newest message of a type wins", () => {
+    const s = summarizeOracleMetadata(
+      decode([
+        signed(metadata("ATTESTATION_SCALING", 1000, 9)),
+        signed(metadata("ATTESTATION_SCALING", 100, 2)),
+      ])
+    );
+    assert.equal(s.priceScale, 1000);
+  });
+
+  await t.test("no metadata reads as scale 100, asset unknown", () => {
+    const s = summarizeOracleMetadata([]);
+    assert.equal(s.priceScale, 100);
+    assert.equal(s.scaleSource, "default");
+    assert.equal(s.assetPair, null);
+  });
+
+  await t.test("a zero scaling is rejected", () => {
+    assert.throws(
+      () => summarizeOracleMetadata(decode([signed(metadata("ATTESTATION_SCALING", 0))])),
+      /ATTESTATION_SCALING must be a positive integer, got 0/
+    );
+  });
+});
+
+test("covenantPriceRaw", () => {
+  const snap = { oraclePubKey: "a", priceRaw: 4_012_345, priceScale: 10_000 };
+  assert.equal(covenantPriceRaw({ ...snap, assetPair: "BCH/USD" }), 40_123n);
+  // Without metadata the asset is assumed.
+  assert.equal(covenantPriceRaw({ oraclePubKey: "a", priceRaw: 40_000 }), 40_000n);
+  assert.equal(
+    covenantPriceRaw({ ...snap, assetPair: "BCH/EUR" }, { expectedAsset: "BCH/EUR" }),
+    40_123n
+  );
+  assert.throws(
+    () => covenantPriceRaw({ ...snap, assetPair: "BCH/EUR" }),
+    /Oracle a prices BCH\/EUR, but the covenant expects BCH\/USD/
+  );
+  assert.throws(
+    () => covenantPriceRaw({ ...snap, priceRaw: 99 }),
+    /is 0 at the covenant scale 100/
+  );
+});
+
+test("the client resolves metadata per oracle key", async (t) => {
+  t.beforeEach(() => clearOracleMetadataCache());
+
+  await t.test("fetchOracleMetadata verifies and summarizes", async () => {
+    const fetchImpl = oracleApi({ metadata: [...EUR_METADATA, PRICE] });
+    const s = await fetchOracleMetadata({
+      publicKey,
+      http: { baseUrl: "http://oracle.test", fetchImpl },
+    });
+    assert.equal(s.assetPair, "BCH/EUR");
+    assert.equal(s.priceScale, 10_000);
+  });
+
+  await t.test("a forged metadata message is an error", async () => {
+    const forged = {
+      ...signed(metadata("ATTESTATION_SCALING", 1)),
+      signature: EUR_METADATA[0].signature,
+    };
+    await assert.rejects(
+      fetchOracleMetadata({
+        publicKey,
+        http: {
+          baseUrl: "http://oracle.test",
+          fetchImpl: oracleApi({ metadata: [forged] }),
+        },
+      }),
+      /invalid signature/
+    );
+  });
+
+  await t.test("resolveOracleMetadata caches per key until the TTL", async () => {
+    const fetchImpl = oracleApi({ metadata: EUR_METADATA });
+    const http = { baseUrl: "http://oracle.test", fetchImpl };
+    await resolveOracleMetadata({ publicKey, http, now: 0 });
+    await resolveOracleMetadata({ publicKey, http, now: 60_000 });
+    assert.deepEqual(fetchImpl.calls, ["metadata"]);
+    await resolveOracleMetadata({ publicKey, http, now: 2 * 60 * 60 * 1000 });
+    assert.deepEqual(fetchImpl.calls, ["metadata", "metadata"]);
+  });
+
+  await t.test("fetchLatestDecodedPrice scales by the metadata", async () => {
+    const http = {
+      baseUrl: "http://oracle.test",
+      fetchImpl: oracleApi({ metadata: EUR_METADATA }),
+    };
+    const d = await fetchLatestDecodedPrice({ publicKey, http });
+    assert.equal(d.scaling, 10_000);
+    assert.equal(d.scaleSource, "metadata");
+    assert.equal(d.assetPair, "BCH/EUR");
+    assert.equal(d.price, 371.2345);
+
+    const manual = await fetchLatestDecodedPrice({ publicKey, http, scaling: 100 });
+    assert.equal(manual.price, 37_123.45);
+    assert.equal(manual.scaleSource, "argument");
+  });
+
+  await t.test("fetchOraclePriceHistory scales by the metadata", async () => {
+    const history = await fetchOraclePriceHistory({
+      publicKey,
+      count: 5,
+      apiBaseUrl: "http://oracle.test",
+      fetchImpl: oracleApi({ metadata: EUR_METADATA }),
+    });
+    assert.equal(history.length, 1);
+    assert.equal(history[0].priceScale, 10_000);
+    assert.equal(history[0].assetPair, "BCH/EUR");
+  });
+
+  await t.test("fetchLatestOraclePrice scales by the metadata", async () => {
+    const realFetch = globalThis.fetch;
+    t.after(() => {
+      globalThis.fetch = realFetch;
+    });
+    globalThis.fetch = oracleApi({ metadata: EUR_METADATA });
+
+    const snap = await fetchLatestOraclePrice({
+      publicKey,
+      apiBaseUrl: "http://oracle.test",
+    });
+    assert.equal(snap.priceScale, 10_000);
+    assert.equal(snap.priceValue, 371.2345);
+    assert.equal(snap.scaleSource, "metadata");
+    assert.equal(snap.assetPair, "BCH/EUR");
+  });
+});
+
+test("aggregateOraclePrices drops an oracle for another asset", () => {
+  const snap = (key, priceRaw, assetPair) => ({
+    publicKey: key,
+    snapshot: {
+      oraclePubKey: key,
+      priceRaw,
+      priceScale: 100,
+      assetPair,
+      timestamp: T,
+      messageSequence: 1,
+      dataSequence: 1,
+    },
+  });
+  const r = aggregateOraclePrices(
+    [
+      snap("a", 40_000, "BCH/USD"),
+      snap("b", 40_050, null),
+      snap("c", 40_010, "BCH/USD"),
+      snap("d", 37_000, "BCH/EUR"),
+    ],
+    { maxLagSeconds: 300, maxDeviationBps: 200, minQuorum: 1 }
+  );
+  assert.deepEqual(
+    r.sources.map((s) => s.status),
+    ["accepted", "accepted", "accepted", "asset"]
+  );
+  assert.match(r.sources[3].reason, /prices BCH\/EUR, most oracles price BCH\/USD/);
+});
@@ -0,0 +1,185 @@
+// tests/oracleSignature.test.js
+//
+// Oracle message signatures: messages signed locally with a throwaway
+// oracle key must verify; tampered, foreign or malformed ones must not, and
+// the fetch helpers must refuse them.
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { secp256k1, hexToBin, binToHex } from "@bitauth/libauth";
+
+import {
+  oracleMessageHash,
+  verifyOracleSignature,
+  assertOracleSignature,
+  signOracleMessage,
+} from "../oracles/oracleSignature.js";
+import { encodePriceMessageHex } from "../oracles/priceCodec.js";
+import { fetchLatestOraclePrice } from "../oracles/fetchOraclePrice.js";
+import { fetchLatestDecodedPrice } from "../oracles/oraclesClient.js";
+
+const oraclePriv = hexToBin("22".repeat(32));
+const otherPriv = hexToBin("33".repeat(32));
+const publicKeyHex = binToHex(secp256k1.derivePublicKeyCompressed(oraclePriv));
+const otherKeyHex = binToHex(secp256k1.derivePublicKeyCompressed(otherPriv));
+
+const messageHex = encodePriceMessageHex({
+  timestamp: 1_763_662_906,
+  messageSequence: 1_409_799,
+  dataSequence: 1_409_773,
+  priceRaw: 47_622,
+});
+const signatureHex = signOracleMessage(messageHex, oraclePriv);
+
+// Replace one price byte, keeping the original signature.
+const tamperedHex = `${messageHex.slice(0, -8)}ffff0000`;
+
+function respondWith(record) {
+  return async () => ({
+    ok: true,
+    json: async () => ({ oracleMessages: [record] }),
+  });
+}
+
+test("signOracleMessage produces a 64-byte Schnorr signature of sha256(message)", () => {
+  assert.equal(signatureHex.length, 128);
+  assert.equal(oracleMessageHash(messageHex).length, 32);
+  assert.ok(
+    secp256k1.verifySignatureSchnorr(
+      hexToBin(signatureHex),
+      hexToBin(publicKeyHex),
+      oracleMessageHash(messageHex)
+    )
+  );
+});
+
+test("verifyOracleSignature", async (t) => {
+  await t.test("accepts the oracle's own signature", () => {
+    assert.equal(
+      verifyOracleSignature({ messageHex, signatureHex, publicKeyHex }),
+      true
+    );
+    assert.equal(
+      verifyOracleSignature({
+        messageHex: `0x${messageHex}`,
+        signatureHex,
+        publicKeyHex,
+      }),
+      true
+    );
+  });
+
+  await t.test("rejects a tampered message", () => {
+    assert.equal(
+      verifyOracleSignature({ messageHex: tamperedHex, signatureHex, publicKeyHex }),
+      false
+    );
+  });
+
+  await t.test("rejects another key's signature", () => {
+    assert.equal(
+      verifyOracleSignature({
+        messageHex,
+        signatureHex: signOracleMessage(messageHex, otherPriv),
+        publicKeyHex,
+      }),
+      false
+    );
+  });
+
+  await t.test("malformed input is invalid, not an exception", () => {
+    for (const bad of [
+      { signatureHex: "zz" },
+      { signatureHex: signatureHex.slice(0, 126) },
+      { signatureHex: undefined },
+      { publicKeyHex: publicKeyHex.slice(2) },
+      { messageHex: "not hex" },
+    ]) {
+      assert.equal(
+        verifyOracleSignature({ messageHex, signatureHex, publicKeyHex, ...bad }),
+        false
+      );
+    }
+  });
+});
+
+test("assertOracleSignature", () => {
+  assertOracleSignature(
+    { message: messageHex, signature: signatureHex, publicKey: publicKeyHex },
+    publicKeyHex
+  );
+  assert.throws(
+    () =>
+      assertOracleSignature(
+        { message: tamperedHex, signature: signatureHex, publicKey: publicKeyHex },
+        publicKeyHex
+      ),
+    /invalid signature/
+  );
+  // A valid message from a key we did not ask for.
+  assert.throws(
+    () =>
+      assertOracleSignature(
+        {
+          message: messageHex,
+          signature: signOracleMessage(messageHex, otherPriv),
+          publicKey: otherKeyHex,
+        },
+        publicKeyHex
+      ),
+    new RegExp(`is from ${otherKeyHex}`)
+  );
+});
+
+test("fetch helpers verify before decoding", async (t) => {
+  const realFetch = globalThis.fetch;
+  t.after(() => {
+    globalThis.fetch = realFetch;
+  });
+
+  await t.test("fetchLatestOraclePrice returns a verified snapshot", async () => {
+    globalThis.fetch = respondWith({
+      message: messageHex,
+      signature: signatureHex,
+      publicKey: publicKeyHex,
+    });
+    const snap = await fetchLatestOraclePrice({ publicKey: publicKeyHex });
+    assert.equal(snap.priceRaw, 47_622);
+    assert.equal(snap.signature, signatureHex);
+  });
+
+  await t.test("fetchLatestOraclePrice rejects a spoofed price", async () => {
+    globalThis.fetch = respondWith({
+      message: tamperedHex,
+      signature: signatureHex,
+      publicKey: publicKeyHex,
+    });
+    await assert.rejects(
+      fetchLatestOraclePrice({ publicKey: publicKeyHex }),
+      /invalid signature/
+    );
+  });
+
+  await t.test("fetchLatestDecodedPrice rejects a spoofed price", async () => {
+    const http = {
+      baseUrl: "http://oracle.test",
+      fetchImpl: respondWith({
+        message: tamperedHex,
+        signature: signatureHex,
+        publicKey: publicKeyHex,
+      }),
+    };
+    await assert.rejects(
+      fetchLatestDecodedPrice({ publicKey: publicKeyHex, http }),
+      /invalid signature/
+    );
+
+    http.fetchImpl = respondWith({
+      message: messageHex,
+      signature: signatureHex,
+      publicKey: publicKeyHex,
+    });
+    const decoded = await fetchLatestDecodedPrice({ publicKey: publicKeyHex, http });
+    assert.equal(decoded.price, 476.22);
+  });
+});
@@ -0,0 +1,103 @@
+// tests/oracleState.test.js
+// The oracle state NFT: finding it, reading the timestamp it records, and
+// whether an oracle message is newer.
+
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  ORACLE_STATE_INITIAL_COMMITMENT,
+  oracleStateToken,
+  isOracleStateUtxo,
+  findOracleState,
+  oracleStateTimestamp,
+  oracleStateCommitment,
+  checkOracleStateMessage,
+} from "../oracleState.js";
+import { encodePriceMessageHex } from "../oracles/priceCodec.js";
+
+const STATE_CATEGORY = "aa".repeat(32);
+const FT_CATEGORY = "bb".repeat(32);
+const TIMESTAMP = 1_760_000_000;
+
+const rawMessage = (timestamp) =>
+  encodePriceMessageHex({
+    timestamp,
+    messageSequence: 10,
+    dataSequence: 9,
+    priceRaw: 40_000,
+  });
+
+const stateUtxo = (commitment, capability = "mutable") => ({
+  txid: "cc".repeat(32),
+  vout: 1,
+  satoshis: 1_000n,
+  token: {
+    category: STATE_CATEGORY,
+    amount: 0n,
+    nft: { capability, commitment },
+  },
+});
+
+test("oracleStateToken and isOracleStateUtxo", () => {
+  assert.deepEqual(oracleStateToken(STATE_CATEGORY), {
+    category: STATE_CATEGORY,
+    amount: 0n,
+    nft: { capability: "mutable", commitment: ORACLE_STATE_INITIAL_COMMITMENT },
+  });
+
+  assert.equal(isOracleStateUtxo(stateUtxo("00000000"), STATE_CATEGORY), true);
+  // Only the mutable NFT of the category is the state.
+  assert.equal(
+    isOracleStateUtxo(stateUtxo("00000000", "none"), STATE_CATEGORY),
+    false
+  );
+  assert.equal(isOracleStateUtxo(stateUtxo("00000000"), FT_CATEGORY), false);
+  assert.equal(isOracleStateUtxo({ satoshis: 1_000n }, STATE_CATEGORY), false);
+});
+
+test("findOracleState", () => {
+  const ft = {
+    txid: "dd".repeat(32),
+    vout: 0,
+    satoshis: 1_000n,
+    token: { category: FT_CATEGORY, amount: 100n },
+  };
+  const state = stateUtxo("00000000");
+
+  assert.equal(findOracleState([ft, state], STATE_CATEGORY), state);
+  assert.equal(findOracleState([ft], STATE_CATEGORY), null);
+  assert.throws(
+    () => findOracleState([state, { ...state, vout: 2 }], STATE_CATEGORY),
+    /Found 2 oracle state NFTs/
+  );
+});
+
+test("the commitment is the message's timestamp bytes", () => {
+  const commitment = oracleStateCommitment(rawMessage(TIMESTAMP));
+  assert.equal(commitment.length, 8);
+  assert.equal(oracleStateTimestamp(stateUtxo(commitment)), TIMESTAMP);
+  assert.equal(
+    oracleStateTimestamp(stateUtxo(ORACLE_STATE_INITIAL_COMMITMENT)),
+    0
+  );
+  assert.equal(oracleStateTimestamp(stateUtxo("")), 0);
+});
+
+test("checkOracleStateMessage wants a strictly newer message", () => {
+  const state = stateUtxo(oracleStateCommitment(rawMessage(TIMESTAMP)));
+  const check = (timestamp) =>
+    checkOracleStateMessage({
+      state,
+      snapshot: { rawMessage: rawMessage(timestamp) },
+    });
+
+  assert.deepEqual(check(TIMESTAMP + 60), {
+    fresh: true,
+    timestamp: TIMESTAMP + 60,
+    lastTimestamp: TIMESTAMP,
+    reason: `message ${TIMESTAMP + 60} is newer than the last one used (${TIMESTAMP})`,
+  });
+  assert.equal(check(TIMESTAMP).fresh, false);
+  assert.match(check(TIMESTAMP - 60).reason, /no oracle message since the last rebalance/);
+});
@@ -0,0 +1,322 @@
+// tests/portfolioUtxos.test.js
+// Multi-UTXO contract portfolios: summaries, output layout and the
+// covenant's per-input check.
+
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  outpointOf,
+  summarizePortfolio,
+  selectPortfolioEntries,
+  planContractOutputs,
+  covenantInputChecks,
+  valuePortfolio,
+  portfolioOptionsFromArgv,
+  splitEvenly,
+  splitCountFromArgv,
+} from "../portfolioUtxos.js";
+
+const ftCat = "aa".repeat(32);
+const otherCat = "bb".repeat(32);
+const price = 10_000n; // 100.00 USD/BCH → 1 BCH = $100
+
+function utxo(vout, satoshis, token) {
+  return { txid: "11".repeat(32), vout, satoshis, token };
+}
+
+const utxos = [
+  utxo(0, 40_000_000n, { category: ftCat, amount: 150n }),
+  utxo(1, 60_000_000n),
+  utxo(2, 1_000n, { category: otherCat, amount: 5n }),
+  utxo(3, 1_000n, {
+    category: ftCat,
+    amount: 0n,
+    nft: { capability: "none", commitment: "" },
+  }),
+];
+
+test("outpointOf", () => {
+  assert.equal(outpointOf(utxos[1]), `${"11".repeat(32)}:1`);
+});
+
+test("summarizePortfolio", () => {
+  const s = summarizePortfolio(utxos, ftCat);
+  assert.equal(s.entries.length, 4);
+  assert.deepEqual(
+    s.portfolio.map((e) => e.utxo.vout),
+    [0, 1]
+  );
+  // Another category, and an NFT of the FT category, are both foreign.
+  assert.deepEqual(
+    s.ignored.map((e) => e.foreignToken),
+    [otherCat, ftCat]
+  );
+  assert.equal(s.bchSats, 100_000_000n);
+  assert.equal(s.tokens, 150n);
+});
+
+test("selectPortfolioEntries", async (t) => {
+  const s = summarizePortfolio(utxos, ftCat);
+
+  await t.test("defaults to the whole portfolio", () => {
+    assert.equal(selectPortfolioEntries(s), s.portfolio);
+  });
+
+  await t.test("keeps the requested order", () => {
+    const picked = selectPortfolioEntries(s, [
+      outpointOf(utxos[1]),
+      outpointOf(utxos[0]),
+    ]);
+    assert.deepEqual(
+      picked.map((e) => e.utxo.vout),
+      [1, 0]
+    );
+  });
+
+  await t.test("rejects unknown and foreign-token outpoints", () => {
+    assert.throws(
+      () => selectPortfolioEntries(s, [`${"11".repeat(32)}:9`]),
+      /not found on the contract/
+    );
+    assert.throws(
+      () => selectPortfolioEntries(s, [outpointOf(utxos[2])]),
+      /carries a foreign token/
+    );
+  });
+});
+
+test("planContractOutputs", async (t) => {
+  const selected = summarizePortfolio(utxos, ftCat).portfolio;
+
+  await t.test("first output takes all FT and the BCH change", () => {
+    const plan = planContractOutputs(selected, 99_990_000n, 100n, {
+      merge: false,
+      dust: 1_000n,
+    });
+    assert.equal(plan.merged, false);
+    assert.deepEqual(plan.outputs, [
+      { bchSats: 39_990_000n, tokens: 100n },
+      { bchSats: 60_000_000n, tokens: 0n },
+    ]);
+  });
+
+  await t.test("spreadTokens splits the FT over the outputs", () => {
+    const plan = planContractOutputs(selected, 99_990_000n, 101n, {
+      merge: false,
+      dust: 1_000n,
+      spreadTokens: true,
+    });
+    assert.deepEqual(plan.outputs, [
+      { bchSats: 39_990_000n, tokens: 51n },
+      { bchSats: 60_000_000n, tokens: 50n },
+    ]);
+
+    const merged = planContractOutputs(selected, 99_990_000n, 101n, {
+      merge: true,
+      dust: 1_000n,
+      spreadTokens: true,
+    });
+    assert.deepEqual(merged.outputs, [{ bchSats: 99_990_000n, tokens: 101n }]);
+  });
+
+  await t.test("merge gives a single output", () => {
+    const plan = planContractOutputs(selected, 99_990_000n, 100n, {
+      merge: true,
+      dust: 1_000n,
+    });
+    assert.equal(plan.merged, true);
+    assert.deepEqual(plan.outputs, [{ bchSats: 99_990_000n, tokens: 100n }]);
+  });
+
+  await t.test("merges when the first output would fall below dust", () => {
+    const plan = planContractOutputs(selected, 60_000_500n, 100n, {
+      merge: false,
+      dust: 1_000n,
+    });
+    assert.equal(plan.merged, true);
+    assert.equal(plan.outputs.length, 1);
+  });
+
+  await t.test("a single input is never reported as merged", () => {
+    const plan = planContractOutputs(selected.slice(0, 1), 1_000n, 1n, {
+      merge: true,
+      dust: 1_000n,
+    });
+    assert.equal(plan.merged, false);
+  });
+});
+
+test("covenantInputChecks", async (t) => {
+  await t.test("every input passes when each sees a larger D", () => {
+    // $100 of BCH; FT all on one input → D_before 50 / 100 per input
+    const selected = summarizePortfolio(utxos, ftCat).portfolio;
+    const r = covenantInputChecks({
+      selected,
+      outputs: [
+        { bchSats: 40_000_000n, tokens: 120n },
+        { bchSats: 60_000_000n, tokens: 0n },
+      ],
+      oraclePriceRaw: price,
+    });
+    assert.equal(r.D_after, 20n);
+    assert.deepEqual(
+      r.inputs.map((i) => i.D_before),
+      [50n, 100n]
+    );
+    assert.equal(r.failing.length, 0);
+  });
+
+  await t.test("flags the input whose own tokens sit close to target", () => {
+    // $200 of BCH vs 300 FT overall, but input 0 alone holds 190 FT:
+    // halving to 250 FT leaves D 50 > |200 - 190|.
+    const split = summarizePortfolio(
+      [
+        utxo(0, 100_000_000n, { category: ftCat, amount: 190n }),
+        utxo(1, 100_000_000n, { category: ftCat, amount: 110n }),
+      ],
+      ftCat
+    );
+    const r = covenantInputChecks({
+      selected: split.portfolio,
+      outputs: [{ bchSats: 200_000_000n, tokens: 250n }],
+      oraclePriceRaw: price,
+    });
+    assert.equal(r.D_after, 50n);
+    assert.deepEqual(
+      r.failing.map((i) => [i.outpoint, i.D_before]),
+      [[outpointOf(split.portfolio[0].utxo), 10n]]
+    );
+  });
+
+  await t.test("only the first token-bearing output counts", () => {
+    const selected = summarizePortfolio(utxos, ftCat).portfolio;
+    const r = covenantInputChecks({
+      selected,
+      outputs: [
+        { bchSats: 40_000_000n, tokens: 0n },
+        { bchSats: 60_000_000n, tokens: 100n },
+      ],
+      oraclePriceRaw: price,
+    });
+    assert.equal(r.D_after, 0n);
+  });
+
+  await t.test("aggregateTokens sums the FT on both sides", () => {
+    // The layout "flags the input ..." rejects: with summed tokens every
+    // input sees the portfolio's D of 100, and split outputs count in full.
+    const split = summarizePortfolio(
+      [
+        utxo(0, 100_000_000n, { category: ftCat, amount: 190n }),
+        utxo(1, 100_000_000n, { category: ftCat, amount: 110n }),
+      ],
+      ftCat
+    );
+    const r = covenantInputChecks({
+      selected: split.portfolio,
+      outputs: [
+        { bchSats: 100_000_000n, tokens: 125n },
+        { bchSats: 100_000_000n, tokens: 125n },
+      ],
+      oraclePriceRaw: price,
+      aggregateTokens: true,
+    });
+    assert.equal(r.D_after, 50n);
+    assert.deepEqual(
+      r.inputs.map((i) => [i.tokens, i.D_before]),
+      [
+        [300n, 100n],
+        [300n, 100n],
+      ]
+    );
+    assert.equal(r.failing.length, 0);
+
+    // Taking FT out of a balanced portfolio fails on every input.
+    const balanced = summarizePortfolio(
+      [
+        utxo(0, 50_000_000n, { category: ftCat, amount: 50n }),
+        utxo(1, 50_000_000n, { category: ftCat, amount: 50n }),
+      ],
+      ftCat
+    );
+    const take = (aggregateTokens) =>
+      covenantInputChecks({
+        selected: balanced.portfolio,
+        outputs: [{ bchSats: 100_000_000n, tokens: 50n }],
+        oraclePriceRaw: price,
+        aggregateTokens,
+      });
+    assert.equal(take(false).failing.length, 0);
+    assert.equal(take(true).failing.length, 2);
+  });
+
+  await t.test("weighted target", () => {
+    const selected = summarizePortfolio(utxos, ftCat).portfolio;
+    const r = covenantInputChecks({
+      selected,
+      outputs: [{ bchSats: 100_000_000n, tokens: 150n }],
+      oraclePriceRaw: price,
+      targetBchWeightBps: 4_000n,
+    });
+    // |100 * 6000 - 150 * 4000| = 0
+    assert.equal(r.D_after, 0n);
+    assert.equal(r.failing.length, 0);
+  });
+});
+
+test("valuePortfolio", () => {
+  const v = valuePortfolio(summarizePortfolio(utxos, ftCat), price);
+  assert.deepEqual(
+    v.entries.map((e) => e.bchUsd),
+    [40n, 60n]
+  );
+  assert.equal(v.bchUsd, 100n);
+  assert.equal(v.tokens, 150n);
+  assert.equal(v.D, 50n);
+  assert.equal(v.deviationUsd, 25);
+});
+
+test("portfolioOptionsFromArgv", () => {
+  assert.deepEqual(portfolioOptionsFromArgv([], {}), {
+    outpoints: null,
+    merge: false,
+  });
+  assert.deepEqual(
+    portfolioOptionsFromArgv(["--utxos", "a:0, b:1", "--merge"], {}),
+    { outpoints: ["a:0", "b:1"], merge: true }
+  );
+  assert.deepEqual(portfolioOptionsFromArgv(["--utxos=c:2"], {}), {
+    outpoints: ["c:2"],
+    merge: false,
+  });
+  assert.deepEqual(
+    portfolioOptionsFromArgv([], {
+      REBALANCE_UTXOS: "d:3",
+      REBALANCE_MERGE: "true",
+    }),
+    { outpoints: ["d:3"], merge: true }
+  );
+  // The flag wins over the environment.
+  assert.deepEqual(
+    portfolioOptionsFromArgv(["--utxos", "e:4"], { REBALANCE_UTXOS: "d:3" })
+      .outpoints,
+    ["e:4"]
+  );
+});
+
+test("splitEvenly", () => {
+  assert.deepEqual(splitEvenly(10n, 3), [4n, 3n, 3n]);
+  assert.deepEqual(splitEvenly(9n, 3), [3n, 3n, 3n]);
+  assert.deepEqual(splitEvenly(7n, 1), [7n]);
+  assert.deepEqual(splitEvenly(2n, 4), [1n, 1n, 0n, 0n]);
+  for (const n of [0, -1, 1.5, NaN]) {
+    assert.throws(() => splitEvenly(10n, n), /positive integer/);
+  }
+});
+
+test("splitCountFromArgv", () => {
+  assert.equal(splitCountFromArgv([], {}), 1);
+  assert.equal(splitCountFromArgv(["--split", "3"], {}), 3);
+  assert.equal(splitCountFromArgv(["--split=5"], {}), 5);
+  assert.equal(splitCountFromArgv([], { FUND_SPLIT: "2" }), 2);
+});
@@ -0,0 +1,269 @@
+// tests/priceZScore.test.js
+// Moving averages / z-scores on synthetic price series, the sizing curve,
+// and the "price-zscore" strategy built on them.
+
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  sma,
+  ema,
+  stdDev,
+  priceStats,
+  sizeForZ,
+} from "../strategies/priceStats.js";
+import { getStrategy, validateProposal } from "../strategies/index.js";
+import { fetchOraclePriceHistory } from "../oracles/fetchOraclePrice.js";
+import { encodePriceMessageHex } from "../oracles/priceCodec.js";
+import { signOracleMessage } from "../oracles/oracleSignature.js";
+import { secp256k1, hexToBin, binToHex } from "@bitauth/libauth";
+
+// --- synthetic series (priceRaw, USD/BCH * 100) ---
+const flat = Array(20).fill(40_000);
+const trendUp = Array.from({ length: 20 }, (_, i) => 40_000 + i * 100);
+const calmThenSpike = [...Array(19).fill(40_000).map((p, i) => p + (i % 2 ? 50 : -50)), 42_000];
+const calmThenCrash = [...Array(19).fill(40_000).map((p, i) => p + (i % 2 ? 50 : -50)), 38_000];
+const sine = Array.from({ length: 40 }, (_, i) =>
+  Math.round(40_000 + 1_000 * Math.sin((2 * Math.PI * i) / 20))
+);
+
+const sizing = {
+  lookback: 20,
+  average: "sma",
+  entryZ: 1,
+  fullZ: 3,
+  minBps: 2_500n,
+  maxBps: 10_000n,
+  curve: "linear",
+};
+
+test("moving averages", async (t) => {
+  await t.test("SMA / EMA of a flat series equal the price", () => {
+    assert.equal(sma(flat), 40_000);
+    assert.equal(ema(flat), 40_000);
+    assert.equal(stdDev(flat), 0);
+  });
+
+  await t.test("EMA leads SMA on a trend", () => {
+    assert.equal(sma(trendUp), 40_950);
+    assert.ok(ema(trendUp) > sma(trendUp));
+    assert.ok(ema(trendUp) < trendUp[trendUp.length - 1]);
+  });
+
+  await t.test("SMA of a full sine period is its midline", () => {
+    assert.ok(Math.abs(sma(sine.slice(0, 20)) - 40_000) < 1);
+  });
+});
+
+test("priceStats", async (t) => {
+  await t.test("flat series → z = 0", () => {
+    const s = priceStats(flat, { lookback: 20 });
+    assert.equal(s.z, 0);
+    assert.equal(s.samples, 20);
+  });
+
+  await t.test("a spike gives a large positive z, a crash a negative one", () => {
+    const up = priceStats(calmThenSpike, { lookback: 20, average: "sma" });
+    const down = priceStats(calmThenCrash, { lookback: 20, average: "sma" });
+    assert.ok(up.z > 3, `z=${up.z}`);
+    assert.ok(down.z < -3, `z=${down.z}`);
+    assert.ok(Math.abs(up.z + down.z) < 0.01);
+  });
+
+  await t.test("lookback only uses the most recent prices", () => {
+    const s = priceStats([...Array(50).fill(10_000), ...flat], { lookback: 20 });
+    assert.equal(s.sma, 40_000);
+  });
+
+  await t.test("rejects unknown average types", () => {
+    assert.throws(() => priceStats(flat, { average: "wma" }), /Unknown average/);
+  });
+});
+
+test("sizeForZ", async (t) => {
+  await t.test("linear between entry and full", () => {
+    assert.equal(sizeForZ(0, sizing), 2_500n);
+    assert.equal(sizeForZ(1, sizing), 2_500n);
+    assert.equal(sizeForZ(2, sizing), 6_250n);
+    assert.equal(sizeForZ(3, sizing), 10_000n);
+    assert.equal(sizeForZ(9, sizing), 10_000n);
+  });
+
+  await t.test("quadratic grows slower at first", () => {
+    const q = { ...sizing, curve: "quadratic" };
+    assert.equal(sizeForZ(2, q), 4_375n);
+    assert.ok(sizeForZ(2, q) < sizeForZ(2, sizing));
+  });
+
+  await t.test("step jumps at fullZ", () => {
+    const st = { ...sizing, curve: "step" };
+    assert.equal(sizeForZ(2.9, st), 2_500n);
+    assert.equal(sizeForZ(3, st), 10_000n);
+  });
+
+  await t.test("is monotonic in |z| for every curve", () => {
+    for (const curve of ["linear", "quadratic", "step"]) {
+      let prev = -1n;
+      for (let z = 0; z <= 4; z += 0.1) {
+        const size = sizeForZ(z, { ...sizing, curve });
+        assert.ok(size >= prev);
+        prev = size;
+      }
+    }
+  });
+
+  await t.test("rejects bad configuration", () => {
+    assert.throws(() => sizeForZ(1, { ...sizing, curve: "cubic" }), /curve/);
+    assert.throws(() => sizeForZ(1, { ...sizing, fullZ: 1 }), /entryZ < fullZ/);
+    assert.throws(() => sizeForZ(1, { ...sizing, minBps: 20_000n }), /minBps/);
+  });
+});
+
+test("price-zscore strategy", async (t) => {
+  const strategy = getStrategy("price-zscore");
+  const bch = 100_000_000n;
+
+  // History snapshots; the last one is the current oracle message.
+  const historyOf = (prices) =>
+    prices.map((priceRaw, i) => ({ priceRaw, messageSequence: i + 1 }));
+
+  function run(prices, tokens, mode = "tokens", zscore = sizing) {
+    const history = historyOf(prices);
+    const oracle = history[history.length - 1];
+    const state = { bchSats: bch, tokens };
+    const proposal = strategy.propose({
+      state,
+      oracle,
+      history,
+      config: { mode, targetBchWeightBps: null, zscore },
+    });
+    const move = validateProposal({
+      state,
+      proposal,
+      oraclePriceRaw: BigInt(oracle.priceRaw),
+      targetBchWeightBps: null,
+      mode,
+    });
+    return { proposal, move };
+  }
+
+  await t.test("asks for `lookback` messages of history", () => {
+    assert.equal(strategy.historyCount({ zscore: sizing }), 20);
+  });
+
+  await t.test("flat price → minimum share of the gap", () => {
+    // 1 BCH @ $400 vs 0 FT: target 400 FT, 25% → deposit 100
+    const { proposal, move } = run(flat, 0n);
+    assert.equal(proposal.metrics.shareBps, 2_500n);
+    assert.equal(move.direction, "deposit");
+    assert.equal(move.stepTokens, 100n);
+  });
+
+  await t.test("spike while BCH is overweight → close the whole gap", () => {
+    // spike to $420: BCH overweight, price stretched up → sell BCH share
+    const { proposal, move } = run(calmThenSpike, 0n);
+    assert.ok(proposal.metrics.z > 3);
+    assert.equal(proposal.metrics.withReversion, true);
+    assert.equal(proposal.metrics.shareBps, 10_000n);
+    assert.equal(move.newTokens, 420n);
+    assert.equal(move.D_after, 0n);
+  });
+
+  await t.test("spike while BCH is underweight → only the minimum share", () => {
+    // 1000 FT vs $420 BCH: restoring means buying BCH share at a stretched price
+    const { proposal, move } = run(calmThenSpike, 1_000n);
+    assert.equal(proposal.metrics.withReversion, false);
+    assert.equal(proposal.metrics.shareBps, 2_500n);
+    assert.equal(move.direction, "withdraw");
+    assert.equal(move.stepTokens, 145n); // 25% of 580
+  });
+
+  await t.test("crash while BCH is underweight → large swap into BCH", () => {
+    const { proposal, move } = run(calmThenCrash, 1_000n, "swap");
+    assert.equal(proposal.metrics.withReversion, true);
+    assert.equal(proposal.metrics.shareBps, 10_000n);
+    assert.equal(move.direction, "buyBch");
+    assert.ok(move.D_after < move.D_before);
+  });
+
+  await t.test("minBps = 0 holds on counter-trend moves", () => {
+    const { move } = run(calmThenSpike, 1_000n, "tokens", {
+      ...sizing,
+      minBps: 0n,
+    });
+    assert.equal(move.direction, "none");
+  });
+
+  await t.test("every proposal over a sine series passes validation", () => {
+    for (let end = 2; end <= sine.length; end++) {
+      for (const mode of ["tokens", "swap"]) {
+        for (const tokens of [0n, 200n, 400n, 900n]) {
+          const { move } = run(sine.slice(0, end), tokens, mode);
+          if (move.direction !== "none") {
+            assert.ok(move.D_after < move.D_before);
+          }
+        }
+      }
+    }
+  });
+});
+
+test("fetchOraclePriceHistory", async (t) => {
+  const oraclePriv = hexToBin("11".repeat(32));
+  const publicKey = binToHex(secp256k1.derivePublicKeyCompressed(oraclePriv));
+  const signed = (seq, priceRaw) => {
+    const message = encodePriceMessageHex({
+      timestamp: 1_700_000_000 + seq * 60,
+      messageSequence: seq,
+      dataSequence: seq,
+      priceRaw,
+    });
+    return { message, publicKey, signature: signOracleMessage(message, oraclePriv) };
+  };
+
+  const base = `http://oracle.test/api/v1/oracleMessages?publicKey=${publicKey}`;
+  const respond = (oracleMessages) => async (url) => {
+    // The oracle's metadata (none here: scale 100), then the prices.
+    if (url === `${base}&count=100&maxDataSequence=-1`) {
+      return { ok: true, json: async () => ({ oracleMessages: [] }) };
+    }
+    assert.equal(url, `${base}&count=3`);
+    return { ok: true, json: async () => ({ oracleMessages }) };
+  };
+  // API order: newest first, plus one non-price message
+  const s12 = signed(12, 40_300);
+  const s11 = signed(11, 40_200);
+  const fetchImpl = respond([s12, { message: "00ff", signature: "meta" }, s11]);
+
+  await t.test("decodes, skips non-price messages and sorts oldest first", async () => {
+    const history = await fetchOraclePriceHistory({
+      publicKey,
+      count: 3,
+      apiBaseUrl: "http://oracle.test",
+      fetchImpl,
+    });
+
+    assert.deepEqual(
+      history.map((h) => [h.messageSequence, h.priceRaw]),
+      [
+        [11, 40_200],
+        [12, 40_300],
+      ]
+    );
+    assert.equal(history[1].signature, s12.signature);
+    assert.equal(history[1].priceValue, 403);
+  });
+
+  await t.test("a forged price message rejects the history", async () => {
+    const forged = { ...signed(13, 90_000), signature: s12.signature };
+    await assert.rejects(
+      fetchOraclePriceHistory({
+        publicKey,
+        count: 3,
+        apiBaseUrl: "http://oracle.test",
+        fetchImpl: respond([forged, s12, s11]),
+      }),
+      /invalid signature/
+    );
+  });
+});
@@ -0,0 +1,202 @@
+// tests/rebalanceBand.test.js
+// Tolerance band (deadband) decisions + "rebalance back to inner band" moves.
+
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  validateBand,
+  bandEdgeToD,
+  evaluateBand,
+  chooseTokensIntoBand,
+  chooseSwapIntoBand,
+} from "../rebalanceBand.js";
+import { imbalance } from "../meanRevertMath.js";
+
+const bch = 100_000_000n; // 1 BCH
+const price = 10_000n; // 100.00 USD/BCH → bchUsd = 100
+
+test("validateBand", async (t) => {
+  await t.test("accepts off / usd / pct bands", () => {
+    validateBand({ mode: "off", outer: 0n, inner: 0n });
+    validateBand({ mode: "usd", outer: 10n, inner: 2n });
+    validateBand({ mode: "pct", outer: 200n, inner: 200n });
+  });
+
+  await t.test("rejects unknown modes and inverted edges", () => {
+    assert.throws(
+      () => validateBand({ mode: "bps", outer: 1n, inner: 0n }),
+      /Unknown tolerance band mode/
+    );
+    assert.throws(
+      () => validateBand({ mode: "usd", outer: 1n, inner: 5n }),
+      /inner edge must not exceed/
+    );
+    assert.throws(
+      () => validateBand({ mode: "pct", outer: -1n, inner: -2n }),
+      /must not be negative/
+    );
+  });
+});
+
+test("evaluateBand", async (t) => {
+  await t.test("usd edges scale with the imbalance weights", () => {
+    // V3: deviation = D / 2, V4: deviation = D / 10_000
+    assert.equal(bandEdgeToD(5n, "usd", 300n, undefined), 10n);
+    assert.equal(bandEdgeToD(5n, "usd", 300n, 6_000n), 50_000n);
+  });
+
+  await t.test("pct edges are a share of total portfolio value", () => {
+    // 2% of $300 = $6 → D = 12 (V3)
+    assert.equal(bandEdgeToD(200n, "pct", 300n, undefined), 12n);
+  });
+
+  await t.test("skips while inside the outer band", () => {
+    // 1 BCH ($100) vs 104 FT: BCH is $2 below its 1:1 share.
+    const r = evaluateBand({
+      bchSats: bch,
+      tokens: 104n,
+      oraclePriceRaw: price,
+      band: { mode: "usd", outer: 5n, inner: 1n },
+    });
+
+    assert.equal(r.decision, "skip");
+    assert.equal(r.D, 4n);
+    assert.equal(r.outerD, 10n);
+    assert.equal(r.deviationUsd, 2);
+    assert.match(r.reason, /inside band/);
+  });
+
+  await t.test("rebalances once outside the outer band", () => {
+    const r = evaluateBand({
+      bchSats: bch,
+      tokens: 120n,
+      oraclePriceRaw: price,
+      band: { mode: "usd", outer: 5n, inner: 1n },
+    });
+
+    assert.equal(r.decision, "rebalance");
+    assert.equal(r.innerD, 2n);
+    assert.match(r.reason, /outside band/);
+  });
+
+  await t.test("a 60/40 target measures deviation from 60/40", () => {
+    // $100 BCH + $66 FT is on target for 60/40 but 17% off for 1:1.
+    const band = { mode: "pct", outer: 200n, inner: 50n };
+    const weighted = evaluateBand({
+      bchSats: bch,
+      tokens: 66n,
+      oraclePriceRaw: price,
+      targetBchWeightBps: 6_000n,
+      band,
+    });
+    const oneToOne = evaluateBand({
+      bchSats: bch,
+      tokens: 66n,
+      oraclePriceRaw: price,
+      band,
+    });
+
+    assert.equal(weighted.decision, "skip");
+    assert.equal(oneToOne.decision, "rebalance");
+  });
+
+  await t.test("band off rebalances on any imbalance", () => {
+    const band = { mode: "off", outer: 0n, inner: 0n };
+    const drift = evaluateBand({
+      bchSats: bch,
+      tokens: 101n,
+      oraclePriceRaw: price,
+      band,
+    });
+    const flat = evaluateBand({
+      bchSats: bch,
+      tokens: 100n,
+      oraclePriceRaw: price,
+      band,
+    });
+
+    assert.equal(drift.decision, "rebalance");
+    assert.equal(drift.innerD, null);
+    assert.equal(flat.decision, "skip");
+  });
+});
+
+test("chooseTokensIntoBand", async (t) => {
+  await t.test("withdraw lands on the inner edge with the smallest move", () => {
+    // V3, inner $1 → innerD = 2: land at 102 FT, not 100.
+    const r = chooseTokensIntoBand(bch, 200n, price, undefined, 2n);
+
+    assert.equal(r.direction, "withdraw");
+    assert.equal(r.newTokens, 102n);
+    assert.equal(r.stepTokens, 98n);
+    assert.equal(r.D_after, 2n);
+  });
+
+  await t.test("deposit lands on the inner edge with the smallest move", () => {
+    // 70/30: innerD = 5_500 → 43 FT (42 FT would leave D = 6_000).
+    const r = chooseTokensIntoBand(bch, 10n, price, 7_000n, 5_500n);
+
+    assert.equal(r.direction, "deposit");
+    assert.equal(r.newTokens, 43n);
+    assert.ok(r.D_after <= 5_500n);
+    assert.ok(imbalance(bch, 42n, price, 7_000n) > 5_500n);
+  });
+
+  await t.test("inside the inner band is a no-op", () => {
+    const r = chooseTokensIntoBand(bch, 101n, price, undefined, 2n);
+    assert.equal(r.direction, "none");
+    assert.equal(r.stepTokens, 0n);
+  });
+
+  await t.test("moves always improve D and hit the band when reachable", () => {
+    for (const w of [undefined, 5_000n, 6_000n, 7_000n]) {
+      for (const innerD of [0n, 3n, 5_000n, 20_000n]) {
+        for (let tokens = 0n; tokens <= 300n; tokens += 11n) {
+          const r = chooseTokensIntoBand(bch, tokens, price, w, innerD);
+          if (r.direction === "none") continue;
+
+          assert.ok(r.D_after < r.D_before);
+          assert.equal(r.D_after, imbalance(bch, r.newTokens, price, w));
+          // One whole token moves D by bchWeight; within that, we must hit.
+          const granularity = w == null ? 1n : w;
+          if (innerD * 2n >= granularity) assert.ok(r.D_after <= innerD);
+        }
+      }
+    }
+  });
+});
+
+test("chooseSwapIntoBand", async (t) => {
+  await t.test("swaps just enough USD to reach the inner band", () => {
+    // V3, 1 BCH vs 200 FT, innerD = 4 ($2): buy $48 of BCH → 148/152.
+    const r = chooseSwapIntoBand(bch, 200n, price, undefined, 4n);
+
+    assert.equal(r.direction, "buyBch");
+    assert.equal(r.stepTokens, 48n);
+    assert.equal(r.newBch, 148_000_000n);
+    assert.equal(r.newTokens, 152n);
+    assert.equal(r.D_after, 4n);
+  });
+
+  await t.test("returns null when already inside the inner band", () => {
+    assert.equal(chooseSwapIntoBand(bch, 101n, price, undefined, 2n), null);
+  });
+
+  await t.test("every returned swap is inside the band per covenant math", () => {
+    const prices = [10_000n, 47_622n, 54_068n];
+    for (const w of [undefined, 6_000n, 7_000n]) {
+      for (const p of prices) {
+        for (let tokens = 0n; tokens <= 1_000n; tokens += 41n) {
+          const innerD = w == null ? 4n : 20_000n;
+          const r = chooseSwapIntoBand(bch, tokens, p, w, innerD);
+          if (r === null) continue;
+
+          assert.equal(r.D_after, imbalance(r.newBch, r.newTokens, p, w));
+          assert.ok(r.D_after <= innerD);
+          assert.ok(r.D_after < r.D_before);
+        }
+      }
+    }
+  });
+});
@@ -0,0 +1,185 @@
+// tests/rebalanceCooldown.test.js
+// Cooldown between rebalances: the last rebalance from the journal or the
+// contract's Electrum history, the wait decision, and the V5 sequence lock.
+
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  lastJournalRebalance,
+  blockHeaderTime,
+  supportsChainHistory,
+  lastChainActivity,
+  newestRebalance,
+  evaluateCooldown,
+  sequenceForMinAge,
+  minAgeStatus,
+} from "../rebalanceCooldown.js";
+
+const contractAddress = "bchtest:contract";
+const NOW = Date.parse("2026-10-19T12:00:00Z");
+const MINUTE = 60_000;
+
+function headerWithTime(unixSeconds) {
+  const bytes = Buffer.alloc(80);
+  bytes.writeUInt32LE(unixSeconds, 68);
+  return bytes.toString("hex");
+}
+
+// Answers the two Electrum requests lastChainActivity() makes.
+function fakeElectrum(history, headerTimes = {}) {
+  const calls = [];
+  return {
+    calls,
+    async performRequest(method, ...params) {
+      calls.push([method, ...params]);
+      if (method === "blockchain.address.get_history") return history;
+      if (method === "blockchain.block.header") {
+        return headerWithTime(headerTimes[params[0]]);
+      }
+      throw new Error(`unexpected request ${method}`);
+    },
+  };
+}
+
+test("lastJournalRebalance picks the newest entry of the contract", () => {
+  const journal = [
+    { time: new Date(NOW - 30 * MINUTE).toISOString(), txid: "a", contractAddress },
+    { time: new Date(NOW - 5 * MINUTE).toISOString(), txid: "b", contractAddress },
+    {
+      time: new Date(NOW - MINUTE).toISOString(),
+      txid: "c",
+      contractAddress: "bchtest:other",
+    },
+  ];
+  assert.deepEqual(lastJournalRebalance(journal, contractAddress), {
+    source: "journal",
+    txid: "b",
+    timeMs: NOW - 5 * MINUTE,
+  });
+  assert.equal(lastJournalRebalance([], contractAddress), null);
+});
+
+test("blockHeaderTime", () => {
+  assert.equal(blockHeaderTime(headerWithTime(1_760_000_000)), 1_760_000_000);
+  assert.throws(() => blockHeaderTime("00".repeat(70)), /Block header too short/);
+});
+
+test("lastChainActivity", async (t) => {
+  await t.test("times the newest confirmed tx by its block header", async () => {
+    const provider = fakeElectrum(
+      [
+        { tx_hash: "old", height: 100 },
+        { tx_hash: "new", height: 105 },
+      ],
+      { 105: NOW / 1000 - 600 }
+    );
+    assert.deepEqual(await lastChainActivity(provider, contractAddress, NOW), {
+      source: "chain",
+      txid: "new",
+      timeMs: NOW - 10 * MINUTE,
+      height: 105,
+    });
+    assert.deepEqual(provider.calls, [
+      ["blockchain.address.get_history", contractAddress],
+      ["blockchain.block.header", 105],
+    ]);
+  });
+
+  await t.test("a mempool tx counts as now, without a header lookup", async () => {
+    const provider = fakeElectrum([
+      { tx_hash: "old", height: 100 },
+      { tx_hash: "pending", height: 0 },
+    ]);
+    assert.deepEqual(await lastChainActivity(provider, contractAddress, NOW), {
+      source: "chain",
+      txid: "pending",
+      timeMs: NOW,
+      height: null,
+    });
+    assert.equal(provider.calls.length, 1);
+  });
+
+  await t.test("no history", async () => {
+    assert.equal(await lastChainActivity(fakeElectrum([]), contractAddress), null);
+  });
+
+  await t.test("supportsChainHistory", () => {
+    assert.equal(supportsChainHistory(fakeElectrum([])), true);
+    assert.equal(supportsChainHistory({ getUtxos() {} }), false);
+    assert.equal(supportsChainHistory(undefined), false);
+  });
+});
+
+test("newestRebalance ignores missing records", () => {
+  const a = { source: "journal", txid: "a", timeMs: NOW - MINUTE };
+  const b = { source: "chain", txid: "b", timeMs: NOW - 2 * MINUTE };
+  assert.equal(newestRebalance(a, b), a);
+  assert.equal(newestRebalance(null, false, b), b);
+  assert.equal(newestRebalance(null, false), null);
+});
+
+test("evaluateCooldown", async (t) => {
+  const last = { source: "journal", txid: "a", timeMs: NOW - 5 * MINUTE };
+
+  await t.test("inside the cooldown waits", () => {
+    const r = evaluateCooldown({ last, now: NOW, cooldownMs: 15 * MINUTE });
+    assert.equal(r.decision, "wait");
+    assert.equal(r.remainingMs, 10 * MINUTE);
+    assert.equal(r.readyAt, new Date(NOW + 10 * MINUTE).toISOString());
+    assert.match(
+      r.reason,
+      /^cooldown: last rebalance 300 s ago \(journal, txid a\), 600 s of 900 s left/
+    );
+  });
+
+  await t.test("after the cooldown rebalances", () => {
+    const r = evaluateCooldown({ last, now: NOW, cooldownMs: 5 * MINUTE });
+    assert.equal(r.decision, "rebalance");
+    assert.equal(r.remainingMs, 0);
+    assert.match(r.reason, /cooldown of 300 s has passed/);
+  });
+
+  await t.test("a block time ahead of the clock counts as now", () => {
+    const future = { ...last, timeMs: NOW + MINUTE };
+    const r = evaluateCooldown({ last: future, now: NOW, cooldownMs: MINUTE });
+    assert.equal(r.decision, "wait");
+    assert.equal(r.remainingMs, MINUTE);
+  });
+
+  await t.test("disabled or no history", () => {
+    assert.equal(
+      evaluateCooldown({ last, now: NOW, cooldownMs: 0 }).reason,
+      "cooldown disabled"
+    );
+    const r = evaluateCooldown({ last: null, now: NOW, cooldownMs: MINUTE });
+    assert.equal(r.decision, "rebalance");
+    assert.equal(r.reason, "no previous rebalance found");
+  });
+});
+
+test("sequenceForMinAge", () => {
+  assert.equal(sequenceForMinAge(6n), 6);
+  assert.equal(sequenceForMinAge(0n), 0);
+  assert.equal(sequenceForMinAge(0xffff), 0xffff);
+  assert.throws(() => sequenceForMinAge(0x10000), /integer in 0\.\.65535/);
+  assert.throws(() => sequenceForMinAge(-1n), /integer in 0\.\.65535/);
+});
+
+test("minAgeStatus", () => {
+  // Mined at 100, tip 103: 4 confirmations.
+  assert.deepEqual(minAgeStatus({ height: 100, tipHeight: 103, minAgeBlocks: 6n }), {
+    ok: false,
+    confirmations: 4,
+    blocksLeft: 2,
+  });
+  assert.equal(
+    minAgeStatus({ height: 100, tipHeight: 105, minAgeBlocks: 6n }).ok,
+    true
+  );
+  assert.deepEqual(minAgeStatus({ height: null, tipHeight: 105, minAgeBlocks: 1n }), {
+    ok: false,
+    confirmations: 0,
+    blocksLeft: 1,
+  });
+});
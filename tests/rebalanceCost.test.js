@@ -0,0 +1,119 @@
+// tests/rebalanceCost.test.js
+// Fee-aware rebalance decisions: imbalance reduction vs fee + dust.
+
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { satsToUsd, evaluateRebalanceCost } from "../rebalanceCost.js";
+
+const price = 10_000n; // 100.00 USD/BCH → 1 sat = $0.000001
+
+test("satsToUsd", () => {
+  assert.equal(satsToUsd(100_000_000n, price), 100);
+  assert.equal(satsToUsd(1_000_000n, price), 1);
+  assert.equal(satsToUsd(0n, price), 0);
+});
+
+test("evaluateRebalanceCost", async (t) => {
+  const base = {
+    targetBchWeightBps: null,
+    oraclePriceRaw: price,
+    feeSats: 500n,
+    dustSats: 2_000n,
+    minMultiple: 1,
+  };
+
+  await t.test("typical move is far above its cost", () => {
+    // V3: D 100 → 0 moves the BCH leg $50; cost 2500 sats = $0.0025
+    const r = evaluateRebalanceCost({ ...base, D_before: 100n, D_after: 0n });
+    assert.equal(r.decision, "rebalance");
+    assert.equal(r.costSats, 2_500n);
+    assert.equal(r.benefitUsd, 50);
+    assert.equal(r.costUsd, 0.0025);
+    assert.equal(r.ratio, 20_000);
+    assert.match(r.reason, /ratio 20000\.00 >= 1x/);
+  });
+
+  await t.test("skips when the fee outweighs the benefit", () => {
+    // D 3 → 2 is worth $0.50; fee $1
+    const r = evaluateRebalanceCost({
+      ...base,
+      D_before: 3n,
+      D_after: 2n,
+      feeSats: 1_000_000n,
+      dustSats: 0n,
+    });
+    assert.equal(r.decision, "skip");
+    assert.equal(r.ratio, 0.5);
+    assert.match(r.reason, /not worth the fee/);
+  });
+
+  await t.test("exactly the multiple is enough, a hair below is not", () => {
+    // D 2 → 0 is worth $1; cost $1
+    const args = {
+      ...base,
+      D_before: 2n,
+      D_after: 0n,
+      feeSats: 998_000n,
+      dustSats: 2_000n,
+    };
+    assert.equal(evaluateRebalanceCost(args).decision, "rebalance");
+    assert.equal(
+      evaluateRebalanceCost({ ...args, minMultiple: 1.001 }).decision,
+      "skip"
+    );
+    assert.equal(
+      evaluateRebalanceCost({ ...args, minMultiple: 0.5 }).decision,
+      "rebalance"
+    );
+  });
+
+  await t.test("weighted target scales D by W_bch + W_ft", () => {
+    // V4: D reduction 10_000 = $1 of BCH-leg deviation
+    const r = evaluateRebalanceCost({
+      ...base,
+      targetBchWeightBps: 6_000n,
+      D_before: 30_000n,
+      D_after: 20_000n,
+      feeSats: 500_000n,
+      dustSats: 0n,
+      minMultiple: 2,
+    });
+    assert.equal(r.benefitUsd, 1);
+    assert.equal(r.ratio, 2);
+    assert.equal(r.decision, "rebalance");
+  });
+
+  await t.test("multiple 0 disables the check", () => {
+    const r = evaluateRebalanceCost({
+      ...base,
+      D_before: 1n,
+      D_after: 0n,
+      feeSats: 100_000_000n,
+      minMultiple: 0,
+    });
+    assert.equal(r.decision, "rebalance");
+  });
+
+  await t.test("zero cost has no ratio", () => {
+    const r = evaluateRebalanceCost({
+      ...base,
+      D_before: 1n,
+      D_after: 0n,
+      feeSats: 0n,
+      dustSats: 0n,
+    });
+    assert.equal(r.ratio, null);
+    assert.equal(r.decision, "rebalance");
+  });
+
+  await t.test("rejects negative or non-numeric multiples", () => {
+    for (const minMultiple of [-1, NaN, undefined]) {
+      assert.throws(
+        () =>
+          evaluateRebalanceCost({ ...base, D_before: 1n, D_after: 0n, minMultiple }),
+        /Fee multiple/
+      );
+    }
+  });
+});
@@ -0,0 +1,336 @@
+// tests/rebalanceDaemon.mocknet.test.js
+//
+// The real oracle rebalancer driven by the daemon loop against
+// LocalStandInProvider (no chipnet, no oracle API).
+
+import test, { after } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+import { randomUtxo } from "cashscript";
+
+import { aliceAddress, aliceTokenAddress } from "../common.js";
+import {
+  FT_CATEGORY_HEX,
+  NFT_CATEGORY_HEX,
+  REBALANCER_NFT_COMMITMENT_HEX,
+} from "../config.js";
+import { getMeanRevertContract } from "../meanRevertContract.js";
+import { LocalStandInProvider } from "../localStandInProvider.js";
+import { P2PKH_INPUT_BYTES } from "../utxos.js";
+import { createRebalanceDaemon } from "../rebalanceScheduler.js";
+import { readTradeJournal } from "../tradeJournal.js";
+import { runRebalanceWithOracle } from "../scripts/rebalanceWithOracle.js";
+
+const ORACLE_PRICE_RAW = 10_000; // 100.00 USD/BCH
+
+// Keep broadcasts out of the real trade journal; each test that looks at
+// the journal gets a fresh one.
+const journalDir = mkdtempSync(join(tmpdir(), "rebalance-daemon-"));
+after(() => rmSync(journalDir, { recursive: true, force: true }));
+let journalCount = 0;
+const freshJournal = () => join(journalDir, `journal-${++journalCount}.jsonl`);
+const journalPath = freshJournal();
+
+const NO_LIMITS = {
+  maxTokensPerTrade: null,
+  maxTradeBps: null,
+  maxUsdPerWindow: null,
+  windowHours: 24,
+  action: "clip",
+};
+
+// Stand-in for fetchLatestOraclePrice.
+async function fetchPrice() {
+  return {
+    oraclePubKey: "local",
+    priceRaw: ORACLE_PRICE_RAW,
+    priceScale: 100,
+    priceValue: ORACLE_PRICE_RAW / 100,
+  };
+}
+
+// 1 BCH ($100) vs 200 FT on the contract: far outside the default band.
+// `aliceFunding` lists the sats of Alice's BCH-only UTXOs.
+function setupStandIn({ aliceFunding = [1_000_000n] } = {}) {
+  const provider = new LocalStandInProvider();
+  const { contract } = getMeanRevertContract(provider, "v3");
+
+  provider.addUtxo(contract.tokenAddress, {
+    ...randomUtxo(),
+    satoshis: 100_000_000n,
+    token: { category: FT_CATEGORY_HEX, amount: 200n },
+  });
+  provider.addUtxo(aliceTokenAddress, {
+    ...randomUtxo(),
+    satoshis: 2_000n,
+    token: {
+      category: NFT_CATEGORY_HEX,
+      amount: 0n,
+      nft: { capability: "none", commitment: REBALANCER_NFT_COMMITMENT_HEX },
+    },
+  });
+  for (const satoshis of aliceFunding) {
+    provider.addUtxo(aliceAddress, { ...randomUtxo(), satoshis });
+  }
+
+  return { provider, contract };
+}
+
+function makeDaemon(provider, log = () => {}) {
+  return createRebalanceDaemon({
+    runOnce: ({ signal }) =>
+      runRebalanceWithOracle({
+        version: "v3",
+        provider,
+        fetchPrice,
+        signal,
+        journalPath,
+        riskLimits: NO_LIMITS,
+      }),
+    intervalMs: 60_000,
+    backoffBaseMs: 1,
+    backoffMaxMs: 4,
+    log,
+  });
+}
+
+test("rebalance daemon on the local stand-in provider", async (t) => {
+  await t.test("broadcasts once, then skips inside the band", async () => {
+    const { provider, contract } = setupStandIn();
+    const daemon = makeDaemon(provider);
+
+    const first = await daemon.tick();
+    assert.equal(first.status, "broadcast");
+    assert.equal(provider.broadcasts.length, 1);
+
+    const [portfolio] = await contract.getUtxos();
+    assert.ok(portfolio.token.amount < 200n);
+
+    const second = await daemon.tick();
+    assert.equal(second.status, "skipped");
+    assert.equal(provider.broadcasts.length, 1);
+  });
+
+  await t.test("Electrum errors back off, then the next run succeeds", async () => {
+    const { provider } = setupStandIn();
+    provider.failNext("getUtxos", new Error("electrum unreachable"), 2);
+
+    const lines = [];
+    const daemon = makeDaemon(provider, (line) => lines.push(line));
+
+    const done = daemon.start();
+    for (let i = 0; i < 2_000 && provider.broadcasts.length === 0; i++) {
+      await new Promise((r) => setTimeout(r, 1));
+    }
+    await daemon.stop("test");
+    await done;
+
+    assert.ok(lines.some((l) => /failed \(2 in a row\)/.test(l)));
+    assert.ok(lines.includes("[daemon] Backing off for 2 ms."));
+    assert.equal(daemon.failures, 0);
+  });
+
+  await t.test("shutdown before broadcast sends nothing", async () => {
+    const { provider } = setupStandIn();
+    const controller = new AbortController();
+    controller.abort();
+
+    const result = await runRebalanceWithOracle({
+      version: "v3",
+      provider,
+      fetchPrice,
+      signal: controller.signal,
+      journalPath,
+    });
+
+    assert.equal(result.status, "aborted");
+    assert.equal(provider.broadcasts.length, 0);
+  });
+});
+
+test("rebalance dry-run on the local stand-in provider", async () => {
+  const { provider } = setupStandIn();
+
+  const result = await runRebalanceWithOracle({
+    version: "v3",
+    provider,
+    fetchPrice,
+    dryRun: true,
+    journalPath,
+  });
+
+  assert.equal(result.status, "dry-run");
+  assert.equal(provider.broadcasts.length, 0);
+
+  const { plan } = result;
+  assert.equal(plan.action, "rebalance");
+  assert.equal(plan.direction, "withdraw");
+  assert.ok(plan.D_after < plan.D_before);
+  assert.equal(plan.oracle.priceRaw, ORACLE_PRICE_RAW);
+  assert.equal(plan.inputs.length, 3);
+  assert.equal(plan.outputs[0].token.amount, plan.newTokens);
+  assert.match(plan.txHex, /^[0-9a-f]+$/);
+
+  // Fee check: pass-1 fee + FT/NFT output dust, valued at the oracle price.
+  assert.equal(plan.cost.decision, "rebalance");
+  assert.equal(plan.cost.feeSats, plan.fee.estimate);
+  assert.ok(plan.cost.ratio > 1);
+});
+
+test("rebalance pays fees from several small Alice UTXOs", async () => {
+  // No single 700-sat UTXO covers change + fee.
+  const { provider, contract } = setupStandIn({
+    aliceFunding: Array(20).fill(700n),
+  });
+
+  const dry = await runRebalanceWithOracle({
+    version: "v3",
+    provider,
+    fetchPrice,
+    dryRun: true,
+    journalPath,
+  });
+  const { coinSelection } = dry.plan;
+  assert.equal(coinSelection.strategy, "largest-first");
+  assert.ok(coinSelection.utxoCount > 1);
+  assert.equal(
+    coinSelection.inputFeeSats,
+    BigInt(coinSelection.utxoCount) * P2PKH_INPUT_BYTES
+  );
+  // contract + NFT + the selected funding inputs
+  assert.equal(dry.plan.inputs.length, 2 + coinSelection.utxoCount);
+
+  const result = await runRebalanceWithOracle({
+    version: "v3",
+    provider,
+    fetchPrice,
+    journalPath,
+  });
+  assert.equal(result.status, "broadcast");
+  const [portfolio] = await contract.getUtxos();
+  assert.ok(portfolio.token.amount < 200n);
+});
+
+test("risk limits on the local stand-in provider", async (t) => {
+  // Unclipped, the default strategy withdraws close to 100 FT.
+  const run = (provider, limits, extra = {}) =>
+    runRebalanceWithOracle({
+      version: "v3",
+      provider,
+      fetchPrice,
+      riskLimits: { ...NO_LIMITS, ...limits },
+      ...extra,
+    });
+
+  await t.test("clips an oversized withdraw and journals it", async () => {
+    const { provider, contract } = setupStandIn();
+    const path = freshJournal();
+
+    const dry = await run(
+      provider,
+      { maxTradeBps: 1_000n },
+      { dryRun: true, journalPath: path }
+    );
+    assert.equal(dry.plan.risk.decision, "clip");
+    assert.ok(dry.plan.risk.requestedTokens > 30n);
+    // 10% of the $300 portfolio
+    assert.equal(dry.plan.tokenDelta, 30n);
+    assert.equal(dry.plan.newTokens, 170n);
+    assert.ok(dry.plan.D_after < dry.plan.D_before);
+    assert.deepEqual(await readTradeJournal(path), []);
+
+    const result = await run(provider, { maxTradeBps: 1_000n }, { journalPath: path });
+    assert.equal(result.status, "broadcast");
+    const [portfolio] = await contract.getUtxos();
+    assert.equal(portfolio.token.amount, 170n);
+
+    const [entry] = await readTradeJournal(path);
+    assert.equal(entry.txid, result.txid);
+    assert.equal(entry.contractAddress, contract.tokenAddress);
+    assert.equal(entry.direction, "withdraw");
+    assert.equal(entry.usd, 30n);
+  });
+
+  await t.test("the rolling window blocks once it is used up", async () => {
+    const { provider } = setupStandIn();
+    const path = freshJournal();
+    const limits = { maxTokensPerTrade: 25n, maxUsdPerWindow: 40n };
+
+    const first = await run(provider, limits, { journalPath: path });
+    assert.equal(first.status, "broadcast");
+
+    // $25 used, $15 left: clipped again.
+    const second = await run(provider, limits, { journalPath: path });
+    assert.equal(second.status, "broadcast");
+    assert.deepEqual(
+      (await readTradeJournal(path)).map((e) => e.usd),
+      [25n, 15n]
+    );
+
+    const third = await run(provider, limits, { journalPath: path });
+    assert.equal(third.status, "blocked");
+    assert.match(third.reason, /nothing left to move/);
+    assert.equal(provider.broadcasts.length, 2);
+  });
+
+  await t.test("abort refuses instead of clipping", async () => {
+    const { provider } = setupStandIn();
+    const result = await run(
+      provider,
+      { maxTokensPerTrade: 10n, action: "abort" },
+      { journalPath: freshJournal() }
+    );
+    assert.equal(result.status, "blocked");
+    assert.match(result.reason, /RISK_LIMIT_ACTION=abort/);
+    assert.equal(result.risk.allowedTokens, 10n);
+    assert.equal(provider.broadcasts.length, 0);
+  });
+});
+
+test("cooldown on the local stand-in provider", async (t) => {
+  const run = (provider, path, seconds) =>
+    runRebalanceWithOracle({
+      version: "v3",
+      provider,
+      fetchPrice,
+      riskLimits: { ...NO_LIMITS, maxTokensPerTrade: 10n },
+      journalPath: path,
+      cooldown: { seconds, source: "both" },
+    });
+
+  await t.test("a second run inside the cooldown is skipped", async () => {
+    const { provider } = setupStandIn();
+    const path = freshJournal();
+
+    const first = await run(provider, path, 3_600);
+    assert.equal(first.status, "broadcast");
+
+    // The stand-in has no Electrum history: the journal alone decides.
+    const second = await run(provider, path, 3_600);
+    assert.equal(second.status, "skipped");
+    assert.match(second.reason, /^cooldown: last rebalance \d+ s ago \(journal/);
+    assert.equal(second.cooldown.last.txid, first.txid);
+    assert.equal(provider.broadcasts.length, 1);
+
+    // Without a cooldown the same journal does not hold it back.
+    const third = await run(provider, path, 0);
+    assert.equal(third.status, "broadcast");
+  });
+
+  await t.test("an unknown source is an error", async () => {
+    const { provider } = setupStandIn();
+    await assert.rejects(
+      runRebalanceWithOracle({
+        version: "v3",
+        provider,
+        fetchPrice,
+        journalPath: freshJournal(),
+        cooldown: { seconds: 60, source: "mempool" },
+      }),
+      /Unknown REBALANCE_COOLDOWN_SOURCE="mempool"/
+    );
+  });
+});
@@ -0,0 +1,163 @@
+// tests/rebalanceScheduler.test.js
+// Daemon loop: no overlapping runs, backoff on errors, graceful stop.
+
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  backoffDelay,
+  createRebalanceDaemon,
+} from "../rebalanceScheduler.js";
+
+const quiet = () => {};
+
+// A promise plus its resolve(), to hold a run "in flight".
+function deferred() {
+  let resolve;
+  const promise = new Promise((res) => {
+    resolve = res;
+  });
+  return { promise, resolve };
+}
+
+test("backoffDelay", async (t) => {
+  await t.test("doubles per consecutive failure", () => {
+    assert.equal(backoffDelay(0, 100, 10_000), 0);
+    assert.equal(backoffDelay(1, 100, 10_000), 100);
+    assert.equal(backoffDelay(2, 100, 10_000), 200);
+    assert.equal(backoffDelay(4, 100, 10_000), 800);
+  });
+
+  await t.test("is capped at maxMs", () => {
+    assert.equal(backoffDelay(10, 100, 1_000), 1_000);
+    assert.equal(backoffDelay(500, 100, 1_000), 1_000);
+  });
+});
+
+test("createRebalanceDaemon", async (t) => {
+  await t.test("never starts a second run while one is in flight", async () => {
+    const gate = deferred();
+    let calls = 0;
+    const daemon = createRebalanceDaemon({
+      runOnce: () => {
+        calls++;
+        return gate.promise;
+      },
+      log: quiet,
+    });
+
+    const first = daemon.tick();
+    assert.equal(daemon.running, true);
+    assert.equal(await daemon.tick(), null);
+    assert.equal(calls, 1);
+
+    gate.resolve({ status: "skipped" });
+    assert.deepEqual(await first, { status: "skipped" });
+    assert.equal(daemon.running, false);
+  });
+
+  await t.test("counts consecutive failures and resets on success", async () => {
+    const results = [
+      new Error("electrum down"),
+      new Error("oracle 503"),
+      { status: "skipped" },
+    ];
+    const daemon = createRebalanceDaemon({
+      runOnce: async () => {
+        const next = results.shift();
+        if (next instanceof Error) throw next;
+        return next;
+      },
+      log: quiet,
+    });
+
+    const r1 = await daemon.tick();
+    assert.equal(r1.status, "error");
+    assert.equal(daemon.failures, 1);
+
+    await daemon.tick();
+    assert.equal(daemon.failures, 2);
+
+    await daemon.tick();
+    assert.equal(daemon.failures, 0);
+  });
+
+  await t.test("loop backs off after errors instead of waiting the interval", async () => {
+    const lines = [];
+    let calls = 0;
+    const daemon = createRebalanceDaemon({
+      runOnce: async () => {
+        calls++;
+        if (calls <= 2) throw new Error("electrum down");
+        return { status: "skipped" };
+      },
+      intervalMs: 60_000,
+      backoffBaseMs: 1,
+      backoffMaxMs: 4,
+      log: (line) => lines.push(line),
+    });
+
+    const done = daemon.start();
+    for (let i = 0; i < 2_000 && calls < 3; i++) {
+      await new Promise((r) => setTimeout(r, 1));
+    }
+    await daemon.stop("test");
+    await done;
+
+    assert.ok(lines.includes("[daemon] Backing off for 1 ms."));
+    assert.ok(lines.includes("[daemon] Backing off for 2 ms."));
+    assert.ok(lines.includes("[daemon] Next run in 60000 ms."));
+  });
+
+  await t.test("stop() during the interval sleep returns immediately", async () => {
+    const daemon = createRebalanceDaemon({
+      runOnce: async () => ({ status: "skipped" }),
+      intervalMs: 60_000,
+      log: quiet,
+    });
+
+    const done = daemon.start();
+    await new Promise((r) => setTimeout(r, 5));
+
+    const started = Date.now();
+    await daemon.stop("test");
+    await done;
+
+    assert.ok(Date.now() - started < 1_000);
+    assert.equal(daemon.runs, 1);
+    assert.equal(await daemon.tick(), null);
+  });
+
+  await t.test("stop() aborts a pending run and waits for it to finish", async () => {
+    const gate = deferred();
+    let sawAbort = false;
+    let finished = false;
+
+    const daemon = createRebalanceDaemon({
+      runOnce: async ({ signal }) => {
+        await gate.promise;
+        // Mirrors runRebalanceWithOracle: check right before broadcast.
+        sawAbort = signal.aborted;
+        finished = true;
+        return sawAbort
+          ? { status: "aborted", reason: "shutdown requested before broadcast" }
+          : { status: "broadcast", txid: "00" };
+      },
+      intervalMs: 60_000,
+      log: quiet,
+    });
+
+    const done = daemon.start();
+    await new Promise((r) => setTimeout(r, 1));
+    assert.equal(daemon.running, true);
+
+    const stopped = daemon.stop("SIGTERM");
+    setTimeout(() => gate.resolve(), 5);
+    await stopped;
+    await done;
+
+    assert.equal(finished, true);
+    assert.equal(sawAbort, true);
+    assert.equal(daemon.running, false);
+  });
+});
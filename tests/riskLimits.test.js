@@ -0,0 +1,271 @@
+// tests/riskLimits.test.js
+// Rebalance size limits: per-trade caps, the rolling window over the
+// trade journal, clip vs abort, and the journal file itself.
+
+import test, { after } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+import {
+  validateRiskLimits,
+  describeRiskLimits,
+  riskWindowUsage,
+  evaluateRiskLimits,
+  clipMove,
+} from "../riskLimits.js";
+import {
+  readTradeJournal,
+  appendTradeJournal,
+  tradesInWindow,
+} from "../tradeJournal.js";
+import { usdToBchSats } from "../meanRevertMath.js";
+
+const price = 10_000n; // 100.00 USD/BCH
+const contractAddress = "bchtest:contract";
+const NOW = Date.parse("2026-10-19T12:00:00Z");
+const HOUR = 3_600_000;
+
+const OFF = {
+  maxTokensPerTrade: null,
+  maxTradeBps: null,
+  maxUsdPerWindow: null,
+  windowHours: 24,
+  action: "clip",
+};
+
+function trade(hoursAgo, usd, address = contractAddress) {
+  return {
+    time: new Date(NOW - hoursAgo * HOUR).toISOString(),
+    txid: `${hoursAgo}`.padStart(64, "0"),
+    contractAddress: address,
+    usd,
+  };
+}
+
+// 1 BCH ($100) + 200 FT → $300 portfolio.
+function evaluate(requestedTokens, limits, journal = []) {
+  return evaluateRiskLimits({
+    requestedTokens,
+    bchSats: 100_000_000n,
+    tokens: 200n,
+    oraclePriceRaw: price,
+    limits: { ...OFF, ...limits },
+    journal,
+    contractAddress,
+    now: NOW,
+  });
+}
+
+const dir = mkdtempSync(join(tmpdir(), "risk-limits-"));
+after(() => rmSync(dir, { recursive: true, force: true }));
+
+test("validateRiskLimits", () => {
+  validateRiskLimits(OFF);
+  validateRiskLimits({ ...OFF, maxTradeBps: 10_000n, action: "abort" });
+  assert.throws(
+    () => validateRiskLimits({ ...OFF, maxTokensPerTrade: -1n }),
+    /maxTokensPerTrade must be a non-negative BigInt/
+  );
+  assert.throws(
+    () => validateRiskLimits({ ...OFF, maxTokensPerTrade: 5 }),
+    /non-negative BigInt/
+  );
+  assert.throws(
+    () => validateRiskLimits({ ...OFF, maxTradeBps: 10_001n }),
+    /at most 10000/
+  );
+  assert.throws(
+    () => validateRiskLimits({ ...OFF, maxUsdPerWindow: 1n, windowHours: 0 }),
+    /windowHours must be a positive number/
+  );
+  assert.throws(
+    () => validateRiskLimits({ ...OFF, action: "warn" }),
+    /Unknown risk limit action "warn"/
+  );
+});
+
+test("describeRiskLimits", () => {
+  assert.equal(describeRiskLimits(OFF), "off");
+  assert.equal(
+    describeRiskLimits({
+      ...OFF,
+      maxTokensPerTrade: 50n,
+      maxTradeBps: 1_000n,
+      maxUsdPerWindow: 200n,
+    }),
+    "max 50 FT per trade, max 10.00% of portfolio per trade, max $200 per 24h (clip)"
+  );
+});
+
+test("evaluateRiskLimits", async (t) => {
+  await t.test("no limits allow anything", () => {
+    const r = evaluate(1_000n, {});
+    assert.equal(r.decision, "allow");
+    assert.equal(r.allowedTokens, null);
+    assert.deepEqual(r.checks, []);
+    assert.equal(r.window, null);
+  });
+
+  await t.test("a move within every limit is allowed as is", () => {
+    const r = evaluate(20n, {
+      maxTokensPerTrade: 50n,
+      maxTradeBps: 1_000n,
+      maxUsdPerWindow: 200n,
+    });
+    assert.equal(r.decision, "allow");
+    assert.equal(r.allowedTokens, 20n);
+    assert.ok(r.checks.every((c) => !c.breached));
+  });
+
+  await t.test("max tokens per trade clips", () => {
+    const r = evaluate(90n, { maxTokensPerTrade: 50n });
+    assert.equal(r.decision, "clip");
+    assert.equal(r.allowedTokens, 50n);
+    assert.match(r.reason, /clipped 90 FT to 50/);
+  });
+
+  await t.test("share of portfolio is measured at the oracle price", () => {
+    // 10% of $300
+    const r = evaluate(90n, { maxTradeBps: 1_000n });
+    assert.equal(r.decision, "clip");
+    assert.equal(r.allowedTokens, 30n);
+    assert.match(r.reason, /10\.00% of the \$300 portfolio allows 30/);
+  });
+
+  await t.test("the tightest limit wins", () => {
+    const r = evaluate(90n, {
+      maxTokensPerTrade: 50n,
+      maxTradeBps: 1_000n,
+      maxUsdPerWindow: 200n,
+    });
+    assert.equal(r.allowedTokens, 30n);
+    assert.deepEqual(
+      r.checks.map((c) => [c.limit, c.breached]),
+      [
+        ["maxTokensPerTrade", true],
+        ["maxTradeBps", true],
+        ["maxUsdPerWindow", false],
+      ]
+    );
+  });
+
+  await t.test("the window sums journalled trades of this contract", () => {
+    const journal = [
+      trade(30, 500n), // outside the 24h window
+      trade(20, 60n),
+      trade(1, 90n),
+      trade(2, 500n, "bchtest:other"), // another contract
+    ];
+    const r = evaluate(90n, { maxUsdPerWindow: 200n }, journal);
+    assert.deepEqual(r.window, {
+      trades: 2,
+      usedUsd: 150n,
+      remainingUsd: 50n,
+      windowHours: 24,
+    });
+    assert.equal(r.decision, "clip");
+    assert.equal(r.allowedTokens, 50n);
+    assert.match(r.reason, /\$150 used by 2 trade\(s\)/);
+  });
+
+  await t.test("an exhausted window blocks even when clipping", () => {
+    const r = evaluate(10n, { maxUsdPerWindow: 200n }, [
+      trade(3, 120n),
+      trade(2, 100n),
+    ]);
+    assert.equal(r.decision, "block");
+    assert.equal(r.window.remainingUsd, 0n);
+    assert.match(r.reason, /nothing left to move/);
+  });
+
+  await t.test("abort blocks instead of clipping", () => {
+    const r = evaluate(90n, { maxTokensPerTrade: 50n, action: "abort" });
+    assert.equal(r.decision, "block");
+    assert.equal(r.allowedTokens, 50n);
+    assert.match(r.reason, /90 FT exceeds 50 FT per trade allows 50/);
+    assert.match(r.reason, /RISK_LIMIT_ACTION=abort/);
+  });
+
+  await t.test("a zero cap blocks", () => {
+    const r = evaluate(1n, { maxTokensPerTrade: 0n });
+    assert.equal(r.decision, "block");
+  });
+});
+
+test("riskWindowUsage", () => {
+  const journal = [trade(5, 40n), trade(1, 10n)];
+  assert.deepEqual(
+    riskWindowUsage(journal, { ...OFF, windowHours: 2 }, { now: NOW }),
+    { trades: 1, usedUsd: 10n, remainingUsd: null, windowHours: 2 }
+  );
+});
+
+test("clipMove", () => {
+  const state = { bchSats: 100_000_000n, tokens: 200n };
+  assert.deepEqual(clipMove(state, "withdraw", 30n, price), {
+    newBch: 100_000_000n,
+    newTokens: 170n,
+  });
+  assert.deepEqual(clipMove(state, "deposit", 30n, price), {
+    newBch: 100_000_000n,
+    newTokens: 230n,
+  });
+  assert.deepEqual(clipMove(state, "buyBch", 30n, price), {
+    newBch: 100_000_000n + usdToBchSats(30n, price, "up"),
+    newTokens: 170n,
+  });
+  assert.deepEqual(clipMove(state, "sellBch", 30n, price), {
+    newBch: 100_000_000n - usdToBchSats(30n, price, "down"),
+    newTokens: 230n,
+  });
+  assert.throws(() => clipMove(state, "none", 1n, price), /Cannot clip/);
+});
+
+test("trade journal", async (t) => {
+  await t.test("a missing file is an empty journal", async () => {
+    assert.deepEqual(await readTradeJournal(join(dir, "missing.jsonl")), []);
+  });
+
+  await t.test("round-trips BigInt fields and keeps order", async () => {
+    const path = join(dir, "nested", "journal.jsonl");
+    const first = {
+      time: new Date(NOW - HOUR).toISOString(),
+      txid: "aa".repeat(32),
+      version: "v3",
+      contractAddress,
+      mode: "tokens",
+      direction: "withdraw",
+      tokens: 30n,
+      usd: 30n,
+      bchSats: 0n,
+      oraclePriceRaw: price,
+    };
+    await appendTradeJournal(path, first);
+    await appendTradeJournal(path, { ...first, txid: "bb".repeat(32), usd: 5n });
+
+    const entries = await readTradeJournal(path);
+    assert.deepEqual(entries[0], first);
+    assert.deepEqual(
+      entries.map((e) => e.usd),
+      [30n, 5n]
+    );
+  });
+
+  await t.test("a corrupt line is an error, not an empty history", async () => {
+    const path = join(dir, "corrupt.jsonl");
+    writeFileSync(path, `${JSON.stringify({ usd: "1" })}\n{not json\n`);
+    await assert.rejects(readTradeJournal(path), /corrupt at line 2/);
+  });
+
+  await t.test("tradesInWindow", () => {
+    const entries = [trade(25, 1n), trade(23, 2n), trade(-1, 3n)];
+    assert.deepEqual(
+      tradesInWindow(entries, { contractAddress, now: NOW, windowMs: 24 * HOUR }).map(
+        (e) => e.usd
+      ),
+      [2n]
+    );
+  });
+});
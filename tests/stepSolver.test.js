@@ -0,0 +1,185 @@
+// tests/stepSolver.test.js
+// Optimal step solvers, checked against a brute-force search over small
+// ranges with the covenant's exact integer math.
+
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { chooseOptimalTokenAmount, chooseOptimalSwap } from "../stepSolver.js";
+import {
+  chooseNewTokenAmountMeanRevert,
+  imbalance,
+  usdToBchSats,
+} from "../meanRevertMath.js";
+
+const bch = 100_000_000n; // 1 BCH
+const price = 10_000n; // 100.00 USD/BCH → bchUsd = 100
+
+const weights = [null, 0n, 2_500n, 5_000n, 6_000n, 7_000n, 10_000n];
+const prices = [10_000n, 47_622n, 54_068n];
+const bchAmounts = [12_345_678n, 50_000_000n, 73_000_001n];
+const caps = [null, 1n, 7n, 40n];
+
+/**
+ * Walk every reachable amount, smallest transfer first in both directions,
+ * and keep the first strictly lowest D. No improvement → no-op.
+ */
+function bruteForce(candidatesFor, limit, D_before, p, w) {
+  let best = null;
+  let bestD = D_before;
+  for (let step = 1n; step <= limit; step++) {
+    for (const c of candidatesFor(step)) {
+      if (c.newBch <= 0n || c.newTokens < 0n) continue;
+      const d = imbalance(c.newBch, c.newTokens, p, w ?? undefined);
+      if (d < bestD) {
+        best = { ...c, step };
+        bestD = d;
+      }
+    }
+  }
+  return { best, bestD };
+}
+
+test("chooseOptimalTokenAmount", async (t) => {
+  await t.test("closes the whole gap in one move", () => {
+    const r = chooseOptimalTokenAmount(bch, 200n, price);
+    assert.equal(r.direction, "withdraw");
+    assert.equal(r.newTokens, 100n);
+    assert.equal(r.stepTokens, 100n);
+    assert.equal(r.D_after, 0n);
+
+    const halving = chooseNewTokenAmountMeanRevert(bch, 200n, price);
+    assert.ok(r.D_after < halving.D_after);
+  });
+
+  await t.test("respects the max-step cap", () => {
+    const r = chooseOptimalTokenAmount(bch, 40n, price, undefined, 25n);
+    assert.equal(r.direction, "deposit");
+    assert.equal(r.newTokens, 65n);
+    assert.equal(r.D_after, 35n);
+  });
+
+  await t.test("ties go to the smaller transfer", () => {
+    // 1 BCH at $1.00 → bchUsd 1; 40% BCH: D(t) = |1 * 6000 - t * 4000|
+    // D(1) = D(2) = 2000, so move to whichever is closer.
+    const up = chooseOptimalTokenAmount(bch, 0n, 100n, 4_000n);
+    assert.equal(up.newTokens, 1n);
+    assert.equal(up.D_after, 2_000n);
+
+    const down = chooseOptimalTokenAmount(bch, 5n, 100n, 4_000n);
+    assert.equal(down.newTokens, 2n);
+    assert.equal(down.D_after, 2_000n);
+  });
+
+  await t.test("on target, or a 100% FT target, is a no-op", () => {
+    assert.equal(chooseOptimalTokenAmount(bch, 100n, price).direction, "none");
+    assert.equal(
+      chooseOptimalTokenAmount(bch, 50n, price, 0n).direction,
+      "none"
+    );
+  });
+
+  await t.test("matches brute force over small ranges", () => {
+    for (const w of weights) {
+      for (const p of prices) {
+        for (const b of bchAmounts) {
+          for (let tokens = 0n; tokens <= 400n; tokens += 23n) {
+            for (const cap of caps) {
+              const r = chooseOptimalTokenAmount(b, tokens, p, w ?? undefined, cap);
+              const D_before = imbalance(b, tokens, p, w ?? undefined);
+              const { best, bestD } = bruteForce(
+                (step) => [
+                  { newBch: b, newTokens: tokens + step },
+                  { newBch: b, newTokens: tokens - step },
+                ],
+                cap ?? 1_500n,
+                D_before,
+                p,
+                w
+              );
+
+              const label = `w=${w} p=${p} b=${b} tokens=${tokens} cap=${cap}`;
+              assert.equal(r.D_before, D_before, label);
+              if (!best) {
+                assert.equal(r.direction, "none", label);
+                assert.equal(r.newTokens, tokens, label);
+                continue;
+              }
+              assert.equal(r.newTokens, best.newTokens, label);
+              assert.equal(r.stepTokens, best.step, label);
+              assert.equal(r.D_after, bestD, label);
+            }
+          }
+        }
+      }
+    }
+  });
+});
+
+test("chooseOptimalSwap", async (t) => {
+  await t.test("swaps straight to target", () => {
+    // $100 BCH vs 200 FT: swap $50 → 1.5 BCH / 150 FT
+    const r = chooseOptimalSwap(bch, 200n, price);
+    assert.equal(r.direction, "buyBch");
+    assert.equal(r.stepTokens, 50n);
+    assert.equal(r.newBch, 150_000_000n);
+    assert.equal(r.newTokens, 150n);
+    assert.equal(r.D_after, 0n);
+  });
+
+  await t.test("respects the max-step cap", () => {
+    const r = chooseOptimalSwap(bch, 0n, price, undefined, 10n);
+    assert.equal(r.direction, "sellBch");
+    assert.equal(r.stepTokens, 10n);
+    assert.equal(r.stepSats, usdToBchSats(10n, price, "down"));
+    assert.equal(r.newTokens, 10n);
+  });
+
+  await t.test("never spends the last satoshi", () => {
+    // 100% FT target: selling BCH always helps, but newBch must stay > 0.
+    const r = chooseOptimalSwap(bch, 0n, price, 0n);
+    assert.equal(r.direction, "sellBch");
+    assert.ok(r.newBch > 0n);
+  });
+
+  await t.test("matches brute force over small ranges", () => {
+    for (const w of weights) {
+      for (const p of prices) {
+        for (const b of bchAmounts) {
+          for (let tokens = 0n; tokens <= 400n; tokens += 29n) {
+            for (const cap of caps) {
+              const r = chooseOptimalSwap(b, tokens, p, w ?? undefined, cap);
+              const D_before = imbalance(b, tokens, p, w ?? undefined);
+              const { best, bestD } = bruteForce(
+                (usd) => [
+                  {
+                    newBch: b - usdToBchSats(usd, p, "down"),
+                    newTokens: tokens + usd,
+                  },
+                  {
+                    newBch: b + usdToBchSats(usd, p, "up"),
+                    newTokens: tokens - usd,
+                  },
+                ],
+                cap ?? 800n,
+                D_before,
+                p,
+                w
+              );
+
+              const label = `w=${w} p=${p} b=${b} tokens=${tokens} cap=${cap}`;
+              if (!best) {
+                assert.equal(r.direction, "none", label);
+                continue;
+              }
+              assert.equal(r.stepTokens, best.step, label);
+              assert.equal(r.newBch, best.newBch, label);
+              assert.equal(r.newTokens, best.newTokens, label);
+              assert.equal(r.D_after, bestD, label);
+            }
+          }
+        }
+      }
+    }
+  });
+});
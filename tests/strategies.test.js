@@ -0,0 +1,260 @@
+// tests/strategies.test.js
+// Pluggable rebalancer strategies + covenant validation of their proposals.
+
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  STRATEGIES,
+  getStrategy,
+  strategyNameFromArgv,
+  validateProposal,
+} from "../strategies/index.js";
+import {
+  chooseNewTokenAmountMeanRevert,
+  chooseSwapMeanRevert,
+  imbalance,
+} from "../meanRevertMath.js";
+import { STRATEGY_ZSCORE } from "../config.js";
+
+const bch = 100_000_000n; // 1 BCH
+const price = 10_000n; // 100.00 USD/BCH → bchUsd = 100
+const oracle = { priceRaw: Number(price), priceValue: 100 };
+
+function propose(name, tokens, config = {}, bchSats = bch, p = oracle) {
+  return getStrategy(name).propose({
+    state: { bchSats, tokens },
+    oracle: p,
+    history: [],
+    config: {
+      mode: "tokens",
+      targetBchWeightBps: null,
+      innerD: null,
+      proportionBps: 2_500n,
+      zscore: STRATEGY_ZSCORE,
+      ...config,
+    },
+  });
+}
+
+test("strategy registry", async (t) => {
+  await t.test("ships the built-in strategies", () => {
+    assert.deepEqual(Object.keys(STRATEGIES).sort(), [
+      "constant-proportion",
+      "full-to-target",
+      "mean-revert",
+      "price-zscore",
+    ]);
+  });
+
+  await t.test("unknown names are rejected", () => {
+    assert.throws(() => getStrategy("yolo"), /Unknown rebalance strategy/);
+  });
+
+  await t.test("--strategy from the command line", () => {
+    assert.equal(strategyNameFromArgv(["node", "x.js"]), null);
+    assert.equal(
+      strategyNameFromArgv(["node", "x.js", "--strategy", "full-to-target"]),
+      "full-to-target"
+    );
+    assert.equal(
+      strategyNameFromArgv(["node", "x.js", "--strategy=constant-proportion"]),
+      "constant-proportion"
+    );
+  });
+});
+
+test("mean-revert strategy", async (t) => {
+  await t.test("matches the halving choosers with stepSizing \"halving\"", () => {
+    for (const w of [null, 6_000n]) {
+      const tokens = chooseNewTokenAmountMeanRevert(bch, 200n, price, w ?? undefined);
+      const r1 = propose("mean-revert", 200n, {
+        targetBchWeightBps: w,
+        stepSizing: "halving",
+      });
+      assert.equal(r1.newTokens, tokens.newTokens);
+      assert.equal(r1.newBch, bch);
+
+      const swap = chooseSwapMeanRevert(bch, 200n, price, w ?? undefined);
+      const r2 = propose("mean-revert", 200n, {
+        mode: "swap",
+        targetBchWeightBps: w,
+        stepSizing: "halving",
+      });
+      assert.equal(r2.newTokens, swap.newTokens);
+      assert.equal(r2.newBch, swap.newBch);
+    }
+  });
+
+  await t.test("optimal step sizing by default, capped by maxStep", () => {
+    const r1 = propose("mean-revert", 200n);
+    assert.equal(r1.newTokens, 100n);
+    assert.match(r1.rationale, /minimising D/);
+
+    const r2 = propose("mean-revert", 200n, { maxStep: 30n });
+    assert.equal(r2.newTokens, 170n);
+    assert.match(r2.rationale, /capped at 30/);
+
+    const r3 = propose("mean-revert", 200n, { mode: "swap", maxStep: 30n });
+    assert.equal(r3.newTokens, 170n);
+    assert.equal(r3.newBch, 130_000_000n);
+  });
+
+  await t.test("rejects an unknown step sizing", () => {
+    assert.throws(
+      () => propose("mean-revert", 200n, { stepSizing: "bisect" }),
+      /unknown step sizing/
+    );
+  });
+
+  await t.test("with a band, lands on the inner edge", () => {
+    const r = propose("mean-revert", 200n, { innerD: 2n });
+    assert.equal(r.newTokens, 102n);
+    assert.match(r.rationale, /inner band/);
+  });
+});
+
+test("constant-proportion strategy", async (t) => {
+  await t.test("closes the configured share of the FT gap", () => {
+    // gap 100 FT, 25% → withdraw 25
+    const r = propose("constant-proportion", 200n);
+    assert.equal(r.newTokens, 175n);
+    assert.match(r.rationale, /25\.00% of the gap/);
+  });
+
+  await t.test("closes the configured share of the swap distance", () => {
+    // $50 to target, 10% → swap $5
+    const r = propose("constant-proportion", 200n, {
+      mode: "swap",
+      proportionBps: 1_000n,
+    });
+    assert.equal(r.newTokens, 195n);
+    assert.equal(r.newBch, 105_000_000n);
+  });
+
+  await t.test("always moves at least one unit", () => {
+    const r = propose("constant-proportion", 101n);
+    assert.equal(r.newTokens, 100n);
+  });
+
+  await t.test("rejects an out-of-range proportion", () => {
+    assert.throws(
+      () => propose("constant-proportion", 200n, { proportionBps: 0n }),
+      /proportionBps/
+    );
+  });
+});
+
+test("full-to-target strategy", async (t) => {
+  await t.test("FT-only: straight to the target amount", () => {
+    assert.equal(propose("full-to-target", 200n).newTokens, 100n);
+    assert.equal(propose("full-to-target", 10n).newTokens, 100n);
+    // 60/40: target 66.67 FT → 67 is closer than 66
+    const r = propose("full-to-target", 200n, { targetBchWeightBps: 6_000n });
+    assert.equal(r.newTokens, 67n);
+  });
+
+  await t.test("swap: both legs to target", () => {
+    const r = propose("full-to-target", 200n, {
+      mode: "swap",
+      targetBchWeightBps: 6_000n,
+    });
+    assert.equal(r.newBch, 180_000_000n);
+    assert.equal(r.newTokens, 120n);
+  });
+
+  await t.test("on target → hold", () => {
+    const r = propose("full-to-target", 100n);
+    assert.equal(r.newTokens, 100n);
+    assert.equal(r.rationale, "already on target");
+  });
+});
+
+test("every built-in proposal passes covenant validation", () => {
+  const prices = [10_000n, 47_622n, 54_068n];
+  for (const name of Object.keys(STRATEGIES)) {
+    for (const mode of ["tokens", "swap"]) {
+      for (const w of [null, 2_500n, 6_000n, 7_000n]) {
+        for (const p of prices) {
+          for (let tokens = 0n; tokens <= 900n; tokens += 37n) {
+            const state = { bchSats: bch, tokens };
+            const proposal = propose(
+              name,
+              tokens,
+              { mode, targetBchWeightBps: w, innerD: null },
+              bch,
+              { priceRaw: Number(p) }
+            );
+            const move = validateProposal({
+              state,
+              proposal,
+              oraclePriceRaw: p,
+              targetBchWeightBps: w,
+              mode,
+              strategyName: name,
+            });
+
+            assert.equal(
+              move.D_after,
+              imbalance(move.newBch, move.newTokens, p, w ?? undefined)
+            );
+            if (move.direction !== "none") {
+              assert.ok(move.D_after < move.D_before, `${name}/${mode}`);
+            }
+          }
+        }
+      }
+    }
+  }
+});
+
+test("validateProposal", async (t) => {
+  const state = { bchSats: bch, tokens: 200n };
+  const check = (proposal, mode = "tokens") =>
+    validateProposal({
+      state,
+      proposal,
+      oraclePriceRaw: price,
+      targetBchWeightBps: null,
+      mode,
+    });
+
+  await t.test("describes a valid withdraw", () => {
+    const move = check({ newBch: bch, newTokens: 150n });
+    assert.equal(move.direction, "withdraw");
+    assert.equal(move.stepTokens, 50n);
+    assert.equal(move.D_before, 100n);
+    assert.equal(move.D_after, 50n);
+  });
+
+  await t.test("rejects moves that break the covenant invariant", () => {
+    assert.throws(
+      () => check({ newBch: bch, newTokens: 400n }),
+      /D_after <= D_before violated/
+    );
+  });
+
+  await t.test("rejects BCH changes in tokens mode", () => {
+    assert.throws(
+      () => check({ newBch: bch + 1n, newTokens: 150n }),
+      /must not change contract BCH/
+    );
+  });
+
+  await t.test("rejects swaps off the oracle price", () => {
+    // contract buys $50 of BCH but receives 1 sat short
+    assert.throws(
+      () => check({ newBch: 149_999_999n, newTokens: 150n }, "swap"),
+      /not at the oracle price/
+    );
+    assert.equal(
+      check({ newBch: 150_000_000n, newTokens: 150n }, "swap").direction,
+      "buyBch"
+    );
+  });
+
+  await t.test("rejects negative amounts and non-BigInt values", () => {
+    assert.throws(() => check({ newBch: bch, newTokens: -1n }), /negative/);
+    assert.throws(() => check({ newBch: bch, newTokens: 150 }), /BigInt/);
+  });
+});
@@ -0,0 +1,92 @@
+// tradeJournal.js
+// Append-only journal of broadcast rebalances, one JSON object per line.
+//
+//   {
+//     time,             // ISO timestamp of the broadcast
+//     txid,
+//     version,          // contract version ("v3", "v4", ...)
+//     contractAddress,  // contract token address
+//     mode,             // "tokens" | "swap"
+//     direction,        // "withdraw" | "deposit" | "sellBch" | "buyBch"
+//     tokens,           // FT moved (swap: USD swapped)
+//     usd,              // USD moved (1 FT ≈ $1)
+//     bchSats,          // BCH moved by a swap, 0 in tokens mode
+//     oraclePriceRaw
+//   }
+//
+// BigInt fields are written as decimal strings and read back as BigInt.
+// The rolling-window risk limits (riskLimits.js) sum `usd` over it, so a
+// journal that cannot be parsed is an error rather than an empty history.
+
+import { readFile, appendFile, mkdir } from "node:fs/promises";
+import { dirname } from "node:path";
+
+const BIGINT_FIELDS = ["tokens", "usd", "bchSats", "oraclePriceRaw"];
+
+/**
+ * All entries of the journal at `path`, oldest first. A missing file is an
+ * empty journal.
+ */
+export async function readTradeJournal(path) {
+  let text;
+  try {
+    text = await readFile(path, "utf8");
+  } catch (err) {
+    if (err.code === "ENOENT") return [];
+    throw err;
+  }
+
+  const entries = [];
+  const lines = text.split("\n");
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim();
+    if (!line) continue;
+
+    let raw;
+    try {
+      raw = JSON.parse(line);
+    } catch (err) {
+      throw new Error(
+        [
+          `Trade journal ${path} is corrupt at line ${i + 1}: ${err.message}`,
+          "  Fix or move the file; the risk limits rely on it.",
+        ].join("\n")
+      );
+    }
+    const entry = { ...raw };
+    for (const field of BIGINT_FIELDS) {
+      if (entry[field] != null) entry[field] = BigInt(entry[field]);
+    }
+    entries.push(entry);
+  }
+  return entries;
+}
+
+/**
+ * Append one entry (see the header for its fields) to the journal at
+ * `path`, creating the file and its directory if needed.
+ */
+export async function appendTradeJournal(path, entry) {
+  const line = JSON.stringify(entry, (_, v) =>
+    typeof v === "bigint" ? v.toString() : v
+  );
+  await mkdir(dirname(path), { recursive: true });
+  await appendFile(path, `${line}\n`, "utf8");
+}
+
+/**
+ * Entries for one contract whose time falls within the last `windowMs`
+ * milliseconds before `now`.
+ */
+export function tradesInWindow(
+  entries,
+  { contractAddress, now = Date.now(), windowMs }
+) {
+  const since = now - windowMs;
+  return entries.filter(
+    (e) =>
+      (contractAddress == null || e.contractAddress === contractAddress) &&
+      Date.parse(e.time) > since &&
+      Date.parse(e.time) <= now
+  );
+}
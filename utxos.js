@@ -7,8 +7,11 @@
 //    grouping by token category, and pretty-printing.
 //  - All UTXO shape assumptions are isolated here, so switching providers
 //    later is less painful.
+//  - Coin selection (FT amounts, BCH for outputs + fees) lives here too, so
+//    every script picks its funding inputs the same way.
 
 import { formatSats } from "./bigint.js";
+import { SATS_PER_BYTE } from "./config.js";
 
 /**
  * Internal helper: normalize a UTXO's satoshi value to BigInt.
@@ -54,6 +57,286 @@ export function groupTokenUtxosByCategory(tokenUtxos) {
   return map;
 }
 
+/**
+ * Select fungible-token UTXOs of one category covering `amount` tokens.
+ *
+ * - Only pure FT UTXOs (no NFT attached) of `category` are considered.
+ * - Largest token amounts first, so we use as few inputs as possible.
+ * - Throws if the combined balance is below `amount`.
+ *
+ * Returns { selected, totalTokens, changeTokens }.
+ */
+export function selectTokenUtxos(utxos, category, amount) {
+  const candidates = utxos
+    .filter(
+      (u) =>
+        u.token?.category === category &&
+        !u.token.nft &&
+        BigInt(u.token.amount ?? 0n) > 0n
+    )
+    .sort((a, b) => {
+      const diff = BigInt(b.token.amount) - BigInt(a.token.amount);
+      return diff > 0n ? 1 : diff < 0n ? -1 : 0;
+    });
+
+  const selected = [];
+  let totalTokens = 0n;
+
+  for (const u of candidates) {
+    if (totalTokens >= amount) break;
+    selected.push(u);
+    totalTokens += BigInt(u.token.amount);
+  }
+
+  if (totalTokens < amount) {
+    throw new Error(
+      [
+        "Insufficient fungible tokens for coin selection.",
+        `  category : ${category}`,
+        `  required : ${amount.toString()}`,
+        `  available: ${totalTokens.toString()}`,
+      ].join("\n")
+    );
+  }
+
+  return { selected, totalTokens, changeTokens: totalTokens - amount };
+}
+
+// --- BCH coin selection ---
+//
+// Every extra input makes the transaction bigger, so a UTXO is worth its
+// value minus the fee for its own input bytes ("effective value"). UTXOs
+// whose effective value is not positive are never selected.
+
+/**
+ * Size of a P2PKH input signed with a Schnorr SignatureTemplate:
+ * outpoint (36) + script length (1) + <sig 65> push (66) +
+ * <pubkey 33> push (34) + sequence (4).
+ */
+export const P2PKH_INPUT_BYTES = 141n;
+
+export const COIN_SELECTION_STRATEGIES = [
+  "largest-first",
+  "smallest-sufficient",
+  "branch-and-bound",
+];
+
+// Branch-and-bound gives up (keeping its best subset so far) after this
+// many search steps.
+const BNB_MAX_TRIES = 100_000;
+
+function byValueDesc(a, b) {
+  return a.effective > b.effective ? -1 : a.effective < b.effective ? 1 : 0;
+}
+
+function largestFirst(coins, target) {
+  const picked = [];
+  let sum = 0n;
+  for (const c of [...coins].sort(byValueDesc)) {
+    if (sum >= target) break;
+    picked.push(c);
+    sum += c.effective;
+  }
+  return sum >= target ? picked : null;
+}
+
+function smallestSufficient(coins, target) {
+  const single = [...coins]
+    .sort((a, b) => byValueDesc(b, a))
+    .find((c) => c.effective >= target);
+  return single ? [single] : largestFirst(coins, target);
+}
+
+/**
+ * Depth-first search over include/exclude decisions, largest coins first,
+ * for the subset whose sum exceeds `target` by the least (fewest coins on
+ * ties). Branches that can no longer reach the target, or can only do
+ * worse than the best subset found, are cut.
+ */
+function branchAndBound(coins, target) {
+  const sorted = [...coins].sort(byValueDesc);
+  const remainingAfter = new Array(sorted.length + 1).fill(0n);
+  for (let i = sorted.length - 1; i >= 0; i--) {
+    remainingAfter[i] = remainingAfter[i + 1] + sorted[i].effective;
+  }
+
+  let best = null;
+  let bestExcess = null;
+  let tries = 0;
+  const picked = [];
+
+  const search = (i, sum) => {
+    if (++tries > BNB_MAX_TRIES || bestExcess === 0n) return;
+    if (sum >= target) {
+      const excess = sum - target;
+      if (
+        bestExcess === null ||
+        excess < bestExcess ||
+        (excess === bestExcess && picked.length < best.length)
+      ) {
+        best = [...picked];
+        bestExcess = excess;
+      }
+      return; // more coins only add excess
+    }
+    if (i >= sorted.length || sum + remainingAfter[i] < target) return;
+
+    picked.push(sorted[i]);
+    search(i + 1, sum + sorted[i].effective);
+    picked.pop();
+    search(i + 1, sum);
+  };
+  search(0, 0n);
+
+  return best ?? largestFirst(coins, target);
+}
+
+const STRATEGY_IMPLS = {
+  "largest-first": largestFirst,
+  "smallest-sufficient": smallestSufficient,
+  "branch-and-bound": branchAndBound,
+};
+
+/**
+ * Select BCH-only UTXOs whose effective value covers `target` sats.
+ *
+ * - `target` is what the inputs must pay for besides their own bytes:
+ *   outputs + change floor + the rest of the fee, minus other inputs.
+ * - `include` UTXOs are always spent (e.g. genesis or FT inputs); their
+ *   effective value counts towards the target and they come first in
+ *   `selected`. They may carry tokens; other token UTXOs are ignored.
+ * - `strategy` is one of COIN_SELECTION_STRATEGIES.
+ * - Throws if even every candidate together falls short.
+ *
+ * Returns {
+ *   strategy,
+ *   selected,       // include + chosen UTXOs
+ *   totalSats,      // BigInt – their combined value
+ *   inputFeeSats,   // BigInt – fee for their input bytes
+ *   effectiveSats,  // BigInt – totalSats - inputFeeSats
+ *   excessSats      // BigInt – effectiveSats - target
+ * }
+ */
+export function selectBchUtxos(
+  utxos,
+  target,
+  {
+    strategy = "largest-first",
+    include = [],
+    feePerByte = SATS_PER_BYTE,
+    inputBytes = P2PKH_INPUT_BYTES,
+  } = {}
+) {
+  const impl = STRATEGY_IMPLS[strategy];
+  if (!impl) {
+    throw new Error(
+      `Unknown coin selection strategy "${strategy}". Expected one of: ${COIN_SELECTION_STRATEGIES.join(
+        ", "
+      )}`
+    );
+  }
+
+  const inputFee = inputBytes * feePerByte;
+  const coin = (utxo) => ({
+    utxo,
+    effective: utxoValueBigInt(utxo) - inputFee,
+  });
+
+  const forced = include.map(coin);
+  const isIncluded = (u) =>
+    include.some((i) => i.txid === u.txid && i.vout === u.vout);
+  const coins = utxos
+    .filter((u) => !u.token && !isIncluded(u))
+    .map(coin)
+    .filter((c) => c.effective > 0n);
+
+  const forcedSum = forced.reduce((s, c) => s + c.effective, 0n);
+  const rest = target - forcedSum;
+  const chosen = rest > 0n ? impl(coins, rest) : [];
+
+  if (!chosen) {
+    const available =
+      forcedSum + coins.reduce((s, c) => s + c.effective, 0n);
+    throw new Error(
+      [
+        "Insufficient BCH for coin selection.",
+        `  required : ${formatSats(target)} (after per-input fees)`,
+        `  available: ${formatSats(available)} over ${
+          include.length + coins.length
+        } spendable UTXO(s)`,
+      ].join("\n")
+    );
+  }
+
+  const selected = [...forced, ...chosen].map((c) => c.utxo);
+  const totalSats = selected.reduce((s, u) => s + utxoValueBigInt(u), 0n);
+  const inputFeeSats = BigInt(selected.length) * inputFee;
+  const effectiveSats = totalSats - inputFeeSats;
+
+  return {
+    strategy,
+    selected,
+    totalSats,
+    inputFeeSats,
+    effectiveSats,
+    excessSats: effectiveSats - target,
+  };
+}
+
+/**
+ * Coin selection against a script's real fee.
+ *
+ * `amount` is what the funding inputs must cover besides the fee (outputs
+ * and change floor, minus other inputs); `estimateFee(inputs)` builds the
+ * pass-1 transaction with those inputs and returns its fee. Selection is
+ * repeated with the non-input part of the fee added to the target until
+ * the selected inputs cover amount + fee.
+ *
+ * Options are those of selectBchUtxos. Returns its result plus
+ * `feeEstimate` (the pass-1 fee for the returned inputs).
+ */
+export async function selectFundingUtxos(
+  utxos,
+  { amount, estimateFee, ...options }
+) {
+  let extra = 0n;
+  for (let round = 0; round < 5; round++) {
+    const selection = selectBchUtxos(utxos, amount + extra, options);
+    const feeEstimate = await estimateFee(selection.selected);
+    const shortfall = amount + feeEstimate - selection.totalSats;
+    if (shortfall <= 0n) return { ...selection, feeEstimate };
+
+    const baseFee = feeEstimate - selection.inputFeeSats;
+    extra = baseFee > extra ? baseFee : extra + shortfall;
+  }
+  throw new Error(
+    "Coin selection did not converge on a fee; try another COIN_SELECTION strategy."
+  );
+}
+
+/**
+ * A coin selection without the UTXO objects, for dry-run plans.
+ */
+export function summarizeSelection(selection) {
+  return {
+    strategy: selection.strategy,
+    utxoCount: selection.selected.length,
+    totalSats: selection.totalSats,
+    inputFeeSats: selection.inputFeeSats,
+  };
+}
+
+/**
+ * One-line summary of a coin selection for script logs.
+ */
+export function describeSelection(selection) {
+  return (
+    `${selection.selected.length} UTXO(s) via ${selection.strategy}: ` +
+    `${formatSats(selection.totalSats)} in, ` +
+    `${formatSats(selection.inputFeeSats)} of it for input bytes`
+  );
+}
+
 /**
  * Pretty-print the state of an address (or contract address).
  *